@@ -0,0 +1,118 @@
+/**
+ * A small animated PNG (APNG) encoder, using node's built in zlib for compression. Unlike GIF, APNG
+ * frame delays are not rounded to hundredths of a second, so fast animations keep their timing.
+ */
+
+'use strict';
+
+/* globals require, module, Buffer */
+var zlib = require('zlib');
+
+var CRC_TABLE = (function() {
+    var table = [];
+    for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table.push(c >>> 0);
+    }
+    return table;
+}());
+
+/** Returns the CRC32 of the given bytes, as used by PNG chunks. */
+function crc32(buf) {
+    var crc = 0xffffffff;
+    for (var i = 0; i < buf.length; i++) {
+        crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** Creates a PNG chunk of the given type. */
+function chunk(type, data) {
+    var length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    var typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    var crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/** Compresses r,g,b pixels into PNG image data, with no filtering. */
+function imageData(width, height, pixels) {
+    var stride = width * 3;
+    var raw = Buffer.alloc((stride + 1) * height);
+    for (var y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        Buffer.from(pixels.buffer, pixels.byteOffset + y * stride, stride)
+            .copy(raw, y * (stride + 1) + 1);
+    }
+    return zlib.deflateSync(raw);
+}
+
+/**
+ * Encodes frames as an animated PNG.
+ *
+ * @param  {Number} width
+ *         The width of the frames in pixels.
+ * @param  {Number} height
+ *         The height of the frames in pixels.
+ * @param  {Array} frames
+ *         The frames, as objects with "pixels" (r,g,b bytes row by row) and "delay" (in
+ *         milliseconds).
+ * @param  {Object} options
+ *         Optional. "loops" is the number of times the animation plays, 0 for forever (the
+ *         default).
+ * @return {Buffer}
+ *         The APNG file.
+ */
+function encodeApng(width, height, frames, options) {
+    options = options || {};
+    var loops = options.loops === undefined ? 0 : options.loops;
+    var chunks = [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])];
+    var sequence = 0;
+
+    var ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 2; // truecolor
+    chunks.push(chunk('IHDR', ihdr));
+
+    var actl = Buffer.alloc(8);
+    actl.writeUInt32BE(frames.length, 0);
+    actl.writeUInt32BE(loops, 4);
+    chunks.push(chunk('acTL', actl));
+
+    for (var i = 0; i < frames.length; i++) {
+        var fctl = Buffer.alloc(26);
+        fctl.writeUInt32BE(sequence++, 0);
+        fctl.writeUInt32BE(width, 4);
+        fctl.writeUInt32BE(height, 8);
+        fctl.writeUInt32BE(0, 12);
+        fctl.writeUInt32BE(0, 16);
+        fctl.writeUInt16BE(Math.min(Math.round(frames[i].delay), 0xffff), 20);
+        fctl.writeUInt16BE(1000, 22);
+        fctl[24] = 0; // dispose: none
+        fctl[25] = 0; // blend: source
+        chunks.push(chunk('fcTL', fctl));
+
+        var data = imageData(width, height, frames[i].pixels);
+        if (i === 0) {
+            chunks.push(chunk('IDAT', data));
+        } else {
+            var seq = Buffer.alloc(4);
+            seq.writeUInt32BE(sequence++, 0);
+            chunks.push(chunk('fdAT', Buffer.concat([seq, data])));
+        }
+    }
+
+    chunks.push(chunk('IEND', Buffer.alloc(0)));
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    crc32: crc32,
+    encodeApng: encodeApng
+};
@@ -0,0 +1,201 @@
+/**
+ * Estimates how much flash the animations and their triggers take up once the configurator has
+ * compiled them with KLL, so that configs that are too big to flash can be caught before spending a
+ * flash cycle on them.
+ *
+ * The numbers are approximate. They follow the way the kiibohd KLL emitter lays out animations:
+ * each pixel of a frame is an address type byte, a 4 byte address and, for each of the 3
+ * channels, a change type byte and an 8 bit value; each frame is terminated with an end byte and
+ * has a pointer in the animation's frame table; each animation has a settings entry; and each
+ * trigger action is a small result macro.
+ */
+
+'use strict';
+
+/* globals require, module */
+var parseFrame = require('./frames').parseFrame;
+var checkValue = require('./check').checkValue;
+
+var BYTES_PER_PIXEL = 1 + 4 + 3 * 2;
+var BYTES_PER_FRAME = 1 + 4;
+var BYTES_PER_ANIMATION = 16;
+var BYTES_PER_TRIGGER = 8;
+
+// The default budget for the K-Type. The MK20DX256 has 256KB of flash, about half of which is used
+// by the rest of the firmware and the keymap. The demo conf comes in well under this, while "all"
+// (which is known not to flash) is well over it.
+var DEFAULT_BUDGET = {
+    "maxBytes": 120 * 1024,
+    "onExceed": "warn"
+};
+
+/**
+ * Estimates the size of a single animation.
+ *
+ * @param  {Object} animation
+ *         The animation object, with "settings" and "frames".
+ * @return {Object}
+ *         The number of "frames", the number of "pixels" assigned across all frames and the
+ *         approximate compiled size in "bytes".
+ */
+function estimateAnimation(animation) {
+    var frames = animation.frames || [];
+    var pixels = 0;
+    for (var i = 0; i < frames.length; i++) {
+        pixels += parseFrame(frames[i]).length;
+    }
+    return {
+        frames: frames.length,
+        pixels: pixels,
+        bytes: BYTES_PER_ANIMATION + frames.length * BYTES_PER_FRAME + pixels * BYTES_PER_PIXEL
+    };
+}
+
+/**
+ * Counts the trigger actions set on the keys of a configurator json.
+ *
+ * @param  {Object} json
+ *         The configurator json.
+ * @return {Number}
+ *         The number of trigger actions across all keys and layers.
+ */
+function countTriggers(json) {
+    var count = 0;
+    (json.matrix || []).forEach(function(key) {
+        for (var layer in key.triggers || {}) {
+            count += key.triggers[layer].length;
+        }
+    });
+    return count;
+}
+
+/**
+ * Estimates the size of all the animations and triggers in a configurator json.
+ *
+ * @param  {Object} json
+ *         The configurator json.
+ * @return {Object}
+ *         The estimate, with "animations" (a map of animation name to its estimate, see
+ *         estimateAnimation), the number of "triggers" and their "triggerBytes", and the "total"
+ *         frames, pixels and bytes.
+ */
+function estimateConfig(json) {
+    var estimate = {
+        animations: {},
+        triggers: countTriggers(json),
+        total: {frames: 0, pixels: 0, bytes: 0}
+    };
+    for (var name in json.animations || {}) {
+        var animEstimate = estimateAnimation(json.animations[name]);
+        estimate.animations[name] = animEstimate;
+        estimate.total.frames += animEstimate.frames;
+        estimate.total.pixels += animEstimate.pixels;
+        estimate.total.bytes += animEstimate.bytes;
+    }
+    estimate.triggerBytes = estimate.triggers * BYTES_PER_TRIGGER;
+    estimate.total.bytes += estimate.triggerBytes;
+    return estimate;
+}
+
+/**
+ * Checks an estimate against a budget.
+ *
+ * @param  {Object} estimate
+ *         The estimate, as returned by estimateConfig.
+ * @param  {Object} budget
+ *         Optional. The budget, with "maxBytes" and "onExceed" ("warn" or "fail"). Missing fields
+ *         are taken from the default K-Type budget.
+ * @return {Object}
+ *         An object with "exceeded" (true if the total is over budget), "fail" (true if it is over
+ *         budget and the budget says to fail) and the "maxBytes" that were checked against.
+ */
+function checkBudget(estimate, budget) {
+    budget = budget || {};
+    var maxBytes = budget.maxBytes !== undefined ? budget.maxBytes : DEFAULT_BUDGET.maxBytes;
+    var onExceed = budget.onExceed || DEFAULT_BUDGET.onExceed;
+    var exceeded = estimate.total.bytes > maxBytes;
+    return {
+        exceeded: exceeded,
+        fail: exceeded && onExceed === 'fail',
+        maxBytes: maxBytes
+    };
+}
+
+/**
+ * Checks the "budget" of kiianiconf.json.
+ *
+ * @param  {Object} budget
+ *         The "budget" from the conf.
+ * @param  {Array} problems
+ *         The list that problems are added to, as {path, message} objects.
+ */
+function validateBudget(budget, problems) {
+    if (!budget || typeof(budget) !== 'object' || Array.isArray(budget)) {
+        problems.push({path: "budget", message: "must be an object with 'maxBytes' and/or " +
+                                                "'onExceed'"});
+        return;
+    }
+    if (budget.maxBytes !== undefined) {
+        checkValue({name: "maxBytes", type: "integer", min: 1}, budget.maxBytes,
+                   "budget.maxBytes", problems);
+    }
+    if (budget.onExceed !== undefined && budget.onExceed !== 'warn' &&
+        budget.onExceed !== 'fail') {
+        problems.push({path: "budget.onExceed", message: "must be 'warn' or 'fail', not " +
+                                                         JSON.stringify(budget.onExceed)});
+    }
+}
+
+/** Pads text to the given width, on the left if alignRight is set and on the right otherwise. */
+function pad(value, width, alignRight) {
+    var str = String(value);
+    while (str.length < width) {
+        str = alignRight ? " " + str : str + " ";
+    }
+    return str;
+}
+
+/**
+ * Formats an estimate as a table, followed by a line with the total against the budget.
+ *
+ * @param  {Object} estimate
+ *         The estimate, as returned by estimateConfig.
+ * @param  {Object} budget
+ *         Optional. The budget to show the total against (see checkBudget).
+ * @return {Array}
+ *         The lines of the table.
+ */
+function formatEstimate(estimate, budget) {
+    var names = Object.keys(estimate.animations);
+    var triggersName = "Triggers (" + estimate.triggers + ")";
+    var nameWidth = Math.max.apply(null, ["Animation".length, triggersName.length].concat(
+        names.map(function(name) {
+            return name.length;
+        })));
+    var lines = [];
+    function row(name, frames, pixels, bytes) {
+        lines.push(pad(name, nameWidth) + "  " + pad(frames, 7, true) + "  " +
+                   pad(pixels, 8, true) + "  " + pad(bytes, 8, true));
+    }
+    row("Animation", "Frames", "Pixels", "~Bytes");
+    names.forEach(function(name) {
+        var anim = estimate.animations[name];
+        row(name, anim.frames, anim.pixels, anim.bytes);
+    });
+    row(triggersName, "", "", estimate.triggerBytes);
+    row("Total", estimate.total.frames, estimate.total.pixels, estimate.total.bytes);
+
+    var check = checkBudget(estimate, budget);
+    lines.push("Budget: " + estimate.total.bytes + " of " + check.maxBytes + " bytes (" +
+               Math.round(estimate.total.bytes / check.maxBytes * 100) + "%)");
+    return lines;
+}
+
+module.exports = {
+    DEFAULT_BUDGET: DEFAULT_BUDGET,
+    estimateAnimation: estimateAnimation,
+    estimateConfig: estimateConfig,
+    checkBudget: checkBudget,
+    validateBudget: validateBudget,
+    formatEstimate: formatEstimate
+};
@@ -0,0 +1,154 @@
+/**
+ * Helpers for checking kiianiconf.json data, shared by the validation of the conf (see
+ * validate.js) and the checks each feature makes of its own part of the conf. Problems are
+ * reported as {path, message} objects, where the path is the json path of the offending value,
+ * such as 'animations["KARR 1.0"].params[0]'.
+ */
+
+'use strict';
+
+/* globals module */
+
+/** Returns a json path for the given property of the object at the given path. */
+function pathTo(path, key) {
+    if (typeof(key) === 'number') {
+        return path + "[" + key + "]";
+    }
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return (path ? path + "." : "") + key;
+    }
+    return path + "[" + JSON.stringify(key) + "]";
+}
+
+/**
+ * Returns whether an object has a property of its own with the given name. Names from the conf or
+ * the command line are looked up with this, so that names like "constructor" aren't found on
+ * Object.prototype.
+ */
+function hasOwn(object, name) {
+    return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+/** Returns the number of single character edits needed to turn one string into another. */
+function editDistance(a, b) {
+    var prev = [];
+    var cur, i, j;
+    for (j = 0; j <= b.length; j++) {
+        prev.push(j);
+    }
+    for (i = 1; i <= a.length; i++) {
+        cur = [i];
+        for (j = 1; j <= b.length; j++) {
+            cur.push(Math.min(prev[j] + 1,
+                              cur[j - 1] + 1,
+                              prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+        }
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+/** Returns the name from the list that is closest to the given one, if it is close enough. */
+function closestName(name, names) {
+    var best, bestDistance = Infinity;
+    for (var i = 0; i < names.length; i++) {
+        var distance = editDistance(name.toLowerCase(), names[i].toLowerCase());
+        if (distance < bestDistance) {
+            best = names[i];
+            bestDistance = distance;
+        }
+    }
+    if (bestDistance <= Math.max(2, Math.floor(name.length / 3))) {
+        return best;
+    }
+}
+
+/** Returns a short description of the type of a json value, for use in messages. */
+function describeType(value) {
+    if (value === null) {
+        return "null";
+    }
+    if (Array.isArray(value)) {
+        return "an array";
+    }
+    return "a " + typeof(value);
+}
+
+/**
+ * Checks a value against a schema of one of the plain types: "string", "boolean", "choice",
+ * "number" or "integer". Numbers are also checked against the "min" and "max" of the schema.
+ *
+ * @param  {Object} param
+ *         The schema, in the format of the generator param schemas (see schemas.js).
+ * @param  {*} value
+ *         The value given in the conf.
+ * @param  {String} path
+ *         The json path of the value.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function checkValue(param, value, path, problems) {
+    if (param.type === 'string') {
+        if (typeof(value) !== 'string' || !value) {
+            problems.push({path: path, message: "'" + param.name + "' must be a non-empty " +
+                                               "string, not " + describeType(value)});
+        }
+        return;
+    }
+    if (param.type === 'boolean') {
+        if (typeof(value) !== 'boolean') {
+            problems.push({path: path, message: "'" + param.name + "' must be true or false, not " +
+                                               JSON.stringify(value)});
+        }
+        return;
+    }
+    if (param.type === 'choice') {
+        if (param.values.indexOf(value) === -1) {
+            problems.push({path: path, message: "'" + param.name + "' must be one of " +
+                                               param.values.join(", ") + ", not " +
+                                               JSON.stringify(value)});
+        }
+        return;
+    }
+
+    if (typeof(value) !== 'number' || isNaN(value)) {
+        problems.push({path: path, message: "'" + param.name + "' must be a number, not " +
+                                           describeType(value)});
+        return;
+    }
+    if (param.type === 'integer' && Math.floor(value) !== value) {
+        problems.push({path: path, message: "'" + param.name + "' must be a whole number, not " +
+                                           value});
+    }
+    if (param.min !== undefined && value < param.min) {
+        problems.push({path: path, message: "'" + param.name + "' must be at least " + param.min +
+                                           ", not " + value});
+    }
+    if (param.max !== undefined && value > param.max) {
+        problems.push({path: path, message: "'" + param.name + "' must be at most " + param.max +
+                                           ", not " + value});
+    }
+}
+
+/**
+ * Formats problems as "path: message" lines.
+ *
+ * @param  {Array} problems
+ *         The problems, as {path, message} objects.
+ * @return {Array}
+ *         The formatted lines.
+ */
+function formatProblems(problems) {
+    return problems.map(function(problem) {
+        return (problem.path || "(conf)") + ": " + problem.message;
+    });
+}
+
+module.exports = {
+    pathTo: pathTo,
+    hasOwn: hasOwn,
+    closestName: closestName,
+    describeType: describeType,
+    checkValue: checkValue,
+    formatProblems: formatProblems
+};
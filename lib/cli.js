@@ -0,0 +1,832 @@
+/**
+ * The command line interface for kiianigen. This reads the configurator files and kiianiconf.json
+ * from disk, hands them to generateConfig, and writes the result out to the json_out directory.
+ *
+ * The exit code is 0 when everything went well, 1 when something failed (a file that couldn't be
+ * read, a conf with problems, animations over the flash budget) and 2 when the command line itself
+ * was wrong (an unknown command, generator or flag, or a missing argument).
+ */
+
+'use strict';
+
+/* globals require, module, process, console */
+var fs = require("fs");
+var dateFormat = require('dateformat');
+var exec = require( 'child_process' ).exec;
+var generators = require('./generators').generators;
+var config = require('./config');
+var validate = require('./validate');
+var check = require('./check');
+var createKeyboard = require('./keyboard').createKeyboard;
+var preview = require('./preview');
+var exporter = require('./export');
+var budget = require('./budget');
+var optimize = require('./optimize');
+var output = require('./output');
+var profiles = require('./profiles');
+var timing = require('./timing');
+var model = require('./model');
+var settingsUtil = require('./settings');
+var kllWriter = require('./kll');
+var docs = require('./docs');
+
+var KTYPE_FILE = '/KType-Standard.json';
+var KLL_FILE = '/kll.json';
+
+var EXIT_FAILED = 1;
+var EXIT_USAGE = 2;
+
+// The defaults for the flags of the command line.
+var DEFAULT_OPTIONS = {
+    "source": "../KType-Standard",
+    "conf": "./kiianiconf.json",
+    "out": "./json_out",
+    "stdout": false,
+    "dry-run": false,
+    "kll": false
+};
+
+// The flags that take a value, and the ones that are just given or not.
+var VALUE_FLAGS = ["source", "conf", "out", "profile", "seed"];
+var SWITCH_FLAGS = ["stdout", "dry-run", "kll", "help"];
+
+// The commands, with the arguments they take after the command name. The KType-Standard directory
+// can be given as the last of them rather than with --source.
+var COMMANDS = {
+    "generate": {args: "[generator, 'all' or 'conf'] [ktype standard dir]",
+                 help: "Generates a configurator json with a generator, all of them, or the " +
+                       "animations of the conf (the default)."},
+    "list": {args: "",
+             help: "Lists the generators, with their descriptions and params."},
+    "describe": {args: "<generator>",
+                 help: "Describes a generator, with the defaults of its params."},
+    "preview": {args: "<generator or conf animation> [ktype standard dir]",
+                help: "Plays an animation in the terminal."},
+    "export-gif": {args: "<generator or conf animation> [ktype standard dir] [output file] " +
+                         "[leds or keys]",
+                   help: "Saves an animation as an animated GIF, or APNG if the file ends in " +
+                         ".png or .apng."},
+    "animations": {args: "[ktype standard dir]",
+                   help: "Lists the animations already in KType-Standard.json."},
+    "inspect": {args: "<configurator animation> [ktype standard dir]",
+                help: "Prints the leds that change at each frame of an animation already in " +
+                      "KType-Standard.json."},
+    "reemit": {args: "[ktype standard dir]",
+               help: "Writes the animations already in KType-Standard.json back out through " +
+                     "the optimizer and the output settings of the conf."},
+    "help": {args: "",
+             help: "Prints this help."}
+};
+
+// The commands that write out a configurator json, which can be sent to stdout or left unwritten.
+var WRITING_COMMANDS = ["generate", "reemit"];
+
+// Where the messages go. They go to stderr when the json is written to stdout, so that it can be
+// piped on its own.
+var log = console.info;
+
+/** Prints a problem with the command line and sets the exit code for it. */
+function usageError(message) {
+    console.error(message + "\nRun \"node kiianigen.js help\" for the commands and flags.");
+    process.exitCode = EXIT_USAGE;
+}
+
+/**
+ * Reads and parses a json file, logging a message if it does not exist or is not valid json.
+ *
+ * @param  {String} path
+ *         The path to the file.
+ * @param  {String} description
+ *         The name of the file used in the message.
+ * @return {Object}
+ *         The parsed json, or undefined if the file could not be read.
+ */
+function readJson(path, description) {
+    if (!fs.existsSync(path)) {
+        console.error(description + " not found at " + path);
+        process.exitCode = EXIT_FAILED;
+        return;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+        console.error(description + " at " + path + " is not valid json: " + err.message);
+        process.exitCode = EXIT_FAILED;
+    }
+}
+
+/**
+ * Writes a file, logging a message if it could not be written.
+ *
+ * @param  {String} path
+ *         The path to the file.
+ * @param  {String|Buffer} data
+ *         The contents of the file.
+ * @return {Boolean}
+ *         Whether the file was written.
+ */
+function writeFile(path, data) {
+    try {
+        fs.writeFileSync(path, data);
+        return true;
+    } catch (err) {
+        console.error("Could not write " + path + ": " + err.message);
+        process.exitCode = EXIT_FAILED;
+        return false;
+    }
+}
+
+/**
+ * Reads the conf, writing out (and returning) the demo conf if it does not exist yet.
+ *
+ * @param  {Object} options
+ *         The command line options, for the "conf" file and whether it is a "dry-run".
+ * @param  {Boolean} writeDemo
+ *         Whether the demo conf should be written to the conf file if it does not exist. It isn't
+ *         on a dry run.
+ * @return {Object}
+ *         The conf data, or undefined if the conf is not valid json.
+ */
+function readConf(options, writeDemo) {
+    if (!fs.existsSync(options.conf)) {
+        if (writeDemo && !options["dry-run"]) {
+            fs.writeFileSync(options.conf, JSON.stringify(config.DEMO_CONF, null, 4));
+        }
+        return config.DEMO_CONF;
+    }
+    return readJson(options.conf, "The conf");
+}
+
+/**
+ * Removes a "--name=value" or "--name value" flag from the command line arguments.
+ *
+ * @param  {Array} args
+ *         The command line arguments, which are modified.
+ * @param  {String} name
+ *         The name of the flag, without the dashes.
+ * @return {String}
+ *         The value of the flag, or undefined if it was not given.
+ */
+function takeFlag(args, name) {
+    for (var i = 0; i < args.length; i++) {
+        if (args[i] === "--" + name) {
+            return args.splice(i, 2)[1];
+        }
+        if (args[i].indexOf("--" + name + "=") === 0) {
+            return args.splice(i, 1)[0].substring(name.length + 3);
+        }
+    }
+}
+
+/**
+ * Removes a "--name" switch from the command line arguments.
+ *
+ * @param  {Array} args
+ *         The command line arguments, which are modified.
+ * @param  {String} name
+ *         The name of the switch, without the dashes.
+ * @return {Boolean}
+ *         Whether the switch was given.
+ */
+function takeSwitch(args, name) {
+    var idx = args.indexOf("--" + name);
+    if (idx === -1) {
+        return false;
+    }
+    args.splice(idx, 1);
+    return true;
+}
+
+/**
+ * Parses the command line into the command, its arguments and the flags. The command can be left
+ * out before a generator name, "all" or "conf", which is the same as "generate" with it.
+ *
+ * @param  {Array} args
+ *         The command line arguments.
+ * @return {Object}
+ *         The "command", its "args" and the "options", with the defaults filled in, or the
+ *         "error" to print if the command line is wrong. A KType-Standard directory given as an
+ *         argument is taken out of the "args" and put in the "source" option, so the arguments
+ *         after it are at the same place whether it was given or not.
+ */
+function parseArgs(args) {
+    args = args.slice(0);
+    var options = {};
+    var given = {};
+    var name;
+    for (name in DEFAULT_OPTIONS) {
+        options[name] = DEFAULT_OPTIONS[name];
+    }
+    for (var i = 0; i < VALUE_FLAGS.length; i++) {
+        var flagAt = args.indexOf("--" + VALUE_FLAGS[i]);
+        if (flagAt > -1 && !/^[^-]|^-[^-]/.test(args[flagAt + 1] || "")) {
+            return {error: "--" + VALUE_FLAGS[i] + " needs a value"};
+        }
+        var value = takeFlag(args, VALUE_FLAGS[i]);
+        if (value === "") {
+            return {error: "--" + VALUE_FLAGS[i] + " needs a value"};
+        }
+        if (value !== undefined) {
+            options[VALUE_FLAGS[i]] = value;
+            given[VALUE_FLAGS[i]] = true;
+        }
+    }
+    SWITCH_FLAGS.forEach(function(flag) {
+        if (takeSwitch(args, flag)) {
+            options[flag] = true;
+        }
+    });
+    var unknown = args.filter(function(arg) {
+        return arg.indexOf("--") === 0;
+    });
+    if (unknown.length) {
+        var flagName = unknown[0].replace(/^--|=.*$/g, "");
+        var suggestion = check.closestName(flagName, VALUE_FLAGS.concat(SWITCH_FLAGS));
+        return {error: "Unknown flag: " + unknown[0] +
+                       (suggestion ? ", did you mean --" + suggestion + "?" : "")};
+    }
+    if (options.profile !== undefined && options.profile !== 'generic' &&
+            !check.hasOwn(profiles.PROFILES, options.profile)) {
+        return {error: "Unknown keyboard profile: '" + options.profile + "'. Use one of: " +
+                       Object.keys(profiles.PROFILES).concat("generic").join(", ")};
+    }
+    args = args.map(function(arg) {
+        return arg.trim();
+    });
+
+    var command = args.shift();
+    if (options.help || !command) {
+        return {command: "help", args: [], options: options, noCommand: !command && !options.help};
+    }
+    if (!check.hasOwn(COMMANDS, command)) {
+        if (!check.hasOwn(generators, command) && command !== 'all' && command !== 'conf') {
+            var closest = check.closestName(command, Object.keys(COMMANDS).concat(
+                Object.keys(generators)));
+            return {error: "Unknown command or generator: '" + command + "'" +
+                           (closest ? ", did you mean '" + closest + "'?" : "")};
+        }
+        args.unshift(command);
+        command = "generate";
+    }
+    if (options.stdout && options["dry-run"]) {
+        return {error: "--stdout and --dry-run can't be used together"};
+    }
+    var writingFlag = ["stdout", "dry-run", "kll"].filter(function(flag) {
+        return options[flag];
+    })[0];
+    if (writingFlag && WRITING_COMMANDS.indexOf(command) === -1) {
+        return {error: "--" + writingFlag + " only works with the " +
+                       WRITING_COMMANDS.join(" and ") + " commands"};
+    }
+
+    // The KType-Standard directory used to be given after the arguments of the command.
+    var dirIndex = {"generate": 1, "preview": 1, "export-gif": 1, "animations": 0, "inspect": 1,
+                    "reemit": 0}[command];
+    if (!given.source && dirIndex !== undefined && args[dirIndex]) {
+        options.source = args.splice(dirIndex, 1)[0];
+    }
+    return {command: command, args: args, options: options};
+}
+
+/** Prints the commands and flags. */
+function printHelp() {
+    var lines = ["Usage: node kiianigen.js <command> [arguments] [flags]", "", "Commands:"];
+    Object.keys(COMMANDS).forEach(function(command) {
+        lines.push("\t" + command + (COMMANDS[command].args ? " " + COMMANDS[command].args : ""),
+                   "\t\t" + COMMANDS[command].help);
+    });
+    lines.push("A generator name, 'all' or 'conf' on its own is the same as \"generate\" with it.",
+               "",
+               "Flags:",
+               "\t--source <dir>\tThe KType-Standard directory (default " +
+               DEFAULT_OPTIONS.source + ").",
+               "\t--conf <file>\tThe conf file (default " + DEFAULT_OPTIONS.conf + ").",
+               "\t--out <dir>\tWhere the files are written (default " + DEFAULT_OPTIONS.out + ").",
+               "\t--stdout\tWrites the configurator json to stdout rather than a file.",
+               "\t--dry-run\tGenerates and prints the reports, but writes nothing.",
+               "\t--kll\tAlso writes the animations and triggers out as KLL files, as \"kll\": " +
+               "true in the conf does.",
+               "\t--profile <name>\tThe keyboard profile, detected from KType-Standard.json " +
+               "if not given.",
+               "\t--seed <seed>\tThe seed for the random generators.",
+               "",
+               "Exit codes: 0 when it went well, 1 when something failed, 2 when the command " +
+               "line is wrong.");
+    log(lines.join("\n"));
+}
+
+/** Prints out the problems found in the conf and sets a failing exit code. */
+function reportConfProblems(problems, confFile) {
+    console.error("\n" + confFile + " has problems, nothing was generated:\n\t" +
+                  check.formatProblems(problems).join("\n\t"));
+    process.exitCode = EXIT_FAILED;
+}
+
+/**
+ * Generates a single animation. The name can be a generator name, in which case the generator is
+ * used with its default parameters, or the name of an animation in the conf. If something goes
+ * wrong, a message is printed and a failing exit code is set.
+ *
+ * @param  {String} name
+ *         The generator or animation name.
+ * @param  {Object} options
+ *         The command line options.
+ * @return {Object}
+ *         An object with the configurator "json", the keyboard context "kb" and the "animation",
+ *         or undefined if the animation could not be generated.
+ */
+function loadAnimation(name, options) {
+    var json = readJson(options.source + KTYPE_FILE, "KType-Standard.json");
+    var kll = readJson(options.source + KLL_FILE, "kll.json");
+    if (!json || !kll) {
+        return;
+    }
+
+    var confData;
+    if (check.hasOwn(generators, name)) {
+        confData = config.confForGenerators([name]);
+    } else {
+        var conf = readConf(options, false);
+        if (!conf) {
+            return;
+        }
+        var animNames = Object.keys(conf.animations || {}).filter(function(animName) {
+            return animName === name || validate.animationId(animName) === name;
+        });
+        if (!animNames.length) {
+            usageError("No generator or " + options.conf + " animation named '" + name + "'");
+            return;
+        }
+        // All the animations are kept, as a sequence is made from other animations of the conf.
+        confData = {
+            animations: conf.animations,
+            activeAnimations: [animNames[0]]
+        };
+    }
+
+    var kb = createKeyboard(json, kll, options.profile);
+    var animations = {};
+    try {
+        config.generateFromConf(kb, animations, confData, undefined, options.seed);
+    } catch (err) {
+        if (!err.problems) {
+            throw err;
+        }
+        reportConfProblems(err.problems, options.conf);
+        return;
+    }
+    return {
+        json: json,
+        kb: kb,
+        animation: animations[Object.keys(animations)[0]]
+    };
+}
+
+/**
+ * Plays an animation in the terminal.
+ *
+ * @param  {String} name
+ *         The generator or conf animation name.
+ * @param  {Object} options
+ *         The command line options.
+ */
+function previewCommand(name, options) {
+    var loaded = loadAnimation(name, options);
+    if (!loaded) {
+        return;
+    }
+    var stop = preview.previewAnimation(loaded.kb, loaded.animation, {title: name}, function() {
+        process.removeListener('SIGINT', onInterrupt);
+    });
+    function onInterrupt() {
+        stop();
+        process.exit(130);
+    }
+    process.on('SIGINT', onInterrupt);
+}
+
+/**
+ * Renders an animation to an animated GIF, or an APNG if the output file ends in .png or .apng.
+ *
+ * @param  {String} name
+ *         The generator or conf animation name.
+ * @param  {String} outFile
+ *         Optional. The file to write, which defaults to a file in the output directory.
+ * @param  {String} layout
+ *         Optional. "leds" to draw the leds from kll.json, or "keys" to draw the key caps.
+ * @param  {Object} options
+ *         The command line options.
+ */
+function exportCommand(name, outFile, layout, options) {
+    if (layout && layout !== 'leds' && layout !== 'keys') {
+        usageError("Unknown export layout: '" + layout + "', use 'leds' or 'keys'");
+        return;
+    }
+    var loaded = loadAnimation(name, options);
+    if (!loaded) {
+        return;
+    }
+    if (!outFile) {
+        if (!fs.existsSync(options.out)) {
+            fs.mkdirSync(options.out);
+        }
+        outFile = options.out + "/KType-" + dateFormat(new Date(), "yyyymmdd-HHMMss") + "-" +
+                  validate.animationId(name) + ".gif";
+    }
+    var format = /\.a?png$/i.test(outFile) ? 'apng' : 'gif';
+    var data;
+    try {
+        data = exporter.exportAnimation(loaded.kb, loaded.animation, {
+            format: format,
+            layout: layout,
+            matrix: loaded.json.matrix
+        });
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = EXIT_FAILED;
+        return;
+    }
+    if (!writeFile(outFile, data)) {
+        return;
+    }
+    log("Animation '" + name + "' has been saved to file: " + outFile);
+}
+
+/**
+ * Reads the configurator json and kll.json, and parses each of the animations already in the json
+ * into a model (see model.js). If something goes wrong, a message is printed and a failing exit
+ * code is set.
+ *
+ * @param  {Object} options
+ *         The command line options.
+ * @return {Object}
+ *         An object with the configurator "json", the keyboard context "kb" and the "models", a
+ *         map of animation name to its model, or to the Error it could not be parsed with. It is
+ *         undefined if the files could not be read.
+ */
+function loadExisting(options) {
+    var json = readJson(options.source + KTYPE_FILE, "KType-Standard.json");
+    var kll = readJson(options.source + KLL_FILE, "kll.json");
+    if (!json || !kll) {
+        return;
+    }
+    var kb = createKeyboard(json, kll, options.profile);
+    var models = {};
+    Object.keys(json.animations || {}).forEach(function(name) {
+        try {
+            models[name] = model.parseAnimation(kb, json.animations[name]);
+        } catch (err) {
+            models[name] = err;
+        }
+    });
+    return {json: json, kll: kll, kb: kb, models: models};
+}
+
+/** Lists the generators with their descriptions and params. */
+function listCommand() {
+    log(docs.listGenerators(Object.keys(generators)).join("\n"));
+}
+
+/**
+ * Describes a generator, with the defaults of its params.
+ *
+ * @param  {String} name
+ *         The generator name.
+ */
+function describeCommand(name) {
+    if (!check.hasOwn(generators, name)) {
+        var suggestion = check.closestName(name, Object.keys(generators));
+        usageError("Unknown generator: '" + name + "'" +
+                   (suggestion ? ", did you mean '" + suggestion + "'?" : ""));
+        return;
+    }
+    log(docs.describeGenerator(name).join("\n"));
+}
+
+/**
+ * Lists the animations already in the configurator json, with their length and flash size.
+ *
+ * @param  {Object} options
+ *         The command line options.
+ */
+function animationsCommand(options) {
+    var loaded = loadExisting(options);
+    if (!loaded) {
+        return;
+    }
+    var names = Object.keys(loaded.models);
+    if (!names.length) {
+        log("There are no animations in " + options.source + KTYPE_FILE);
+        return;
+    }
+    names.forEach(function(name) {
+        var parsed = loaded.models[name];
+        if (parsed instanceof Error) {
+            log(name + ": can't be parsed, " + parsed.message);
+            return;
+        }
+        var frameMs = settingsUtil.frameDuration(parsed.settings);
+        var loops = settingsUtil.loopCount(parsed.settings);
+        log(name + ": " + parsed.pixels.length + " frames, " +
+            (parsed.pixels.length * frameMs / 1000) + "s" +
+            (loops === Infinity ? ", looping" : "") +
+            (parsed.reactive ? ", reactive" : "") + ", ~" +
+            budget.estimateAnimation(loaded.json.animations[name]).bytes + " bytes");
+    });
+}
+
+/**
+ * Prints the settings of an animation already in the configurator json, and the leds that change
+ * at each of its frames.
+ *
+ * @param  {String} name
+ *         The name of the animation in the configurator json.
+ * @param  {Object} options
+ *         The command line options.
+ */
+function inspectCommand(name, options) {
+    var loaded = loadExisting(options);
+    if (!loaded) {
+        return;
+    }
+    var parsed = check.hasOwn(loaded.models, name) ? loaded.models[name] : undefined;
+    if (!parsed) {
+        var suggestion = check.closestName(name, Object.keys(loaded.models));
+        usageError("No animation named '" + name + "' in " + options.source + KTYPE_FILE +
+                   (suggestion ? ", did you mean '" + suggestion + "'?" : ""));
+        return;
+    }
+    if (parsed instanceof Error) {
+        console.error("Animation '" + name + "' can't be parsed: " + parsed.message);
+        process.exitCode = EXIT_FAILED;
+        return;
+    }
+    log(name + "\n\t" + model.describeAnimation(parsed).join("\n\t"));
+}
+
+/**
+ * Prints the reports on the animations of a new configurator json, checks it against the flash
+ * budget and, if it fits (or the budget only warns), writes it out to the output directory, or
+ * to stdout, along with the KLL files if the conf or the --kll flag asks for them. Nothing is
+ * written on a dry run.
+ *
+ * @param  {Object} json
+ *         The new configurator json.
+ * @param  {Object} confData
+ *         The conf data, for its output settings, budget and whether to write KLL.
+ * @param  {Object} report
+ *         The reports on the animations, see config.generateFromConf.
+ * @param  {String} name
+ *         The name the file is written out with, such as the generator name.
+ * @param  {Date} theDate
+ *         The date the file is written out with.
+ * @param  {Object} options
+ *         The command line options.
+ */
+function writeConfig(json, confData, report, name, theDate, options) {
+    var outputReports = {};
+    var optimizerReports = {};
+    var timingReports = {};
+    for (var animId in report) {
+        if (report[animId].output) {
+            outputReports[animId] = report[animId].output;
+        }
+        if (report[animId].optimizer) {
+            optimizerReports[animId] = report[animId].optimizer;
+        }
+        if (report[animId].timing) {
+            timingReports[animId] = report[animId].timing;
+        }
+    }
+    if (Object.keys(timingReports).length) {
+        log("\nTiming:\n\t" + timing.formatReports(timingReports).join("\n\t"));
+    }
+    if (Object.keys(outputReports).length) {
+        log("\nEstimated led current:\n\t" +
+            output.formatReports(outputReports, confData.output).join("\n\t"));
+    }
+    if (Object.keys(optimizerReports).length) {
+        log("\nFrame compaction:\n\t" + optimize.formatReports(optimizerReports).join("\n\t"));
+    }
+
+    // Check the size of the animations before writing anything, so that configs that won't flash
+    // are caught before a flash cycle is spent on them.
+    var estimate = budget.estimateConfig(json);
+    log("\nEstimated flash usage of the animations:\n\t" +
+        budget.formatEstimate(estimate, confData.budget).join("\n\t"));
+    var budgetCheck = budget.checkBudget(estimate, confData.budget);
+    if (budgetCheck.fail) {
+        console.error("\nThe animations need about " + estimate.total.bytes + " bytes, which is " +
+                      "over the budget of " + budgetCheck.maxBytes + " bytes. Nothing was " +
+                      "written.");
+        process.exitCode = EXIT_FAILED;
+        return;
+    } else if (budgetCheck.exceeded) {
+        console.warn("\nWARNING: the animations need about " + estimate.total.bytes + " bytes, " +
+                     "which is over the budget of " + budgetCheck.maxBytes + " bytes. The config " +
+                     "may fail to flash.");
+    }
+
+    if (options["dry-run"]) {
+        log("\nDry run, nothing was written.");
+        return;
+    }
+    if (options.stdout) {
+        process.stdout.write(JSON.stringify(json, null, 4) + "\n");
+        if (confData.kll || options.kll) {
+            log("\nThe KLL files are only written out to files, not to stdout.");
+        }
+        return;
+    }
+
+    var newFileName = "KType-" + dateFormat(theDate, "yyyymmdd-HHMMss") + "-" + name;
+
+    if (!fs.existsSync(options.out)){
+        fs.mkdirSync(options.out);
+    }
+    var newFilePath = options.out + '/' + newFileName + '.json';
+    if (!writeFile(newFilePath, JSON.stringify(json, null, 4))) {
+        return;
+    }
+
+    log("\nNew config json has been saved to file: " + newFileName);
+
+    if (confData.kll || options.kll) {
+        kllWriter.formatKll(json).forEach(function(file) {
+            var kllFileName = newFileName + (file.layer ? "-layer" + file.layer : "") + ".kll";
+            if (!writeFile(options.out + '/' + kllFileName, file.text)) {
+                return;
+            }
+            log((file.layer ? "The triggers on layer " + file.layer : "The animations") +
+                " have been saved as KLL to file: " + kllFileName);
+        });
+    }
+
+    // possible values: 'darwin', 'freebsd', 'linux', 'sunos' or 'win32'
+    if (process.platform === 'darwin') {
+        var cmd = 'cat "' + newFilePath + '" | pbcopy';
+        exec(cmd,
+            function(error, stdout, stderr) {
+                if (error !== null) {
+                    log("\nCould not copy the json to clipboard: ", error);
+                } else {
+                    log("JSON copied to clipboard. Paste away!");
+                }
+            }
+        );
+    }
+}
+
+/**
+ * Writes the animations already in the configurator json back out through the output color
+ * pipeline and optimizer (see config.reemitConfig), using the output settings of the conf if
+ * there is one.
+ *
+ * @param  {Object} options
+ *         The command line options.
+ */
+function reemitCommand(options) {
+    var loaded = loadExisting(options);
+    if (!loaded) {
+        return;
+    }
+    for (var name in loaded.models) {
+        if (loaded.models[name] instanceof Error) {
+            console.error("Animation '" + name + "' can't be parsed, nothing was written: " +
+                          loaded.models[name].message);
+            process.exitCode = EXIT_FAILED;
+            return;
+        }
+    }
+    var confData = fs.existsSync(options.conf) ? readConf(options, false) : {};
+    if (!confData) {
+        return;
+    }
+    var report = {};
+    var json;
+    try {
+        json = config.reemitConfig(loaded.json, loaded.kll, confData,
+                                   {profile: options.profile, report: report});
+    } catch (err) {
+        if (!err.problems) {
+            throw err;
+        }
+        reportConfProblems(err.problems, options.conf);
+        return;
+    }
+    writeConfig(json, confData, report, "reemit", new Date(), options);
+}
+
+/**
+ * Generates a configurator json with the animations of a generator, all of the generators, or
+ * the conf, and writes it out.
+ *
+ * @param  {String} generator
+ *         The generator name, "all" or "conf".
+ * @param  {Object} options
+ *         The command line options.
+ */
+function generateCommand(generator, options) {
+    if (!check.hasOwn(generators, generator) && generator !== 'all' && generator !== 'conf') {
+        var suggestion = check.closestName(generator, Object.keys(generators));
+        usageError("Unknown generator: '" + generator + "'" +
+                   (suggestion ? ", did you mean '" + suggestion + "'?" : ".") +
+                   " Use 'all', 'conf' or one of the generators from \"node kiianigen.js list\".");
+        return;
+    }
+
+    // Get info about the current configuration files from KType-Standard directory.
+    var json = readJson(options.source + KTYPE_FILE, "KType-Standard.json");
+    var kll = readJson(options.source + KLL_FILE, "kll.json");
+    if (!json || !kll) {
+        return;
+    }
+
+    var confData;
+    if (generator === 'all') {
+        confData = config.confForGenerators();
+    } else if (generator === 'conf') {
+        confData = readConf(options, true);
+        if (!confData) {
+            return;
+        }
+    } else {
+        confData = config.confForGenerators([generator]);
+    }
+
+    var theDate = new Date();
+    var report = {};
+    try {
+        json = config.generateConfig(json, kll, confData,
+                                     {name: generator, date: theDate, profile: options.profile,
+                                      report: report, seed: options.seed});
+    } catch (err) {
+        if (!err.problems) {
+            throw err;
+        }
+        reportConfProblems(err.problems, options.conf);
+        return;
+    }
+
+    log("\n" + json.header.KiianigenKeyMap.join("\n\t"));
+    writeConfig(json, confData, report, generator, theDate, options);
+
+    // log("move output to KType-Standard.json and run 'dfu-util " +
+    //     "-D kiibohd.dfu.bin' to flash keyboard");
+}
+
+/**
+ * The main function for the script. By default this opens a few of the files from the
+ * KType-Standard directory, builds the designated animations, and writes out a json config
+ * file that can be imported into the kiibohd configurator. The other commands are listed in
+ * COMMANDS, and printed with "help".
+ *
+ * The keyboard profile is detected from KType-Standard.json, or can be given anywhere in the
+ * arguments with "--profile {name}". The random generators are seeded with "--seed {seed}", or
+ * with a new seed each run, which is recorded in the KiianigenSeed header of the json.
+ *
+ * @param  {Array} args
+ *         The command line arguments, i.e. [command, its arguments..., flags...].
+ */
+function main(args) {
+    var parsed = parseArgs(args);
+    log = parsed.options && parsed.options.stdout ? console.error : console.info;
+    if (parsed.error) {
+        usageError(parsed.error);
+        return;
+    }
+    var options = parsed.options;
+    var name = parsed.args[0];
+
+    if (parsed.command === 'help') {
+        printHelp();
+        if (parsed.noCommand) {
+            process.exitCode = EXIT_USAGE;
+        }
+    } else if (parsed.command === 'generate') {
+        generateCommand(name || "conf", options);
+    } else if (parsed.command === 'list') {
+        listCommand();
+    } else if (parsed.command === 'animations') {
+        animationsCommand(options);
+    } else if (parsed.command === 'reemit') {
+        reemitCommand(options);
+    } else if (!name) {
+        usageError("Usage: node kiianigen.js " + parsed.command + " " +
+                   COMMANDS[parsed.command].args);
+    } else if (parsed.command === 'describe') {
+        describeCommand(name);
+    } else if (parsed.command === 'preview') {
+        previewCommand(name, options);
+    } else if (parsed.command === 'export-gif') {
+        exportCommand(name, parsed.args[1], parsed.args[2], options);
+    } else {
+        inspectCommand(name, options);
+    }
+}
+
+module.exports = {
+    COMMANDS: COMMANDS,
+    parseArgs: parseArgs,
+    main: main
+};
@@ -0,0 +1,359 @@
+/**
+ * Color parsing and color spaces. Colors can be given in kiianiconf.json as [r, g, b] arrays, hex
+ * strings ("#ff6600" or "#f60"), CSS color names ("orange"), or "rgb(255, 102, 0)",
+ * "hsv(24, 100%, 100%)" and "hsl(24, 100%, 50%)" strings, and are turned into [r, g, b] arrays
+ * before they get to the generators.
+ *
+ * Fades can go through one of these color spaces:
+ *  - "rgb" fades each of red, green and blue on its own, which is what the generators have always
+ *    done. Fading between colors on opposite sides of the color wheel goes through gray.
+ *  - "hsv" fades the hue the short way around the color wheel, so red to blue goes through
+ *    purple at full brightness rather than a muddy one. Grays, black and white take the hue of
+ *    the other color, and fading to black only gets darker.
+ *  - "oklab" fades in a perceptual color space (https://bottosson.github.io/posts/oklab/), which
+ *    looks even in brightness all the way.
+ */
+
+'use strict';
+
+/* globals require, module */
+var check = require('./check');
+
+var COLOR_SPACES = ["rgb", "hsv", "oklab"];
+
+var NAMED_COLORS = {
+    aliceblue: "#f0f8ff", antiquewhite: "#faebd7", aqua: "#00ffff", aquamarine: "#7fffd4",
+    azure: "#f0ffff", beige: "#f5f5dc", bisque: "#ffe4c4", black: "#000000",
+    blanchedalmond: "#ffebcd", blue: "#0000ff", blueviolet: "#8a2be2", brown: "#a52a2a",
+    burlywood: "#deb887", cadetblue: "#5f9ea0", chartreuse: "#7fff00", chocolate: "#d2691e",
+    coral: "#ff7f50", cornflowerblue: "#6495ed", cornsilk: "#fff8dc", crimson: "#dc143c",
+    cyan: "#00ffff", darkblue: "#00008b", darkcyan: "#008b8b", darkgoldenrod: "#b8860b",
+    darkgray: "#a9a9a9", darkgreen: "#006400", darkgrey: "#a9a9a9", darkkhaki: "#bdb76b",
+    darkmagenta: "#8b008b", darkolivegreen: "#556b2f", darkorange: "#ff8c00",
+    darkorchid: "#9932cc", darkred: "#8b0000", darksalmon: "#e9967a", darkseagreen: "#8fbc8f",
+    darkslateblue: "#483d8b", darkslategray: "#2f4f4f", darkslategrey: "#2f4f4f",
+    darkturquoise: "#00ced1", darkviolet: "#9400d3", deeppink: "#ff1493",
+    deepskyblue: "#00bfff", dimgray: "#696969", dimgrey: "#696969", dodgerblue: "#1e90ff",
+    firebrick: "#b22222", floralwhite: "#fffaf0", forestgreen: "#228b22", fuchsia: "#ff00ff",
+    gainsboro: "#dcdcdc", ghostwhite: "#f8f8ff", gold: "#ffd700", goldenrod: "#daa520",
+    gray: "#808080", green: "#008000", greenyellow: "#adff2f", grey: "#808080",
+    honeydew: "#f0fff0", hotpink: "#ff69b4", indianred: "#cd5c5c", indigo: "#4b0082",
+    ivory: "#fffff0", khaki: "#f0e68c", lavender: "#e6e6fa", lavenderblush: "#fff0f5",
+    lawngreen: "#7cfc00", lemonchiffon: "#fffacd", lightblue: "#add8e6", lightcoral: "#f08080",
+    lightcyan: "#e0ffff", lightgoldenrodyellow: "#fafad2", lightgray: "#d3d3d3",
+    lightgreen: "#90ee90", lightgrey: "#d3d3d3", lightpink: "#ffb6c1", lightsalmon: "#ffa07a",
+    lightseagreen: "#20b2aa", lightskyblue: "#87cefa", lightslategray: "#778899",
+    lightslategrey: "#778899", lightsteelblue: "#b0c4de", lightyellow: "#ffffe0",
+    lime: "#00ff00", limegreen: "#32cd32", linen: "#faf0e6", magenta: "#ff00ff",
+    maroon: "#800000", mediumaquamarine: "#66cdaa", mediumblue: "#0000cd",
+    mediumorchid: "#ba55d3", mediumpurple: "#9370db", mediumseagreen: "#3cb371",
+    mediumslateblue: "#7b68ee", mediumspringgreen: "#00fa9a", mediumturquoise: "#48d1cc",
+    mediumvioletred: "#c71585", midnightblue: "#191970", mintcream: "#f5fffa",
+    mistyrose: "#ffe4e1", moccasin: "#ffe4b5", navajowhite: "#ffdead", navy: "#000080",
+    oldlace: "#fdf5e6", olive: "#808000", olivedrab: "#6b8e23", orange: "#ffa500",
+    orangered: "#ff4500", orchid: "#da70d6", palegoldenrod: "#eee8aa", palegreen: "#98fb98",
+    paleturquoise: "#afeeee", palevioletred: "#db7093", papayawhip: "#ffefd5",
+    peachpuff: "#ffdab9", peru: "#cd853f", pink: "#ffc0cb", plum: "#dda0dd",
+    powderblue: "#b0e0e6", purple: "#800080", rebeccapurple: "#663399", red: "#ff0000",
+    rosybrown: "#bc8f8f", royalblue: "#4169e1", saddlebrown: "#8b4513", salmon: "#fa8072",
+    sandybrown: "#f4a460", seagreen: "#2e8b57", seashell: "#fff5ee", sienna: "#a0522d",
+    silver: "#c0c0c0", skyblue: "#87ceeb", slateblue: "#6a5acd", slategray: "#708090",
+    slategrey: "#708090", snow: "#fffafa", springgreen: "#00ff7f", steelblue: "#4682b4",
+    tan: "#d2b48c", teal: "#008080", thistle: "#d8bfd8", tomato: "#ff6347",
+    turquoise: "#40e0d0", violet: "#ee82ee", wheat: "#f5deb3", white: "#ffffff",
+    whitesmoke: "#f5f5f5", yellow: "#ffff00", yellowgreen: "#9acd32"
+};
+
+/**
+ * Converts a color from HSV.
+ *
+ * @param  {Number} h
+ *         The hue, in degrees.
+ * @param  {Number} s
+ *         The saturation, 0-1.
+ * @param  {Number} v
+ *         The value (brightness), 0-1.
+ * @return {Array}
+ *         The color, as [r, g, b] from 0 to 255 (not rounded).
+ */
+function hsvToRgb(h, s, v) {
+    h = ((h % 360) + 360) % 360 / 60;
+    var chroma = v * s;
+    var x = chroma * (1 - Math.abs(h % 2 - 1));
+    var rgb = [[chroma, x, 0], [x, chroma, 0], [0, chroma, x],
+               [0, x, chroma], [x, 0, chroma], [chroma, 0, x]][Math.floor(h) % 6];
+    return rgb.map(function(channel) {
+        return (channel + v - chroma) * 255;
+    });
+}
+
+/**
+ * Converts a color to HSV.
+ *
+ * @param  {Array} rgb
+ *         The color, as [r, g, b] from 0 to 255.
+ * @return {Array}
+ *         The color, as [h, s, v], with the hue in degrees and the others 0-1. Grays have a hue of
+ *         0.
+ */
+function rgbToHsv(rgb) {
+    var r = rgb[0] / 255, g = rgb[1] / 255, b = rgb[2] / 255;
+    var max = Math.max(r, g, b), min = Math.min(r, g, b);
+    var chroma = max - min;
+    var h = 0;
+    if (chroma) {
+        if (max === r) {
+            h = ((g - b) / chroma + 6) % 6;
+        } else if (max === g) {
+            h = (b - r) / chroma + 2;
+        } else {
+            h = (r - g) / chroma + 4;
+        }
+    }
+    return [h * 60, max ? chroma / max : 0, max];
+}
+
+/**
+ * Converts a color from HSL.
+ *
+ * @param  {Number} h
+ *         The hue, in degrees.
+ * @param  {Number} s
+ *         The saturation, 0-1.
+ * @param  {Number} l
+ *         The lightness, 0-1.
+ * @return {Array}
+ *         The color, as [r, g, b] from 0 to 255 (not rounded).
+ */
+function hslToRgb(h, s, l) {
+    var v = l + s * Math.min(l, 1 - l);
+    return hsvToRgb(h, v ? 2 * (1 - l / v) : 0, v);
+}
+
+/** Converts an sRGB channel (0-255) to linear light (0-1). */
+function toLinear(channel) {
+    channel /= 255;
+    return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+/** Converts linear light (0-1) to an sRGB channel (0-255). */
+function fromLinear(value) {
+    value = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return value * 255;
+}
+
+/**
+ * Converts a color to OKLab.
+ *
+ * @param  {Array} rgb
+ *         The color, as [r, g, b] from 0 to 255.
+ * @return {Array}
+ *         The color, as [L, a, b].
+ */
+function rgbToOklab(rgb) {
+    var r = toLinear(rgb[0]), g = toLinear(rgb[1]), b = toLinear(rgb[2]);
+    var l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    var m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    var s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return [0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s];
+}
+
+/**
+ * Converts a color from OKLab.
+ *
+ * @param  {Array} lab
+ *         The color, as [L, a, b].
+ * @return {Array}
+ *         The color, as [r, g, b] from 0 to 255 (not rounded or clamped).
+ */
+function oklabToRgb(lab) {
+    var l = Math.pow(lab[0] + 0.3963377774 * lab[1] + 0.2158037573 * lab[2], 3);
+    var m = Math.pow(lab[0] - 0.1055613458 * lab[1] - 0.0638541728 * lab[2], 3);
+    var s = Math.pow(lab[0] - 0.0894841775 * lab[1] - 1.2914855480 * lab[2], 3);
+    return [fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+            fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+            fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)];
+}
+
+/**
+ * Converts 2 colors into a color space, ready to be faded between one channel at a time. In HSV,
+ * the hues are set up so that fading goes the short way around the color wheel.
+ *
+ * @param  {Array} color1
+ *         The first color, as [r, g, b].
+ * @param  {Array} color2
+ *         The second color, as [r, g, b].
+ * @param  {String} colorSpace
+ *         The color space, "rgb", "hsv" or "oklab".
+ * @return {Array}
+ *         The 2 colors in the color space.
+ */
+function toColorSpace(color1, color2, colorSpace) {
+    if (colorSpace === 'hsv') {
+        var hsv1 = rgbToHsv(color1), hsv2 = rgbToHsv(color2);
+        // Black takes the hue and saturation of the other color, so fading to black only gets
+        // darker, and grays and white take its hue.
+        if (!hsv1[2]) {
+            hsv1[0] = hsv2[0];
+            hsv1[1] = hsv2[1];
+        } else if (!hsv2[2]) {
+            hsv2[0] = hsv1[0];
+            hsv2[1] = hsv1[1];
+        } else if (!hsv1[1]) {
+            hsv1[0] = hsv2[0];
+        } else if (!hsv2[1]) {
+            hsv2[0] = hsv1[0];
+        }
+        if (hsv2[0] - hsv1[0] > 180) {
+            hsv2[0] -= 360;
+        } else if (hsv1[0] - hsv2[0] > 180) {
+            hsv2[0] += 360;
+        }
+        return [hsv1, hsv2];
+    }
+    if (colorSpace === 'oklab') {
+        return [rgbToOklab(color1), rgbToOklab(color2)];
+    }
+    return [color1, color2];
+}
+
+/**
+ * Converts a color back from a color space.
+ *
+ * @param  {Array} color
+ *         The color in the color space.
+ * @param  {String} colorSpace
+ *         The color space, "rgb", "hsv" or "oklab".
+ * @return {Array}
+ *         The color, as [r, g, b] (not rounded or clamped).
+ */
+function fromColorSpace(color, colorSpace) {
+    if (colorSpace === 'hsv') {
+        return hsvToRgb(color[0], color[1], color[2]);
+    }
+    if (colorSpace === 'oklab') {
+        return oklabToRgb(color);
+    }
+    return color;
+}
+
+/** Parses the numbers of a "name(a, b, c)" color, which may be followed by "%". */
+function colorArgs(text) {
+    var args = text.split(",");
+    if (args.length !== 3) {
+        return null;
+    }
+    args = args.map(function(arg) {
+        var match = /^\s*(\d+(?:\.\d+)?|\.\d+)\s*%?\s*$/.exec(arg);
+        return match ? parseFloat(match[1]) : NaN;
+    });
+    return args.some(isNaN) ? null : args;
+}
+
+/**
+ * Parses a color given as a string, see the top of this file.
+ *
+ * @param  {String} text
+ *         The color.
+ * @return {Array}
+ *         The color, as [r, g, b] from 0 to 255, or null if it isn't a color.
+ */
+function parseColor(text) {
+    text = text.trim().toLowerCase();
+    if (NAMED_COLORS[text]) {
+        text = NAMED_COLORS[text];
+    }
+    var hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(text);
+    if (hex) {
+        var digits = hex[1].length === 3 ? hex[1].replace(/(.)/g, "$1$1") : hex[1];
+        return [0, 2, 4].map(function(start) {
+            return parseInt(digits.substr(start, 2), 16);
+        });
+    }
+    var func = /^(rgb|hsv|hsl)\((.*)\)$/.exec(text);
+    var args = func && colorArgs(func[2]);
+    if (!args) {
+        return null;
+    }
+    var rgb;
+    if (func[1] === 'rgb') {
+        rgb = args;
+    } else if (func[1] === 'hsv') {
+        rgb = hsvToRgb(args[0], Math.min(args[1], 100) / 100, Math.min(args[2], 100) / 100);
+    } else {
+        rgb = hslToRgb(args[0], Math.min(args[1], 100) / 100, Math.min(args[2], 100) / 100);
+    }
+    return rgb.map(function(channel) {
+        return Math.max(Math.min(Math.round(channel), 255), 0);
+    });
+}
+
+/**
+ * Checks a color param: an [r, g, b] array or a string that parseColor understands.
+ *
+ * @param  {Object} param
+ *         The parameter schema.
+ * @param  {*} value
+ *         The value given in the conf.
+ * @param  {String} path
+ *         The json path of the value.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function checkColor(param, value, path, problems) {
+    if (typeof(value) === 'string') {
+        if (!parseColor(value)) {
+            problems.push({path: path, message: "'" + param.name + "' must be a color, but " +
+                                               JSON.stringify(value) + " is not a hex " +
+                                               "color, color name, rgb(), hsv() or hsl()"});
+        }
+        return;
+    }
+    if (!Array.isArray(value) || value.length !== 3) {
+        problems.push({path: path, message: "'" + param.name + "' must be a color, i.e. an " +
+                                           "array of 3 numbers [r, g, b] or a string such " +
+                                           "as \"#ff6600\", not " + JSON.stringify(value)});
+        return;
+    }
+    for (var i = 0; i < 3; i++) {
+        if (typeof(value[i]) !== 'number' || isNaN(value[i]) || value[i] < 0 || value[i] > 255) {
+            problems.push({path: check.pathTo(path, i),
+                           message: "color channels must be numbers from 0 to 255, not " +
+                                    JSON.stringify(value[i])});
+        }
+    }
+}
+
+/**
+ * Checks the "colorSpace" of an animation.
+ *
+ * @param  {*} value
+ *         The "colorSpace" from the conf.
+ * @param  {String} path
+ *         The json path of the value.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function validateColorSpace(value, path, problems) {
+    if (COLOR_SPACES.indexOf(value) === -1) {
+        problems.push({path: path, message: "must be one of " + COLOR_SPACES.join(", ") +
+                                            ", not " + JSON.stringify(value)});
+    }
+}
+
+module.exports = {
+    COLOR_SPACES: COLOR_SPACES,
+    NAMED_COLORS: NAMED_COLORS,
+    hsvToRgb: hsvToRgb,
+    rgbToHsv: rgbToHsv,
+    hslToRgb: hslToRgb,
+    rgbToOklab: rgbToOklab,
+    oklabToRgb: oklabToRgb,
+    toColorSpace: toColorSpace,
+    fromColorSpace: fromColorSpace,
+    parseColor: parseColor,
+    checkColor: checkColor,
+    validateColorSpace: validateColorSpace
+};
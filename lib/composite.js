@@ -0,0 +1,270 @@
+/**
+ * Layers animations on top of each other, each in a region of the keyboard, for the composite
+ * generator. A region is a key group of the keyboard profile (such as "LETTERS_GROUP" on the
+ * K-Type), "KEYS" for the leds under the keys, "BASE" for the underglow ring, "ALL", or a list of
+ * led ids, scan codes and [first, last] ranges in the same format as the profile key groups.
+ *
+ * The layers are rendered to led colors, lined up in time and blended, bottom layer first, where
+ * the regions overlap:
+ *  - "replace" (the default) covers the layers below,
+ *  - "add" adds its colors to theirs, so black is see-through,
+ *  - "multiply" multiplies their colors by its own, so white is see-through.
+ *
+ * The composite runs at the greatest common divisor of the framedelays of the layers, so that each
+ * layer's frames last a whole number of composite frames. How the layers are lined up is picked
+ * with the timing:
+ *  - "lcm" plays each layer at its own speed, for as long as it takes all the looping layers to
+ *    get back to their start at the same time (the least common multiple of their lengths).
+ *  - "resample" stretches each layer over the length of the longest one, so that they all loop
+ *    together, at the cost of playing the shorter ones slower.
+ * Layers that don't loop stay on their last frame once they are done.
+ */
+
+'use strict';
+
+/* globals require, module */
+var render = require('./render');
+var frames = require('./frames');
+var settingsUtil = require('./settings');
+var getPixel = require('./pixels').getPixel;
+
+var BLEND_MODES = {
+    "replace": function(below, color) {
+        return color;
+    },
+    "add": function(below, color) {
+        return below.map(function(channel, idx) {
+            return Math.min(channel + color[idx], 255);
+        });
+    },
+    "multiply": function(below, color) {
+        return below.map(function(channel, idx) {
+            return Math.round(channel * color[idx] / 255);
+        });
+    }
+};
+
+var TIMINGS = ["lcm", "resample"];
+
+// The most frames a composite can have, to keep "lcm" from blowing up when the layer lengths
+// don't share many factors.
+var MAX_FRAMES = 3000;
+
+/** Creates an error about one of the composite generator's params. */
+function paramError(param, message) {
+    var err = new Error(message);
+    err.param = param;
+    return err;
+}
+
+/** Returns the greatest common divisor of 2 whole numbers. */
+function gcd(a, b) {
+    return b ? gcd(b, a % b) : a;
+}
+
+/**
+ * Lists the leds in a region of the keyboard.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {*} region
+ *         The region, see the top of this file.
+ * @return {Array}
+ *         The led ids, sorted.
+ */
+function regionLeds(kb, region) {
+    var ids = {};
+    var keyGroups = kb.profile.keyGroups;
+
+    function keyToId(key) {
+        return typeof(key) === 'string' ? kb.ledIdByScanCode[key] : key;
+    }
+
+    var keys;
+    if (region === 'ALL') {
+        keys = kb.leds.map(function(led) {
+            return led.id;
+        });
+    } else if (region === 'KEYS') {
+        keys = kb.keyedLeds.map(function(led) {
+            return led.id;
+        });
+    } else if (region === 'BASE') {
+        keys = kb.profile.underglow;
+    } else if (typeof(region) === 'string') {
+        if (!keyGroups[region]) {
+            throw paramError("layers", "there is no region '" + region + "' on this keyboard, " +
+                                       "use one of: " + ["ALL", "KEYS", "BASE"].concat(
+                                           Object.keys(keyGroups)).join(", ") +
+                                       ", or a list of led ids and scan codes");
+        }
+        keys = keyGroups[region];
+    } else {
+        keys = region;
+    }
+
+    keys.forEach(function(key) {
+        if (Array.isArray(key)) {
+            for (var id = keyToId(key[0]); id <= keyToId(key[1]); id++) {
+                ids[id] = true;
+            }
+        } else if (keyToId(key) !== undefined) {
+            ids[keyToId(key)] = true;
+        }
+    });
+    var known = {};
+    kb.leds.forEach(function(led) {
+        known[led.id] = true;
+    });
+    return Object.keys(ids).map(Number).filter(function(id) {
+        return known[id];
+    }).sort(function(a, b) {
+        return a - b;
+    });
+}
+
+/**
+ * Renders a layer for every tick of the composite.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} layer
+ *         The layer, with its "animation" and "timeline" (see composeLayers).
+ * @param  {Number} ticks
+ *         The number of ticks to render.
+ * @param  {String} timing
+ *         "lcm" or "resample".
+ * @return {Array}
+ *         The led state at each tick.
+ */
+function renderLayer(kb, layer, ticks, timing) {
+    var renderer = render.createRenderer(kb);
+    var state = renderer.blankState();
+    var parsedFrames = layer.animation.frames.map(frames.parseFrame);
+    var states = [];
+    var applied = -1;
+    for (var tick = 0; tick < ticks; tick++) {
+        // The number of frames of the layer that have been shown by this tick, loops included.
+        var shown = timing === 'resample' ?
+                    Math.floor(tick * layer.timeline.length / ticks) :
+                    Math.floor(tick / layer.ticksPerFrame);
+        shown = Math.min(shown, layer.timeline.length - 1);
+        while (applied < shown) {
+            applied++;
+            renderer.applyFrame(state, parsedFrames[layer.timeline[applied]], layer.interp);
+        }
+        states.push(render.snapshot(state));
+    }
+    return states;
+}
+
+/**
+ * Layers animations into a single animation.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Array} layers
+ *         The layers, bottom first, as objects with the "animation", the "leds" of its region
+ *         (see regionLeds) and the "blend" mode.
+ * @param  {String} timing
+ *         How the layers are lined up in time, "lcm" or "resample".
+ * @return {Object}
+ *         The animation.
+ */
+function composeLayers(kb, layers, timing) {
+    var delay = 0;
+    var looping = false;
+    layers.forEach(function(layer, idx) {
+        var parsed = layer.animation.frames.map(frames.parseFrame);
+        if (parsed.some(frames.isRelativeFrame)) {
+            throw paramError("layers", "layer " + (idx + 1) + " is a reactive animation, which " +
+                                       "can't be layered");
+        }
+        if (!parsed.length) {
+            throw paramError("layers", "layer " + (idx + 1) + " has no frames");
+        }
+        var settings = settingsUtil.parseSettings(layer.animation.settings);
+        layer.interp = settings.pfunc === 'interp';
+        layer.frameDelay = Math.max(settings.framedelay || 0, 1);
+        layer.loops = settingsUtil.loopCount(settings);
+        looping = looping || layer.loops === Infinity;
+        delay = gcd(delay, layer.frameDelay);
+    });
+
+    // Work out how many ticks (of the composite's framedelay) each layer takes to play once, and
+    // how many the composite needs.
+    var loopTicks = 1, stopTicks = 1;
+    layers.forEach(function(layer) {
+        layer.ticksPerFrame = layer.frameDelay / delay;
+        layer.length = layer.animation.frames.length * layer.ticksPerFrame;
+        if (timing === 'resample') {
+            stopTicks = Math.max(stopTicks, layer.length);
+        } else if (layer.loops === Infinity) {
+            loopTicks = loopTicks * layer.length / gcd(loopTicks, layer.length);
+        } else {
+            stopTicks = Math.max(stopTicks, layer.length * layer.loops);
+        }
+    });
+    // Layers that stop have to get to their end, and looping ones have to get back to the start.
+    var ticks = Math.ceil(stopTicks / loopTicks) * loopTicks;
+    if (ticks > MAX_FRAMES) {
+        throw paramError("timing", "lining up the layers takes " + ticks + " frames, which is " +
+                                   "more than " + MAX_FRAMES + "; use the \"resample\" timing or " +
+                                   "layers with lengths that share more factors");
+    }
+
+    layers.forEach(function(layer) {
+        var count = layer.loops === Infinity ? Math.ceil(ticks / layer.length) : layer.loops;
+        layer.timeline = [];
+        for (var loop = 0; loop < count; loop++) {
+            for (var i = 0; i < layer.animation.frames.length; i++) {
+                layer.timeline.push(i);
+            }
+        }
+        if (timing === 'resample') {
+            layer.timeline = layer.timeline.slice(0, layer.animation.frames.length);
+        }
+        layer.states = renderLayer(kb, layer, ticks, timing);
+    });
+
+    var ledIds = {};
+    layers.forEach(function(layer) {
+        layer.leds.forEach(function(id) {
+            ledIds[id] = true;
+        });
+    });
+    ledIds = Object.keys(ledIds).map(Number).sort(function(a, b) {
+        return a - b;
+    });
+
+    var animation = {
+        "settings": "framedelay:" + delay + ", framestretch" + (looping ? ", loop" : ""),
+        "type": "animation",
+        "frames": []
+    };
+    for (var tick = 0; tick < ticks; tick++) {
+        var state = {};
+        ledIds.forEach(function(id) {
+            state[id] = [0, 0, 0];
+        });
+        /*jshint loopfunc: true */
+        layers.forEach(function(layer) {
+            var blend = BLEND_MODES[layer.blend || 'replace'];
+            layer.leds.forEach(function(id) {
+                state[id] = blend(state[id], layer.states[tick][id] || [0, 0, 0]);
+            });
+        });
+        animation.frames.push(ledIds.map(function(id) {
+            return getPixel(null, null, state[id][0], state[id][1], state[id][2], id);
+        }).join(","));
+    }
+    return animation;
+}
+
+module.exports = {
+    BLEND_MODES: BLEND_MODES,
+    TIMINGS: TIMINGS,
+    paramError: paramError,
+    regionLeds: regionLeds,
+    composeLayers: composeLayers
+};
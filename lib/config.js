@@ -0,0 +1,378 @@
+/**
+ * Builds a new configurator json from an existing one, adding in the generated animations and the
+ * keys that trigger them. Nothing in here touches the filesystem.
+ */
+
+'use strict';
+
+/* globals require, module */
+var dateFormat = require('dateformat');
+var createKeyboard = require('./keyboard').createKeyboard;
+var generators = require('./generators').generators;
+var validate = require('./validate');
+var schemas = require('./schemas');
+var optimizeAnimation = require('./optimize').optimizeAnimation;
+var applyOutput = require('./output').applyOutput;
+var mapTriggerKeys = require('./triggers').mapTriggerKeys;
+var reactive = require('./reactive');
+var random = require('./random');
+var sequence = require('./sequence');
+var timing = require('./timing');
+var settingsUtil = require('./settings');
+var model = require('./model');
+var estimateAnimation = require('./budget').estimateAnimation;
+
+// The demo configuration that is written to kiianiconf.json if one does not exist when running
+// with the "conf" option.
+var DEMO_CONF = {
+    "animations": {
+        "KARR 1.0": {
+            "generator": "kitt2000",
+            "params": [[255, 102, 0]]
+        },
+        "KITT 2000": {
+            "generator": "kitt2000",
+            "params": []
+        },
+        "White Noise": {
+            "generator": "whiteNoise"
+        },
+        "Turquoise Hexagon Sun": {
+            "generator": "baseTopBreath",
+            "params": [[0, 255, 0], [0, 0, 255]]
+        },
+        "Iced Cooly": {
+            "generator": "dodgyPixel",
+            "params": [[204, 204, 204], [0, 0, 255]]
+        },
+        "Quick RGB with Tracers": {
+            "generator": "verticalPulseWithTracers",
+            "params": [null, [255, 0, 0], [0, 255, 0], [0, 0, 255]],
+            "period": 0.85
+        }
+    },
+    "activeAnimations": [
+        "KARR 1.0",
+        "KITT 2000",
+        "Turquoise Hexagon Sun",
+        "Iced Cooly",
+        "White Noise",
+        "Quick RGB with Tracers"
+    ]
+};
+
+/**
+ * Creates a conf object that runs the given generators with their baked in parameters, using the
+ * generator names as the animation names.
+ *
+ * @param  {Array} generatorNames
+ *         The names of the generators to use. If not provided, all the generators that can run
+ *         without any params given (i.e. not the image generator, which needs a file) are used.
+ * @return {Object}
+ *         A conf object in the same format as kiianiconf.json.
+ */
+function confForGenerators(generatorNames) {
+    if (!generatorNames) {
+        generatorNames = Object.keys(generators).filter(function(g) {
+            return g.indexOf('!') === -1 && !(schemas[g] || []).some(function(param) {
+                return param.required;
+            });
+        });
+    }
+    var conf = {
+        "animations": {},
+        "activeAnimations": []
+    };
+    for (var i = 0; i < generatorNames.length; i++) {
+        conf.animations[generatorNames[i]] = {
+            "generator": generatorNames[i]
+        };
+        conf.activeAnimations.push(generatorNames[i]);
+    }
+    return conf;
+}
+
+/**
+ * Runs an animation through the output color pipeline (see output.js) if the conf has "output"
+ * settings, and then through the optimizer unless the conf has "optimize": false.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation
+ *         The animation object.
+ * @param  {Object} confData
+ *         The kiianiconf.json data.
+ * @return {Object}
+ *         An object with the finished "animation" and the "report", holding the "output" report
+ *         (see output.applyOutput) and the "optimizer" report (see optimize.optimizeAnimation).
+ */
+function finishAnimation(kb, animation, confData) {
+    var report = {};
+    if (confData.output) {
+        var corrected = applyOutput(kb, animation, confData.output);
+        animation = corrected.animation;
+        report.output = corrected.report;
+    }
+    if (confData.optimize !== false) {
+        var optimized = optimizeAnimation(kb, animation);
+        animation = optimized.animation;
+        report.optimizer = optimized.report;
+    }
+    return {animation: animation, report: report};
+}
+
+/**
+ * Generates animations based on the kiianiconf.json file specifications. The conf is validated
+ * before anything is generated, and an error listing every problem is thrown if it is not valid.
+ * Reactive animations (see reactive.js) are expanded into an animation per key if the conf has
+ * "relativePixels": false. If the conf has "output" settings, every generated animation is run
+ * through the output color pipeline (see output.js), and unless the conf has "optimize": false, it
+ * is then run through the optimizer. Each generator gets a random function seeded with the "seed"
+ * of its animation, or with one made from the global seed and the animation name (see random.js).
+ * Sequences are made from the animations they play, which don't have to be active themselves (see
+ * sequence.js). Animations with a "duration", "period" or "bpm" pass it to their generator, which
+ * fits its frames to it (see timing.js), and the "settings" of an animation override the ones its
+ * generator or sequence writes out (see settings.applySettings).
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animOrig
+ *         The original animations object.
+ * @param  {Object} confData
+ *         The kiianiconf.json data.
+ * @param  {Object} report
+ *         Optional. Gets an entry for each generated animation, keyed by its configurator name,
+ *         holding the "output" report (see output.applyOutput), the "optimizer" report (see
+ *         optimize.optimizeAnimation) and, for animations given a timing, the "timing" report
+ *         (see timing.achievedTiming).
+ * @param  {String} seed
+ *         Optional. The global seed, a string or a whole number. A new one is picked if not given.
+ * @return {Object}
+ *         A map of the configurator names of the reactive animations to the animations they were
+ *         generated as, each an object with the configurator "name" of the animation and the
+ *         "scanCodes" of the keys that start it.
+ */
+function generateFromConf(kb, animOrig, confData, report, seed) {
+    var animations = validate.assertValidConf(confData);
+    if (seed === undefined) {
+        seed = random.randomSeed();
+    }
+    var reactiveTriggers = {};
+    var allKeys = reactive.reactiveKeys(kb).map(function(key) {
+        return key.scanCode;
+    });
+    report = report || {};
+    var timingReports = {};
+
+    function addAnimation(animId, animation) {
+        var finished = finishAnimation(kb, animation, confData);
+        report[animId] = finished.report;
+        animOrig[animId] = finished.animation;
+    }
+
+    // Overrides the settings of a generated animation with the ones from the conf.
+    function withSettings(animation, overrides) {
+        if (overrides) {
+            animation.settings = settingsUtil.applySettings(animation.settings, overrides);
+        }
+        return animation;
+    }
+
+    // Runs the generator of an animation of the conf.
+    function generate(animName) {
+        var anim = animations[animName];
+        var gen = generators[anim.generator];
+        // The color space, easing, random function and timing are passed to the generator with the
+        // keyboard context.
+        var genKb = Object.create(kb);
+        genKb.colorSpace = anim.colorSpace || kb.colorSpace;
+        genKb.easing = anim.easing || kb.easing;
+        genKb.random = random.createRandom(random.animationSeed(seed, animName, anim.seed));
+        genKb.timing = anim.timing ? JSON.parse(JSON.stringify(anim.timing)) : null;
+        try {
+            var animation = gen.apply(null, [genKb].concat(anim.params));
+            if (genKb.timing) {
+                timingReports[animName] = timing.achievedTiming(animation, genKb.timing);
+            }
+            return withSettings(animation, anim.settings);
+        } catch (err) {
+            if (!err.param) {
+                throw err;
+            }
+            throw validate.paramError(animName, anim.generator, err);
+        }
+    }
+
+    // Plays the animations of a sequence one after the other.
+    function generateSequence(animName) {
+        var anim = animations[animName];
+        try {
+            return withSettings(sequence.composeSequence(kb, anim.sequence.map(function(step) {
+                return {
+                    animation: generate(step.animation),
+                    repeat: step.repeat,
+                    transition: step.transition,
+                    transitionTime: step.transitionTime
+                };
+            }), anim.loop), anim.settings);
+        } catch (err) {
+            if (err.step === undefined) {
+                throw err;
+            }
+            throw validate.stepError(animName, err);
+        }
+    }
+
+    var i;
+    for (i = 0; i < confData.activeAnimations.length; i++) {
+        var animName = confData.activeAnimations[i];
+        // We have to use single word names for the animations in the configurator
+        var animId = validate.animationId(animName);
+        var animation = animations[animName].sequence ? generateSequence(animName) :
+                                                        generate(animName);
+        if (!reactive.isReactiveAnimation(animation)) {
+            addAnimation(animId, animation);
+            if (timingReports[animName]) {
+                report[animId].timing = timingReports[animName];
+            }
+        } else if (confData.relativePixels === false) {
+            /*jshint loopfunc: true */
+            reactiveTriggers[animId] = reactive.expandAnimation(kb, animation).map(
+                function(expanded, idx) {
+                    addAnimation(animId + "_" + (idx + 1), expanded.animation);
+                    return {name: animId + "_" + (idx + 1), scanCodes: expanded.scanCodes};
+                });
+        } else {
+            addAnimation(animId, animation);
+            reactiveTriggers[animId] = [{name: animId, scanCodes: allKeys}];
+        }
+    }
+    return reactiveTriggers;
+}
+
+/**
+ * Creates a new configurator json from the one written out by the configurator, with the
+ * animations described by the conf object added in and mapped to keys. The json passed in is not
+ * modified.
+ *
+ * @param  {Object} json
+ *         The parsed KType-Standard.json file.
+ * @param  {Object} kll
+ *         The parsed kll.json file.
+ * @param  {Object} conf
+ *         The conf object, in the same format as kiianiconf.json.
+ * @param  {Object} options
+ *         Optional. "name" is added to the Layout header (defaults to "conf"), "date" is the Date
+ *         used for the Author and Date headers (defaults to now), "profile" is the name of the
+ *         keyboard profile to use (detected from the json if not given), "report" is an
+ *         object that gets a report on each generated animation (see generateFromConf), and
+ *         "seed" is the global seed (a new one is picked if not given). The seed is recorded in
+ *         the KiianigenSeed header, so that the same output can be generated again.
+ * @return {Object}
+ *         The new configurator json.
+ */
+function generateConfig(json, kll, conf, options) {
+    options = options || {};
+    var name = options.name || 'conf';
+    var theDate = options.date || new Date();
+    var seed = options.seed !== undefined ? options.seed : random.randomSeed();
+
+    json = JSON.parse(JSON.stringify(json));
+    var kb = createKeyboard(json, kll, options.profile);
+
+    // The current animations
+    if (!json.animations) {
+        json.animations = {};
+    }
+    var reactiveTriggers = generateFromConf(kb, json.animations, conf, options.report, seed);
+    // Reactive animations that were already in the json keep being started from every key.
+    for (var animId in json.animations) {
+        if (!reactiveTriggers[animId] && reactive.isReactiveAnimation(json.animations[animId])) {
+            reactiveTriggers[animId] = [{name: animId, scanCodes: reactive.reactiveKeys(kb).map(
+                function(key) {
+                    return key.scanCode;
+                })}];
+        }
+    }
+
+    var triggerOptions = JSON.parse(JSON.stringify(conf.triggers || {}));
+    triggerOptions.reactive = reactiveTriggers;
+    triggerOptions.keys = {};
+    triggerOptions.keyPaths = {};
+    conf.activeAnimations.forEach(function(animName) {
+        if (conf.animations[animName].key !== undefined) {
+            var animId = validate.animationId(animName);
+            triggerOptions.keys[animId] = conf.animations[animName].key;
+            triggerOptions.keyPaths[animId] = "animations[" + JSON.stringify(animName) + "].key";
+        }
+    });
+    var aniMappingText = mapTriggerKeys(json, kb.profile, triggerOptions);
+
+    // Change out some of the headers
+    json.header.Author = "intafon (ryan-todd-ryan) " + dateFormat(theDate, "yyyy");
+    json.header.Date = dateFormat(theDate, "yyyy-mm-dd");
+    json.header.Layout = (json.header.Layout + " + Kiianigen " +
+                          (name[0].toUpperCase() + name.substring(1)));
+    json.header.KiianigenKeyMap = aniMappingText;
+    json.header.KiianigenSeed = seed;
+
+    return json;
+}
+
+/**
+ * Creates a new configurator json with the animations that are already in it parsed into models
+ * (see model.js) and written back out through the same output color pipeline and optimizer as
+ * generated animations, so that animations made in the configurator get the same treatment. As
+ * the model is written out an led at a time, which can take more flash than the pixel functions
+ * and rows and columns of the original frames, each animation is written out from whichever of the
+ * two comes out smaller. The json passed in is not modified. The output correction is applied
+ * to the colors as they are, so it should be run on a json saved by the configurator rather than
+ * one written out by generateConfig, which is already corrected.
+ *
+ * @param  {Object} json
+ *         The parsed KType-Standard.json file.
+ * @param  {Object} kll
+ *         The parsed kll.json file.
+ * @param  {Object} conf
+ *         Optional. The conf object, in the same format as kiianiconf.json, for its "output" and
+ *         "optimize" settings. It is validated like it is for generating.
+ * @param  {Object} options
+ *         Optional. "profile" is the name of the keyboard profile to use (detected from the json
+ *         if not given), and "report" is an object that gets a report on each animation (see
+ *         finishAnimation).
+ * @return {Object}
+ *         The new configurator json.
+ */
+function reemitConfig(json, kll, conf, options) {
+    options = options || {};
+    conf = conf || {};
+    if (conf.animations) {
+        validate.assertValidConf(conf);
+    }
+    json = JSON.parse(JSON.stringify(json));
+    var kb = createKeyboard(json, kll, options.profile);
+    var report = options.report || {};
+    for (var animId in json.animations || {}) {
+        var original = json.animations[animId];
+        var finished = finishAnimation(kb, original, conf);
+        var emitted = model.emitAnimation(model.parseAnimation(kb, original));
+        var fromModel = finishAnimation(kb, emitted, conf);
+        if (estimateAnimation(fromModel.animation).bytes <
+                estimateAnimation(finished.animation).bytes) {
+            finished = fromModel;
+        }
+        report[animId] = finished.report;
+        json.animations[animId] = finished.animation;
+    }
+    return json;
+}
+
+module.exports = {
+    DEMO_CONF: DEMO_CONF,
+    confForGenerators: confForGenerators,
+    generateFromConf: generateFromConf,
+    mapTriggerKeys: mapTriggerKeys,
+    generateConfig: generateConfig,
+    finishAnimation: finishAnimation,
+    reemitConfig: reemitConfig
+};
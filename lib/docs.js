@@ -0,0 +1,147 @@
+/**
+ * Documentation for the generators, for the "list" and "describe" commands. The description of a
+ * generator is taken from its doc comment in generators.js, which is read in as text, and its
+ * params from its schema (see schemas.js), which is what kiianiconf.json is checked against.
+ */
+
+'use strict';
+
+/* globals require, module, __dirname */
+var fs = require('fs');
+var path = require('path');
+var schemas = require('./schemas');
+var timing = require('./timing');
+
+var GENERATORS_FILE = path.join(__dirname, 'generators.js');
+
+// A doc comment, and the name of the generator it is on in the generators object map.
+var DOC_RE = /\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*"(\w+)":\s*function/g;
+
+var docs;
+
+/**
+ * Reads the doc comments of the generators.
+ *
+ * @return {Object}
+ *         A map of generator name to its description, as a list of paragraphs. The @param and
+ *         @return tags are left out, the params are described by the schemas.
+ */
+function generatorDocs() {
+    if (!docs) {
+        docs = {};
+        var source = fs.readFileSync(GENERATORS_FILE, 'utf8');
+        var match;
+        while ((match = DOC_RE.exec(source))) {
+            var text = match[1].replace(/^[ \t]*\* ?/gm, "").split(/^@/m)[0];
+            docs[match[2]] = text.split(/\n\s*\n/).map(function(paragraph) {
+                return paragraph.replace(/\s+/g, " ").trim();
+            }).filter(Boolean);
+        }
+    }
+    return docs;
+}
+
+/**
+ * Describes a param: its type, the values it can have and its default.
+ *
+ * @param  {Object} param
+ *         The param, from the generator's schema.
+ * @return {String}
+ *         Something like "integer from 2 to 25, default 5".
+ */
+function describeParam(param) {
+    var parts = [param.type];
+    if (param.type === 'choice') {
+        parts = ["one of " + param.values.join(", ")];
+    } else if (param.min !== undefined && param.max !== undefined) {
+        parts[0] += " from " + param.min + " to " + param.max;
+    } else if (param.min !== undefined) {
+        parts[0] += " of at least " + param.min;
+    } else if (param.max !== undefined) {
+        parts[0] += " of at most " + param.max;
+    }
+    if (param.rest) {
+        parts[0] = "any number of: " + parts[0];
+    }
+    if (param.required) {
+        parts.push("required");
+    } else if (param.default !== undefined) {
+        parts.push("default " + JSON.stringify(param.default));
+    }
+    return parts.join(", ");
+}
+
+/**
+ * Lists the generators with the first paragraph of their description and their params.
+ *
+ * @param  {Array} names
+ *         The generator names.
+ * @return {Array}
+ *         The lines.
+ */
+function listGenerators(names) {
+    var lines = [];
+    names.forEach(function(name) {
+        var description = generatorDocs()[name] || [];
+        lines.push(name + (description.length ? ": " + description[0] : ""));
+        (schemas[name] || []).forEach(function(param) {
+            lines.push("\t" + param.name + " (" + describeParam(param) + "): " +
+                       param.description);
+        });
+    });
+    return lines;
+}
+
+/**
+ * Describes a generator in full: its description, its params with their defaults, whether it can
+ * be timed, and a kiianiconf.json entry with its default params.
+ *
+ * @param  {String} name
+ *         The generator name.
+ * @return {Array}
+ *         The lines.
+ */
+function describeGenerator(name) {
+    var lines = [name, ""].concat(generatorDocs()[name] || ["No description."]);
+    var schema = schemas[name] || [];
+    lines.push("");
+    if (!schema.length) {
+        lines.push("It takes no params.");
+    } else {
+        lines.push("Params, in the order they are given in \"params\":");
+        schema.forEach(function(param) {
+            lines.push("\t" + param.name + " (" + describeParam(param) + ")",
+                       "\t\t" + param.description);
+        });
+    }
+    if (timing.BEATS[name]) {
+        lines.push("", "It can be given a duration, period or bpm, where a beat is " +
+                       timing.BEATS[name] + ".");
+    }
+
+    // Required params have no default, so they are shown by name for filling in.
+    var required = [];
+    var entry = {generator: name};
+    if (schema.length) {
+        entry.params = [];
+        schema.forEach(function(param) {
+            if (param.required) {
+                required.push(param.name);
+                entry.params.push("<" + param.name + ">");
+            } else {
+                entry.params = entry.params.concat(param.rest ? param.default : [param.default]);
+            }
+        });
+    }
+    lines.push("", "In kiianiconf.json, with the defaults" +
+                   (required.length ? " (fill in " + required.join(", ") + ")" : "") + ":",
+               "\t" + JSON.stringify(entry));
+    return lines;
+}
+
+module.exports = {
+    generatorDocs: generatorDocs,
+    describeParam: describeParam,
+    listGenerators: listGenerators,
+    describeGenerator: describeGenerator
+};
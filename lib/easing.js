@@ -0,0 +1,167 @@
+/**
+ * Named easings for fades, which can be picked for an animation in kiianiconf.json with "easing".
+ * An easing maps how far along a fade is (0 to 1) to how far the color has got from the first
+ * color to the second. Besides the names below there are "stepped(n)", which jumps to the next
+ * color in n steps, and "cubic-bezier(x1, y1, x2, y2)", which works like it does in CSS.
+ */
+
+'use strict';
+
+/* globals module */
+
+/**
+ * Creates a cubic bezier easing, going from (0, 0) to (1, 1) with the given control points.
+ *
+ * @param  {Number} x1
+ *         The x of the first control point, 0-1.
+ * @param  {Number} y1
+ *         The y of the first control point.
+ * @param  {Number} x2
+ *         The x of the second control point, 0-1.
+ * @param  {Number} y2
+ *         The y of the second control point.
+ * @return {Function}
+ *         The easing.
+ */
+function cubicBezier(x1, y1, x2, y2) {
+    function curve(s, p1, p2) {
+        return 3 * s * (1 - s) * (1 - s) * p1 + 3 * s * s * (1 - s) * p2 + s * s * s;
+    }
+    return function(t) {
+        // x grows with s (the control points are between 0 and 1), so s can be found by bisection.
+        var low = 0, high = 1, s = t;
+        for (var i = 0; i < 30; i++) {
+            if (curve(s, x1, x2) < t) {
+                low = s;
+            } else {
+                high = s;
+            }
+            s = (low + high) / 2;
+        }
+        return curve(s, y1, y2);
+    };
+}
+
+var EASINGS = {
+    "linear": function(t) {
+        return t;
+    },
+    // The curve of pixels.sineInterpolate, which the breathing generators use.
+    "sine": function(t) {
+        return (1 - Math.cos(t * Math.PI)) / 2;
+    },
+    "ease": cubicBezier(0.25, 0.1, 0.25, 1),
+    "ease-in": cubicBezier(0.42, 0, 1, 1),
+    "ease-out": cubicBezier(0, 0, 0.58, 1),
+    "ease-in-out": cubicBezier(0.42, 0, 0.58, 1),
+    "cubic": function(t) {
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2;
+    },
+    "exponential": function(t) {
+        if (t <= 0 || t >= 1) {
+            return t <= 0 ? 0 : 1;
+        }
+        return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, 10 - 20 * t)) / 2;
+    },
+    // Bounces off the second color a few times before settling on it.
+    "bounce": function(t) {
+        var n = 7.5625, d = 2.75;
+        if (t < 1 / d) {
+            return n * t * t;
+        }
+        if (t < 2 / d) {
+            t -= 1.5 / d;
+            return n * t * t + 0.75;
+        }
+        if (t < 2.5 / d) {
+            t -= 2.25 / d;
+            return n * t * t + 0.9375;
+        }
+        t -= 2.625 / d;
+        return n * t * t + 0.984375;
+    },
+    // Overshoots the second color and springs back and forth around it.
+    "elastic": function(t) {
+        if (t <= 0 || t >= 1) {
+            return t <= 0 ? 0 : 1;
+        }
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * 2 * Math.PI / 3) + 1;
+    }
+};
+
+/**
+ * Looks up an easing.
+ *
+ * @param  {String} name
+ *         The name of the easing, "stepped(n)" or "cubic-bezier(x1, y1, x2, y2)".
+ * @return {Function}
+ *         The easing, which takes how far along the fade is (0-1) and returns how far the color
+ *         has got, or null if there is no such easing.
+ */
+function getEasing(name) {
+    if (typeof(name) !== 'string') {
+        return null;
+    }
+    name = name.trim().toLowerCase();
+    if (EASINGS.hasOwnProperty(name)) {
+        return EASINGS[name];
+    }
+    var number = "\\s*(-?\\d+(?:\\.\\d+)?|-?\\.\\d+)\\s*";
+    var stepped = /^stepped\(\s*(\d+)\s*\)$/.exec(name);
+    if (stepped && parseInt(stepped[1], 10) > 0) {
+        var steps = parseInt(stepped[1], 10);
+        return function(t) {
+            return t >= 1 ? 1 : Math.floor(t * steps) / steps;
+        };
+    }
+    var bezier = new RegExp("^cubic-bezier\\(" + [number, number, number, number].join(",") +
+                            "\\)$").exec(name);
+    if (bezier) {
+        var points = bezier.slice(1).map(parseFloat);
+        if (points[0] >= 0 && points[0] <= 1 && points[2] >= 0 && points[2] <= 1) {
+            return cubicBezier(points[0], points[1], points[2], points[3]);
+        }
+    }
+    return null;
+}
+
+/**
+ * Creates an interpolation function that follows an easing, for use with pixels.colorBleed and
+ * pixels.multiColorBleed.
+ *
+ * @param  {Function} easing
+ *         The easing, see getEasing.
+ * @return {Function}
+ *         The interpolation function, which takes a step, the total number of steps and the 2
+ *         values to interpolate between.
+ */
+function easingInterpolate(easing) {
+    return function(step, steps, val1, val2) {
+        return (val2 - val1) * easing(step / steps) + val1;
+    };
+}
+
+/**
+ * Checks the "easing" of an animation.
+ *
+ * @param  {*} value
+ *         The "easing" from the conf.
+ * @param  {String} path
+ *         The json path of the value.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function validateEasing(value, path, problems) {
+    if (!getEasing(value)) {
+        problems.push({path: path, message: "must be one of " + Object.keys(EASINGS).join(", ") +
+                                            ", stepped(n) or cubic-bezier(x1, y1, x2, y2), not " +
+                                            JSON.stringify(value)});
+    }
+}
+
+module.exports = {
+    EASINGS: EASINGS,
+    getEasing: getEasing,
+    easingInterpolate: easingInterpolate,
+    validateEasing: validateEasing
+};
@@ -0,0 +1,93 @@
+/**
+ * Exports animations as animated GIF or APNG files, drawing each frame onto a picture of the
+ * keyboard.
+ */
+
+'use strict';
+
+/* globals require, module */
+var render = require('./render');
+var settingsUtil = require('./settings');
+var raster = require('./raster');
+var encodeGif = require('./gif').encodeGif;
+var encodeApng = require('./apng').encodeApng;
+
+// Browsers show GIF frames with a delay below 2 hundredths of a second much slower than asked, so
+// faster frames are merged until they are at least this long.
+var GIF_MIN_DELAY_MS = 20;
+
+/**
+ * Works out how long each distinct frame of a rendered animation is shown for. Consecutive frames
+ * that look the same (such as the empty frames used with "framestretch") are merged into one
+ * longer frame.
+ *
+ * @param  {Object} rendered
+ *         The rendered animation, as returned by render.renderAnimation.
+ * @param  {Number} minDuration
+ *         Optional. Frames shorter than this are merged with the frames that follow them.
+ * @return {Array}
+ *         The timeline, as objects with the led "state" and "duration" in milliseconds.
+ */
+function animationTimeline(rendered, minDuration) {
+    var duration = settingsUtil.frameDuration(rendered.settings);
+    var timeline = [];
+    for (var i = 0; i < rendered.frames.length; i++) {
+        var last = timeline[timeline.length - 1];
+        if (last && (render.sameState(last.state, rendered.frames[i]) ||
+                     (minDuration && last.duration < minDuration))) {
+            last.state = rendered.frames[i];
+            last.duration += duration;
+        } else {
+            timeline.push({state: rendered.frames[i], duration: duration});
+        }
+    }
+    return timeline;
+}
+
+/**
+ * Renders an animation to an animated GIF or APNG file.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation
+ *         The animation object, with "settings" and "frames".
+ * @param  {Object} options
+ *         Optional. "format" is "gif" (the default) or "apng". "layout" is "leds" (the default) to
+ *         draw the leds at their kll.json positions, or "keys" to draw the key caps from "matrix",
+ *         the configurator matrix. Other options are passed on to the layout.
+ * @return {Buffer}
+ *         The contents of the file.
+ */
+function exportAnimation(kb, animation, options) {
+    options = options || {};
+    var format = options.format || 'gif';
+    if (format !== 'gif' && format !== 'apng') {
+        throw new Error("Unknown export format: '" + format + "'");
+    }
+    var layout;
+    if (options.layout === 'keys') {
+        layout = raster.keyLayout(kb, options.matrix || [], options);
+    } else if (!options.layout || options.layout === 'leds') {
+        layout = raster.ledLayout(kb, options);
+    } else {
+        throw new Error("Unknown export layout: '" + options.layout + "'");
+    }
+
+    var rendered = render.renderAnimation(kb, animation);
+    var loops = settingsUtil.loopCount(rendered.settings);
+    var timeline = animationTimeline(rendered, format === 'gif' ? GIF_MIN_DELAY_MS : 0);
+    var frames = timeline.map(function(frame) {
+        return {
+            pixels: layout.draw(frame.state).pixels,
+            delay: format === 'gif' ? frame.duration / 10 : frame.duration
+        };
+    });
+
+    var encode = format === 'gif' ? encodeGif : encodeApng;
+    return encode(layout.width, layout.height, frames, {loops: isFinite(loops) ? loops : 0});
+}
+
+module.exports = {
+    animationTimeline: animationTimeline,
+    exportAnimation: exportAnimation
+};
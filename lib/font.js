@@ -0,0 +1,98 @@
+/**
+ * A small bitmap font for writing on the keys. The glyphs are 5 rows high and drawn with "#" for a
+ * lit pixel, the same way as the invader at the end of kiianigen.js. Lowercase letters are drawn
+ * as uppercase.
+ */
+
+'use strict';
+
+/* globals module */
+
+var FONT_HEIGHT = 5;
+
+var GLYPHS = {
+    "A": [" # ", "# #", "###", "# #", "# #"],
+    "B": ["## ", "# #", "## ", "# #", "## "],
+    "C": [" ##", "#  ", "#  ", "#  ", " ##"],
+    "D": ["## ", "# #", "# #", "# #", "## "],
+    "E": ["###", "#  ", "## ", "#  ", "###"],
+    "F": ["###", "#  ", "## ", "#  ", "#  "],
+    "G": [" ##", "#  ", "# #", "# #", " ##"],
+    "H": ["# #", "# #", "###", "# #", "# #"],
+    "I": ["###", " # ", " # ", " # ", "###"],
+    "J": ["  #", "  #", "  #", "# #", " # "],
+    "K": ["# #", "# #", "## ", "# #", "# #"],
+    "L": ["#  ", "#  ", "#  ", "#  ", "###"],
+    "M": ["#   #", "## ##", "# # #", "#   #", "#   #"],
+    "N": ["#  #", "## #", "# ##", "#  #", "#  #"],
+    "O": [" # ", "# #", "# #", "# #", " # "],
+    "P": ["## ", "# #", "## ", "#  ", "#  "],
+    "Q": [" # ", "# #", "# #", "## ", " ##"],
+    "R": ["## ", "# #", "## ", "# #", "# #"],
+    "S": [" ##", "#  ", " # ", "  #", "## "],
+    "T": ["###", " # ", " # ", " # ", " # "],
+    "U": ["# #", "# #", "# #", "# #", "###"],
+    "V": ["# #", "# #", "# #", "# #", " # "],
+    "W": ["#   #", "#   #", "# # #", "## ##", "#   #"],
+    "X": ["# #", "# #", " # ", "# #", "# #"],
+    "Y": ["# #", "# #", " # ", " # ", " # "],
+    "Z": ["###", "  #", " # ", "#  ", "###"],
+    "0": ["###", "# #", "# #", "# #", "###"],
+    "1": [" # ", "## ", " # ", " # ", "###"],
+    "2": ["## ", "  #", " # ", "#  ", "###"],
+    "3": ["## ", "  #", " # ", "  #", "## "],
+    "4": ["# #", "# #", "###", "  #", "  #"],
+    "5": ["###", "#  ", "## ", "  #", "## "],
+    "6": [" ##", "#  ", "###", "# #", "###"],
+    "7": ["###", "  #", " # ", " # ", " # "],
+    "8": ["###", "# #", "###", "# #", "###"],
+    "9": ["###", "# #", "###", "  #", "## "],
+    " ": ["  ", "  ", "  ", "  ", "  "],
+    ".": [" ", " ", " ", " ", "#"],
+    ",": ["  ", "  ", "  ", " #", "# "],
+    "!": ["#", "#", "#", " ", "#"],
+    "?": ["## ", "  #", " # ", "   ", " # "],
+    "-": ["   ", "   ", "###", "   ", "   "],
+    "+": ["   ", " # ", "###", " # ", "   "],
+    "=": ["   ", "###", "   ", "###", "   "],
+    "*": ["   ", "# #", " # ", "# #", "   "],
+    "_": ["   ", "   ", "   ", "   ", "###"],
+    ":": [" ", "#", " ", "#", " "],
+    "'": ["#", "#", " ", " ", " "],
+    "/": ["  #", "  #", " # ", "#  ", "#  "],
+    "(": [" #", "# ", "# ", "# ", " #"],
+    ")": ["# ", " #", " #", " #", "# "],
+    "#": ["# #", "###", "# #", "###", "# #"]
+};
+
+/**
+ * Draws a line of text, with a blank column between the characters.
+ *
+ * @param  {String} text
+ *         The text.
+ * @return {Array}
+ *         The rows of the drawing, top to bottom, as strings with "#" for a lit pixel.
+ */
+function renderText(text) {
+    var rows = [];
+    for (var row = 0; row < FONT_HEIGHT; row++) {
+        rows.push("");
+    }
+    text.split("").forEach(function(ch, idx) {
+        var glyph = GLYPHS[ch.toUpperCase()];
+        if (!glyph) {
+            throw new Error("there is no '" + ch + "' in the font, use one of: " +
+                            Object.keys(GLYPHS).join(""));
+        }
+        for (var r = 0; r < FONT_HEIGHT; r++) {
+            rows[r] += (idx ? " " : "") + glyph[r];
+        }
+    });
+    return rows;
+}
+
+module.exports = {
+    FONT_HEIGHT: FONT_HEIGHT,
+    GLYPHS: GLYPHS,
+    renderText: renderText
+};
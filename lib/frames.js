@@ -0,0 +1,194 @@
+/**
+ * Parser for KLL pixel animation frames, i.e. the strings that getPixel creates, joined with
+ * commas. A pixel can be addressed by id, "P[12](r,g,b)", by row and/or column,
+ * "P[r:2,c:5](r,g,b)", and rows and columns can be given as a percentage of the keyboard,
+ * "P[c:-2%](r,g,b)". A range of ids can be given as "P[12-20](r,g,b)". Rows and columns can also be
+ * relative to the key that triggered the animation, "P[r:i+1,c:i-2](r,g,b)", where "i" is the row
+ * or column of that key.
+ */
+
+'use strict';
+
+/* globals module */
+
+var PIXEL_RE = /P\[([^\]]*)\]\(([^)]*)\)/g;
+
+/**
+ * Parses a row or column position, such as "3", "-2%" or "i+1".
+ *
+ * @param  {String} str
+ *         The position.
+ * @return {Object}
+ *         The position, as {value: -2, percent: true}, or {value: 1, relative: true} for a
+ *         position relative to the triggering key.
+ */
+function parsePosition(str) {
+    var relative = /^i(?:\s*([+-])\s*(\d+(?:\.\d+)?))?$/.exec(str);
+    if (relative) {
+        return {value: relative[1] ? parseFloat(relative[1] + relative[2]) : 0, relative: true};
+    }
+    var percent = /%$/.test(str);
+    var value = parseFloat(percent ? str.slice(0, -1) : str);
+    if (isNaN(value)) {
+        throw new Error("Invalid pixel position: '" + str + "'");
+    }
+    return {value: value, percent: percent};
+}
+
+/**
+ * Parses the address part (the part between the square brackets) of a pixel.
+ *
+ * @param  {String} addressStr
+ *         The address, such as "12", "12-20" or "r:2,c:-2%".
+ * @return {Object}
+ *         The address with an "index" (and an "indexEnd" for ranges), or a "row" and/or a "col".
+ */
+function parseAddress(addressStr) {
+    var address = {};
+    var parts = addressStr.split(",");
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i].trim();
+        if (/^r:/.test(part)) {
+            address.row = parsePosition(part.substring(2).trim());
+        } else if (/^c:/.test(part)) {
+            address.col = parsePosition(part.substring(2).trim());
+        } else if (/^\d+$/.test(part)) {
+            address.index = parseInt(part, 10);
+        } else if (/^\d+\s*-\s*\d+$/.test(part)) {
+            var ends = part.split("-");
+            address.index = parseInt(ends[0], 10);
+            address.indexEnd = parseInt(ends[1], 10);
+            if (address.indexEnd < address.index) {
+                throw new Error("Pixel range goes backwards: 'P[" + addressStr + "]'");
+            }
+        } else {
+            throw new Error("Invalid pixel address: 'P[" + addressStr + "]'");
+        }
+    }
+    if (address.index !== undefined && (address.row || address.col)) {
+        throw new Error("Pixel address mixes an id with a row/column: 'P[" + addressStr + "]'");
+    }
+    return address;
+}
+
+/**
+ * Parses a single pixel.
+ *
+ * @param  {String} pixelStr
+ *         The pixel, such as "P[c:-2%](0,0,255)".
+ * @return {Object}
+ *         The pixel, with the fields of its address (see parseAddress) and its "color" as an
+ *         [r, g, b] array.
+ */
+function parsePixel(pixelStr) {
+    var pixels = parseFrame(pixelStr);
+    if (pixels.length !== 1) {
+        throw new Error("Expected a single pixel: '" + pixelStr + "'");
+    }
+    return pixels[0];
+}
+
+/**
+ * Parses a frame, i.e. a comma separated list of pixels.
+ *
+ * @param  {String} frameStr
+ *         The frame.
+ * @return {Array}
+ *         The pixels in the frame, in order (see parsePixel).
+ */
+function parseFrame(frameStr) {
+    var pixels = [];
+    var match;
+    var lastEnd = 0;
+    PIXEL_RE.lastIndex = 0;
+    while ((match = PIXEL_RE.exec(frameStr)) !== null) {
+        if (frameStr.substring(lastEnd, match.index).replace(/[\s,]/g, '')) {
+            throw new Error("Unexpected text in frame: '" +
+                            frameStr.substring(lastEnd, match.index) + "'");
+        }
+        lastEnd = PIXEL_RE.lastIndex;
+
+        var pixel = parseAddress(match[1]);
+        var channels = match[2].split(",");
+        if (channels.length !== 3) {
+            throw new Error("Pixel color must have 3 channels: '" + match[0] + "'");
+        }
+        pixel.color = channels.map(function(channel) {
+            var val = parseFloat(channel);
+            if (isNaN(val)) {
+                throw new Error("Invalid pixel color: '" + match[0] + "'");
+            }
+            return val;
+        });
+        pixels.push(pixel);
+    }
+    if (frameStr.substring(lastEnd).replace(/[\s,]/g, '')) {
+        throw new Error("Unexpected text in frame: '" + frameStr.substring(lastEnd) + "'");
+    }
+    return pixels;
+}
+
+/** Formats a parsed row or column position. */
+function formatPosition(position) {
+    if (position.relative) {
+        return "i" + (position.value ? (position.value > 0 ? "+" : "") + position.value : "");
+    }
+    return position.value + (position.percent ? "%" : "");
+}
+
+/**
+ * Checks whether a frame has pixels that are positioned relative to the triggering key.
+ *
+ * @param  {Array} pixels
+ *         The parsed pixels of the frame.
+ * @return {Boolean}
+ *         True if any pixel has a relative row or column.
+ */
+function isRelativeFrame(pixels) {
+    return pixels.some(function(pixel) {
+        return !!((pixel.row && pixel.row.relative) || (pixel.col && pixel.col.relative));
+    });
+}
+
+/**
+ * Formats a parsed pixel back into a pixel string, the reverse of parsePixel.
+ *
+ * @param  {Object} pixel
+ *         The parsed pixel.
+ * @return {String}
+ *         The pixel, such as "P[12-20](0,0,255)".
+ */
+function formatPixel(pixel) {
+    var address = [];
+    if (pixel.index !== undefined) {
+        address.push(pixel.index + (pixel.indexEnd !== undefined && pixel.indexEnd !== pixel.index ?
+                                    "-" + pixel.indexEnd : ""));
+    }
+    if (pixel.row) {
+        address.push("r:" + formatPosition(pixel.row));
+    }
+    if (pixel.col) {
+        address.push("c:" + formatPosition(pixel.col));
+    }
+    return "P[" + address.join(",") + "](" + pixel.color.join(",") + ")";
+}
+
+/**
+ * Formats parsed pixels back into a frame string, the reverse of parseFrame.
+ *
+ * @param  {Array} pixels
+ *         The parsed pixels.
+ * @return {String}
+ *         The frame.
+ */
+function formatFrame(pixels) {
+    return pixels.map(formatPixel).join(",");
+}
+
+module.exports = {
+    parsePixel: parsePixel,
+    parseFrame: parseFrame,
+    formatPixel: formatPixel,
+    formatFrame: formatFrame,
+    isRelativeFrame: isRelativeFrame
+};
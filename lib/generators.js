@@ -0,0 +1,1359 @@
+/**
+ * The animation generators. Each generator takes a keyboard context (see lib/keyboard.js) as its
+ * first argument, followed by the parameters that can be given in kiianiconf.json, and returns an
+ * animation object that can be dropped into the configurator json.
+ */
+
+'use strict';
+
+/* globals require, module */
+var pixels = require('./pixels');
+var getPixel = pixels.getPixel;
+var relativePosition = pixels.relativePosition;
+var linearInterpolate = pixels.linearInterpolate;
+var sineInterpolate = pixels.sineInterpolate;
+var colorBleed = pixels.colorBleed;
+var multiColorBleed = pixels.multiColorBleed;
+var normColor = pixels.normColor;
+var sortPixelFrame = pixels.sortPixelFrame;
+var defd = pixels.defd;
+var getShiftedArray = pixels.getShiftedArray;
+var profiles = require('./profiles');
+var hsvToRgb = require('./colors').hsvToRgb;
+var easing = require('./easing');
+var image = require('./image');
+var font = require('./font');
+var sprite = require('./sprite');
+var composite = require('./composite');
+var timing = require('./timing');
+var PROFILES = profiles.PROFILES;
+
+/**
+ * Lists the row and column offsets of the leds that are a given distance from a key, for drawing
+ * rings around it. Distances are in keys: a row is a key high, and a kll column half a key wide.
+ *
+ * @param  {Number} distance
+ *         The distance from the key, in keys.
+ * @return {Array}
+ *         The offsets, as [row, col] arrays.
+ */
+function ringOffsets(distance) {
+    var offsets = [];
+    for (var row = -distance; row <= distance; row++) {
+        for (var col = -distance * 2 - 1; col <= distance * 2 + 1; col++) {
+            if (Math.round(Math.sqrt(row * row + col * col / 4)) === distance) {
+                offsets.push([row, col]);
+            }
+        }
+    }
+    return offsets;
+}
+
+/**
+ * Gets the interpolation function for a generator's fades: the easing picked for the animation
+ * (see lib/easing.js), or the generator's own.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Function} interpolateFunc
+ *         The interpolation function the generator uses without an easing.
+ * @return {Function}
+ *         The interpolation function.
+ */
+function fadeInterpolate(kb, interpolateFunc) {
+    var ease = easing.getEasing(kb.easing);
+    return ease ? easing.easingInterpolate(ease) : interpolateFunc;
+}
+
+/** Gets the easing for a generator's fades, like fadeInterpolate, but as an easing function. */
+function fadeEasing(kb) {
+    return easing.getEasing(kb.easing) || easing.EASINGS.linear;
+}
+
+// The invader from the end of kiianigen.js, with a second drawing so that it can walk.
+var INVADER = [
+    ["#####",
+     "# # #",
+     "#####",
+     "#   #",
+     "## ##"],
+    ["#####",
+     "# # #",
+     "#####",
+     " # # ",
+     "#   #"]
+];
+
+// The key groups of the K-Type, kept for scripts that used them before there were keyboard
+// profiles. The generators use the key groups of the keyboard's profile.
+var KEY_GROUPS = PROFILES.ktype.keyGroups;
+
+// The steps from one color to the other of the breath generators, which breathe 12 times a minute
+// at a framedelay of 3: each color to the other is the inhale (or exhale) of a breath.
+var BREATH_STEPS = timing.steps(60 / 12 / 2, 3);
+
+/**
+ * Creates an animation that pulses the entire keyboard between colors.
+ *
+ * @param  {Number} frameDelay
+ *         The framedelay of the animation.
+ * @param  {Number} stepsPerColor
+ *         The number of frames used to get from one color to the next.
+ * @param  {Array} colorValues
+ *         The colors, optionally followed by the color space, as passed to multiColorBleed.
+ * @param  {Function} interpolateFunc
+ *         The interpolation function, or undefined for linearInterpolate.
+ * @return {Object}
+ *         An animation object.
+ */
+function colorPulse(frameDelay, stepsPerColor, colorValues, interpolateFunc) {
+    var colors = multiColorBleed.apply(null, [stepsPerColor, interpolateFunc].concat(colorValues));
+
+    var animation = {
+        "settings": "framedelay:" + frameDelay + ", framestretch, loop, replace:all, pfunc:interp",
+        "type": "animation",
+        "frames": []
+    };
+
+    var frames = [];
+    var frame, color;
+    for (var i = 0; i < colors.length; i++) {
+        frame = [];
+        color = colors[i];
+        frame.push(getPixel(null, "-1%", color[0], color[1], color[2]));
+        frame.push(getPixel(null, "101%", color[0], color[1], color[2]));
+        frames.push(frame.join(","));
+    }
+    animation.frames = frames;
+    return animation;
+}
+
+/**
+ * Creates an animation that pulses the entire keyboard between colors in the color space of the
+ * keyboard context, at the timing given in the conf (see lib/timing.js) or else at the given one.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Number} frameDelay
+ *         The framedelay to use if there is no timing in the conf.
+ * @param  {Number} stepsPerColor
+ *         The number of frames from one color to the next to use if there is no timing in the
+ *         conf.
+ * @param  {Array} colorValues
+ *         The colors, as arrays of [r,g,b].
+ * @param  {Function} interpolateFunc
+ *         The interpolation function.
+ * @return {Object}
+ *         An animation object.
+ */
+function timedColorPulse(kb, frameDelay, stepsPerColor, colorValues, interpolateFunc) {
+    var fit = timing.fitTiming(kb, {frameDelay: frameDelay, stepsPerBeat: stepsPerColor,
+                                    beats: colorValues.length});
+    return colorPulse(fit.frameDelay, fit.stepsPerBeat, colorValues.concat([kb.colorSpace]),
+                      interpolateFunc);
+}
+
+/**
+ * Creates an animation for pulsing between colors, using multiColorBleed to generate the array of
+ * colors used in the animation frames. This pulses the entire keyboard.
+ *
+ * @param  {Number} frameCountPerColor
+ *         The number of frames used to get from one color to the next.
+ * @param ...args
+ *        The colors that should be animated, as arrays of [r,g,b], optionally followed by the
+ *        color space to pulse through (see multiColorBleed) and the interpolation function to use
+ *        instead of linearInterpolate.
+ * @return {Object}
+ *         An animation object.
+ */
+function colorPulseGenerator(frameCountPerColor) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    var interpolateFunc;
+    if (typeof(args[args.length - 1]) === 'function') {
+        interpolateFunc = args.pop();
+    }
+    return colorPulse(3, frameCountPerColor, args, interpolateFunc);
+}
+
+/**
+ * Creates an animation in which colors pulse from one to another with breath-like cadence. Takes
+ * the same arguments as colorPulseGenerator, except that it uses sineInterpolate by default.
+ */
+function colorBreatheGenerator(breathsPerMinute) {
+    var FRAME_DELAY = 3;
+    var secondsPerBreath = 60 / breathsPerMinute;
+    // Half a breath so that the steps from one color to another is the inhale of a breath.
+    var stepsPerInhale = timing.steps(secondsPerBreath / 2, FRAME_DELAY);
+    var colorValues = Array.prototype.slice.call(arguments, 1);
+    var interpolateFunc = sineInterpolate;
+    if (typeof(colorValues[colorValues.length - 1]) === 'function') {
+        interpolateFunc = colorValues.pop();
+    }
+    return colorPulse(FRAME_DELAY, stepsPerInhale, colorValues, interpolateFunc);
+}
+
+// The generators are an object map of animation generators.
+var generators = {
+
+    /**
+     * Blinks random keys.
+     */
+    "dodgyPixel": function(kb, hiColor, bgColor) {
+        if (!hiColor) {
+            hiColor = [255, 255, 255];
+        }
+        if (!bgColor) {
+            bgColor = [25, 25, 25];
+        }
+        var animation = {
+            "settings": "framedelay:1, loop, replace:all",
+            "type": "animation",
+            "frames": []
+        };
+        var frames = [];
+        var frame = [];
+        for (var x = 0; x <= kb.maxRow; x++) {
+            for (var y = 0; y <= kb.maxCol; y++) {
+                frame.push(getPixel(x, y, bgColor[0], bgColor[1], bgColor[2]));
+            }
+        }
+        frames.push(frame.join(","));
+        for (var i = 0; i < 50; i++) {
+            var rx = Math.round(kb.random() * kb.maxRow);
+            var ry = Math.round(kb.random() * kb.maxCol);
+            frames.push(getPixel(rx, ry, hiColor[0], hiColor[1], hiColor[2]));
+            frames.push(getPixel(rx, ry, bgColor[0], bgColor[1], bgColor[2]));
+        }
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Makes your keyboard look vaguely like Kitt 200 from Knight Rider.
+     */
+    "kitt2000": function(kb, hiColor, bgColor, width) {
+        // console.info(arguments);
+        if (!hiColor) {
+            hiColor = [255, 0, 0];
+        }
+        if (!bgColor) {
+            bgColor = [0, 0, 0];
+        }
+        if (width === undefined) {
+            width = 5;
+        }
+
+        var animation = {
+            "settings": "framedelay:2, framestretch, loop, replace:all, pfunc:interp",
+            "type": "animation",
+            "frames": []
+        };
+        // Number of columns over which to bleed to bg color.
+        var bleed = width;
+        var bleedColors = colorBleed(hiColor, bgColor, bleed, null,
+                                     fadeInterpolate(kb, linearInterpolate), kb.colorSpace);
+        bleedColors.shift();
+        var reversedBleedColors = bleedColors.slice(0).reverse();
+        var lastBleedColor = colorBleed(hiColor, bgColor, bleed, bleed - 1,
+                                         fadeInterpolate(kb, linearInterpolate), kb.colorSpace);
+
+        var frames = [];
+        var steps = 50;
+        var step = 100 / steps;
+        var overflow = 1; // steps beyond which to go off the board
+        var columns = [];
+        var columnOverflowAdjustment = -1;
+        var minColumn = 0;// - ((bleed + columnOverflowAdjustment) * step);
+        var maxColumn = 102;// + ((bleed + columnOverflowAdjustment) * step);
+        var column = minColumn;
+        while (column <= maxColumn) {
+            columns.push(column);
+            column += step;
+        }
+        // console.info(columns);
+
+        function createKitt2000Frame(i) {
+            var col, j;
+            var frame = [];
+            frame.push(getPixel(null,
+                                "-2%",
+                                bgColor[0],
+                                bgColor[1],
+                                bgColor[2]));
+
+            if (reversedBleedColors.length - i in reversedBleedColors) {
+                frame.push(getPixel(null,
+                                    "0%",
+                                    reversedBleedColors[reversedBleedColors.length - i][0],
+                                    reversedBleedColors[reversedBleedColors.length - i][1],
+                                    reversedBleedColors[reversedBleedColors.length - i][2]));
+            } else if (reversedBleedColors.length - i < 0) {
+                frame.push(getPixel(null,
+                                    "0%",
+                                    bgColor[0],
+                                    bgColor[1],
+                                    bgColor[2]));
+                frame.push(getPixel(null,
+                                    (columns[i - reversedBleedColors.length]) + "%",
+                                    reversedBleedColors[0][0],
+                                    reversedBleedColors[0][1],
+                                    reversedBleedColors[0][2]));
+            }
+
+            frame.push(getPixel(null,
+                                columns[i] + "%",
+                                bleedColors[0][0],
+                                bleedColors[0][1],
+                                bleedColors[0][2]));
+
+            if (columns.length - i + 1 in reversedBleedColors) {
+                frame.push(getPixel(null,
+                                    "100%",
+                                    reversedBleedColors[columns.length - i + 1][0],
+                                    reversedBleedColors[columns.length - i + 1][1],
+                                    reversedBleedColors[columns.length - i + 1][2]));
+            } else if (i + reversedBleedColors.length < columns.length) {
+                frame.push(getPixel(null,
+                                    (columns[i + reversedBleedColors.length]) + "%",
+                                    reversedBleedColors[0][0],
+                                    reversedBleedColors[0][1],
+                                    reversedBleedColors[0][2]));
+                frame.push(getPixel(null,
+                                    "100%",
+                                    bgColor[0],
+                                    bgColor[1],
+                                    bgColor[2]));
+
+            }
+
+            frame.push(getPixel(null,
+                                "102%",
+                                bgColor[0],
+                                bgColor[1],
+                                bgColor[2]));
+
+            return frame;
+        }
+
+        var i;
+        for (i = 0; i < columns.length; i++) {
+            frames.push(createKitt2000Frame(i).join(","));
+        }
+        for (i = columns.length - 2; i > 1; i--) {
+            frames.push(createKitt2000Frame(i).join(","));
+        }
+
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Failed attempt to get a kitt2000 animation that goes top to bottom... something is wrong with
+     * it though...
+     */
+    "bluewipe": function(kb, maxFrames) {
+        var animation = {
+            "settings": "framedelay:3, framestretch, loop, replace:all, pfunc:interp",
+            "type": "animation",
+            "frames": []
+        };
+        var bgColor = [93, 93, 93];
+        var hiColor = [0, 26, 255];
+        // Number of columns over which to bleed to bg color.
+        var bleed = 5;
+        var bleedColors = colorBleed(hiColor, bgColor, bleed, null,
+                                     fadeInterpolate(kb, linearInterpolate), kb.colorSpace);
+        var lastBleedColor = colorBleed(hiColor, bgColor, bleed, bleed - 1,
+                                         fadeInterpolate(kb, linearInterpolate), kb.colorSpace);
+
+        var frames = [];
+        var steps = 50;
+        var step = 100 / steps;
+        var overflow = 1;
+        var frame;
+        var j;
+        for (var i = -overflow; i < steps + overflow + 1; i++) {
+            frame = [];
+            frame.push(getPixel(-2 + "%", null,
+                                bgColor[0],
+                                bgColor[1],
+                                bgColor[2]));
+            frame.push(getPixel(((i - overflow) * step) + "%",
+                                null,
+                                hiColor[0],
+                                hiColor[1],
+                                hiColor[2]));
+            frame.push(getPixel(102 + "%", null,
+                                bgColor[0],
+                                bgColor[1],
+                                bgColor[2]));
+
+            frames.push(frame.join(","));
+        }
+        for (i = steps + overflow + 1; i > -overflow - 1; i--) {
+            frame = [];
+            frame.push(getPixel(-2 + "%",
+                                null,
+                                bgColor[0],
+                                bgColor[1],
+                                bgColor[2]));
+            frame.push(getPixel(((i - overflow) * step) + "%",
+                                null,
+                                hiColor[0],
+                                hiColor[1],
+                                hiColor[2]));
+            frame.push(getPixel(102 + "%",
+                                null,
+                                bgColor[0],
+                                bgColor[1],
+                                bgColor[2]));
+            frames.push(frame.join(","));
+        }
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Breathes the entire keyboard between two colors, like the sleep light of the old MacBooks.
+     */
+    "macSleepBreath": function(kb, hiColor, loColor) {
+        if (!hiColor) {
+            hiColor = [255, 255, 255];
+        }
+        if (!loColor) {
+            loColor = [1, 1, 1];
+        }
+        return timedColorPulse(kb, 3, BREATH_STEPS, [hiColor, loColor],
+                               fadeInterpolate(kb, sineInterpolate));
+    },
+
+    /**
+     * Breathes the entire keyboard between green and blue.
+     */
+    "blueGreenBreath": function(kb) {
+        return timedColorPulse(kb, 3, BREATH_STEPS, [[0, 255, 0], [0, 0, 255]],
+                               fadeInterpolate(kb, sineInterpolate));
+    },
+
+    /**
+     * Pulse the keyboard top and bottom alternating blue and green, with a base spin.
+     */
+    "blueGreenBaseTopBreathSpin": function(kb) {
+        // 6.4 seconds a breath makes 64 frames, which is twice round the 32 leds of the K-Type
+        // base.
+        var secondsPerBreath = 6.4;
+        // Half a breath so that the steps from one color to another is the inhale of a breath.
+        var fit = timing.fitTiming(kb, {frameDelay: 10,
+                                        stepsPerBeat: timing.steps(secondsPerBreath / 2, 10),
+                                        beats: 2});
+        var stepsPerInhale = fit.stepsPerBeat;
+        var topColors = multiColorBleed(stepsPerInhale, fadeInterpolate(kb, sineInterpolate),
+                                        [0, 255, 0], [0, 0, 255], kb.colorSpace);
+        var botColors = multiColorBleed(stepsPerInhale, fadeInterpolate(kb, sineInterpolate),
+                                        [0, 0, 255], [0, 255, 0], kb.colorSpace);
+
+        var animation = {
+            "settings": "framedelay:" + fit.frameDelay +
+                        ", framestretch, loop, replace:all, pfunc:interp",
+            "type": "animation",
+            "frames": []
+        };
+
+        var i, p;
+        var frames = [];
+        var topLeds = kb.profile.topLeds;
+        var baseIds = kb.profile.underglow.slice(0);
+        var frame, color;
+        for (i = 0; i < topColors.length; i++) {
+            frame = [];
+            var botColor = botColors[i];
+            var topColor = topColors[i];
+
+            // Do keyboard color
+            frame.push(getPixel(null, null, topColor[0], topColor[1], topColor[2], topLeds[0]));
+            frame.push(getPixel(null, null, topColor[0], topColor[1], topColor[2], topLeds[1]));
+
+            // color the base
+            var popped = baseIds.pop();
+            baseIds.unshift(popped);
+            for (var j = 0; j < baseIds.length; j++) {
+                var perc = j / baseIds.length;
+                frame.push(getPixel(null,
+                                    null,
+                                    normColor(botColor[0] * perc),
+                                    normColor(botColor[1] * perc),
+                                    normColor(botColor[2] * perc),
+                                    baseIds[j]));
+            }
+
+            frames.push(frame.join(","));
+        }
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Fades each key group of the keyboard profile through the colors, with each group a color
+     * ahead of the one before it.
+     */
+    "keyGroupCycler": function(kb, stepsPerColor) {
+        if (stepsPerColor === undefined || stepsPerColor === null) {
+            stepsPerColor = 16;
+        }
+        var colorValues = Array.prototype.slice.call(arguments, 2);
+        if (!defd(colorValues[0])) {
+            colorValues[0] = [0, 255, 0];
+        }
+        if (!defd(colorValues[1])) {
+            colorValues[1] = [0, 0, 255];
+        }
+        var colorCount = colorValues.length;
+        var fit = timing.fitTiming(kb, {frameDelay: 10, stepsPerBeat: stepsPerColor,
+                                        beats: colorCount});
+        stepsPerColor = fit.stepsPerBeat;
+
+        var animation = {
+            "settings": "framedelay:" + fit.frameDelay +
+                        ", framestretch, loop, replace:all",//, pfunc:interp",
+            "type": "animation",
+            "frames": []
+        };
+
+        var curColors = colorValues.slice(0);
+        var keyGroups = kb.profile.keyGroups;
+        var keyGroupNames = Object.keys(keyGroups);
+        var colorArrays = {};
+        var keyGroupFrames = [];
+        var frameCount = 0;
+        for (var i = 0; i < keyGroupNames.length; i++) {
+            colorArrays[keyGroupNames[i]] = curColors.slice(0);
+            keyGroupFrames[keyGroupNames[i]] =
+                multiColorBleed.apply(null, [stepsPerColor, fadeInterpolate(kb, sineInterpolate)]
+                                      .concat(colorArrays[keyGroupNames[i]], [kb.colorSpace]));
+            frameCount = keyGroupFrames[keyGroupNames[i]].length;
+            curColors = getShiftedArray(curColors);
+        }
+
+        var frames = [];
+
+        function keyToId(key) {
+            if (typeof(key) === 'string') {
+                key = kb.ledIdByScanCode[key];
+            }
+            return key;
+        }
+        // function createPixelFromKey(key, color) {
+        //     if (typeof(key) === 'string') {
+        //         key = kb.ledIdByScanCode[key];
+        //     }
+        //     return getPixel(null, null, color[0], color[1], color[2], key);
+        // }
+
+        // XXX: using interpolation and providing key ranges here did not seem to work properly...
+        // now using explicit led assignments, which is very heavy...
+
+        for (i = 0; i < frameCount; i++) {
+            var frame = [];
+            for (var g in keyGroups) {
+                var keys = keyGroups[g];
+                var color = keyGroupFrames[g][i];
+                for (var j = 0; j < keys.length; j++) {
+                    if (Array.isArray(keys[j])) {
+                        var id0 = keyToId(keys[j][0]);
+                        var idN = keyToId(keys[j][1]);
+                        for (var k = id0; k <= idN; k++) {
+                            frame.push(getPixel(null, null, color[0], color[1], color[2], k));
+                        }
+                        // frame.push(createPixelFromKey(keys[j][0], color));
+                        // frame.push(createPixelFromKey(keys[j][1], color));
+                    } else {
+                        // frame.push(createPixelFromKey(keys[j], color));
+                        frame.push(getPixel(null, null, color[0], color[1], color[2],
+                                            keyToId(keys[j])));
+                    }
+                }
+            }
+            frames.push(frame.join(","));
+        }
+
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Pulse the keyboard top and botttom with alternating colors, and display a symmetric tracer
+     * animation on the base (colors start on bottom front and wrap to the right and left around to
+     * the back.
+     *
+     * @param  {Number} stepsPerColor
+     *         The steps per color. If you want there to be 64 total frames, and there are 2 colors,
+     *         then this value should be 32.
+     * @param  {Array[s]} ...colors
+     *         The colors to use in the animation.
+     * @return {Object}
+     *         The animation object.
+     */
+    "verticalPulseWithTracers": function(kb, stepsPerColor) {
+        if (stepsPerColor === undefined || stepsPerColor === null) {
+            stepsPerColor = 32;
+        }
+        var colorValues = Array.prototype.slice.call(arguments, 2);
+        if (!defd(colorValues[0])) {
+            colorValues[0] = [0, 255, 0];
+        }
+        if (!defd(colorValues[1])) {
+            colorValues[1] = [0, 0, 255];
+        }
+        var colorCount = colorValues.length;
+
+        var i;
+        // Set up the animation frames for the symmetrical tracers
+        //                                |
+        //           105 106 107 108 109 110 111 112 114 115
+        //       104                                         116
+        //   103                                                 117
+        // --102                                                 118--
+        //   101                                                 119
+        //       100                                             88
+        //           99  98  97  96  95  94  93  92  91  90  89
+        //                                |
+        var sides = profiles.underglowSides(kb.profile);
+        var ltSide = sides.left;
+        var rtSide = sides.right;
+        var frontLed = ltSide[0];
+        var backLed = ltSide[ltSide.length - 1];
+
+        var fit = timing.fitTiming(kb, {frameDelay: 5, stepsPerBeat: stepsPerColor,
+                                        beats: colorCount, minSteps: ltSide.length});
+        var stepsPerInhale = fit.stepsPerBeat;
+
+        // The steps per inhale at a minimum needs to be the 17 of the ltSide and rtSide above. This
+        // color pulsing is pretty fast as it is...
+        if (ltSide.length > stepsPerInhale) {
+            stepsPerInhale = ltSide.length;
+        }
+        // We need to sync the tracer animation so that it can complete full rounds during the
+        // entire color pulse animation.
+        var actualStepsPerInhale = stepsPerInhale;
+
+        // var pulseCount = colorCount
+        if ((colorCount * actualStepsPerInhale) % ltSide.length > 0) {
+            var currentLoops = Math.floor((colorCount *
+                                           actualStepsPerInhale) / ltSide.length);
+            var diff = (colorCount * actualStepsPerInhale) - (ltSide.length * currentLoops);
+            var addSteps = Math.ceil(diff / currentLoops);
+            for (i = 0; i < addSteps; i++) {
+                ltSide.push(null);
+                rtSide.push(null);
+            }
+            if (ltSide.length * currentLoops > actualStepsPerInhale * colorCount) {
+                stepsPerInhale = Math.round(ltSide.length * currentLoops / colorCount);
+            }
+        }
+
+        // Now set up the pulsing colors
+        // var topColors = multiColorBleed(stepsPerInhale, sineInterpolate, color1, color2);
+        // var botColors = multiColorBleed(stepsPerInhale, sineInterpolate, color2, color1);
+        var topColors = multiColorBleed.apply(null, [stepsPerInhale,
+                                               fadeInterpolate(kb, sineInterpolate)]
+                                              .concat(colorValues, [kb.colorSpace]));
+        var shiftedColors = colorValues.slice(0);
+        shiftedColors.push(shiftedColors.shift());
+        var botColors = multiColorBleed.apply(null, [stepsPerInhale,
+                                               fadeInterpolate(kb, sineInterpolate)]
+                                              .concat(shiftedColors, [kb.colorSpace]));
+
+        var animation = {
+            "settings": "framedelay:" + fit.frameDelay +
+                        ", framestretch, loop, replace:all, pfunc:interp",
+            "type": "animation",
+            "frames": []
+        };
+
+        var p;
+        var frames = [];
+        var topLeds = kb.profile.topLeds;
+        var baseIds = kb.profile.underglow.slice(0);
+
+        var frame, color;
+        for (i = 0; i < topColors.length; i++) {
+            frame = [];
+            var botColor = botColors[i];
+            var topColor = topColors[i];
+
+            // Do keyboard color
+            frame.push(getPixel(null, null, topColor[0], topColor[1], topColor[2], topLeds[0]));
+            frame.push(getPixel(null, null, topColor[0], topColor[1], topColor[2], topLeds[1]));
+
+            // Do base colors
+            var onIntensity = 1;
+            var offIntensity = 0.05;
+            for (var j = 0; j < ltSide.length; j++) {
+                var perc = j / ltSide.length;
+                if (ltSide[j] !== null) {
+                    if (j > ltSide.length - 4) {
+                        frame.push(getPixel(null,
+                                            null,
+                                            normColor(botColor[0] * onIntensity),
+                                            normColor(botColor[1] * onIntensity),
+                                            normColor(botColor[2] * onIntensity),
+                                            ltSide[j]));
+                        if (ltSide[j] !== frontLed && ltSide[j] !== backLed) {
+                            frame.push(getPixel(null,
+                                                null,
+                                                normColor(botColor[0] * onIntensity),
+                                                normColor(botColor[1] * onIntensity),
+                                                normColor(botColor[2] * onIntensity),
+                                                rtSide[j]));
+                        }
+                    } else {
+                        frame.push(getPixel(null,
+                                            null,
+                                            normColor(botColor[0] * offIntensity),
+                                            normColor(botColor[1] * offIntensity),
+                                            normColor(botColor[2] * offIntensity),
+                                            ltSide[j]));
+                        if (ltSide[j] !== frontLed && ltSide[j] !== backLed) {
+                            frame.push(getPixel(null,
+                                                null,
+                                                normColor(botColor[0] * offIntensity),
+                                                normColor(botColor[1] * offIntensity),
+                                                normColor(botColor[2] * offIntensity),
+                                                rtSide[j]));
+                        }
+                    }
+                }
+            }
+            sortPixelFrame(frame);
+            frames.push(frame.join(","));
+
+            // color the base
+            var lPop = ltSide.shift();
+            ltSide.push(lPop);
+            var rPop = rtSide.shift();
+            rtSide.push(rPop);
+        }
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Pulse the keyboard top and bottom alternating blue and green.
+     */
+    "baseTopBreath": function(kb, color1, color2) {
+        if (!color1) {
+            color1 = [0, 255, 0];
+        }
+        if (!color2) {
+            color2 = [0, 0, 255];
+        }
+        var fit = timing.fitTiming(kb, {frameDelay: 3, stepsPerBeat: BREATH_STEPS, beats: 2});
+        var stepsPerInhale = fit.stepsPerBeat;
+        var topColors = multiColorBleed(stepsPerInhale, fadeInterpolate(kb, sineInterpolate),
+                                        color1, color2, kb.colorSpace);
+        var botColors = multiColorBleed(stepsPerInhale, fadeInterpolate(kb, sineInterpolate),
+                                        color2, color1, kb.colorSpace);
+
+        var animation = {
+            "settings": "framedelay:" + fit.frameDelay +
+                        ", framestretch, loop, replace:all, pfunc:interp",
+            "type": "animation",
+            "frames": []
+        };
+
+        var i, p;
+        var frames = [];
+        var topLeds = kb.profile.topLeds;
+        var ring = kb.profile.underglow;
+        var frame, color;
+        for (i = 0; i < topColors.length; i++) {
+            frame = [];
+            var botColor = botColors[i];
+            var topColor = topColors[i];
+            // Do interpolation between the top keys and bottom keys
+            frame.push(getPixel(null, null, topColor[0], topColor[1], topColor[2], topLeds[0]));
+            frame.push(getPixel(null, null, topColor[0], topColor[1], topColor[2], topLeds[1]));
+            frame.push(getPixel(null, null, botColor[0], botColor[1], botColor[2], ring[0]));
+            frame.push(getPixel(null, null, botColor[0], botColor[1], botColor[2],
+                                ring[ring.length - 1]));
+            frames.push(frame.join(","));
+        }
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Pulse the entire keyboard red.
+     */
+    "redPulse": function(kb) {
+        return timedColorPulse(kb, 3, 240, [[255, 25, 0], [0, 0, 0]],
+                               fadeInterpolate(kb, linearInterpolate));
+    },
+
+    /**
+     * Pulse the entire keyboard between colors, linearly.
+     */
+    "linearPulse": function(kb, hiColor, loColor) {
+        if (!hiColor) {
+            hiColor = [255, 25, 0];
+        }
+        if (!loColor) {
+            loColor = [0, 0, 0];
+        }
+        return timedColorPulse(kb, 3, 240, [hiColor, loColor],
+                               fadeInterpolate(kb, linearInterpolate));
+    },
+
+    /**
+     * Pulse the entire keyboard blue to yellow.
+     */
+    "blueYellowPulse": function(kb) {
+        return timedColorPulse(kb, 3, 240, [[0, 0, 255], [255, 255, 0]],
+                               fadeInterpolate(kb, linearInterpolate));
+    },
+
+    /**
+     * Pulse the entire keyboard red to green to blue.
+     */
+    "rgbPulse": function(kb) {
+        return timedColorPulse(kb, 3, 120, [[255, 0, 0], [0, 255, 0], [0, 0, 255]],
+                               fadeInterpolate(kb, linearInterpolate));
+    },
+
+    /**
+     * Pulse the entire keyboard red to green to blue with white in between.
+     */
+    "rgbZebraPulse": function(kb) {
+        return timedColorPulse(kb, 3, 120,
+                               [[255, 0, 0],
+                                [255, 255, 255],
+                                [0, 255, 0],
+                                [255, 255, 255],
+                                [0, 0, 255],
+                                [255, 255, 255]],
+                               fadeInterpolate(kb, linearInterpolate));
+    },
+
+    /**
+     * Animates the entire keyboard with TV static.
+     */
+    "whiteNoise": function(kb, maxFrames) {
+        var animation = {
+            "settings": "framedelay:1, loop, replace:all",
+            "type": "animation",
+            "frames": []
+        };
+        // console.info("whitenoise");
+        var frames = [];
+        var ledIds = profiles.profileLeds(kb.profile);
+        if (!maxFrames) {
+            maxFrames = 20;
+        }
+        var maxIntensity = 153;
+        for (var f = 0; f < maxFrames; f++) {
+            var frame = [];
+            var stepsPer = 20;
+            for (var p = 0; p < ledIds.length; p++) {
+                var rIntensity = Math.floor(kb.random() * maxIntensity);
+                var px = getPixel(null, null, rIntensity, rIntensity, rIntensity, ledIds[p]);
+                frame.push(px);
+            }
+            frames.push(frame.join(","));
+        }
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * An example using the led data to fill in the pixels for the base and the keys differently;
+     * in this case, the base leds are green and the keys are blue.
+     */
+    "topAndBottom": function(kb) {
+        var i;
+        var animation = {
+            "settings": "framedelay:5, loop, replace:all",
+            "type": "animation",
+            "frames": []
+        };
+        var frames = [];
+        var frame = [];
+        for (i = 0; i < kb.blankLeds.length; i++) {
+            frame.push(getPixel(null, null, 0, 255, 0, kb.blankLeds[i].id));
+        }
+        for (i = 0; i < kb.keyedLeds.length; i++) {
+            frame.push(getPixel(null, null, 0, 0, 255, kb.keyedLeds[i].id));
+        }
+        frames.push(frame.join(","));
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Lights the top leds green and spins a blue gradient around the base.
+     */
+    "topAndBottom2": function(kb) {
+        var i;
+        var animation = {
+            "settings": "framedelay:5, loop, replace:all, pfunc:interp",
+            "type": "animation",
+            "frames": []
+        };
+        var topColor = [0,255,0];
+        var botColor = [0,0,255];
+        var frames = [];
+        var topLeds = kb.profile.topLeds;
+        var ids = kb.profile.underglow.slice(0);
+        for (i = 0; i < kb.profile.underglow.length; i++) {
+            var frame = [];
+            // color the top
+            frame.push(getPixel(null, null, topColor[0], topColor[1], topColor[2], topLeds[0]));
+            frame.push(getPixel(null, null, topColor[0], topColor[1], topColor[2], topLeds[1]));
+
+            // color the base
+            var popped = ids.pop();
+            ids.unshift(popped);
+            for (var j = 0; j < ids.length; j++) {
+                var perc = j / ids.length;
+                frame.push(getPixel(null,
+                                    null,
+                                    normColor(botColor[0] * perc),
+                                    normColor(botColor[1] * perc),
+                                    normColor(botColor[2] * perc),
+                                    ids[j]));
+            }
+            frames.push(frame.join(","));
+        }
+
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Testing out flashing random colors on the first and last keys of the top row of keys, which
+     * on the ktype are the escape and pause keys (pixel ids 1 and 16).
+     */
+    "escapeTest": function(kb) {
+        var animation = {
+            "settings": "framedelay:1, loop, replace:all",
+            "type": "animation",
+            "frames": []
+        };
+        var topLeds = kb.profile.topLeds;
+        var firstId = topLeds[0];
+        var lastId = firstId;
+        var topRow = kb.pixelIds[firstId] && kb.pixelIds[firstId].Row;
+        for (var id = firstId; id <= topLeds[1]; id++) {
+            if (kb.pixelIds[id] && kb.pixelIds[id].Row === topRow) {
+                lastId = id;
+            }
+        }
+        var frames = [];
+        for (var i = 0; i < 10; i++) {
+            var frame = [];
+            frame.push(getPixel(null,
+                                null,
+                                Math.floor(kb.random() * 255),
+                                Math.floor(kb.random() * 0),
+                                Math.floor(kb.random() * 0),
+                                firstId));
+            frame.push(getPixel(null,
+                                null,
+                                Math.floor(kb.random() * 255),
+                                Math.floor(kb.random() * 0),
+                                Math.floor(kb.random() * 0),
+                                lastId));
+            frames.push(frame.join(","));
+        }
+
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Cycles the keyboard through the colors of the rainbow, spread across the columns. The
+     * rainbow is a fade in HSV from red to green to blue and back to red.
+     */
+    "rainbowCycle": function(kb, cycleFrames, spread, saturation, brightness) {
+        if (!cycleFrames) {
+            cycleFrames = 120;
+        }
+        if (spread === undefined || spread === null) {
+            spread = 1;
+        }
+        if (saturation === undefined || saturation === null) {
+            saturation = 100;
+        }
+        if (brightness === undefined || brightness === null) {
+            brightness = 100;
+        }
+        var primaries = [0, 120, 240].map(function(hue) {
+            return hsvToRgb(hue, saturation / 100, brightness / 100).map(normColor);
+        });
+        var fit = timing.fitTiming(kb, {frameDelay: 3, stepsPerBeat: cycleFrames, beats: 1,
+                                        minSteps: 3});
+        var rainbow = multiColorBleed.apply(null, [Math.max(Math.round(fit.stepsPerBeat / 3), 1),
+                                                   fadeInterpolate(kb, linearInterpolate)]
+                                                  .concat(primaries, ["hsv"]));
+
+        var animation = {
+            "settings": "framedelay:" + fit.frameDelay + ", loop",
+            "type": "animation",
+            "frames": []
+        };
+        var frames = [];
+        for (var i = 0; i < rainbow.length; i++) {
+            var frame = [];
+            for (var col = 0; col <= kb.maxCol; col++) {
+                var shift = Math.round(col / (kb.maxCol + 1) * rainbow.length * spread);
+                var color = rainbow[(i + shift) % rainbow.length];
+                frame.push(getPixel(null, col, color[0], color[1], color[2]));
+            }
+            frames.push(frame.join(","));
+        }
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Shows a PNG image, or plays a horizontal sprite sheet of them, see lib/image.js.
+     */
+    "image": function(kb, file, frameWidth, fit, frameDelay) {
+        if (!fit) {
+            fit = "stretch";
+        }
+        if (!frameDelay) {
+            frameDelay = 10;
+        }
+        var animation = {
+            "settings": "framedelay:" + frameDelay + ", framestretch, loop, replace:all",
+            "type": "animation",
+            "frames": []
+        };
+        animation.frames = image.readSpriteSheet(file, frameWidth).map(function(frame) {
+            return image.sampleFrame(kb, frame, fit);
+        });
+        return animation;
+    },
+
+    /**
+     * Scrolls text across the keys, see lib/font.js for the characters that can be used. The text
+     * is written on the 5 middle rows of keys, a key per font pixel. Every other led gets the
+     * background color, or, with mirrorBase, the base leds show the top or bottom row of the text
+     * above or below them.
+     */
+    "marquee": function(kb, text, fgColor, bgColor, speed, direction, mirrorBase) {
+        if (text === undefined) {
+            text = "KIIANIGEN";
+        }
+        if (!fgColor) {
+            fgColor = [255, 255, 255];
+        }
+        if (!bgColor) {
+            bgColor = [0, 0, 0];
+        }
+        if (!speed) {
+            speed = 8;
+        }
+        var rows;
+        try {
+            rows = font.renderText(text);
+        } catch (err) {
+            err.param = "text";
+            throw err;
+        }
+        // Without replace:all, so that the optimizer can drop the leds that don't change from one
+        // frame to the next, which is most of them.
+        var animation = {
+            "settings": "framedelay:" + Math.max(Math.round(100 / speed), 1) + ", loop",
+            "type": "animation",
+            "frames": []
+        };
+
+        // The text goes on the middle rows of keys, and a kll column is half a key wide.
+        var keyRows = [];
+        kb.keyedLeds.forEach(function(led) {
+            var px = kb.pixelIds[led.id];
+            if (px && keyRows.indexOf(px.Row) === -1) {
+                keyRows.push(px.Row);
+            }
+        });
+        keyRows.sort(function(a, b) {
+            return a - b;
+        });
+        var textRows = keyRows.slice(Math.max(Math.floor((keyRows.length - rows.length) / 2), 0));
+        var gridWidth = Math.floor(kb.maxCol / 2) + 1;
+        var textWidth = rows[0].length;
+        var baseLeds = kb.profile.underglow;
+
+        // Each led shows a row of the text, or nothing (-1).
+        var leds = [];
+        for (var id in kb.pixelIds) {
+            var px = kb.pixelIds[id];
+            var textRow = textRows.indexOf(px.Row);
+            if (mirrorBase && baseLeds.indexOf(parseInt(id, 10)) > -1) {
+                textRow = px.Row <= textRows[0] ? 0 : rows.length - 1;
+            }
+            leds.push({id: id, col: Math.floor(px.Col / 2),
+                       row: textRow < rows.length ? textRow : -1});
+        }
+
+        var frames = [];
+        for (var offset = 1 - gridWidth; offset <= textWidth; offset++) {
+            /*jshint loopfunc: true */
+            frames.push(leds.map(function(led) {
+                var col = led.col + offset;
+                var lit = led.row > -1 && col >= 0 && col < textWidth &&
+                          rows[led.row][col] === '#';
+                var color = lit ? fgColor : bgColor;
+                return getPixel(null, null, color[0], color[1], color[2], led.id);
+            }).join(","));
+        }
+        if (direction === 'right') {
+            frames.reverse();
+        }
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Moves a sprite drawn as strings along a path, see lib/sprite.js. Without a sprite, the
+     * invader from the end of kiianigen.js walks across the middle of the keyboard.
+     */
+    "sprite": function(kb, drawing, palette, path, loop, frameDelay, cycleSteps) {
+        drawing = drawing || INVADER;
+        palette = palette || {"#": [0, 255, 0]};
+        loop = loop || "wrap";
+        frameDelay = frameDelay || 15;
+        cycleSteps = cycleSteps || 2;
+        var gridWidth = Math.floor(kb.maxCol / 2) + 1;
+        var gridHeight = kb.maxRow + 1;
+        var drawings = sprite.spriteFrames(drawing);
+        if (!path) {
+            var width = drawings[0][0].length;
+            var top = Math.floor((gridHeight - drawings[0].length) / 2);
+            path = [[top, -width], [top, gridWidth - width]];
+        }
+
+        // The kll columns of the leds under each key, by key row and column.
+        var ledCols = {};
+        for (var id in kb.pixelIds) {
+            var px = kb.pixelIds[id];
+            var key = px.Row + ":" + Math.floor(px.Col / 2);
+            (ledCols[key] = ledCols[key] || []).push(px.Col);
+        }
+
+        // The color of each led that is lit in a frame, by kll row and column.
+        var litFrames = sprite.spriteTimeline(drawing, path, loop, cycleSteps).map(function(step) {
+            var lit = {};
+            step.drawing.forEach(function(line, y) {
+                line.split("").forEach(function(ch, x) {
+                    if (ch === ' ') {
+                        return;
+                    }
+                    if (!palette[ch]) {
+                        var err = new Error("'" + ch + "' is in the sprite, but not in the " +
+                                            "palette");
+                        err.param = "palette";
+                        throw err;
+                    }
+                    var row = step.row + y, col = step.col + x;
+                    if (loop === 'wrap') {
+                        row = (row % gridHeight + gridHeight) % gridHeight;
+                        col = (col % gridWidth + gridWidth) % gridWidth;
+                    }
+                    (ledCols[row + ":" + col] || []).forEach(function(ledCol) {
+                        lit[row + ":" + ledCol] = palette[ch];
+                    });
+                });
+            });
+            return lit;
+        });
+
+        // Each frame draws the sprite and turns off what was lit in the frame before it.
+        var animation = {
+            "settings": "framedelay:" + frameDelay + ", loop",
+            "type": "animation",
+            "frames": litFrames.map(function(lit, idx) {
+                var prev = litFrames[(idx || litFrames.length) - 1];
+                var frame = [];
+                Object.keys(prev).forEach(function(pos) {
+                    if (!lit[pos]) {
+                        var rc = pos.split(":");
+                        frame.push(getPixel(rc[0], rc[1], 0, 0, 0));
+                    }
+                });
+                Object.keys(lit).forEach(function(pos) {
+                    var rc = pos.split(":");
+                    frame.push(getPixel(rc[0], rc[1], lit[pos][0], lit[pos][1], lit[pos][2]));
+                });
+                return frame.join(",");
+            })
+        };
+        return animation;
+    },
+
+    /**
+     * Layers other generators, each in a region of the keyboard, such as a breath on the keys
+     * with a tracer on the base. See lib/composite.js for the regions, blend modes and timings.
+     *
+     * @param  {Array} layers
+     *         The layers, bottom first, as objects with the "region", the "generator" and its
+     *         "params", and the "blend" mode.
+     * @param  {String} timing
+     *         How the layers are lined up in time, "lcm" or "resample".
+     * @return {Object}
+     *         The animation object.
+     */
+    "composite": function(kb, layers, timing) {
+        if (!layers) {
+            layers = [{region: "KEYS", generator: "keyGroupCycler"},
+                      {region: "BASE", generator: "topAndBottom2"}];
+        }
+        if (!timing) {
+            timing = "lcm";
+        }
+        return composite.composeLayers(kb, layers.map(function(layer, idx) {
+            var gen = generators[layer.generator];
+            if (!gen || layer.generator === 'composite') {
+                throw composite.paramError("layers", "layer " + (idx + 1) + " has no generator " +
+                                                     "that can be layered");
+            }
+            var animation;
+            try {
+                animation = gen.apply(null, [kb].concat(layer.params || []));
+            } catch (err) {
+                if (err.param) {
+                    err.message = "layer " + (idx + 1) + " (" + layer.generator + "): " +
+                                  err.message;
+                    err.param = "layers";
+                }
+                throw err;
+            }
+            return {
+                animation: animation,
+                leds: composite.regionLeds(kb, layer.region),
+                blend: layer.blend
+            };
+        }), timing);
+    },
+
+    // The generators below are reactive: their pixels are positioned relative to the key that
+    // triggers them (see lib/reactive.js), and they play once on top of whatever is running.
+
+    /**
+     * Sends a ring out from the pressed key, fading behind it as it grows.
+     */
+    "ripple": function(kb, color, radius) {
+        if (!color) {
+            color = [0, 128, 255];
+        }
+        if (radius === undefined) {
+            radius = 4;
+        }
+        var animation = {
+            "settings": "framedelay:3",
+            "type": "animation",
+            "frames": []
+        };
+        var frames = [];
+        // Each ring is lit at full, then half brightness, then turned off.
+        var brightness = [1, 0.5, 0];
+        for (var f = 0; f < radius + brightness.length; f++) {
+            var frame = [];
+            for (var b = 0; b < brightness.length; b++) {
+                var ring = f - b;
+                if (ring < 0 || ring > radius) {
+                    continue;
+                }
+                /*jshint loopfunc: true */
+                ringOffsets(ring).forEach(function(offset) {
+                    frame.push(getPixel(relativePosition(offset[0]),
+                                        relativePosition(offset[1]),
+                                        normColor(color[0] * brightness[b]),
+                                        normColor(color[1] * brightness[b]),
+                                        normColor(color[2] * brightness[b])));
+                });
+            }
+            frames.push(frame.join(","));
+        }
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Lights up the pressed key and fades it out.
+     */
+    "keySplash": function(kb, color, fadeFrames) {
+        if (!color) {
+            color = [255, 255, 255];
+        }
+        if (fadeFrames === undefined) {
+            fadeFrames = 25;
+        }
+        var animation = {
+            "settings": "framedelay:2",
+            "type": "animation",
+            "frames": []
+        };
+        var frames = [];
+        for (var f = 0; f <= fadeFrames; f++) {
+            var perc = 1 - fadeEasing(kb)(f / fadeFrames);
+            frames.push(getPixel(relativePosition(0),
+                                 relativePosition(0),
+                                 normColor(color[0] * perc),
+                                 normColor(color[1] * perc),
+                                 normColor(color[2] * perc)));
+        }
+        animation.frames = frames;
+        return animation;
+    },
+
+    /**
+     * Sweeps out from the pressed key to both ends of its row, with a fading tail.
+     */
+    "rowSweep": function(kb, color, tail) {
+        if (!color) {
+            color = [255, 0, 128];
+        }
+        if (tail === undefined) {
+            tail = 3;
+        }
+        var animation = {
+            "settings": "framedelay:2",
+            "type": "animation",
+            "frames": []
+        };
+        var frames = [];
+        // kll columns are half a key wide, so the sweep moves 2 columns (a key) a frame, and has
+        // to go the whole width of the keyboard to reach the end of the row from either end.
+        var keys = Math.ceil(kb.maxCol / 2);
+        for (var f = 0; f <= keys + tail; f++) {
+            var frame = [];
+            for (var t = 0; t <= tail; t++) {
+                var distance = f - t;
+                if (distance < 0 || distance > keys) {
+                    continue;
+                }
+                var perc = 1 - fadeEasing(kb)(t / tail);
+                var offsets = distance ? [distance * 2, -distance * 2] : [0];
+                for (var o = 0; o < offsets.length; o++) {
+                    frame.push(getPixel(relativePosition(0),
+                                        relativePosition(offsets[o]),
+                                        normColor(color[0] * perc),
+                                        normColor(color[1] * perc),
+                                        normColor(color[2] * perc)));
+                }
+            }
+            frames.push(frame.join(","));
+        }
+        animation.frames = frames;
+        return animation;
+    }
+};
+
+module.exports = {
+    generators: generators,
+    colorPulseGenerator: colorPulseGenerator,
+    colorBreatheGenerator: colorBreatheGenerator,
+    KEY_GROUPS: KEY_GROUPS
+};
@@ -0,0 +1,266 @@
+/**
+ * A small, pure javascript animated GIF encoder. Every frame gets its own color table, which for
+ * keyboard drawings is nearly always enough to keep the colors exact; frames with more than 256
+ * colors are reduced with a median cut.
+ */
+
+'use strict';
+
+/* globals module, Buffer */
+
+/**
+ * Reduces a list of colors to at most the given number, using a median cut.
+ *
+ * @param  {Array} colors
+ *         The colors, as [r, g, b] arrays.
+ * @param  {Number} maxColors
+ *         The maximum number of colors in the palette.
+ * @return {Array}
+ *         The palette, as [r, g, b] arrays.
+ */
+function medianCut(colors, maxColors) {
+    var boxes = [colors];
+    while (boxes.length < maxColors) {
+        // Split the box with the widest range of any channel.
+        var best = -1, bestChannel = 0, bestRange = 0;
+        for (var b = 0; b < boxes.length; b++) {
+            for (var c = 0; c < 3; c++) {
+                var min = 255, max = 0;
+                for (var i = 0; i < boxes[b].length; i++) {
+                    min = Math.min(min, boxes[b][i][c]);
+                    max = Math.max(max, boxes[b][i][c]);
+                }
+                if (max - min > bestRange) {
+                    best = b;
+                    bestChannel = c;
+                    bestRange = max - min;
+                }
+            }
+        }
+        if (best === -1) {
+            break;
+        }
+        /*jshint loopfunc: true */
+        var box = boxes[best].slice(0).sort(function(x, y) {
+            return x[bestChannel] - y[bestChannel];
+        });
+        var half = Math.ceil(box.length / 2);
+        boxes.splice(best, 1, box.slice(0, half), box.slice(half));
+    }
+    return boxes.map(function(box) {
+        var sum = [0, 0, 0];
+        box.forEach(function(color) {
+            sum[0] += color[0];
+            sum[1] += color[1];
+            sum[2] += color[2];
+        });
+        return sum.map(function(channel) {
+            return Math.round(channel / box.length);
+        });
+    });
+}
+
+/**
+ * Creates the color table for a frame and maps its pixels to indexes in it.
+ *
+ * @param  {Uint8Array} pixels
+ *         The r,g,b bytes of the frame.
+ * @return {Object}
+ *         The "palette" (an array of [r, g, b]) and the "indices" of each pixel.
+ */
+function indexColors(pixels) {
+    var count = pixels.length / 3;
+    var indices = new Uint8Array(count);
+    var seen = new Map();
+    var colors = [];
+    var i, key;
+    for (i = 0; i < count; i++) {
+        key = (pixels[i * 3] << 16) | (pixels[i * 3 + 1] << 8) | pixels[i * 3 + 2];
+        if (!seen.has(key)) {
+            seen.set(key, colors.length);
+            colors.push([pixels[i * 3], pixels[i * 3 + 1], pixels[i * 3 + 2]]);
+        }
+    }
+    if (colors.length <= 256) {
+        for (i = 0; i < count; i++) {
+            key = (pixels[i * 3] << 16) | (pixels[i * 3 + 1] << 8) | pixels[i * 3 + 2];
+            indices[i] = seen.get(key);
+        }
+        return {palette: colors, indices: indices};
+    }
+
+    var palette = medianCut(colors, 256);
+    var nearest = new Map();
+    for (i = 0; i < count; i++) {
+        key = (pixels[i * 3] << 16) | (pixels[i * 3 + 1] << 8) | pixels[i * 3 + 2];
+        if (!nearest.has(key)) {
+            var best = 0, bestDistance = Infinity;
+            for (var p = 0; p < palette.length; p++) {
+                var dr = palette[p][0] - pixels[i * 3];
+                var dg = palette[p][1] - pixels[i * 3 + 1];
+                var db = palette[p][2] - pixels[i * 3 + 2];
+                var distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    best = p;
+                    bestDistance = distance;
+                }
+            }
+            nearest.set(key, best);
+        }
+        indices[i] = nearest.get(key);
+    }
+    return {palette: palette, indices: indices};
+}
+
+/**
+ * Compresses color indexes with the variable code size LZW used by GIF.
+ *
+ * @param  {Uint8Array} indices
+ *         The color index of each pixel.
+ * @param  {Number} minCodeSize
+ *         The minimum code size, i.e. the number of bits in a color index (at least 2).
+ * @return {Array}
+ *         The compressed bytes.
+ */
+function lzwEncode(indices, minCodeSize) {
+    var clearCode = 1 << minCodeSize;
+    var eoiCode = clearCode + 1;
+    var codeSize = minCodeSize + 1;
+    var nextCode = eoiCode + 1;
+    var table = new Map();
+    var out = [];
+    var cur = 0;
+    var curBits = 0;
+
+    function emit(code) {
+        cur |= code << curBits;
+        curBits += codeSize;
+        while (curBits >= 8) {
+            out.push(cur & 0xff);
+            cur >>>= 8;
+            curBits -= 8;
+        }
+    }
+
+    emit(clearCode);
+    var prefix = indices[0];
+    for (var i = 1; i < indices.length; i++) {
+        var k = indices[i];
+        var key = (prefix << 8) | k;
+        if (table.has(key)) {
+            prefix = table.get(key);
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = eoiCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoiCode);
+    if (curBits > 0) {
+        out.push(cur & 0xff);
+    }
+    return out;
+}
+
+/** Returns the 2 bytes of a little endian 16 bit number. */
+function u16(value) {
+    return [value & 0xff, (value >> 8) & 0xff];
+}
+
+/**
+ * Encodes frames as an animated GIF.
+ *
+ * @param  {Number} width
+ *         The width of the frames in pixels.
+ * @param  {Number} height
+ *         The height of the frames in pixels.
+ * @param  {Array} frames
+ *         The frames, as objects with "pixels" (r,g,b bytes row by row) and "delay" (in
+ *         hundredths of a second).
+ * @param  {Object} options
+ *         Optional. "loops" is the number of times the animation plays, 0 for forever (the
+ *         default).
+ * @return {Buffer}
+ *         The GIF file.
+ */
+function encodeGif(width, height, frames, options) {
+    options = options || {};
+    var loops = options.loops === undefined ? 0 : options.loops;
+    var bytes = [];
+    var i;
+
+    function push(arr) {
+        for (var j = 0; j < arr.length; j++) {
+            bytes.push(arr[j]);
+        }
+    }
+
+    // Header and logical screen descriptor, without a global color table.
+    push([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]);
+    push(u16(width));
+    push(u16(height));
+    push([0x70, 0, 0]);
+
+    // Netscape looping extension. The count is the number of times to repeat after the first, and
+    // 0 is forever. A single play is said by leaving the extension out.
+    if (loops !== 1) {
+        push([0x21, 0xff, 0x0b]);
+        push("NETSCAPE2.0".split("").map(function(ch) {
+            return ch.charCodeAt(0);
+        }));
+        push([0x03, 0x01]);
+        push(u16(loops ? loops - 1 : 0));
+        push([0x00]);
+    }
+
+    for (i = 0; i < frames.length; i++) {
+        var indexed = indexColors(frames[i].pixels);
+        var sizeBits = 1;
+        while ((1 << sizeBits) < indexed.palette.length) {
+            sizeBits++;
+        }
+
+        // Graphic control extension, with the frame delay and no disposal.
+        push([0x21, 0xf9, 0x04, 0x04]);
+        push(u16(Math.max(Math.round(frames[i].delay), 0)));
+        push([0x00, 0x00]);
+
+        // Image descriptor and local color table.
+        push([0x2c, 0, 0, 0, 0]);
+        push(u16(width));
+        push(u16(height));
+        push([0x80 | (sizeBits - 1)]);
+        for (var p = 0; p < (1 << sizeBits); p++) {
+            push(indexed.palette[p] || [0, 0, 0]);
+        }
+
+        // Image data, in sub-blocks of at most 255 bytes.
+        var minCodeSize = Math.max(sizeBits, 2);
+        var data = lzwEncode(indexed.indices, minCodeSize);
+        push([minCodeSize]);
+        for (var d = 0; d < data.length; d += 255) {
+            var block = data.slice(d, d + 255);
+            push([block.length]);
+            push(block);
+        }
+        push([0x00]);
+    }
+
+    push([0x3b]);
+    return Buffer.from(bytes);
+}
+
+module.exports = {
+    encodeGif: encodeGif
+};
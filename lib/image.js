@@ -0,0 +1,162 @@
+/**
+ * Turns PNG images into animation frames, by sampling them at the led positions from kll.json. A
+ * horizontal sprite sheet, i.e. frames of the same width side by side, becomes one frame per
+ * sprite.
+ *
+ * There are 3 ways to fit an image to the keyboard:
+ *  - "stretch" scales the image to cover the keyboard exactly, from row 0 to maxRow and column 0
+ *    to maxCol, whatever its shape.
+ *  - "crop" scales the image to cover the keyboard keeping its shape, cropping what sticks out on
+ *    either side. kll columns are taken to be half a key wide.
+ *  - "nearest" doesn't scale at all: each led takes the image pixel at its column and row, for
+ *    pixel art drawn at the size of the kll grid.
+ * Each led gets the average color of the image pixels under it, darkened by their transparency.
+ * Leds under fully transparent pixels are left out of the frame.
+ */
+
+'use strict';
+
+/* globals require, module */
+var fs = require('fs');
+var decodePng = require('./png').decodePng;
+var ledPositions = require('./render').ledPositions;
+var getPixel = require('./pixels').getPixel;
+
+var FITS = ["stretch", "crop", "nearest"];
+
+/** Creates an error about one of the generator's params, see config.generateFromConf. */
+function paramError(param, message) {
+    var err = new Error(message);
+    err.param = param;
+    return err;
+}
+
+/**
+ * Reads a PNG and splits it into frames.
+ *
+ * @param  {String} file
+ *         The path of the PNG file.
+ * @param  {Number} frameWidth
+ *         Optional. The width of each frame of a horizontal sprite sheet. Defaults to the width of
+ *         the image, i.e. a single frame.
+ * @return {Array}
+ *         The frames, as images with "width", "height" and "pixels" (see png.decodePng) and the
+ *         "left" edge of the frame in the image.
+ */
+function readSpriteSheet(file, frameWidth) {
+    var image;
+    try {
+        image = decodePng(fs.readFileSync(file));
+    } catch (err) {
+        throw paramError("file", "could not read '" + file + "': " + err.message);
+    }
+    frameWidth = frameWidth || image.width;
+    if (image.width % frameWidth !== 0) {
+        throw paramError("frameWidth", "the image is " + image.width + " pixels wide, which " +
+                                       "can't be split into frames " + frameWidth + " pixels wide");
+    }
+    var frames = [];
+    for (var left = 0; left < image.width; left += frameWidth) {
+        frames.push({width: frameWidth, height: image.height, pixels: image.pixels,
+                     stride: image.width, left: left});
+    }
+    return frames;
+}
+
+/**
+ * Works out which part of an image each led covers.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Number} width
+ *         The width of the image.
+ * @param  {Number} height
+ *         The height of the image.
+ * @param  {String} fit
+ *         How the image is fitted to the keyboard, "stretch", "crop" or "nearest".
+ * @return {Function}
+ *         A function that takes an led's row and column and returns the area of the image it
+ *         covers, as {x, y, w, h} in image pixels.
+ */
+function ledArea(kb, width, height, fit) {
+    var cols = kb.maxCol + 1, rows = kb.maxRow + 1;
+    if (fit === 'nearest') {
+        return function(row, col) {
+            return {x: col, y: row, w: 1, h: 1};
+        };
+    }
+    if (fit === 'crop') {
+        var keyWidth = Math.min(width / (cols / 2), height / rows);
+        var left = (width - keyWidth * cols / 2) / 2;
+        var top = (height - keyWidth * rows) / 2;
+        return function(row, col) {
+            return {x: left + col * keyWidth / 2, y: top + row * keyWidth,
+                    w: keyWidth / 2, h: keyWidth};
+        };
+    }
+    return function(row, col) {
+        return {x: col * width / cols, y: row * height / rows, w: width / cols, h: height / rows};
+    };
+}
+
+/**
+ * Samples a frame of an image at the led positions.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} frame
+ *         The frame, as returned by readSpriteSheet.
+ * @param  {String} fit
+ *         How the image is fitted to the keyboard, "stretch", "crop" or "nearest".
+ * @return {String}
+ *         The animation frame, with a pixel for every led that isn't under a transparent part.
+ */
+function sampleFrame(kb, frame, fit) {
+    var area = ledArea(kb, frame.width, frame.height, fit);
+    var pixels = [];
+    ledPositions(kb).forEach(function(led) {
+        var a = area(led.row, led.col);
+        // The image pixels whose centers are in the area, or the one under its center if the area
+        // is smaller than a pixel.
+        var x0 = Math.ceil(a.x - 0.5), x1 = Math.ceil(a.x + a.w - 0.5) - 1;
+        var y0 = Math.ceil(a.y - 0.5), y1 = Math.ceil(a.y + a.h - 0.5) - 1;
+        if (x1 < x0) {
+            x0 = x1 = Math.floor(a.x + a.w / 2);
+        }
+        if (y1 < y0) {
+            y0 = y1 = Math.floor(a.y + a.h / 2);
+        }
+        x0 = Math.max(x0, 0);
+        y0 = Math.max(y0, 0);
+        x1 = Math.min(x1, frame.width - 1);
+        y1 = Math.min(y1, frame.height - 1);
+
+        var sum = [0, 0, 0, 0], count = 0;
+        for (var y = y0; y <= y1; y++) {
+            for (var x = x0; x <= x1; x++) {
+                var offset = (y * frame.stride + frame.left + x) * 4;
+                var alpha = frame.pixels[offset + 3];
+                sum[0] += frame.pixels[offset] * alpha;
+                sum[1] += frame.pixels[offset + 1] * alpha;
+                sum[2] += frame.pixels[offset + 2] * alpha;
+                sum[3] += alpha;
+                count++;
+            }
+        }
+        if (!sum[3]) {
+            return;
+        }
+        pixels.push(getPixel(null, null,
+                             Math.round(sum[0] / 255 / count),
+                             Math.round(sum[1] / 255 / count),
+                             Math.round(sum[2] / 255 / count),
+                             led.id));
+    });
+    return pixels.join(",");
+}
+
+module.exports = {
+    FITS: FITS,
+    readSpriteSheet: readSpriteSheet,
+    sampleFrame: sampleFrame
+};
@@ -0,0 +1,71 @@
+/**
+ * Builds the keyboard context that the generators use to find out about the leds of the keyboard
+ * they are generating animations for.
+ */
+
+'use strict';
+
+/* globals require, module */
+var selectProfile = require('./profiles').selectProfile;
+
+/**
+ * Creates a keyboard context from the configurator output.
+ *
+ * @param  {Object} json
+ *         The parsed KType-Standard.json file written out by the configurator.
+ * @param  {Object} kll
+ *         The parsed kll.json file written out by the configurator.
+ * @param  {String} profileName
+ *         Optional. The keyboard profile to use (see profiles.js). It is detected from the json if
+ *         not given.
+ * @return {Object}
+ *         The keyboard context, containing the leds (all of them, by scan code, keyed and blank),
+ *         the kll pixel ids, the max pixel row and column, the keyboard profile, and the color
+ *         space and easing that the generators fade with (see colors.js and easing.js; without
+ *         an easing, each generator uses its own), the random function the generators use
+ *         (Math.random, or a seeded one from random.js), and the timing asked for in the conf
+ *         (null for the generator's own, see timing.js).
+ */
+function createKeyboard(json, kll, profileName) {
+    var i;
+    var kb = {
+        leds: json.leds || [],
+        ledsByScanCode: {},
+        ledIdByScanCode: {},
+        blankLeds: [],
+        keyedLeds: [],
+        pixelIds: (kll && kll.PixelIds) || {},
+        maxRow: 0,
+        maxCol: 0,
+        profile: selectProfile(json, kll, profileName),
+        colorSpace: "rgb",
+        easing: null,
+        random: Math.random,
+        timing: null
+    };
+
+    // Information about the leds
+    for (i = 0; i < kb.leds.length; i++) {
+        var led = kb.leds[i];
+        kb.ledsByScanCode[led.scanCode] = led;
+        kb.ledIdByScanCode[led.scanCode] = led.id;
+        if (led.scanCode) {
+            kb.keyedLeds.push(led);
+        } else {
+            kb.blankLeds.push(led);
+        }
+    }
+
+    // Get the max pixel rows and columns
+    for (var pxi in kb.pixelIds) {
+        var px = kb.pixelIds[pxi];
+        kb.maxRow = Math.max(kb.maxRow, px.Row);
+        kb.maxCol = Math.max(kb.maxCol, px.Col);
+    }
+
+    return kb;
+}
+
+module.exports = {
+    createKeyboard: createKeyboard
+};
@@ -0,0 +1,166 @@
+/**
+ * Writes a configurator json out as KLL, for building the firmware from a kiibohd layout directory
+ * rather than through the configurator. The animations and their triggers are written as they are
+ * in the json, so the two have the same content:
+ *  - each animation's settings as "A[name] <= framedelay:3, loop;",
+ *  - each of its frames as "A[name, 1] <= P[12](255,0,0), ...;", numbered from 1, with frames
+ *    that are empty in the json (which show the frame before them again) written as a pixel that
+ *    adds nothing to the first led of the json, as KLL doesn't allow an empty frame,
+ *  - each key's triggers as "S0x25 : A[name](start) + A[other](stop);".
+ *
+ * KLL keeps each layer in a file of its own, so the triggers are split up by layer: the first file
+ * has the header, the animations and the layer 0 triggers, and goes in as the default map, while
+ * the others go in as the partial maps for their layers. A key that is turned off on a layer (see
+ * triggers.js) has its mapping replaced with ":", and any other key has the triggers added to what
+ * it already does with ":+".
+ */
+
+'use strict';
+
+/* globals module */
+
+// The header fields of the configurator json that are written out, in order.
+var HEADER_FIELDS = ["Name", "Layout", "Base", "Version", "Author", "KLL", "Date", "Generator"];
+
+/** Formats a value for the KLL header, quoting it unless it is a single word or number. */
+function headerValue(value) {
+    value = String(value);
+    return /^[\w.\-]+$/.test(value) ? value : JSON.stringify(value);
+}
+
+/**
+ * Formats the header lines of a KLL file.
+ *
+ * @param  {Object} header
+ *         The "header" of the configurator json.
+ * @param  {Number} layer
+ *         The layer the file is for.
+ * @return {Array}
+ *         The lines.
+ */
+function headerLines(header, layer) {
+    var lines = ["# Generated by kiianigen" + (layer ? ", the triggers on layer " + layer : ""),
+                 ""];
+    HEADER_FIELDS.forEach(function(field) {
+        if (header[field] !== undefined && header[field] !== "") {
+            lines.push(field + " = " + headerValue(header[field]) + ";");
+        }
+    });
+    return lines;
+}
+
+/**
+ * Makes the frame written for frames that are empty in the json: a pixel that adds nothing to the
+ * led with the lowest id, which leaves every led as it was.
+ *
+ * @param  {Object} json
+ *         The configurator json.
+ * @return {String}
+ *         The frame.
+ */
+function emptyFrame(json) {
+    var ids = (json.leds || []).map(function(led) {
+        return Number(led.id);
+    });
+    if (!ids.length) {
+        throw new Error("The json has no leds to write an empty frame with");
+    }
+    return "P[" + Math.min.apply(null, ids) + "](+:0,+:0,+:0)";
+}
+
+/**
+ * Formats the lines defining an animation.
+ *
+ * @param  {String} name
+ *         The configurator name of the animation.
+ * @param  {Object} animation
+ *         The animation object, with "settings" and "frames".
+ * @param  {Object} json
+ *         The configurator json, for the leds empty frames are written with.
+ * @return {Array}
+ *         The lines.
+ */
+function animationLines(name, animation, json) {
+    var lines = [];
+    if (animation.settings) {
+        lines.push("A[" + name + "] <= " + animation.settings + ";");
+    }
+    animation.frames.forEach(function(frame, idx) {
+        var pixels = frame.trim() ? frame.split(/,(?=\s*P\[)/).map(function(pixel) {
+            return pixel.trim();
+        }).join(", ") : emptyFrame(json);
+        lines.push("A[" + name + ", " + (idx + 1) + "] <= " + pixels + ";");
+    });
+    return lines;
+}
+
+/**
+ * Lists the trigger mappings of the keys of a configurator json, by layer.
+ *
+ * @param  {Array} matrix
+ *         The configurator matrix.
+ * @return {Object}
+ *         A map of layer number to its lines.
+ */
+function triggerLines(matrix) {
+    var layers = {};
+    matrix.forEach(function(key) {
+        for (var layer in key.triggers || {}) {
+            var actions = key.triggers[layer].map(function(trigger) {
+                return trigger.action;
+            }).filter(Boolean);
+            if (!actions.length) {
+                continue;
+            }
+            var mapped = key.layers && key.layers[layer];
+            var operator = mapped && mapped.key === "#:None" ? " : " : " :+ ";
+            layers[layer] = layers[layer] || [];
+            layers[layer].push("S" + key.code + operator + actions.join(" + ") + ";");
+        }
+    });
+    return layers;
+}
+
+/**
+ * Writes the animations and triggers of a configurator json out as KLL files (see the top of this
+ * file).
+ *
+ * @param  {Object} json
+ *         The configurator json.
+ * @return {Array}
+ *         The files, as objects with the "layer" the file is for and its "text". The first is for
+ *         layer 0 and has the animations; the others only have triggers, and are left out for
+ *         layers without any.
+ */
+function formatKll(json) {
+    var header = json.header || {};
+    var triggers = triggerLines(json.matrix || []);
+
+    var lines = headerLines(header, 0);
+    Object.keys(json.animations || {}).forEach(function(name) {
+        lines.push("");
+        lines = lines.concat(animationLines(name, json.animations[name], json));
+    });
+    if (triggers["0"]) {
+        lines.push("", "# Triggers");
+        lines = lines.concat(triggers["0"]);
+    }
+    var files = [{layer: 0, text: lines.join("\n") + "\n"}];
+
+    Object.keys(triggers).map(Number).filter(function(layer) {
+        return layer > 0;
+    }).sort(function(a, b) {
+        return a - b;
+    }).forEach(function(layer) {
+        files.push({
+            layer: layer,
+            text: headerLines(header, layer).concat([""], triggers[layer]).join("\n") + "\n"
+        });
+    });
+    return files;
+}
+
+module.exports = {
+    emptyFrame: emptyFrame,
+    formatKll: formatKll
+};
@@ -0,0 +1,156 @@
+/**
+ * An editable model of an animation, for the animations that are already in a configurator json,
+ * whether kiianigen made them or they were drawn in the configurator. The frames are parsed (see
+ * frames.js) and rendered (see render.js) into the color of each led at each frame, which can be
+ * looked at or changed and then written back out as an animation.
+ *
+ * Reactive animations can't be rendered without a key to play them from, so their model keeps the
+ * pixels as they are written and is written back out from those.
+ */
+
+'use strict';
+
+/* globals require, module */
+var frames = require('./frames');
+var render = require('./render');
+var settingsUtil = require('./settings');
+var normColor = require('./pixels').normColor;
+
+/**
+ * Parses an animation into a model.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation
+ *         The animation object, with "settings" and "frames".
+ * @return {Object}
+ *         The model, with the parsed "settings", whether the animation is "reactive", the parsed
+ *         "pixels" of each frame and the "leds" of each frame, a map of led id to its [r, g, b]
+ *         color, or to null if no frame has set it yet. The leds are null for reactive
+ *         animations.
+ */
+function parseAnimation(kb, animation) {
+    var settings = settingsUtil.parseSettings(animation.settings);
+    var pixels = animation.frames.map(frames.parseFrame);
+    var reactive = pixels.some(frames.isRelativeFrame);
+    var leds = null;
+    if (!reactive) {
+        var renderer = render.createRenderer(kb);
+        // The renderer only sets the leds the pixels land on, so starting from nulls rather than
+        // a blank state tells the leds that were never set apart from ones set to black.
+        var state = {};
+        renderer.positions.forEach(function(led) {
+            state[led.id] = null;
+        });
+        leds = pixels.map(function(framePixels) {
+            renderer.applyFrame(state, framePixels, settings.pfunc === 'interp');
+            var copy = {};
+            for (var id in state) {
+                copy[id] = state[id] && state[id].map(normColor);
+            }
+            return copy;
+        });
+    }
+    return {
+        settings: settings,
+        reactive: reactive,
+        pixels: pixels,
+        leds: leds
+    };
+}
+
+/**
+ * Lists the leds of a frame of a model as pixels, with runs of consecutive ids of the same color
+ * merged into ranges.
+ *
+ * @param  {Object} leds
+ *         The leds of the frame, a map of led id to [r, g, b] (leds that are null are left out).
+ * @param  {Object} previous
+ *         Optional. The leds of the frame before, in which case only the leds that changed from it
+ *         are listed.
+ * @return {Array}
+ *         The pixels, as parsed pixels (see frames.parsePixel) with an "index" and "indexEnd".
+ */
+function ledPixels(leds, previous) {
+    var ids = Object.keys(leds).map(Number).filter(function(id) {
+        var color = leds[id], before = previous && previous[id];
+        return color && !(before && before.join() === color.join());
+    }).sort(function(a, b) {
+        return a - b;
+    });
+    var pixels = [];
+    ids.forEach(function(id) {
+        var last = pixels[pixels.length - 1];
+        if (last && last.indexEnd === id - 1 && last.color.join() === leds[id].join()) {
+            last.indexEnd = id;
+        } else {
+            pixels.push({index: id, indexEnd: id, color: leds[id].slice(0)});
+        }
+    });
+    return pixels;
+}
+
+/**
+ * Writes a model back out as an animation. Every frame sets each led that has been set by then,
+ * so that the leds the animation never touched are left to whatever else is running; the
+ * optimizer takes out what doesn't change. The "pfunc:interp" setting is dropped, as the colors
+ * are already interpolated.
+ *
+ * @param  {Object} model
+ *         The model, as returned by parseAnimation and possibly changed since.
+ * @return {Object}
+ *         The animation.
+ */
+function emitAnimation(model) {
+    var settings = JSON.parse(JSON.stringify(model.settings));
+    var frameStrs;
+    if (model.leds) {
+        if (settings.pfunc === 'interp') {
+            delete settings.pfunc;
+        }
+        frameStrs = model.leds.map(function(leds) {
+            return frames.formatFrame(ledPixels(leds));
+        });
+    } else {
+        frameStrs = model.pixels.map(frames.formatFrame);
+    }
+    return {
+        "settings": settingsUtil.formatSettings(settings),
+        "type": "animation",
+        "frames": frameStrs
+    };
+}
+
+/**
+ * Describes a model for the "inspect" command: its settings and timing, and the leds that change
+ * at each frame.
+ *
+ * @param  {Object} model
+ *         The model, as returned by parseAnimation.
+ * @return {Array}
+ *         The lines.
+ */
+function describeAnimation(model) {
+    var frameMs = settingsUtil.frameDuration(model.settings);
+    var loops = settingsUtil.loopCount(model.settings);
+    var lines = [
+        "settings: " + settingsUtil.formatSettings(model.settings),
+        model.pixels.length + " frames, " + (model.pixels.length * frameMs / 1000) + "s a play " +
+        "through, " + (loops === Infinity ? "looping" : "played " + loops + " time" +
+                       (loops === 1 ? "" : "s")) +
+        (model.reactive ? ", reactive (played from the key pressed)" : "")
+    ];
+    model.pixels.forEach(function(framePixels, idx) {
+        var pixels = model.leds ? ledPixels(model.leds[idx], idx ? model.leds[idx - 1] : null) :
+                                  framePixels;
+        lines.push("frame " + idx + ": " + (pixels.length ? frames.formatFrame(pixels) :
+                                                            "no change"));
+    });
+    return lines;
+}
+
+module.exports = {
+    parseAnimation: parseAnimation,
+    emitAnimation: emitAnimation,
+    describeAnimation: describeAnimation
+};
@@ -0,0 +1,314 @@
+/**
+ * Compacts generated animations so that they take up less flash, without changing how they look.
+ *
+ * Many generators write out every led in every frame. The optimizer:
+ *  - empties frames that look the same as the frame before, when the animation uses
+ *    "framestretch" (which shows the previous frame again for empty frames),
+ *  - drops pixels that don't change any led from the previous frame, unless the animation uses
+ *    "replace:all",
+ *  - merges runs of consecutive led ids that share a color into ranges, "P[12-20](r,g,b)".
+ *
+ * Animations with pixels positioned relative to the triggering key only get their ranges merged,
+ * as whether a frame changes anything depends on which key it was triggered from.
+ *
+ * Every change is checked by rendering the frames before and after, and once the whole animation
+ * is done the rendered led states of every frame are compared again. If anything differs, the
+ * original animation is kept.
+ */
+
+'use strict';
+
+/* globals require, module */
+var frames = require('./frames');
+var render = require('./render');
+var settingsUtil = require('./settings');
+var estimateAnimation = require('./budget').estimateAnimation;
+var describeType = require('./check').describeType;
+
+// Looping animations start the next loop from where the last one ended, so each loop can look
+// different until the starting state repeats. This is how many loops are rendered to find that out
+// before giving up on the optimizations that depend on the previous frame.
+var MAX_PASSES = 4;
+
+/**
+ * Returns an led state with every led set to a color that no pixel can set. An animation can be
+ * started while the leds are still lit by something else, so this stands in for "unknown".
+ */
+function unsetState(renderer) {
+    var state = renderer.blankState();
+    for (var id in state) {
+        state[id] = [-1, -1, -1];
+    }
+    return state;
+}
+
+/** Returns a copy of an led state with the colors rounded but not clamped. */
+function roundState(state) {
+    var copy = {};
+    for (var id in state) {
+        copy[id] = state[id].map(Math.round);
+    }
+    return copy;
+}
+
+/**
+ * Renders the loops of an animation that can look different from each other.
+ *
+ * @param  {Object} renderer
+ *         The renderer, from render.createRenderer.
+ * @param  {Object} settings
+ *         The parsed animation settings.
+ * @param  {Array} parsedFrames
+ *         The parsed pixels of each frame.
+ * @return {Object}
+ *         An object with the "passes", each an array of the rounded led states after each frame
+ *         (with the state the loop started from at index 0, so frame i is at i + 1), and
+ *         "complete", which is true if every later loop looks like one of the passes.
+ */
+function renderPasses(renderer, settings, parsedFrames) {
+    var interp = settings.pfunc === 'interp';
+    var maxPasses = Math.min(settingsUtil.loopCount(settings), MAX_PASSES);
+    var state = unsetState(renderer);
+    var passes = [];
+    while (passes.length < maxPasses) {
+        var states = [roundState(state)];
+        for (var i = 0; i < parsedFrames.length; i++) {
+            renderer.applyFrame(state, parsedFrames[i], interp);
+            states.push(roundState(state));
+        }
+        passes.push(states);
+        /*jshint loopfunc: true */
+        var end = states[states.length - 1];
+        if (passes.some(function(pass) {
+            return render.sameState(pass[0], end);
+        })) {
+            return {passes: passes, complete: true};
+        }
+    }
+    return {passes: passes, complete: passes.length >= settingsUtil.loopCount(settings)};
+}
+
+/**
+ * Checks whether 2 versions of a frame have the same effect whatever the leds were before, i.e.
+ * they set the same leds to the same colors.
+ */
+function sameEffect(renderer, pixels1, pixels2, interp) {
+    var state1 = unsetState(renderer);
+    var state2 = unsetState(renderer);
+    renderer.applyFrame(state1, pixels1, interp);
+    renderer.applyFrame(state2, pixels2, interp);
+    return render.sameState(roundState(state1), roundState(state2));
+}
+
+/**
+ * Checks whether a frame turns the state before frame i into the state after it, in every pass.
+ */
+function reachesState(renderer, passes, i, pixels, interp) {
+    return passes.every(function(states) {
+        var state = JSON.parse(JSON.stringify(states[i]));
+        renderer.applyFrame(state, pixels, interp);
+        return render.sameState(roundState(state), states[i + 1]);
+    });
+}
+
+/**
+ * Checks whether every pixel of a frame sets a single led by id, and no led is set twice. Leaving
+ * such a pixel out then only changes its own led.
+ */
+function singleLedPixels(pixels) {
+    var seen = {};
+    return pixels.every(function(pixel) {
+        if (pixel.index === undefined || pixel.indexEnd !== undefined || seen[pixel.index]) {
+            return false;
+        }
+        seen[pixel.index] = true;
+        return true;
+    });
+}
+
+/**
+ * Checks whether a pixel that sets a single led gives it a new color before frame i, in any
+ * pass. Such a pixel can't be left out of the frame.
+ */
+function changesLed(passes, i, pixel) {
+    return passes.some(function(states) {
+        var color = states[i][pixel.index];
+        return color !== undefined && (color[0] !== Math.round(pixel.color[0]) ||
+                                       color[1] !== Math.round(pixel.color[1]) ||
+                                       color[2] !== Math.round(pixel.color[2]));
+    });
+}
+
+/** Merges runs of pixels with consecutive ids and the same color into ranges. */
+function mergeRanges(pixels) {
+    var merged = [];
+    for (var i = 0; i < pixels.length; i++) {
+        var pixel = pixels[i];
+        var last = merged[merged.length - 1];
+        if (last && last.index !== undefined && pixel.index !== undefined &&
+                pixel.index === (last.indexEnd !== undefined ? last.indexEnd : last.index) + 1 &&
+                last.color.join(",") === pixel.color.join(",")) {
+            last.indexEnd = pixel.indexEnd !== undefined ? pixel.indexEnd : pixel.index;
+        } else {
+            merged.push(JSON.parse(JSON.stringify(pixel)));
+        }
+    }
+    return merged;
+}
+
+/**
+ * Checks that 2 animations look the same, by comparing the rendered led state of every frame of
+ * every loop that can look different.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation1
+ *         The first animation object, with "settings" and "frames".
+ * @param  {Object} animation2
+ *         The second animation object.
+ * @return {Boolean}
+ *         True if the animations have the same number of frames and every frame looks the same.
+ */
+function sameAnimation(kb, animation1, animation2) {
+    if (animation1.frames.length !== animation2.frames.length) {
+        return false;
+    }
+    var renderer = render.createRenderer(kb);
+    var settings1 = settingsUtil.parseSettings(animation1.settings);
+    var settings2 = settingsUtil.parseSettings(animation2.settings);
+    var passes1 = renderPasses(renderer, settings1, animation1.frames.map(frames.parseFrame));
+    var passes2 = renderPasses(renderer, settings2, animation2.frames.map(frames.parseFrame));
+    if (passes1.passes.length !== passes2.passes.length) {
+        return false;
+    }
+    return passes1.passes.every(function(states, p) {
+        return states.every(function(state, i) {
+            return render.sameState(state, passes2.passes[p][i]);
+        });
+    });
+}
+
+/**
+ * Optimizes an animation.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation
+ *         The animation object, with "settings" and "frames". It is not modified.
+ * @return {Object}
+ *         An object with the optimized "animation" and a "report" with the number of frames
+ *         emptied ("framesEmptied"), pixels dropped ("pixelsDropped") and pixels merged into
+ *         ranges ("pixelsMerged"), the "before" and "after" estimates (see
+ *         budget.estimateAnimation), and "reverted", which is true if the optimized animation did
+ *         not look the same and the original was kept.
+ */
+function optimizeAnimation(kb, animation) {
+    var settings = settingsUtil.parseSettings(animation.settings);
+    var interp = settings.pfunc === 'interp';
+    var replaceAll = settings.replace === 'all';
+    var renderer = render.createRenderer(kb);
+    var parsedFrames = animation.frames.map(frames.parseFrame);
+    var relative = parsedFrames.some(frames.isRelativeFrame);
+    var rendered = renderPasses(renderer, settings, parsedFrames);
+    var passes = rendered.passes;
+    var report = {framesEmptied: 0, pixelsDropped: 0, pixelsMerged: 0, reverted: false};
+
+    var optimizedFrames = parsedFrames.map(function(pixels, i) {
+        var changed = false;
+        var j;
+
+        if (rendered.complete && !relative && settings.framestretch && pixels.length &&
+                reachesState(renderer, passes, i, [], interp)) {
+            report.framesEmptied++;
+            report.pixelsDropped += pixels.length;
+            return [];
+        }
+
+        if (rendered.complete && !replaceAll && !relative) {
+            // Trying each pixel means rendering the frame once per pixel, so the ones that
+            // clearly change their led are skipped.
+            var singleLeds = !interp && singleLedPixels(pixels);
+            for (j = pixels.length - 1; j >= 0; j--) {
+                if (singleLeds && changesLed(passes, i, pixels[j])) {
+                    continue;
+                }
+                var without = pixels.slice(0, j).concat(pixels.slice(j + 1));
+                if (reachesState(renderer, passes, i, without, interp)) {
+                    pixels = without;
+                    report.pixelsDropped++;
+                    changed = true;
+                }
+            }
+        }
+
+        var merged = mergeRanges(pixels);
+        if (merged.length < pixels.length && sameEffect(renderer, pixels, merged, interp)) {
+            report.pixelsMerged += pixels.length - merged.length;
+            pixels = merged;
+            changed = true;
+        }
+        return changed ? pixels : null;
+    });
+
+    var optimized = JSON.parse(JSON.stringify(animation));
+    optimized.frames = optimizedFrames.map(function(pixels, i) {
+        return pixels ? frames.formatFrame(pixels) : animation.frames[i];
+    });
+
+    if (!sameAnimation(kb, animation, optimized)) {
+        optimized = animation;
+        report = {framesEmptied: 0, pixelsDropped: 0, pixelsMerged: 0, reverted: true};
+    }
+    report.before = estimateAnimation(animation);
+    report.after = estimateAnimation(optimized);
+    return {animation: optimized, report: report};
+}
+
+/**
+ * Checks the "optimize" of kiianiconf.json.
+ *
+ * @param  {*} value
+ *         The "optimize" from the conf.
+ * @param  {Array} problems
+ *         The list that problems are added to, as {path, message} objects.
+ */
+function validateOptimize(value, problems) {
+    if (typeof(value) !== 'boolean') {
+        problems.push({path: "optimize", message: "must be true or false, not " +
+                                                  describeType(value)});
+    }
+}
+
+/**
+ * Formats the optimizer reports for a set of animations, one line each.
+ *
+ * @param  {Object} reports
+ *         A map of animation name to its optimizer report, as returned by optimizeAnimation.
+ * @return {Array}
+ *         The lines.
+ */
+function formatReports(reports) {
+    var before = 0, after = 0;
+    var lines = Object.keys(reports).map(function(name) {
+        var report = reports[name];
+        before += report.before.bytes;
+        after += report.after.bytes;
+        if (report.reverted) {
+            return name + ": left as it was, the optimized frames did not look the same";
+        }
+        var saved = report.before.bytes - report.after.bytes;
+        return name + ": " + report.before.pixels + " -> " + report.after.pixels + " pixels, " +
+               "saving ~" + saved + " bytes (" +
+               (report.framesEmptied ? report.framesEmptied + " frames emptied, " : "") +
+               report.pixelsDropped + " pixels dropped, " + report.pixelsMerged + " merged)";
+    });
+    lines.push("Total: ~" + before + " -> ~" + after + " bytes");
+    return lines;
+}
+
+module.exports = {
+    optimizeAnimation: optimizeAnimation,
+    sameAnimation: sameAnimation,
+    validateOptimize: validateOptimize,
+    formatReports: formatReports
+};
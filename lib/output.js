@@ -0,0 +1,251 @@
+/**
+ * The output color pipeline, which adjusts the colors of the generated animations for the leds
+ * they end up on. It is set up with "output" in kiianiconf.json and applied to each animation
+ * before it is optimized:
+ *  - "gamma" corrects each color channel with a gamma curve, 255 * (value / 255) ^ gamma. Leds
+ *    don't look twice as bright at twice the value, so without it the low end of fades looks
+ *    jumpy and the high end flat. 1 (the default) leaves the colors alone; 2.2 is typical.
+ *  - "brightness" scales every color, from 0 to 1 (the default).
+ *  - "maxCurrent" limits the current the leds of a frame draw, in mA. The current is estimated
+ *    from the sum of the channel values of the leds the animation has lit, with a channel at 255
+ *    drawing "channelCurrent" mA (20 by default). Frames that would go over are scaled down to the
+ *    limit, which means writing out every lit led in them.
+ *
+ * With "pfunc:interp" the corrected colors are interpolated between, rather than the colors being
+ * corrected after the interpolation, which is close but not the same for gamma. Reactive
+ * animations can't be limited, as they play on top of whatever else is running.
+ */
+
+'use strict';
+
+/* globals require, module */
+var frames = require('./frames');
+var render = require('./render');
+var settingsUtil = require('./settings');
+var getPixel = require('./pixels').getPixel;
+var check = require('./check');
+
+var DEFAULT_OUTPUT = {
+    gamma: 1,
+    brightness: 1,
+    maxCurrent: null,
+    channelCurrent: 20
+};
+
+/**
+ * Fills in the defaults of the output settings.
+ *
+ * @param  {Object} output
+ *         The "output" from kiianiconf.json, if any.
+ * @return {Object}
+ *         The output settings.
+ */
+function outputSettings(output) {
+    var settings = {};
+    for (var name in DEFAULT_OUTPUT) {
+        settings[name] = (output && output[name] !== undefined && output[name] !== null) ?
+                         output[name] : DEFAULT_OUTPUT[name];
+    }
+    return settings;
+}
+
+/**
+ * Corrects a color with the gamma and brightness of the output settings.
+ *
+ * @param  {Array} color
+ *         The color, as [r, g, b].
+ * @param  {Object} output
+ *         The output settings, see outputSettings.
+ * @return {Array}
+ *         The corrected color, rounded.
+ */
+function correctColor(color, output) {
+    return color.map(function(channel) {
+        var value = Math.max(Math.min(channel, 255), 0);
+        return Math.round(255 * Math.pow(value / 255, output.gamma) * output.brightness);
+    });
+}
+
+/** Estimates the current drawn by the leds of a state, in mA. Unlit (null) leds are skipped. */
+function stateCurrent(state, output) {
+    var sum = 0;
+    for (var id in state) {
+        if (state[id]) {
+            sum += Math.max(state[id][0], 0) + Math.max(state[id][1], 0) +
+                   Math.max(state[id][2], 0);
+        }
+    }
+    return sum / 255 * output.channelCurrent;
+}
+
+/**
+ * Renders the led states after each frame of an animation, with the leds that haven't been lit
+ * yet as null. For looping animations the frames are rendered twice, as the second time round
+ * starts with the leds lit at the end of the first.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation
+ *         The animation object.
+ * @return {Array}
+ *         The passes, each an array with the state after each frame.
+ */
+function renderLitStates(kb, animation) {
+    var settings = settingsUtil.parseSettings(animation.settings);
+    var interp = settings.pfunc === 'interp';
+    var renderer = render.createRenderer(kb);
+    var state = renderer.blankState();
+    for (var id in state) {
+        state[id] = null;
+    }
+    var parsedFrames = animation.frames.map(frames.parseFrame);
+    var passes = [];
+    for (var pass = 0; pass < Math.min(settingsUtil.loopCount(settings), 2); pass++) {
+        passes.push(parsedFrames.map(function(pixels) {
+            renderer.applyFrame(state, pixels, interp);
+            return JSON.parse(JSON.stringify(state));
+        }));
+    }
+    return passes;
+}
+
+/**
+ * Runs an animation through the output pipeline.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation
+ *         The animation object, with "settings" and "frames". It is not modified.
+ * @param  {Object} output
+ *         The "output" from kiianiconf.json.
+ * @return {Object}
+ *         An object with the corrected "animation" and a "report" with the estimated current of
+ *         the brightest frame before limiting ("peakCurrent", null for reactive animations), the
+ *         number of frames scaled down ("framesLimited") and the lowest scale used ("minScale").
+ */
+function applyOutput(kb, animation, output) {
+    output = outputSettings(output);
+    var corrected = JSON.parse(JSON.stringify(animation));
+    var report = {peakCurrent: null, framesLimited: 0, minScale: 1};
+    var parsedFrames = animation.frames.map(frames.parseFrame);
+
+    if (output.gamma !== 1 || output.brightness !== 1) {
+        corrected.frames = parsedFrames.map(function(pixels) {
+            return frames.formatFrame(pixels.map(function(pixel) {
+                pixel.color = correctColor(pixel.color, output);
+                return pixel;
+            }));
+        });
+    }
+    if (parsedFrames.some(frames.isRelativeFrame)) {
+        return {animation: corrected, report: report};
+    }
+
+    var passes = renderLitStates(kb, corrected);
+    var scales = passes[0].map(function(state, i) {
+        var current = Math.max.apply(null, passes.map(function(states) {
+            return stateCurrent(states[i], output);
+        }));
+        report.peakCurrent = Math.max(report.peakCurrent || 0, current);
+        return output.maxCurrent && current > output.maxCurrent ? output.maxCurrent / current : 1;
+    });
+    report.peakCurrent = Math.round(report.peakCurrent || 0);
+    if (scales.every(function(scale) {
+        return scale === 1;
+    })) {
+        return {animation: corrected, report: report};
+    }
+
+    // Every frame is written out in full, as a frame that isn't scaled down can still leave leds
+    // lit from one that was. The frames are taken from the last pass, which for a looping
+    // animation has every led that the end of the loop leaves lit. The optimizer takes out what
+    // doesn't change.
+    corrected.settings = corrected.settings.split(",").filter(function(setting) {
+        return setting.trim() !== 'pfunc:interp';
+    }).join(",");
+    corrected.frames = passes[passes.length - 1].map(function(state, i) {
+        var scale = scales[i];
+        if (scale < 1) {
+            report.framesLimited++;
+            report.minScale = Math.min(report.minScale, scale);
+        }
+        var frame = [];
+        for (var id in state) {
+            if (state[id]) {
+                /*jshint loopfunc: true */
+                var color = state[id].map(function(channel) {
+                    // Floor rather than round when scaling down, so that the frame doesn't end up
+                    // over the limit.
+                    channel = scale < 1 ? Math.floor(channel * scale) : Math.round(channel);
+                    return Math.max(Math.min(channel, 255), 0);
+                });
+                frame.push(getPixel(null, null, color[0], color[1], color[2], id));
+            }
+        }
+        return frame.join(",");
+    });
+    return {animation: corrected, report: report};
+}
+
+/**
+ * Formats the output reports for a set of animations, one line each.
+ *
+ * @param  {Object} reports
+ *         A map of animation name to its output report, as returned by applyOutput.
+ * @param  {Object} output
+ *         The "output" from kiianiconf.json.
+ * @return {Array}
+ *         The lines.
+ */
+function formatReports(reports, output) {
+    output = outputSettings(output);
+    return Object.keys(reports).map(function(name) {
+        var report = reports[name];
+        if (report.peakCurrent === null) {
+            return name + ": reactive, not limited";
+        }
+        var line = name + ": peak ~" + report.peakCurrent + "mA";
+        if (report.framesLimited) {
+            line += ", limited to " + output.maxCurrent + "mA in " + report.framesLimited +
+                    (report.framesLimited === 1 ? " frame" : " frames") + " (down to " +
+                    Math.floor(report.minScale * 100) + "%)";
+        }
+        return line;
+    });
+}
+
+/**
+ * Checks the "output" of kiianiconf.json.
+ *
+ * @param  {Object} output
+ *         The "output" from the conf.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function validateOutput(output, problems) {
+    if (!output || typeof(output) !== 'object' || Array.isArray(output)) {
+        problems.push({path: "output", message: "must be an object with 'gamma', 'brightness', " +
+                                                "'maxCurrent' and/or 'channelCurrent'"});
+        return;
+    }
+    var limits = {
+        gamma: {name: "gamma", type: "number", min: 0.1, max: 5},
+        brightness: {name: "brightness", type: "number", min: 0, max: 1},
+        maxCurrent: {name: "maxCurrent", type: "number", min: 1},
+        channelCurrent: {name: "channelCurrent", type: "number", min: 0.1}
+    };
+    for (var name in limits) {
+        if (output[name] !== undefined && output[name] !== null) {
+            check.checkValue(limits[name], output[name], check.pathTo("output", name), problems);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_OUTPUT: DEFAULT_OUTPUT,
+    outputSettings: outputSettings,
+    correctColor: correctColor,
+    applyOutput: applyOutput,
+    formatReports: formatReports,
+    validateOutput: validateOutput
+};
@@ -0,0 +1,247 @@
+/**
+ * Pixel and color helpers shared by the animation generators.
+ */
+
+'use strict';
+
+/* globals require, module */
+var colorSpaces = require('./colors');
+
+/**
+ * Generates a "pixel" value that is used in an animation frame.
+ * @param  {String} row
+ *         The row to use.
+ * @param  {String/Number} col
+ *         The column to use.
+ * @param  {Number} r
+ *         The red value 0-255.
+ * @param  {Number} g
+ *         The green value 0-255.
+ * @param  {Number} b
+ *         The blue value 0-255.
+ * @param  {Number} pixelNumber
+ *         The pixel id number to use. row and col must be null.
+ * @return {String}
+ *         A properly formatted pixel, such as "P[c:-2%](0,0,255)"
+ */
+var getPixel = function(row,col,r,g,b, pixelNumber) {
+    var rc = [];
+    var colors = [
+        ((r) ? r : 0),
+        ((g) ? g : 0),
+        ((b) ? b : 0),
+    ];
+    if (row !== undefined && row !== null) {
+        rc.push("r:" + row);
+    }
+    if (col !== undefined && col !== null) {
+        rc.push("c:" + col);
+    }
+    if (pixelNumber !== undefined && pixelNumber !== null) {
+        rc.push(pixelNumber);
+    }
+    return "P[" + rc.join(",") + "](" + colors.join(",") + ")";
+    // return something like: P[c:-2%](0,0,255)
+};
+
+/**
+ * Gets a row or column position relative to the key that triggered the animation, for use with
+ * getPixel.
+ *
+ * @param  {Number} offset
+ *         The number of rows or columns away from the key.
+ * @return {String}
+ *         The position, such as "i+2", "i-1" or "i".
+ */
+function relativePosition(offset) {
+    return "i" + (offset ? (offset > 0 ? "+" : "") + offset : "");
+}
+
+/**
+ * Gets a numeric value somewhere between 2 other numeric values, given a step and a total number
+ * of steps to be travelled between those values, in a linear fashion.
+ */
+function linearInterpolate(step, steps, val1, val2) {
+    return (val2 - val1) * (step / steps) + val1;
+}
+
+/**
+ * Gets a numeric value somewhere between 2 other numeric values, given a step and a total number
+ * of steps to be travelled between those values, in a fashion akin to travelling along the sine
+ * curve between -PI/2 and PI/2.
+ */
+function sineInterpolate(step, steps, val1, val2) {
+    var angle = (step / steps) * Math.PI - (Math.PI / 2);
+    var sine = Math.sin(angle);
+    var interpolateVal = (sine + 1) / 2;
+    return (val2 - val1) * interpolateVal + val1;
+}
+
+/**
+ * Creates an interpolation function that gets a random numeric value between 2 other values.
+ *
+ * @param  {Function} random
+ *         The random function to use, such as kb.random.
+ * @return {Function}
+ *         The interpolation function.
+ */
+function randomInterpolator(random) {
+    return function(step, steps, val1, val2) {
+        return (val2 - val1) * random() + val1;
+    };
+}
+
+/**
+ * Gets a random numeric value between 2 other values, using Math.random. Generators should use
+ * randomInterpolator(kb.random) instead, so that their output follows the seed.
+ */
+var randomInterpolate = randomInterpolator(Math.random);
+
+/**
+ * Returns a color in between the origin color and the destination color, based on the number of
+ * steps over which the color should bleed and the step number for which the returned value should
+ * represent. If no steps or step is provided, then the function simply returns the color value
+ * representing the average of the 2 colors. Color values are rounded to integer and clamped between
+ * 0 and 255.
+ *
+ * @param  {Array} origColor
+ *         The color from which to bleed, r,g,b array of color values.
+ * @param  {Array} destColor
+ *         The color to which to bleed, r,g,b array of color values.
+ * @param  {Number} steps
+ *         The number of linear steps over which the color should bleed. The minimum number of steps
+ *         is 2. i.e. origin color (0), avg color (1), destination color (2)
+ * @param  {Number} step
+ *         The step index value for the return value.
+ * @param  {Function} interpolateFunc
+ *         The function to be used for interpolating between the values. Default used is the
+ *         linearInterpolate function.
+ * @param  {String} colorSpace
+ *         Optional. The color space to bleed through, "rgb" (the default), "hsv" or "oklab", see
+ *         lib/colors.js.
+ * @return {Array}
+ *         An array of arrays of r,g,b color values representing the full bleed.
+ */
+function colorBleed(origColor, destColor, steps, step, interpolateFunc, colorSpace) {
+    if (steps === undefined || steps < 2) {
+        steps = 2;
+        step = 1;
+    }
+    if (interpolateFunc === undefined || interpolateFunc === null) {
+        interpolateFunc = linearInterpolate;
+    }
+    var ends = colorSpaces.toColorSpace(origColor, destColor, colorSpace);
+    var i;
+    var bleed = [];
+    for (var s = 0; s <= steps; s++) {
+        /*jshint loopfunc: true */
+        var color = colorSpaces.fromColorSpace(ends[0].map(function(origChannel, idx) {
+            return interpolateFunc(s, steps, origChannel, ends[1][idx]);
+        }), colorSpace).map(function(val) {
+            // Round the numbers? Does it matter?
+            val = Math.round(val);
+            // ensure the color channel value is between 0 - 255
+            val = Math.max(val, 0);
+            val = Math.min(val, 255);
+            return val;
+        });
+        bleed.push(color);
+    }
+    if (step !== undefined && step !== null) {
+        return bleed[step];
+    }
+    return bleed;
+}
+
+/**
+ * Creates an array of color values representing a gradual fade between multiple colors. Usage:
+ * var colorArray = multiColorBleed(30, [0,0,0], [255,255,255], [0,0,255]);
+ *
+ * @param  {Number} frameCountPerColor
+ *         The number of frames used to get from one color to the next.
+ * @param  {Function} interpolateFunc
+ *         The function used for interpolating between the values.
+ * @param  ...args
+ *         The colors that should be animated, as arrays of [r,g,b], optionally followed by the
+ *         color space to bleed through (see colorBleed), e.g.
+ *         multiColorBleed(30, linearInterpolate, [255,0,0], [0,0,255], "hsv").
+ * @return {Array}
+ *         The array of colors.
+ */
+function multiColorBleed(frameCountPerColor, interpolateFunc) {
+    var colorValues = Array.prototype.slice.call(arguments, 2);
+    var colorSpace;
+    if (colorValues.length && !Array.isArray(colorValues[colorValues.length - 1])) {
+        colorSpace = colorValues.pop();
+    }
+    var colors = [];
+    var i;
+    for (i = 0; i < colorValues.length; i++) {
+        var cOrig = colorValues[i];
+        var cDest;
+        if (i === colorValues.length - 1) {
+            cDest = colorValues[0];
+        } else {
+            cDest = colorValues[i + 1];
+        }
+        var fade = colorBleed(cOrig, cDest, frameCountPerColor, null, interpolateFunc,
+                              colorSpace);
+        if (i > 0) {
+            fade = fade.slice(1);
+        }
+        colors = colors.concat(fade);
+    }
+    colors.pop();
+    return colors;
+}
+
+/**
+ * Normalizes a color value to be an integer between 0 and 255.
+ * @param  {Number} colorVal
+ *         The color values to normalize.
+ * @return {Number}
+ *         The normalized value.
+ */
+function normColor(colorVal) {
+    return Math.max(Math.min(Math.round(colorVal), 255), 0);
+}
+
+/**
+ * Takes a frame array of pixel values that use pixel ids (this does not work with row column
+ * defined pixels), and sorts them based on pixel id.
+ *
+ * @param  {Array} frame
+ *         An array of pixels defined using pixel id.
+ */
+function sortPixelFrame(frame) {
+    frame.sort(function(a, b) {
+        return parseInt((a).match(/\[(\d+)\]/)[1], 10) -
+            parseInt((b).match(/\[(\d+)\]/)[1], 10);
+    });
+}
+
+/** Returns true if value is defined and not null. */
+function defd(val) {
+    return val !== undefined && val !== null;
+}
+
+function getShiftedArray(arr) {
+    var shiftedArr = arr.slice(0);
+    shiftedArr.push(shiftedArr.shift());
+    return shiftedArr;
+}
+
+module.exports = {
+    getPixel: getPixel,
+    relativePosition: relativePosition,
+    linearInterpolate: linearInterpolate,
+    sineInterpolate: sineInterpolate,
+    randomInterpolate: randomInterpolate,
+    randomInterpolator: randomInterpolator,
+    colorBleed: colorBleed,
+    multiColorBleed: multiColorBleed,
+    normColor: normColor,
+    sortPixelFrame: sortPixelFrame,
+    defd: defd,
+    getShiftedArray: getShiftedArray
+};
@@ -0,0 +1,195 @@
+/**
+ * A small PNG decoder, using node's built in zlib for decompression, so that images drawn in pixel
+ * art tools can be turned into animations without native modules. It reads every color type and
+ * bit depth, but not interlaced images.
+ */
+
+'use strict';
+
+/* globals require, module, Buffer */
+var zlib = require('zlib');
+
+var SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// The number of samples per pixel of each color type: grayscale, rgb, palette, grayscale with
+// alpha and rgb with alpha.
+var CHANNELS = {0: 1, 2: 3, 3: 1, 4: 2, 6: 4};
+
+/** The Paeth predictor used by filter type 4. */
+function paeth(a, b, c) {
+    var p = a + b - c;
+    var pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) {
+        return a;
+    }
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Undoes the per row filters of the inflated image data.
+ *
+ * @param  {Buffer} data
+ *         The inflated image data, each row starting with its filter type.
+ * @param  {Number} stride
+ *         The number of bytes in a row, not counting the filter type.
+ * @param  {Number} height
+ *         The number of rows.
+ * @param  {Number} bpp
+ *         The number of bytes per pixel, rounded up to 1.
+ * @return {Buffer}
+ *         The unfiltered rows, without the filter types.
+ */
+function unfilter(data, stride, height, bpp) {
+    var out = Buffer.alloc(stride * height);
+    for (var y = 0; y < height; y++) {
+        var filter = data[y * (stride + 1)];
+        var inRow = y * (stride + 1) + 1;
+        var row = y * stride;
+        var prev = row - stride;
+        for (var x = 0; x < stride; x++) {
+            var a = x >= bpp ? out[row + x - bpp] : 0;
+            var b = y > 0 ? out[prev + x] : 0;
+            var c = (x >= bpp && y > 0) ? out[prev + x - bpp] : 0;
+            var value = data[inRow + x];
+            if (filter === 1) {
+                value += a;
+            } else if (filter === 2) {
+                value += b;
+            } else if (filter === 3) {
+                value += Math.floor((a + b) / 2);
+            } else if (filter === 4) {
+                value += paeth(a, b, c);
+            } else if (filter !== 0) {
+                throw new Error("Invalid PNG: unknown filter type " + filter);
+            }
+            out[row + x] = value & 0xff;
+        }
+    }
+    return out;
+}
+
+/**
+ * Decodes a PNG.
+ *
+ * @param  {Buffer} buf
+ *         The contents of the PNG file.
+ * @return {Object}
+ *         The image, with "width", "height" and "pixels", an array of r,g,b,a bytes row by row.
+ */
+function decodePng(buf) {
+    var i;
+    for (i = 0; i < SIGNATURE.length; i++) {
+        if (buf[i] !== SIGNATURE[i]) {
+            throw new Error("Not a PNG file");
+        }
+    }
+
+    var header, palette, transparency;
+    var idat = [];
+    var offset = SIGNATURE.length;
+    while (offset + 8 <= buf.length) {
+        var length = buf.readUInt32BE(offset);
+        var type = buf.toString('ascii', offset + 4, offset + 8);
+        var data = buf.slice(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+    if (!header || !idat.length) {
+        throw new Error("Invalid PNG: missing the image header or data");
+    }
+    if (CHANNELS[header.colorType] === undefined) {
+        throw new Error("Invalid PNG: unknown color type " + header.colorType);
+    }
+    if (header.interlace) {
+        throw new Error("Interlaced PNGs are not supported, save the image without interlacing");
+    }
+    if (header.colorType === 3 && !palette) {
+        throw new Error("Invalid PNG: palette image without a palette");
+    }
+
+    var width = header.width, height = header.height, depth = header.bitDepth;
+    var channels = CHANNELS[header.colorType];
+    var bitsPerPixel = channels * depth;
+    var stride = Math.ceil(width * bitsPerPixel / 8);
+    var raw = unfilter(zlib.inflateSync(Buffer.concat(idat)), stride, height,
+                       Math.max(bitsPerPixel / 8, 1));
+
+    // Reads sample number n of a row, scaled to 8 bits unless it is a palette index.
+    var maxSample = Math.pow(2, depth) - 1;
+    function sample(row, n, scale) {
+        var value;
+        if (depth === 16) {
+            value = raw.readUInt16BE(row + n * 2);
+        } else if (depth === 8) {
+            value = raw[row + n];
+        } else {
+            var bit = n * depth;
+            value = (raw[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & maxSample;
+        }
+        return scale ? Math.round(value * 255 / maxSample) : value;
+    }
+
+    var pixels = new Uint8Array(width * height * 4);
+    for (var y = 0; y < height; y++) {
+        var row = y * stride;
+        for (var x = 0; x < width; x++) {
+            var n = x * channels;
+            var out = (y * width + x) * 4;
+            var r, g, b, a = 255;
+            if (header.colorType === 3) {
+                var index = sample(row, n, false);
+                r = palette[index * 3];
+                g = palette[index * 3 + 1];
+                b = palette[index * 3 + 2];
+                if (transparency && index < transparency.length) {
+                    a = transparency[index];
+                }
+            } else if (header.colorType === 0 || header.colorType === 4) {
+                r = g = b = sample(row, n, true);
+                if (header.colorType === 4) {
+                    a = sample(row, n + 1, true);
+                } else if (transparency &&
+                           sample(row, n, false) === transparency.readUInt16BE(0)) {
+                    a = 0;
+                }
+            } else {
+                r = sample(row, n, true);
+                g = sample(row, n + 1, true);
+                b = sample(row, n + 2, true);
+                if (header.colorType === 6) {
+                    a = sample(row, n + 3, true);
+                } else if (transparency &&
+                           sample(row, n, false) === transparency.readUInt16BE(0) &&
+                           sample(row, n + 1, false) === transparency.readUInt16BE(2) &&
+                           sample(row, n + 2, false) === transparency.readUInt16BE(4)) {
+                    a = 0;
+                }
+            }
+            pixels[out] = r;
+            pixels[out + 1] = g;
+            pixels[out + 2] = b;
+            pixels[out + 3] = a;
+        }
+    }
+    return {width: width, height: height, pixels: pixels};
+}
+
+module.exports = {
+    decodePng: decodePng
+};
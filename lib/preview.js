@@ -0,0 +1,126 @@
+/**
+ * Plays animations in the terminal, drawing each led as a block of ANSI truecolor at its row and
+ * column from kll.json.
+ */
+
+'use strict';
+
+/* globals require, module, process, setTimeout, clearTimeout */
+var render = require('./render');
+var settingsUtil = require('./settings');
+
+var ESC = "\u001b[";
+var LED = "██";
+var LED_OFF = "··";
+var OFF_COLOR = [80, 80, 80];
+
+/** Returns the ANSI escape for setting the foreground to the given color. */
+function fgColor(color) {
+    return ESC + "38;2;" + color.join(";") + "m";
+}
+
+/**
+ * Draws an led state as lines of colored blocks, one line per pixel row.
+ *
+ * @param  {Array} positions
+ *         The led positions, as returned by render.ledPositions.
+ * @param  {Object} state
+ *         The led state, a map of led id to [r, g, b].
+ * @return {String}
+ *         The drawing, including the ANSI color escapes.
+ */
+function drawFrame(positions, state) {
+    var grid = [];
+    var i, r, c;
+    var maxRow = 0, maxCol = 0;
+    for (i = 0; i < positions.length; i++) {
+        maxRow = Math.max(maxRow, Math.round(positions[i].row));
+        maxCol = Math.max(maxCol, Math.round(positions[i].col));
+    }
+    for (r = 0; r <= maxRow; r++) {
+        grid.push([]);
+    }
+    for (i = 0; i < positions.length; i++) {
+        grid[Math.round(positions[i].row)][Math.round(positions[i].col)] = state[positions[i].id];
+    }
+
+    var lines = [];
+    for (r = 0; r <= maxRow; r++) {
+        var line = "";
+        for (c = 0; c <= maxCol; c++) {
+            var color = grid[r][c];
+            if (!color) {
+                line += "  ";
+            } else if (color[0] || color[1] || color[2]) {
+                line += fgColor(color) + LED;
+            } else {
+                line += fgColor(OFF_COLOR) + LED_OFF;
+            }
+        }
+        lines.push(line + ESC + "0m");
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Plays an animation in the terminal, honouring its framedelay and loop settings.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation
+ *         The animation object, with "settings" and "frames".
+ * @param  {Object} options
+ *         Optional. "title" is shown above the keyboard, "out" is the stream to write to (defaults
+ *         to stdout) and "maxLoops" limits how many times a looping animation is played.
+ * @param  {Function} done
+ *         Optional. Called once the animation has finished playing.
+ * @return {Function}
+ *         A function that stops the playback.
+ */
+function previewAnimation(kb, animation, options, done) {
+    options = options || {};
+    var out = options.out || process.stdout;
+    var rendered = render.renderAnimation(kb, animation);
+    var positions = render.ledPositions(kb);
+    var duration = settingsUtil.frameDuration(rendered.settings);
+    var loops = Math.min(settingsUtil.loopCount(rendered.settings),
+                         options.maxLoops || Infinity);
+    var frameCount = rendered.frames.length;
+    var loop = 0;
+    var frame = 0;
+    var timer;
+
+    function finish() {
+        clearTimeout(timer);
+        out.write(ESC + "0m" + ESC + "?25h\n");
+        if (done) {
+            done();
+            done = null;
+        }
+    }
+
+    function showFrame() {
+        if (frame >= frameCount) {
+            frame = 0;
+            loop++;
+        }
+        if (loop >= loops || !frameCount) {
+            finish();
+            return;
+        }
+        out.write(ESC + "H" + (options.title || "") + "  frame " + (frame + 1) + "/" +
+                  frameCount + ", loop " + (loop + 1) + "/" + loops + ", " + duration + "ms" +
+                  ESC + "K\n\n" + drawFrame(positions, rendered.frames[frame]) + "\n");
+        frame++;
+        timer = setTimeout(showFrame, duration);
+    }
+
+    out.write(ESC + "?25l" + ESC + "2J");
+    showFrame();
+    return finish;
+}
+
+module.exports = {
+    drawFrame: drawFrame,
+    previewAnimation: previewAnimation
+};
@@ -0,0 +1,231 @@
+/**
+ * Keyboard profiles, which describe the parts of a keyboard that the generators can't work out
+ * from the configurator files on their own: which leds are under the keys and which are the
+ * underglow (and in what order they go around the ring), named groups of keys, and the keys used
+ * to trigger the animations.
+ *
+ * The K-Type is built in. Other keyboards get a generic profile made from the leds in the
+ * configurator json, which works for any keyboard whose key leds are numbered consecutively.
+ */
+
+'use strict';
+
+/* globals module */
+
+/**
+ * The K-Type. Key groups are lists of scan codes (strings) or led ids (numbers), where a 2 item
+ * array is an inclusive range.
+ */
+var KTYPE = {
+    "name": "ktype",
+    "description": "Input Club K-Type",
+    // The key leds are numbered 1 to 87, in rows from the top left.
+    "topLeds": [1, 87],
+    // The underglow leds, in order around the ring:
+    //                                |
+    //           105 106 107 108 109 110 111 112 114 115
+    //       104                                         116
+    //   103                                                 117
+    // --102                                                 118--
+    //   101                                                 119
+    //       100                                             88
+    //           99  98  97  96  95  94  93  92  91  90  89
+    //                                |
+    "underglow": [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103,
+                  104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    // The underglow led at the middle of the front edge.
+    "underglowFront": 94,
+    "keyGroups": {
+        "FUNC_KEY_GROUP": [["0x01", "0x10"]],
+        "LEFT_GROUP": ["0x11", "0x24", "0x36", "0x45", ["0x55", "0x57"]],
+        "LETTERS_GROUP": [["0x12","0x1D"],["0x25", "0x30"], ["0x37", "0x41"],
+                          ["0x47", "0x50"]],
+        "RIGHT_GROUP": ["0x1F", "0x31", "0x43", "0x52", ["0x59", "0x5C"]],
+        "SPACE_GROUP": ["0x58"],
+        "NAV_GROUP": [["0x21", "0x23"],["0x33", "0x35"]],
+        "ARROW_GROUP": ["0x54", ["0x5D", "0x5F"]],
+        "BASE_GROUP": [[88, 119]]
+    },
+    // On qwerty keyboards these keys map to:
+    // qwertyuiop[]\
+    // asdfghjkl;'
+    // zxcvbnm,./
+    // Scan codes 0x25-0x30, 0x37-0x41, 0x47-0x4F
+    "triggerKeys": ["0x25", "0x26", "0x27", "0x28", "0x29", "0x2A", "0x2B", "0x2C",
+                        "0x2D", "0x2E", "0x2F", "0x30",
+                    "0x37", "0x38", "0x39", "0x3A", "0x3B", "0x3C", "0x3D", "0x3E",
+                        "0x3F", "0x40", "0x41",
+                    "0x47", "0x48", "0x49", "0x4A", "0x4B", "0x4C", "0x4D", "0x4E", "0x4F"],
+    "matches": function(json) {
+        var header = json.header || {};
+        if (header.Name) {
+            return /^k-?type$/i.test(header.Name);
+        }
+        // Without a name, go by the leds: 87 keys followed by the 32 led ring.
+        var leds = json.leds || [];
+        return leds.length === 119 && leds.every(function(led) {
+            return !led.scanCode === (led.id >= 88);
+        });
+    }
+};
+
+// The built in profiles, by name.
+var PROFILES = {
+    "ktype": KTYPE
+};
+
+/**
+ * Creates a profile for a keyboard that has no built in profile, from the leds in the configurator
+ * json and their positions in kll.json. The underglow is taken to be the leds without a key, in id
+ * order, and the key groups are the rows of keys.
+ *
+ * @param  {Object} json
+ *         The parsed configurator json.
+ * @param  {Object} kll
+ *         The parsed kll.json file.
+ * @return {Object}
+ *         The profile.
+ */
+function genericProfile(json, kll) {
+    var leds = json.leds || [];
+    var pixelIds = (kll && kll.PixelIds) || {};
+    var keyed = leds.filter(function(led) {
+        return led.scanCode;
+    });
+    var underglow = leds.filter(function(led) {
+        return !led.scanCode;
+    }).map(function(led) {
+        return led.id;
+    }).sort(function(a, b) {
+        return a - b;
+    });
+    var keyIds = keyed.map(function(led) {
+        return led.id;
+    });
+
+    // The front of the ring is the underglow led in the bottom row that is closest to the middle.
+    var maxRow = 0, maxCol = 0;
+    for (var id in pixelIds) {
+        maxRow = Math.max(maxRow, pixelIds[id].Row);
+        maxCol = Math.max(maxCol, pixelIds[id].Col);
+    }
+    var front = underglow[0];
+    underglow.forEach(function(ledId) {
+        var px = pixelIds[ledId], frontPx = pixelIds[front];
+        if (px && (!frontPx || px.Row > frontPx.Row ||
+                   (px.Row === frontPx.Row &&
+                    Math.abs(px.Col - maxCol / 2) < Math.abs(frontPx.Col - maxCol / 2)))) {
+            front = ledId;
+        }
+    });
+
+    var keyGroups = {};
+    keyed.forEach(function(led) {
+        var px = pixelIds[led.id];
+        var group = "ROW_" + (px ? px.Row : 0) + "_GROUP";
+        (keyGroups[group] = keyGroups[group] || []).push(led.scanCode);
+    });
+    if (underglow.length) {
+        keyGroups.BASE_GROUP = underglow.slice(0);
+    }
+
+    // Without knowing the layout, the letter keys are the safest to take over on the trigger layer.
+    var triggerKeys = (json.matrix || []).filter(function(key) {
+        var name = key.layers && key.layers["0"] && key.layers["0"].key;
+        return typeof(name) === 'string' && /^[A-Z]$/i.test(name.replace(/^#:/, ""));
+    }).map(function(key) {
+        return key.code;
+    });
+
+    return {
+        "name": "generic",
+        "description": "Generic profile made from " + ((json.header && json.header.Name) ||
+                                                        "the configurator json"),
+        "topLeds": keyIds.length ? [Math.min.apply(null, keyIds), Math.max.apply(null, keyIds)] :
+                                   [],
+        "underglow": underglow,
+        "underglowFront": front,
+        "keyGroups": keyGroups,
+        "triggerKeys": triggerKeys
+    };
+}
+
+/**
+ * Picks the profile for a keyboard.
+ *
+ * @param  {Object} json
+ *         The parsed configurator json.
+ * @param  {Object} kll
+ *         The parsed kll.json file.
+ * @param  {String} name
+ *         Optional. The name of the profile to use, "generic" for a profile made from the
+ *         configurator files, or nothing to detect it from the json header and leds.
+ * @return {Object}
+ *         The profile.
+ */
+function selectProfile(json, kll, name) {
+    if (name) {
+        if (name === 'generic') {
+            return genericProfile(json, kll);
+        }
+        if (!PROFILES[name]) {
+            throw new Error("Unknown keyboard profile: '" + name + "'. Available profiles: " +
+                            Object.keys(PROFILES).concat("generic").join(", "));
+        }
+        return PROFILES[name];
+    }
+    for (var profileName in PROFILES) {
+        if (PROFILES[profileName].matches(json)) {
+            return PROFILES[profileName];
+        }
+    }
+    return genericProfile(json, kll);
+}
+
+/**
+ * Splits the underglow ring into its 2 halves, each running from the front of the ring to the
+ * back, so that something can be animated around both sides of the keyboard at once.
+ *
+ * @param  {Object} profile
+ *         The keyboard profile.
+ * @return {Object}
+ *         The "left" and "right" sides as arrays of led ids, both starting with the front led and
+ *         ending with the back led.
+ */
+function underglowSides(profile) {
+    var ring = profile.underglow;
+    var start = Math.max(ring.indexOf(profile.underglowFront), 0);
+    var half = Math.floor(ring.length / 2);
+    var left = [], right = [];
+    for (var i = 0; i <= half && ring.length; i++) {
+        left.push(ring[(start + i) % ring.length]);
+        right.push(ring[(start - i + ring.length) % ring.length]);
+    }
+    return {left: left, right: right};
+}
+
+/**
+ * Lists every led of a keyboard profile: the key leds followed by the underglow.
+ *
+ * @param  {Object} profile
+ *         The keyboard profile.
+ * @return {Array}
+ *         The led ids.
+ */
+function profileLeds(profile) {
+    var ids = [];
+    if (profile.topLeds.length) {
+        for (var id = profile.topLeds[0]; id <= profile.topLeds[1]; id++) {
+            ids.push(id);
+        }
+    }
+    return ids.concat(profile.underglow);
+}
+
+module.exports = {
+    PROFILES: PROFILES,
+    genericProfile: genericProfile,
+    selectProfile: selectProfile,
+    underglowSides: underglowSides,
+    profileLeds: profileLeds
+};
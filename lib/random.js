@@ -0,0 +1,89 @@
+/**
+ * Seeded random numbers for the generators, so that the same seed and conf always generate the
+ * same animations. The generators get their random function from the keyboard context (kb.random)
+ * rather than calling Math.random.
+ */
+
+'use strict';
+
+/* globals module */
+
+/** Returns a number from a seed, which can be a string or a whole number. */
+function hashSeed(seed) {
+    var str = String(seed);
+    var hash = 5381;
+    for (var i = 0; i < str.length; i++) {
+        hash = ((hash * 33) ^ str.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Creates a random function from a seed. The numbers come from mulberry32, which is small and
+ * plenty random enough for lighting up keys.
+ *
+ * @param  {String} seed
+ *         The seed, a string or a whole number. 42 and "42" are the same seed.
+ * @return {Function}
+ *         A function that works like Math.random, returning a number from 0 up to (but not
+ *         including) 1.
+ */
+function createRandom(seed) {
+    var state = hashSeed(seed);
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** Picks a new seed, for when none is given. */
+function randomSeed() {
+    return Math.floor(Math.random() * 1000000000);
+}
+
+/**
+ * Works out the seed of an animation. An animation without a seed of its own gets one from the
+ * global seed and its name, so that adding, removing or reordering the other animations doesn't
+ * change it.
+ *
+ * @param  {String} globalSeed
+ *         The global seed.
+ * @param  {String} animName
+ *         The name of the animation in kiianiconf.json.
+ * @param  {String} animSeed
+ *         Optional. The "seed" of the animation in kiianiconf.json.
+ * @return {String}
+ *         The seed.
+ */
+function animationSeed(globalSeed, animName, animSeed) {
+    return animSeed !== undefined ? animSeed : globalSeed + "/" + animName;
+}
+
+/**
+ * Checks the "seed" of an animation.
+ *
+ * @param  {*} value
+ *         The "seed" from the conf.
+ * @param  {String} path
+ *         The json path of the value.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function validateSeed(value, path, problems) {
+    var seedOk = (typeof(value) === 'number' && value % 1 === 0) ||
+                 (typeof(value) === 'string' && value !== "");
+    if (!seedOk) {
+        problems.push({path: path, message: "must be a whole number or a non-empty string, not " +
+                                            JSON.stringify(value)});
+    }
+}
+
+module.exports = {
+    createRandom: createRandom,
+    randomSeed: randomSeed,
+    animationSeed: animationSeed,
+    validateSeed: validateSeed
+};
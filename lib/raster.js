@@ -0,0 +1,182 @@
+/**
+ * Draws led states onto an RGB pixel buffer, either as dots at the led positions from kll.json or
+ * as key caps at the key positions from the configurator matrix.
+ */
+
+'use strict';
+
+/* globals require, module */
+var ledPositions = require('./render').ledPositions;
+
+var BACKGROUND = [24, 24, 24];
+var LED_OFF = [56, 56, 56];
+var MARGIN = 16;
+
+/**
+ * Creates an image that can be drawn on.
+ *
+ * @param  {Number} width
+ *         The width in pixels.
+ * @param  {Number} height
+ *         The height in pixels.
+ * @return {Object}
+ *         The image, with "width", "height" and "pixels", an array of r,g,b bytes row by row.
+ */
+function createImage(width, height) {
+    var image = {
+        width: width,
+        height: height,
+        pixels: new Uint8Array(width * height * 3)
+    };
+    fillRect(image, 0, 0, width, height, BACKGROUND);
+    return image;
+}
+
+/** Fills a rectangle of the image with a color. */
+function fillRect(image, x, y, w, h, color) {
+    var x0 = Math.max(Math.round(x), 0);
+    var y0 = Math.max(Math.round(y), 0);
+    var x1 = Math.min(Math.round(x + w), image.width);
+    var y1 = Math.min(Math.round(y + h), image.height);
+    for (var py = y0; py < y1; py++) {
+        for (var px = x0; px < x1; px++) {
+            var offset = (py * image.width + px) * 3;
+            image.pixels[offset] = color[0];
+            image.pixels[offset + 1] = color[1];
+            image.pixels[offset + 2] = color[2];
+        }
+    }
+}
+
+/** Fills a circle of the image with a color. */
+function fillCircle(image, cx, cy, radius, color) {
+    for (var py = Math.floor(cy - radius); py <= Math.ceil(cy + radius); py++) {
+        for (var px = Math.floor(cx - radius); px <= Math.ceil(cx + radius); px++) {
+            var dx = px + 0.5 - cx;
+            var dy = py + 0.5 - cy;
+            if (dx * dx + dy * dy <= radius * radius) {
+                fillRect(image, px, py, 1, 1, color);
+            }
+        }
+    }
+}
+
+/** Returns the color an led is drawn with, so that leds that are off can still be seen. */
+function ledColor(color) {
+    if (!color || !(color[0] || color[1] || color[2])) {
+        return LED_OFF;
+    }
+    return color;
+}
+
+/**
+ * Creates a layout that draws every led as a dot at its row and column from kll.json.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} options
+ *         Optional. "colWidth" and "rowHeight" are the sizes of a kll column and row in pixels
+ *         (default 12 and 24, as kll columns are about half as wide as the rows are tall).
+ * @return {Object}
+ *         The layout, with the image "width" and "height" and a "draw" function that draws an led
+ *         state onto a new image.
+ */
+function ledLayout(kb, options) {
+    options = options || {};
+    var colWidth = options.colWidth || 12;
+    var rowHeight = options.rowHeight || 24;
+    var radius = Math.min(colWidth, rowHeight) * 0.45;
+    var positions = ledPositions(kb);
+    var width = (kb.maxCol + 1) * colWidth + MARGIN * 2;
+    var height = (kb.maxRow + 1) * rowHeight + MARGIN * 2;
+
+    function draw(state) {
+        var image = createImage(width, height);
+        for (var i = 0; i < positions.length; i++) {
+            fillCircle(image,
+                       MARGIN + (positions[i].col + 0.5) * colWidth,
+                       MARGIN + (positions[i].row + 0.5) * rowHeight,
+                       radius,
+                       ledColor(state[positions[i].id]));
+        }
+        return image;
+    }
+
+    return {width: width, height: height, draw: draw};
+}
+
+/**
+ * Creates a layout that draws the keys of the configurator matrix as key caps lit with the color of
+ * their led. Leds without a key (i.e. the underglow) are drawn as dots around the keys, placed by
+ * their row and column from kll.json.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Array} matrix
+ *         The configurator matrix, whose entries have a scan "code" and "x", "y", "w" and "h" in
+ *         key units.
+ * @param  {Object} options
+ *         Optional. "keySize" is the size of a key unit in pixels (default 40).
+ * @return {Object}
+ *         The layout, like ledLayout.
+ */
+function keyLayout(kb, matrix, options) {
+    options = options || {};
+    var keySize = options.keySize || 40;
+    var gap = Math.max(Math.round(keySize / 12), 1);
+    var glowSpace = Math.round(keySize / 2);
+    var radius = keySize / 8;
+    var keys = matrix.filter(function(key) {
+        return key.x !== undefined && key.y !== undefined;
+    });
+    var keysWidth = 0, keysHeight = 0;
+    keys.forEach(function(key) {
+        keysWidth = Math.max(keysWidth, key.x + (key.w || 1));
+        keysHeight = Math.max(keysHeight, key.y + (key.h || 1));
+    });
+    keysWidth *= keySize;
+    keysHeight *= keySize;
+    var left = MARGIN + glowSpace;
+    var top = MARGIN + glowSpace;
+    var width = keysWidth + (MARGIN + glowSpace) * 2;
+    var height = keysHeight + (MARGIN + glowSpace) * 2;
+
+    var glowLeds = ledPositions(kb).filter(function(position) {
+        return kb.blankLeds.some(function(led) {
+            return led.id === position.id;
+        });
+    });
+
+    function draw(state) {
+        var image = createImage(width, height);
+        var i;
+        for (i = 0; i < keys.length; i++) {
+            var key = keys[i];
+            fillRect(image,
+                     left + key.x * keySize + gap,
+                     top + key.y * keySize + gap,
+                     (key.w || 1) * keySize - gap * 2,
+                     (key.h || 1) * keySize - gap * 2,
+                     ledColor(state[kb.ledIdByScanCode[key.code]]));
+        }
+        for (i = 0; i < glowLeds.length; i++) {
+            var led = glowLeds[i];
+            fillCircle(image,
+                       MARGIN + glowSpace / 2 +
+                           (kb.maxCol ? led.col / kb.maxCol : 0) * (keysWidth + glowSpace),
+                       MARGIN + glowSpace / 2 +
+                           (kb.maxRow ? led.row / kb.maxRow : 0) * (keysHeight + glowSpace),
+                       radius,
+                       ledColor(state[led.id]));
+        }
+        return image;
+    }
+
+    return {width: width, height: height, draw: draw};
+}
+
+module.exports = {
+    createImage: createImage,
+    ledLayout: ledLayout,
+    keyLayout: keyLayout
+};
@@ -0,0 +1,139 @@
+/**
+ * Reactive animations, which play from the key that was pressed. Their pixels are positioned
+ * relative to the key that triggered them, "P[r:i+1,c:i-2](r,g,b)", so one animation can be
+ * started from every key.
+ *
+ * For firmware that can't position pixels relative to the triggering key, an animation can instead
+ * be expanded into one animation per key, with the positions filled in. Keys whose animations come
+ * out the same (such as the keys of a row, for something that only uses the row) share one, which
+ * keeps the expanded animations down to what is really different.
+ */
+
+'use strict';
+
+/* globals require, module */
+var frames = require('./frames');
+var parseSettings = require('./settings').parseSettings;
+var describeType = require('./check').describeType;
+
+// The generators whose animations are reactive. They are started from the keys themselves, so they
+// don't take a trigger key.
+var REACTIVE_GENERATORS = ["ripple", "keySplash", "rowSweep"];
+
+/**
+ * Checks whether an animation is reactive, i.e. has pixels positioned relative to the key that
+ * triggers it.
+ *
+ * @param  {Object} animation
+ *         The animation object, with "settings" and "frames".
+ * @return {Boolean}
+ *         True if any frame has a relative pixel.
+ */
+function isReactiveAnimation(animation) {
+    return animation.frames.some(function(frame) {
+        return frames.isRelativeFrame(frames.parseFrame(frame));
+    });
+}
+
+/**
+ * Lists the keys that reactive animations can be triggered from: the keys with an led that has a
+ * position in kll.json.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @return {Array}
+ *         The keys, as {scanCode, row, col} objects.
+ */
+function reactiveKeys(kb) {
+    var keys = [];
+    kb.keyedLeds.forEach(function(led) {
+        var px = kb.pixelIds[led.id];
+        if (px) {
+            keys.push({scanCode: led.scanCode, row: px.Row, col: px.Col});
+        }
+    });
+    return keys;
+}
+
+/**
+ * Expands a reactive animation into animations with the relative positions filled in for each
+ * key. Pixels that land where there is no led are left out, unless the animation uses
+ * "pfunc:interp" (where leaving a pixel out can change what the others interpolate with).
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation
+ *         The reactive animation object. It is not modified.
+ * @return {Array}
+ *         The expanded animations, as objects with the "animation" and the "scanCodes" of the
+ *         keys that trigger it.
+ */
+function expandAnimation(kb, animation) {
+    var interp = parseSettings(animation.settings).pfunc === 'interp';
+    var parsedFrames = animation.frames.map(frames.parseFrame);
+    var ledAt = {};
+    for (var id in kb.pixelIds) {
+        ledAt[kb.pixelIds[id].Row + ":" + kb.pixelIds[id].Col] = true;
+    }
+
+    function resolve(position, origin) {
+        return position && position.relative ? {value: origin + position.value} : position;
+    }
+
+    var expanded = [];
+    var byFrames = {};
+    reactiveKeys(kb).forEach(function(key) {
+        var keyFrames = parsedFrames.map(function(pixels) {
+            var resolved = [];
+            pixels.forEach(function(pixel) {
+                var copy = JSON.parse(JSON.stringify(pixel));
+                copy.row = resolve(pixel.row, key.row);
+                copy.col = resolve(pixel.col, key.col);
+                if (!copy.row) {
+                    delete copy.row;
+                }
+                if (!copy.col) {
+                    delete copy.col;
+                }
+                if (!interp && copy.row && copy.col && !copy.row.percent && !copy.col.percent &&
+                        !ledAt[Math.round(copy.row.value) + ":" + Math.round(copy.col.value)]) {
+                    return;
+                }
+                resolved.push(copy);
+            });
+            return frames.formatFrame(resolved);
+        });
+        var frameKey = JSON.stringify(keyFrames);
+        if (!byFrames[frameKey]) {
+            var keyAnimation = JSON.parse(JSON.stringify(animation));
+            keyAnimation.frames = keyFrames;
+            byFrames[frameKey] = {animation: keyAnimation, scanCodes: []};
+            expanded.push(byFrames[frameKey]);
+        }
+        byFrames[frameKey].scanCodes.push(key.scanCode);
+    });
+    return expanded;
+}
+
+/**
+ * Checks the "relativePixels" of kiianiconf.json.
+ *
+ * @param  {*} value
+ *         The "relativePixels" from the conf.
+ * @param  {Array} problems
+ *         The list that problems are added to, as {path, message} objects.
+ */
+function validateRelativePixels(value, problems) {
+    if (typeof(value) !== 'boolean') {
+        problems.push({path: "relativePixels", message: "must be true or false, not " +
+                                                        describeType(value)});
+    }
+}
+
+module.exports = {
+    REACTIVE_GENERATORS: REACTIVE_GENERATORS,
+    isReactiveAnimation: isReactiveAnimation,
+    reactiveKeys: reactiveKeys,
+    expandAnimation: expandAnimation,
+    validateRelativePixels: validateRelativePixels
+};
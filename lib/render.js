@@ -0,0 +1,268 @@
+/**
+ * Works out what color each led of the keyboard is for every frame of an animation, using the
+ * pixel positions from kll.json. This is how the animations are previewed without flashing the
+ * keyboard.
+ *
+ * Pixels addressed by id (or a range of ids) set those leds, pixels addressed by row and column
+ * set the led at that position, and pixels addressed by only a row or only a column set the whole
+ * row or column. With "pfunc:interp", the leds between two consecutive pixels of the same kind
+ * (ids, rows or columns) are filled in with colors interpolated between the two pixels, which is
+ * how something like "P[c:-1%](0,0,255),P[c:101%](0,0,255)" colors the whole keyboard. Leds that
+ * are not set by a frame keep the color they had in the previous frame. Relative rows and columns
+ * are rendered as if the animation had been triggered by the key at an "origin" position.
+ */
+
+'use strict';
+
+/* globals require, module */
+var parseFrame = require('./frames').parseFrame;
+var parseSettings = require('./settings').parseSettings;
+var normColor = require('./pixels').normColor;
+
+/**
+ * Gets the positions of all the leds of the keyboard.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @return {Array}
+ *         The leds, as {id, row, col} objects, sorted by id.
+ */
+function ledPositions(kb) {
+    var positions = [];
+    for (var id in kb.pixelIds) {
+        positions.push({id: parseInt(id, 10), row: kb.pixelIds[id].Row, col: kb.pixelIds[id].Col});
+    }
+    if (!positions.length) {
+        // Without kll.json, at least the ids can be rendered.
+        positions = kb.leds.map(function(led) {
+            return {id: led.id, row: 0, col: 0};
+        });
+    }
+    positions.sort(function(a, b) {
+        return a.id - b.id;
+    });
+    return positions;
+}
+
+/**
+ * Picks the position that relative pixels are rendered from when no key is given: the key led
+ * closest to the middle of the keyboard.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @return {Object}
+ *         The position, as {row, col}.
+ */
+function defaultOrigin(kb) {
+    var origin = {row: Math.round(kb.maxRow / 2), col: Math.round(kb.maxCol / 2)};
+    var best, bestDistance = Infinity;
+    kb.keyedLeds.forEach(function(led) {
+        var px = kb.pixelIds[led.id];
+        var distance = px && Math.abs(px.Row - origin.row) + Math.abs(px.Col - origin.col) / 2;
+        if (px && distance < bestDistance) {
+            best = {row: px.Row, col: px.Col};
+            bestDistance = distance;
+        }
+    });
+    return best || origin;
+}
+
+/** Returns the kind of address a parsed pixel uses. */
+function addressKind(pixel) {
+    if (pixel.index !== undefined) {
+        return 'index';
+    }
+    if (pixel.row && pixel.col) {
+        return 'rect';
+    }
+    return pixel.row ? 'row' : 'col';
+}
+
+/**
+ * Turns a row or column position into a row or column number, resolving percentages and positions
+ * relative to the origin.
+ */
+function resolvePosition(position, max, origin) {
+    if (position.relative) {
+        return origin + position.value;
+    }
+    return position.percent ? position.value / 100 * max : position.value;
+}
+
+/** Linearly interpolates between 2 colors. */
+function mixColors(color1, color2, t) {
+    return color1.map(function(channel, idx) {
+        return channel + (color2[idx] - channel) * t;
+    });
+}
+
+/**
+ * Creates a renderer for a keyboard, which applies parsed frames to an led state.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} origin
+ *         Optional. The {row, col} of the key that relative pixels are positioned from (see
+ *         defaultOrigin).
+ * @return {Object}
+ *         The renderer, with the led "positions", a "blankState" function that returns a state
+ *         with every led off, and an "applyFrame" function that applies parsed pixels to a state.
+ */
+function createRenderer(kb, origin) {
+    var positions = ledPositions(kb);
+    origin = origin || defaultOrigin(kb);
+
+    // Where a pixel lands on the led in the given dimension ("row" or "col").
+    function coordinate(pixel, dimension) {
+        return resolvePosition(pixel[dimension], dimension === 'row' ? kb.maxRow : kb.maxCol,
+                               origin[dimension]);
+    }
+
+    // The value of the led that is compared with the pixel coordinates for the given kind.
+    function ledValue(led, kind) {
+        return kind === 'index' ? led.id : led[kind];
+    }
+
+    // The first (or, if last is set, the last) value a pixel covers. Only id ranges have 2.
+    function pixelValue(pixel, kind, last) {
+        if (kind === 'index') {
+            return (last && pixel.indexEnd !== undefined) ? pixel.indexEnd : pixel.index;
+        }
+        return coordinate(pixel, kind);
+    }
+
+    function setPixel(state, pixel, kind) {
+        var row, col, low, high;
+        if (kind === 'rect') {
+            row = Math.round(coordinate(pixel, 'row'));
+            col = Math.round(coordinate(pixel, 'col'));
+        } else {
+            low = Math.round(pixelValue(pixel, kind));
+            high = Math.round(pixelValue(pixel, kind, true));
+        }
+        for (var i = 0; i < positions.length; i++) {
+            var led = positions[i];
+            var value = kind === 'rect' ? null : ledValue(led, kind);
+            if (kind === 'rect' ? (led.row === row && led.col === col) :
+                                  (value >= low && value <= high)) {
+                state[led.id] = pixel.color.slice(0);
+            }
+        }
+    }
+
+    function interpolatePixels(state, from, to, kind) {
+        var start = pixelValue(from, kind, true);
+        var end = pixelValue(to, kind);
+        if (start === end) {
+            setPixel(state, to, kind);
+            return;
+        }
+        var low = Math.min(start, end);
+        var high = Math.max(start, end);
+        for (var i = 0; i < positions.length; i++) {
+            var led = positions[i];
+            var value = ledValue(led, kind);
+            if (value >= low && value <= high) {
+                state[led.id] = mixColors(from.color, to.color, (value - start) / (end - start));
+            }
+        }
+        if (to.indexEnd !== undefined) {
+            setPixel(state, to, kind);
+        }
+    }
+
+    function blankState() {
+        var state = {};
+        for (var i = 0; i < positions.length; i++) {
+            state[positions[i].id] = [0, 0, 0];
+        }
+        return state;
+    }
+
+    /**
+     * Applies the pixels of a frame to an led state, modifying it.
+     *
+     * @param  {Object} state
+     *         The led state, a map of led id to [r, g, b].
+     * @param  {Array} pixels
+     *         The parsed pixels of the frame.
+     * @param  {Boolean} interp
+     *         Whether the animation uses "pfunc:interp".
+     */
+    function applyFrame(state, pixels, interp) {
+        var prev, prevKind;
+        for (var i = 0; i < pixels.length; i++) {
+            var pixel = pixels[i];
+            var kind = addressKind(pixel);
+            if (interp && prev && kind === prevKind && kind !== 'rect') {
+                interpolatePixels(state, prev, pixel, kind);
+            } else {
+                setPixel(state, pixel, kind);
+            }
+            prev = pixel;
+            prevKind = kind;
+        }
+    }
+
+    return {
+        positions: positions,
+        blankState: blankState,
+        applyFrame: applyFrame
+    };
+}
+
+/** Returns true if 2 led states have the same colors. */
+function sameState(state1, state2) {
+    for (var id in state1) {
+        var c1 = state1[id], c2 = state2[id];
+        if (!c2 || c1[0] !== c2[0] || c1[1] !== c2[1] || c1[2] !== c2[2]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/** Returns a copy of an led state with the colors rounded and clamped to 0-255. */
+function snapshot(state) {
+    var copy = {};
+    for (var id in state) {
+        copy[id] = state[id].map(normColor);
+    }
+    return copy;
+}
+
+/**
+ * Renders every frame of an animation.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation
+ *         The animation object, with "settings" and "frames".
+ * @return {Object}
+ *         An object with the parsed "settings" and the "frames", each of which is a map of led id
+ *         to its [r, g, b] color in that frame.
+ */
+function renderAnimation(kb, animation) {
+    var settings = parseSettings(animation.settings);
+    var interp = settings.pfunc === 'interp';
+    var renderer = createRenderer(kb);
+    var state = renderer.blankState();
+    var frames = [];
+    for (var i = 0; i < animation.frames.length; i++) {
+        renderer.applyFrame(state, parseFrame(animation.frames[i]), interp);
+        frames.push(snapshot(state));
+    }
+    return {
+        settings: settings,
+        frames: frames
+    };
+}
+
+module.exports = {
+    ledPositions: ledPositions,
+    defaultOrigin: defaultOrigin,
+    createRenderer: createRenderer,
+    sameState: sameState,
+    snapshot: snapshot,
+    renderAnimation: renderAnimation
+};
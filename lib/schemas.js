@@ -0,0 +1,173 @@
+/**
+ * Parameter schemas for the generators. Each generator that can be configured from kiianiconf.json
+ * lists the parameters it accepts, in the order they are given in "params". Generators that are
+ * not listed here, or that have an empty list, do not take any parameters.
+ *
+ * A parameter has a name, a type ("color", "integer", "number", "string", "boolean", "choice",
+ * "sprite", "palette" and "path" for the sprite generator, or "layers" for the composite
+ * generator), an optional min and max for numeric types, the "values" to choose from for the
+ * choice type, a default value and a description. A parameter marked as "required" has no default
+ * and must be given. A parameter marked as "rest" soaks up all of the remaining params, each of
+ * which must match its type.
+ */
+
+'use strict';
+
+/* globals module */
+
+var schemas = {
+    "dodgyPixel": [
+        {name: "hiColor", type: "color", default: [255, 255, 255],
+         description: "The color of the blinking pixels."},
+        {name: "bgColor", type: "color", default: [25, 25, 25],
+         description: "The background color."}
+    ],
+    "kitt2000": [
+        {name: "hiColor", type: "color", default: [255, 0, 0],
+         description: "The color of the sweeping band."},
+        {name: "bgColor", type: "color", default: [0, 0, 0],
+         description: "The background color."},
+        {name: "width", type: "integer", min: 2, max: 25, default: 5,
+         description: "The number of columns over which the band bleeds into the background."}
+    ],
+    "bluewipe": [],
+    "macSleepBreath": [
+        {name: "hiColor", type: "color", default: [255, 255, 255],
+         description: "The color at the top of the breath."},
+        {name: "loColor", type: "color", default: [1, 1, 1],
+         description: "The color at the bottom of the breath."}
+    ],
+    "blueGreenBreath": [],
+    "blueGreenBaseTopBreathSpin": [],
+    "keyGroupCycler": [
+        {name: "stepsPerColor", type: "integer", min: 2, default: 16,
+         description: "The number of frames it takes to fade from one color to the next. " +
+                      "Not used if the animation has a duration, period or bpm."},
+        {name: "colors", type: "color", rest: true, default: [[0, 255, 0], [0, 0, 255]],
+         description: "The colors cycled through by the key groups."}
+    ],
+    "verticalPulseWithTracers": [
+        {name: "stepsPerColor", type: "integer", min: 1, default: 32,
+         description: "The number of frames it takes to fade from one color to the next. " +
+                      "Values below 17 are raised to 17 so the tracers can complete a round. " +
+                      "Not used if the animation has a duration, period or bpm."},
+        {name: "colors", type: "color", rest: true, default: [[0, 255, 0], [0, 0, 255]],
+         description: "The colors pulsed through by the top and the base."}
+    ],
+    "baseTopBreath": [
+        {name: "color1", type: "color", default: [0, 255, 0],
+         description: "The color the keys start with (and the base ends with)."},
+        {name: "color2", type: "color", default: [0, 0, 255],
+         description: "The color the base starts with (and the keys end with)."}
+    ],
+    "redPulse": [],
+    "linearPulse": [
+        {name: "hiColor", type: "color", default: [255, 25, 0],
+         description: "The color at the top of the pulse."},
+        {name: "loColor", type: "color", default: [0, 0, 0],
+         description: "The color at the bottom of the pulse."}
+    ],
+    "blueYellowPulse": [],
+    "rgbPulse": [],
+    "rgbZebraPulse": [],
+    "whiteNoise": [
+        {name: "maxFrames", type: "integer", min: 1, default: 20,
+         description: "The number of frames of static generated."}
+    ],
+    "topAndBottom": [],
+    "topAndBottom2": [],
+    "escapeTest": [],
+    "rainbowCycle": [
+        {name: "cycleFrames", type: "integer", min: 3, default: 120,
+         description: "The number of frames it takes to go through all of the colors. Not " +
+                      "used if the animation has a duration, period or bpm."},
+        {name: "spread", type: "number", min: 0, max: 10, default: 1,
+         description: "How many rainbows fit across the keyboard, 0 for one color at a time."},
+        {name: "saturation", type: "number", min: 0, max: 100, default: 100,
+         description: "How saturated the colors are, in percent."},
+        {name: "brightness", type: "number", min: 0, max: 100, default: 100,
+         description: "How bright the colors are, in percent."}
+    ],
+    "image": [
+        {name: "file", type: "string", required: true,
+         description: "The path of the PNG image or sprite sheet."},
+        {name: "frameWidth", type: "integer", min: 1, default: null,
+         description: "The width of each frame of a horizontal sprite sheet. Defaults to the " +
+                      "width of the image, i.e. a single frame."},
+        {name: "fit", type: "choice", values: ["stretch", "crop", "nearest"], default: "stretch",
+         description: "How the image is fitted to the keyboard: 'stretch' scales it to cover the " +
+                      "keyboard, 'crop' scales it keeping its shape and crops the rest, and " +
+                      "'nearest' takes the pixel at each led's kll column and row."},
+        {name: "frameDelay", type: "integer", min: 1, default: 10,
+         description: "How long each frame is shown for, in 10ms steps."}
+    ],
+    "marquee": [
+        {name: "text", type: "string", default: "KIIANIGEN",
+         description: "The text to scroll. Letters, digits, spaces and .,!?-+=*_:'/()# can be " +
+                      "used."},
+        {name: "fgColor", type: "color", default: [255, 255, 255],
+         description: "The color of the text."},
+        {name: "bgColor", type: "color", default: [0, 0, 0],
+         description: "The background color."},
+        {name: "speed", type: "number", min: 1, max: 100, default: 8,
+         description: "How fast the text scrolls, in keys per second."},
+        {name: "direction", type: "choice", values: ["left", "right"], default: "left",
+         description: "Which way the text scrolls."},
+        {name: "mirrorBase", type: "boolean", default: false,
+         description: "Whether the base leds show the top and bottom rows of the text."}
+    ],
+    "sprite": [
+        {name: "sprite", type: "sprite", default: null,
+         description: "The sprite, drawn as an array of strings with a character per key and " +
+                      "spaces where it is see-through, or an array of such drawings that are " +
+                      "shown in turn (e.g. for a walk cycle). Defaults to an invader."},
+        {name: "palette", type: "palette", default: {"#": [0, 255, 0]},
+         description: "The color of each character of the sprite, e.g. {\"#\": [255, 0, 0]}."},
+        {name: "path", type: "path", default: null,
+         description: "The keyframes the sprite moves between, as [row, column] arrays in " +
+                      "keys, for the top left of the sprite. Defaults to across the middle of " +
+                      "the keyboard."},
+        {name: "loop", type: "choice", values: ["wrap", "bounce"], default: "wrap",
+         description: "What happens at the end of the path: \"wrap\" starts it again and wraps " +
+                      "the sprite around the edges of the keyboard, \"bounce\" goes back " +
+                      "along it."},
+        {name: "frameDelay", type: "integer", min: 1, default: 15,
+         description: "How long each step is shown for, in 10ms units."},
+        {name: "cycleSteps", type: "integer", min: 1, default: 2,
+         description: "How many steps each drawing of the sprite is shown for."}
+    ],
+    "composite": [
+        {name: "layers", type: "layers",
+         default: [{region: "KEYS", generator: "keyGroupCycler", params: [], blend: "replace"},
+                   {region: "BASE", generator: "topAndBottom2", params: [], blend: "replace"}],
+         description: "The layers, bottom first. Each is an object with the \"region\" it " +
+                      "covers (a key group, \"KEYS\", \"BASE\", \"ALL\" or a list of led ids, " +
+                      "scan codes and [first, last] ranges), the \"generator\" and \"params\" " +
+                      "that fill it, and how it \"blend\"s with the layers below: \"replace\" " +
+                      "(the default), \"add\" or \"multiply\"."},
+        {name: "timing", type: "choice", values: ["lcm", "resample"], default: "lcm",
+         description: "How the layers are lined up: \"lcm\" plays each at its own speed until " +
+                      "they all loop together, \"resample\" stretches them all to the length " +
+                      "of the longest."}
+    ],
+    "ripple": [
+        {name: "color", type: "color", default: [0, 128, 255],
+         description: "The color of the ring."},
+        {name: "radius", type: "integer", min: 1, max: 12, default: 4,
+         description: "How many keys out from the pressed key the ring goes."}
+    ],
+    "keySplash": [
+        {name: "color", type: "color", default: [255, 255, 255],
+         description: "The color the key lights up with."},
+        {name: "fadeFrames", type: "integer", min: 1, default: 25,
+         description: "The number of frames it takes the key to fade out."}
+    ],
+    "rowSweep": [
+        {name: "color", type: "color", default: [255, 0, 128],
+         description: "The color of the sweep."},
+        {name: "tail", type: "integer", min: 1, max: 10, default: 3,
+         description: "The number of keys the sweep fades out over behind it."}
+    ]
+};
+
+module.exports = schemas;
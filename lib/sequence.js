@@ -0,0 +1,234 @@
+/**
+ * Plays animations one after the other as a single animation, for the "sequence" entries of
+ * kiianiconf.json. Each step plays an animation of the conf a number of times, and comes in from
+ * the step before it with a transition:
+ *  - "cut" (the default) starts it straight away,
+ *  - "crossfade" fades from where the step before it ended into it over the transition time.
+ * When the sequence loops, the first step comes in from the last one the same way, which is also
+ * how it starts the first time round.
+ *
+ * The steps are rendered to led colors and written out frame by frame at the greatest common
+ * divisor of their framedelays, so they can use different settings. Only the first frame sets
+ * every led; the others set the leds that change. Each step starts from a dark
+ * keyboard, like it would when played on its own. Reactive animations can't be sequenced.
+ */
+
+'use strict';
+
+/* globals require, module */
+var render = require('./render');
+var frames = require('./frames');
+var settingsUtil = require('./settings');
+var getPixel = require('./pixels').getPixel;
+var check = require('./check');
+
+var pathTo = check.pathTo;
+var closestName = check.closestName;
+var hasOwn = check.hasOwn;
+var describeType = check.describeType;
+
+var TRANSITIONS = ["cut", "crossfade"];
+
+/** Returns the greatest common divisor of 2 whole numbers. */
+function gcd(a, b) {
+    return b ? gcd(b, a % b) : a;
+}
+
+/** Creates an error about one of the steps of a sequence, see config.generateFromConf. */
+function stepError(step, message) {
+    var err = new Error(message);
+    err.step = step;
+    return err;
+}
+
+/**
+ * Renders the led states of a step, one per tick of the sequence.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Array} parsedFrames
+ *         The parsed frames of the step's animation.
+ * @param  {Object} settings
+ *         The parsed settings of the step's animation.
+ * @param  {Number} ticksPerFrame
+ *         How many ticks each frame is shown for.
+ * @param  {Number} repeat
+ *         How many times the animation is played.
+ * @return {Array}
+ *         The states.
+ */
+function renderStep(kb, parsedFrames, settings, ticksPerFrame, repeat) {
+    var renderer = render.createRenderer(kb);
+    var state = renderer.blankState();
+    var states = [];
+    for (var loop = 0; loop < repeat; loop++) {
+        for (var i = 0; i < parsedFrames.length; i++) {
+            renderer.applyFrame(state, parsedFrames[i], settings.pfunc === 'interp');
+            var snapshot = render.snapshot(state);
+            for (var tick = 0; tick < ticksPerFrame; tick++) {
+                states.push(snapshot);
+            }
+        }
+    }
+    return states;
+}
+
+/**
+ * Chains animations into one.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Array} steps
+ *         The steps, as objects with the "animation", how many times to "repeat" it, the
+ *         "transition" into it and the "transitionTime", in 10ms units.
+ * @param  {Boolean} loop
+ *         Whether the sequence loops.
+ * @return {Object}
+ *         The animation.
+ */
+function composeSequence(kb, steps, loop) {
+    var delay = 0;
+    var parsed = steps.map(function(step, idx) {
+        var parsedFrames = step.animation.frames.map(frames.parseFrame);
+        if (parsedFrames.some(frames.isRelativeFrame)) {
+            throw stepError(idx, "reactive animations can't be played in a sequence");
+        }
+        if (!parsedFrames.length) {
+            throw stepError(idx, "the animation has no frames");
+        }
+        var settings = settingsUtil.parseSettings(step.animation.settings);
+        delay = gcd(delay, Math.max(settings.framedelay || 0, 1));
+        return {frames: parsedFrames, settings: settings};
+    });
+
+    var stepStates = steps.map(function(step, idx) {
+        var frameDelay = Math.max(parsed[idx].settings.framedelay || 0, 1);
+        return renderStep(kb, parsed[idx].frames, parsed[idx].settings, frameDelay / delay,
+                          step.repeat || 1);
+    });
+
+    var states = [];
+    steps.forEach(function(step, idx) {
+        var ownStates = stepStates[idx];
+        var previous = idx ? stepStates[idx - 1] : (loop ? stepStates[steps.length - 1] : null);
+        var fadeTicks = Math.min(Math.max(Math.round((step.transitionTime || 100) / delay), 1),
+                                 ownStates.length);
+        ownStates.forEach(function(state, tick) {
+            if (step.transition !== 'crossfade' || !previous || tick >= fadeTicks) {
+                states.push(state);
+                return;
+            }
+            var from = previous[previous.length - 1];
+            var t = (tick + 1) / (fadeTicks + 1);
+            var mixed = {};
+            for (var id in state) {
+                /*jshint loopfunc: true */
+                mixed[id] = state[id].map(function(channel, c) {
+                    return Math.round(from[id][c] + (channel - from[id][c]) * t);
+                });
+            }
+            states.push(mixed);
+        });
+    });
+
+    // The first frame sets every led, and the others only the leds that change, so that frames
+    // where nothing changes are empty and framestretch shows the frame before them again.
+    var ledIds = render.ledPositions(kb).map(function(led) {
+        return led.id;
+    });
+    return {
+        "settings": "framedelay:" + delay + ", framestretch" + (loop ? ", loop" : ""),
+        "type": "animation",
+        "frames": states.map(function(state, idx) {
+            var prev = idx ? states[idx - 1] : null;
+            return ledIds.filter(function(id) {
+                return !prev || state[id].join() !== prev[id].join();
+            }).map(function(id) {
+                return getPixel(null, null, state[id][0], state[id][1], state[id][2], id);
+            }).join(",");
+        })
+    };
+}
+
+/**
+ * Checks a sequence, an animation that plays other animations of the conf one after the other
+ * (see lib/sequence.js). A step can be given as just the name of the animation to play.
+ *
+ * @param  {String} name
+ *         The name of the sequence in the conf.
+ * @param  {Object} anim
+ *         The sequence, with the "sequence" of steps and whether to "loop".
+ * @param  {Object} confAnims
+ *         The animations of the conf.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ * @return {Object}
+ *         The "sequence", with the defaults of the steps filled in, and whether to "loop".
+ */
+function validateSequence(name, anim, confAnims, problems) {
+    var path = pathTo(pathTo("animations", name), "sequence");
+    var steps = [];
+    if (anim.generator !== undefined) {
+        problems.push({path: pathTo(pathTo("animations", name), "generator"),
+                       message: "a sequence plays other animations, it can't have a generator"});
+    }
+    if (anim.loop !== undefined && typeof(anim.loop) !== 'boolean') {
+        problems.push({path: pathTo(pathTo("animations", name), "loop"),
+                       message: "must be true or false, not " + describeType(anim.loop)});
+    }
+    if (!Array.isArray(anim.sequence) || !anim.sequence.length) {
+        problems.push({path: path, message: "must be a non-empty array of steps, not " +
+                                           describeType(anim.sequence)});
+        return {sequence: steps, loop: anim.loop !== false};
+    }
+    anim.sequence.forEach(function(step, idx) {
+        var stepPath = pathTo(path, idx);
+        var isName = typeof(step) === 'string';
+        if (isName) {
+            step = {animation: step};
+        }
+        if (!step || typeof(step) !== 'object' || Array.isArray(step)) {
+            problems.push({path: stepPath, message: "each step must be an animation name or an " +
+                                                    "object with an 'animation'"});
+            return;
+        }
+        var animPath = isName ? stepPath : pathTo(stepPath, "animation");
+        if (typeof(step.animation) !== 'string' || !hasOwn(confAnims, step.animation)) {
+            var closest = typeof(step.animation) === 'string' &&
+                          closestName(step.animation, Object.keys(confAnims));
+            problems.push({path: animPath,
+                           message: JSON.stringify(step.animation) + " is not defined in " +
+                                    "animations" + (closest ? ", did you mean '" + closest +
+                                                              "'?" : "")});
+        } else if (confAnims[step.animation] && confAnims[step.animation].sequence !== undefined) {
+            problems.push({path: animPath, message: "'" + step.animation + "' is a sequence, " +
+                                                    "and sequences can't play other sequences"});
+        }
+        if (step.repeat !== undefined) {
+            check.checkValue({name: "repeat", type: "integer", min: 1}, step.repeat,
+                             pathTo(stepPath, "repeat"), problems);
+        }
+        if (step.transition !== undefined && TRANSITIONS.indexOf(step.transition) === -1) {
+            problems.push({path: pathTo(stepPath, "transition"),
+                           message: "must be one of " + TRANSITIONS.join(", ") + ", not " +
+                                    JSON.stringify(step.transition)});
+        }
+        if (step.transitionTime !== undefined) {
+            check.checkValue({name: "transitionTime", type: "integer", min: 1},
+                             step.transitionTime, pathTo(stepPath, "transitionTime"), problems);
+        }
+        steps.push({
+            animation: step.animation,
+            repeat: step.repeat || 1,
+            transition: step.transition || "cut",
+            transitionTime: step.transitionTime || 100
+        });
+    });
+    return {sequence: steps, loop: anim.loop !== false};
+}
+
+module.exports = {
+    TRANSITIONS: TRANSITIONS,
+    composeSequence: composeSequence,
+    validateSequence: validateSequence
+};
@@ -0,0 +1,149 @@
+/**
+ * Helpers for the KLL animation settings string, i.e. something like
+ * "framedelay:3, framestretch, loop, replace:all, pfunc:interp".
+ *
+ * The generators write out their settings as strings, which are the defaults that the "settings"
+ * of an animation in kiianiconf.json can override field by field (see applySettings).
+ */
+
+'use strict';
+
+/* globals module */
+
+// The firmware runs animations at 100 frames per second, so a framedelay of 1 is 10 milliseconds.
+// This is the same math the breath generators use to turn breaths per minute into frame counts.
+var FRAME_PERIOD_MS = 10;
+
+// The settings the firmware knows, in the order they are written out, in the same format as the
+// generator parameter schemas (see schemas.js). "loop" is true to loop forever or a number of
+// times to play. Any of them except the framedelay can be given as false to leave it out.
+var SETTINGS = [
+    {name: "framedelay", type: "integer", min: 1, max: 255,
+     description: "How long each frame is shown for, in 10ms units."},
+    {name: "framestretch", type: "boolean",
+     description: "Whether each frame is stretched over the framedelay."},
+    {name: "loop", type: "loop",
+     description: "True to loop forever, or the number of times to play."},
+    {name: "replace", type: "choice", values: ["none", "basic", "all", "state", "clear"],
+     description: "How the animation replaces others already running on the same leds."},
+    {name: "pfunc", type: "choice", values: ["off", "interp", "kllinterp"],
+     description: "The pixel function, \"interp\" to fade the leds between frames."},
+    {name: "start", type: "boolean",
+     description: "Whether the animation starts when the keyboard is plugged in."}
+];
+
+/**
+ * Parses an animation settings string into an object. Settings given as "name:value" get the value
+ * (numeric values are converted to numbers), and settings given as just "name" are set to true.
+ *
+ * @param  {String} settingsStr
+ *         The settings string, such as "framedelay:3, loop, replace:all".
+ * @return {Object}
+ *         The settings, such as {framedelay: 3, loop: true, replace: "all"}.
+ */
+function parseSettings(settingsStr) {
+    var settings = {};
+    var parts = (settingsStr || "").split(",");
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i].trim();
+        if (!part) {
+            continue;
+        }
+        var colon = part.indexOf(":");
+        if (colon === -1) {
+            settings[part] = true;
+        } else {
+            var value = part.substring(colon + 1).trim();
+            settings[part.substring(0, colon).trim()] = (/^-?\d+(\.\d+)?$/.test(value) ?
+                                                         parseFloat(value) : value);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Turns settings back into a settings string. The settings the firmware knows are written out in
+ * the order of SETTINGS, followed by any others. Settings that are true are written out as just
+ * their name, and ones that are false, null or undefined are left out.
+ *
+ * @param  {Object} settings
+ *         The settings, such as {framedelay: 3, loop: true, replace: "all"}.
+ * @return {String}
+ *         The settings string, such as "framedelay:3, loop, replace:all".
+ */
+function formatSettings(settings) {
+    var names = SETTINGS.map(function(setting) {
+        return setting.name;
+    });
+    names = names.concat(Object.keys(settings).filter(function(name) {
+        return names.indexOf(name) === -1;
+    }));
+    var parts = [];
+    names.forEach(function(name) {
+        var value = settings[name];
+        if (value === true) {
+            parts.push(name);
+        } else if (value !== false && value !== null && value !== undefined) {
+            parts.push(name + ":" + value);
+        }
+    });
+    return parts.join(", ");
+}
+
+/**
+ * Overrides some of the settings of a settings string.
+ *
+ * @param  {String} settingsStr
+ *         The settings string, such as "framedelay:3, framestretch, loop, pfunc:interp".
+ * @param  {Object} overrides
+ *         The settings to change, such as {loop: 3, pfunc: false}. False leaves a setting out.
+ * @return {String}
+ *         The new settings string, such as "framedelay:3, framestretch, loop:3".
+ */
+function applySettings(settingsStr, overrides) {
+    var settings = parseSettings(settingsStr);
+    for (var name in overrides) {
+        settings[name] = overrides[name];
+    }
+    return formatSettings(settings);
+}
+
+/**
+ * Returns how long each frame of an animation is shown for.
+ *
+ * @param  {Object} settings
+ *         The parsed settings.
+ * @return {Number}
+ *         The frame duration in milliseconds.
+ */
+function frameDuration(settings) {
+    return Math.max(settings.framedelay || 0, 1) * FRAME_PERIOD_MS;
+}
+
+/**
+ * Returns how many times an animation plays through.
+ *
+ * @param  {Object} settings
+ *         The parsed settings.
+ * @return {Number}
+ *         The number of loops, which is Infinity for a plain "loop" and 1 if there is no loop.
+ */
+function loopCount(settings) {
+    if (settings.loop === true) {
+        return Infinity;
+    }
+    if (typeof(settings.loop) === 'number') {
+        return settings.loop;
+    }
+    return 1;
+}
+
+module.exports = {
+    FRAME_PERIOD_MS: FRAME_PERIOD_MS,
+    SETTINGS: SETTINGS,
+    parseSettings: parseSettings,
+    formatSettings: formatSettings,
+    applySettings: applySettings,
+    frameDuration: frameDuration,
+    loopCount: loopCount
+};
@@ -0,0 +1,206 @@
+/**
+ * Small pixel art sprites drawn as strings, such as the invader at the end of kiianigen.js, moved
+ * around the keyboard along a path of keyframes. Each character of a sprite is a key: a key row is
+ * a kll row, and a key column two kll columns. Spaces are see-through, and the other characters
+ * are looked up in a palette.
+ *
+ * A path is walked a key at a time, in a straight line from one keyframe to the next. At the end
+ * of the path the sprite either jumps back to the start and wraps around the edges of the keyboard
+ * ("wrap"), or turns around and goes back along the path ("bounce").
+ */
+
+'use strict';
+
+/* globals require, module */
+var check = require('./check');
+var checkColor = require('./colors').checkColor;
+
+var pathTo = check.pathTo;
+var describeType = check.describeType;
+
+var LOOPS = ["wrap", "bounce"];
+
+/**
+ * Gets the frames of a sprite, which is either a single drawing (an array of strings) or an array
+ * of drawings for a walk cycle.
+ *
+ * @param  {Array} sprite
+ *         The sprite.
+ * @return {Array}
+ *         The drawings.
+ */
+function spriteFrames(sprite) {
+    return typeof(sprite[0]) === 'string' ? [sprite] : sprite;
+}
+
+/**
+ * Walks a path of keyframes a key at a time.
+ *
+ * @param  {Array} path
+ *         The keyframes, as [row, column] arrays in keys.
+ * @param  {String} loop
+ *         What happens at the end of the path, "wrap" or "bounce".
+ * @return {Array}
+ *         The positions of the sprite, one per step, as [row, column] arrays. The position after
+ *         the last one is the first one.
+ */
+function pathPositions(path, loop) {
+    var positions = [];
+    for (var i = 0; i < path.length - 1; i++) {
+        var from = path[i], to = path[i + 1];
+        var steps = Math.max(Math.round(Math.abs(to[0] - from[0])),
+                             Math.round(Math.abs(to[1] - from[1])), 1);
+        for (var step = 0; step < steps; step++) {
+            positions.push([Math.round(from[0] + (to[0] - from[0]) * step / steps),
+                            Math.round(from[1] + (to[1] - from[1]) * step / steps)]);
+        }
+    }
+    var last = path[path.length - 1];
+    if (loop === 'bounce' || path.length === 1) {
+        positions.push([Math.round(last[0]), Math.round(last[1])]);
+    }
+    if (loop === 'bounce') {
+        positions = positions.concat(positions.slice(1, -1).reverse());
+    }
+    return positions;
+}
+
+/** Returns the greatest common divisor of 2 whole numbers. */
+function gcd(a, b) {
+    return b ? gcd(b, a % b) : a;
+}
+
+/**
+ * Works out where a sprite is drawn in each frame of its animation: the frames go on until both
+ * the path and the walk cycle are back at the start, so that the animation loops smoothly.
+ *
+ * @param  {Array} sprite
+ *         The sprite, see spriteFrames.
+ * @param  {Array} path
+ *         The keyframes, see pathPositions.
+ * @param  {String} loop
+ *         What happens at the end of the path, "wrap" or "bounce".
+ * @param  {Number} cycleSteps
+ *         How many steps each drawing of the walk cycle is shown for.
+ * @return {Array}
+ *         The frames, as {drawing, row, col} objects.
+ */
+function spriteTimeline(sprite, path, loop, cycleSteps) {
+    var drawings = spriteFrames(sprite);
+    var positions = pathPositions(path, loop);
+    var cycle = drawings.length * cycleSteps;
+    var count = positions.length * cycle / gcd(positions.length, cycle);
+    var timeline = [];
+    for (var i = 0; i < count; i++) {
+        var position = positions[i % positions.length];
+        timeline.push({drawing: drawings[Math.floor(i / cycleSteps) % drawings.length],
+                       row: position[0], col: position[1]});
+    }
+    return timeline;
+}
+
+/**
+ * Checks a sprite param: a drawing (an array of strings) or a non-empty array of drawings.
+ *
+ * @param  {Object} param
+ *         The parameter schema.
+ * @param  {*} value
+ *         The value given in the conf.
+ * @param  {String} path
+ *         The json path of the value.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function checkSprite(param, value, path, problems) {
+    function isDrawing(drawing) {
+        return Array.isArray(drawing) && drawing.length > 0 &&
+            drawing.every(function(line) {
+                return typeof(line) === 'string';
+            });
+    }
+    if (isDrawing(value)) {
+        return;
+    }
+    if (!Array.isArray(value) || !value.length) {
+        problems.push({path: path, message: "'" + param.name + "' must be an array of strings, " +
+                                           "or an array of arrays of strings, not " +
+                                           describeType(value)});
+        return;
+    }
+    value.forEach(function(drawing, idx) {
+        if (!isDrawing(drawing)) {
+            problems.push({path: pathTo(path, idx), message: "each drawing must be a non-empty " +
+                                                             "array of strings, not " +
+                                                             JSON.stringify(drawing)});
+        }
+    });
+}
+
+/**
+ * Checks a palette param: an object of single characters and their colors.
+ *
+ * @param  {Object} param
+ *         The parameter schema.
+ * @param  {*} value
+ *         The value given in the conf.
+ * @param  {String} path
+ *         The json path of the value.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function checkPalette(param, value, path, problems) {
+    if (!value || typeof(value) !== 'object' || Array.isArray(value)) {
+        problems.push({path: path, message: "'" + param.name + "' must be an object of " +
+                                           "characters and their colors, not " +
+                                           describeType(value)});
+        return;
+    }
+    Object.keys(value).forEach(function(ch) {
+        if (ch.length !== 1) {
+            problems.push({path: pathTo(path, ch), message: "palette entries must be single " +
+                                                            "characters"});
+        }
+        checkColor({name: ch}, value[ch], pathTo(path, ch), problems);
+    });
+}
+
+/**
+ * Checks a path param: a non-empty array of [row, column] keyframes.
+ *
+ * @param  {Object} param
+ *         The parameter schema.
+ * @param  {*} value
+ *         The value given in the conf.
+ * @param  {String} path
+ *         The json path of the value.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function checkPath(param, value, path, problems) {
+    if (!Array.isArray(value) || !value.length) {
+        problems.push({path: path, message: "'" + param.name + "' must be a non-empty array " +
+                                           "of [row, column] keyframes, not " +
+                                           describeType(value)});
+        return;
+    }
+    value.forEach(function(point, idx) {
+        var isPoint = Array.isArray(point) && point.length === 2 &&
+            typeof(point[0]) === 'number' && !isNaN(point[0]) &&
+            typeof(point[1]) === 'number' && !isNaN(point[1]);
+        if (!isPoint) {
+            problems.push({path: pathTo(path, idx), message: "keyframes must be [row, " +
+                                                             "column] arrays of 2 numbers, " +
+                                                             "not " + JSON.stringify(point)});
+        }
+    });
+}
+
+module.exports = {
+    LOOPS: LOOPS,
+    spriteFrames: spriteFrames,
+    pathPositions: pathPositions,
+    spriteTimeline: spriteTimeline,
+    checkSprite: checkSprite,
+    checkPalette: checkPalette,
+    checkPath: checkPath
+};
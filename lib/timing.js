@@ -0,0 +1,190 @@
+/**
+ * Timing in seconds rather than frames. An animation in kiianiconf.json can be given one of:
+ *  - "duration": how long it takes to play through once, in seconds,
+ *  - "period": how long each beat takes, in seconds,
+ *  - "bpm": how many beats there are a minute.
+ * What a beat is depends on the generator (see BEATS); for the ones that fade between colors it is
+ * a fade from one color to the next, so a breath between 2 colors is 2 beats.
+ *
+ * The generators that can be timed pass their usual framedelay and number of steps a beat to
+ * fitTiming, which works out the framedelay and steps that come closest to the timing asked for
+ * without going over the frame limits. The timing that was achieved is measured from the
+ * animation that comes out, see achievedTiming.
+ */
+
+'use strict';
+
+/* globals require, module */
+var settingsUtil = require('./settings');
+
+// The generators that can be timed, and what a beat is for each.
+var BEATS = {
+    "macSleepBreath": "a fade from one color to the other",
+    "blueGreenBreath": "a fade from one color to the other",
+    "blueGreenBaseTopBreathSpin": "a fade from one color to the other",
+    "baseTopBreath": "a fade from one color to the other",
+    "keyGroupCycler": "a fade from one color to the next",
+    "verticalPulseWithTracers": "a fade from one color to the next",
+    "redPulse": "a fade from one color to the other",
+    "linearPulse": "a fade from one color to the other",
+    "blueYellowPulse": "a fade from one color to the other",
+    "rgbPulse": "a fade from one color to the next",
+    "rgbZebraPulse": "a fade from one color to the next",
+    "rainbowCycle": "a trip through the rainbow"
+};
+
+var TIMING_KEYS = ["duration", "period", "bpm"];
+
+// The framedelays the generators pick from. Anything in between would do, but these divide the
+// firmware's 100 frames a second evenly enough to keep the numbers round.
+var FRAME_DELAYS = [1, 2, 3, 5, 10];
+
+// The firmware keeps the framedelay in a byte.
+var MAX_FRAME_DELAY = 255;
+
+// Every frame is stored in flash, so a timed animation is kept to this many frames, slowing down
+// its framedelay to stretch out long durations. The longest of the built in pulses has 480.
+var MAX_FRAMES = 500;
+
+// How far off a beat can be, as a fraction of its length, and still count as spot on. This keeps
+// the generator's own framedelay when it gets close enough rather than picking a faster one that
+// is only a few milliseconds closer.
+var TOLERANCE = 0.01;
+
+/**
+ * Returns the number of steps that last a number of seconds.
+ *
+ * @param  {Number} seconds
+ *         The number of seconds.
+ * @param  {Number} frameDelay
+ *         The framedelay the steps are shown for.
+ * @return {Number}
+ *         The number of steps, which isn't rounded.
+ */
+function steps(seconds, frameDelay) {
+    return seconds * (1000 / settingsUtil.FRAME_PERIOD_MS) / frameDelay;
+}
+
+/**
+ * Returns how long a beat is asked to take, in seconds.
+ *
+ * @param  {Object} timing
+ *         The timing, with one of "duration", "period" or "bpm".
+ * @param  {Number} beats
+ *         The number of beats in the animation.
+ * @return {Number}
+ *         The seconds.
+ */
+function beatSeconds(timing, beats) {
+    if (timing.bpm !== undefined) {
+        return 60 / timing.bpm;
+    }
+    if (timing.period !== undefined) {
+        return timing.period;
+    }
+    return timing.duration / beats;
+}
+
+/**
+ * Works out the framedelay and the number of steps a beat for a generator. If the animation
+ * wasn't given a timing in the conf, the generator's own are used as they are.
+ *
+ * @param  {Object} kb
+ *         The keyboard context. The number of beats is noted on its "timing", so that the period
+ *         achieved can be reported.
+ * @param  {Object} own
+ *         The generator's own "frameDelay" and "stepsPerBeat", the number of "beats" in the
+ *         animation and optionally the "minSteps" a beat needs (2 if not given).
+ * @return {Object}
+ *         The "frameDelay" and "stepsPerBeat" to use.
+ */
+function fitTiming(kb, own) {
+    if (!kb.timing) {
+        return {frameDelay: own.frameDelay, stepsPerBeat: own.stepsPerBeat};
+    }
+    kb.timing.beats = own.beats;
+    var minSteps = own.minSteps || 2;
+    var maxSteps = Math.max(Math.floor(MAX_FRAMES / own.beats), minSteps);
+    var ticks = steps(beatSeconds(kb.timing, own.beats), 1);
+
+    // A beat too long to fit at any of the usual framedelays gets a slower one.
+    var delays = FRAME_DELAYS.concat([own.frameDelay,
+                                      Math.min(Math.ceil(ticks / maxSteps), MAX_FRAME_DELAY)]);
+    var best = null;
+    delays.forEach(function(frameDelay) {
+        var count = Math.min(Math.max(Math.round(ticks / frameDelay), minSteps), maxSteps);
+        var error = Math.abs(count * frameDelay - ticks) / ticks;
+        if (error <= TOLERANCE) {
+            error = 0;
+        }
+        // Ties go to the framedelay closest to the generator's own.
+        var distance = Math.abs(Math.log(frameDelay / own.frameDelay));
+        if (!best || error < best.error || (error === best.error && distance < best.distance)) {
+            best = {frameDelay: frameDelay, stepsPerBeat: count, error: error, distance: distance};
+        }
+    });
+    return {frameDelay: best.frameDelay, stepsPerBeat: best.stepsPerBeat};
+}
+
+/**
+ * Measures the timing of an animation that was given one in the conf.
+ *
+ * @param  {Object} animation
+ *         The animation.
+ * @param  {Object} timing
+ *         The timing asked for, as passed to the generator on the keyboard context.
+ * @return {Object}
+ *         The "requested" timing, and the "duration", "period" and "bpm" achieved. The period
+ *         and bpm are null if the generator didn't say how many beats it has.
+ */
+function achievedTiming(animation, timing) {
+    var frameMs = settingsUtil.frameDuration(settingsUtil.parseSettings(animation.settings));
+    var duration = animation.frames.length * frameMs / 1000;
+    var requested = {};
+    TIMING_KEYS.forEach(function(key) {
+        if (timing[key] !== undefined) {
+            requested[key] = timing[key];
+        }
+    });
+    return {
+        requested: requested,
+        duration: duration,
+        period: timing.beats ? duration / timing.beats : null,
+        bpm: timing.beats ? 60 * timing.beats / duration : null
+    };
+}
+
+/** Rounds a number to at most 3 decimal places, for the reports. */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Formats the timing reports for a set of animations, one line each.
+ *
+ * @param  {Object} reports
+ *         A map of animation name to its timing report, as returned by achievedTiming.
+ * @return {Array}
+ *         The lines.
+ */
+function formatReports(reports) {
+    return Object.keys(reports).map(function(name) {
+        var report = reports[name];
+        var key = Object.keys(report.requested)[0];
+        var achieved = key === 'duration' ? report.duration : report[key];
+        return name + ": asked for " + key + " " + report.requested[key] + ", got " +
+               round(achieved) + (key === 'bpm' ? "" : "s") +
+               (key === 'duration' ? "" : " (" + round(report.duration) + "s to play through)");
+    });
+}
+
+module.exports = {
+    BEATS: BEATS,
+    TIMING_KEYS: TIMING_KEYS,
+    FRAME_DELAYS: FRAME_DELAYS,
+    MAX_FRAMES: MAX_FRAMES,
+    steps: steps,
+    fitTiming: fitTiming,
+    achievedTiming: achievedTiming,
+    formatReports: formatReports
+};
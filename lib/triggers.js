@@ -0,0 +1,659 @@
+/**
+ * Maps the generated animations to the keys that trigger them, on a layer of their own so that the
+ * normal keys keep working. How the keys work is picked with the "mode":
+ *  - "exclusive" (the default): each animation has a key that starts it and stops all the others.
+ *  - "toggle": each animation has a key that starts it. While it is on, pressing its key again
+ *    (or the key of any other animation) stops it, so one animation is on at a time.
+ *  - "cycle": a "next" key, and optionally a "previous" key, step through the animations in the
+ *    order of activeAnimations.
+ * Any mode can also have an "off" key that stops all the animations.
+ *
+ * A key can't tell whether an animation is on, so toggle and cycle keep track of it by locking a
+ * layer. The locked layer only changes what the function key (the one that goes to the trigger
+ * layer) does, so that it goes to a layer with the keys for the animation that is on. Toggle needs
+ * 2 of these layers, and cycle needs 2 for each animation, which limits how many animations cycle
+ * can go through to what fits under "maxLayers" (see cycleLimit). The function key picks its layer
+ * as it is pressed, so it has to be let go of between presses for a key to see the change.
+ *
+ * For exclusive and toggle, which key an animation gets is decided in this order:
+ *  1. the "key" given for the animation in kiianiconf.json, as a scan code ("0x25") or the key's
+ *     name in the configurator ("Q"),
+ *  2. the key that already triggers it in the configurator json that was read in, so that
+ *     re-importing a generated config keeps its keys,
+ *  3. a free trigger key from the keyboard profile, picked by a hash of the animation name so that
+ *     adding or removing an animation doesn't move the others around. The animations are given
+ *     keys in their order in the json, which has the ones that were already in it first and the
+ *     new ones after them, so a new animation never takes the key an older one would have got.
+ *
+ * If there are more animations than trigger keys, either an error is thrown or, with
+ * "overflow": "nextLayer", the remaining animations go on the keys of the next layer up. That
+ * layer is reached by holding the "overflowKey" as well as the key for the trigger layer.
+ *
+ * Reactive animations (see reactive.js) don't get a trigger key. They are started by the keys
+ * themselves, on the base layer, alongside whatever the key types.
+ */
+
+'use strict';
+
+/* globals require, module */
+var check = require('./check');
+
+// The defaults for the "triggers" settings of kiianiconf.json.
+var DEFAULT_TRIGGERS = {
+    "mode": "exclusive",
+    "layer": 1,
+    "suppress": true,
+    "overflow": "error",
+    // The firmware only has so many layers. This is how many the triggers can use, counting
+    // layer 0.
+    "maxLayers": 8
+};
+
+// The ways the keys can trigger the animations.
+var MODES = ["exclusive", "toggle", "cycle"];
+
+/**
+ * Works out how many animations the cycle mode can go through: each takes 2 layers above the
+ * trigger layer, and the layers have to fit under "maxLayers".
+ *
+ * @param  {Number} layer
+ *         The trigger layer.
+ * @param  {Number} maxLayers
+ *         The number of layers that can be used, counting layer 0.
+ * @return {Number}
+ *         The number of animations.
+ */
+function cycleLimit(layer, maxLayers) {
+    return Math.max(Math.floor((maxLayers - 1 - layer) / 2), 0);
+}
+
+/** Creates an error with problems in the same format as the conf validation problems. */
+function triggerError(problems) {
+    var err = new Error("Could not map the animations to keys:\n\t" + problems.map(function(p) {
+        return p.path + ": " + p.message;
+    }).join("\n\t"));
+    err.problems = problems;
+    return err;
+}
+
+/** Returns a number from a string that stays the same from run to run. */
+function hashString(str) {
+    var hash = 5381;
+    for (var i = 0; i < str.length; i++) {
+        hash = ((hash * 33) ^ str.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Finds a key in the configurator matrix by scan code or by its name on the base layer.
+ *
+ * @param  {Array} matrix
+ *         The configurator matrix.
+ * @param  {String} keySpec
+ *         The scan code (such as "0x25") or key name (such as "Q"), not case sensitive.
+ * @return {Object}
+ *         The matrix entry, or undefined if there is no such key.
+ */
+function findKey(matrix, keySpec) {
+    var wanted = String(keySpec).toLowerCase();
+    var byName;
+    for (var i = 0; i < matrix.length; i++) {
+        if (String(matrix[i].code).toLowerCase() === wanted) {
+            return matrix[i];
+        }
+        var base = (matrix[i].layers && matrix[i].layers["0"]) || {};
+        if (!byName && [base.key, base.label].some(function(name) {
+            return typeof(name) === 'string' && name.replace(/^#:/, "").toLowerCase() === wanted;
+        })) {
+            byName = matrix[i];
+        }
+    }
+    return byName;
+}
+
+/** Finds the keys that go to a layer while they are held, "FUN1" for layer 1, on layer 0. */
+function layerShiftKeys(matrix, layer) {
+    return matrix.filter(function(key) {
+        var base = (key.layers && key.layers["0"]) || {};
+        var name = typeof(base.key) === 'string' ? base.key.replace(/^#:/, "") : "";
+        return name === "FUN" + layer || name === "Layer_Shift[" + layer + "]";
+    });
+}
+
+/** Returns the name of the animation a key starts on a layer, if any. */
+function startedAnimation(key, layer) {
+    var triggers = (key.triggers && key.triggers[layer]) || [];
+    for (var i = 0; i < triggers.length; i++) {
+        var match = /^A\[(.+)\]\(start\)$/.exec(triggers[i].action || "");
+        if (match) {
+            return match[1];
+        }
+    }
+}
+
+
+/** Checks whether any of the triggers start or stop one of the animations. */
+function mentionsAnimation(triggers, animNames) {
+    return (triggers || []).some(function(trigger) {
+        var match = /^A\[(.+)\]\((start|stop)\)$/.exec(trigger.action || "");
+        return match && animNames.indexOf(match[1]) > -1;
+    });
+}
+
+/** Creates a trigger action that starts or stops an animation. */
+function animationAction(animName, ss) {
+    return {
+        type: "animation",
+        label: ss + " '" + animName + "' animation",
+        action: "A[" + animName + "](" + ss + ")"
+    };
+}
+
+/** Creates a trigger action that shifts to a layer while the key is held. */
+function layerShiftAction(layer) {
+    return {
+        type: "layer",
+        label: "shift to layer " + layer,
+        action: "Layer_Shift[" + layer + "]"
+    };
+}
+
+/** Creates a trigger action that locks a layer, or unlocks it if it is already locked. */
+function layerLockAction(layer) {
+    return {
+        type: "layer",
+        label: "lock/unlock layer " + layer,
+        action: "Layer_Lock[" + layer + "]"
+    };
+}
+
+/**
+ * Works out which key, on which layer, each animation gets (see the top of this file).
+ *
+ * @param  {Array} matrix
+ *         The configurator matrix.
+ * @param  {Array} animNames
+ *         The configurator names of the animations.
+ * @param  {Array} profileKeys
+ *         The matrix entries of the trigger keys that can be used.
+ * @param  {Object} options
+ *         The "triggers" settings, as given to mapTriggerKeys, with the defaults filled in.
+ * @param  {Object} used
+ *         A map of "layer:code" to what the key is used for on that layer, for the keys that are
+ *         already taken. The assigned keys are added to it.
+ * @return {Object}
+ *         A map of configurator animation name to its assignment, an object with the matrix "key"
+ *         and the "layer" number.
+ */
+function assignKeys(matrix, animNames, profileKeys, options, used) {
+    var explicitKeys = options.keys || {};
+    var baseLayer = options.layer;
+    var problems = [];
+
+    // Each assignment is a key on a layer, and a key can be used once per layer.
+    var assignments = {};
+    function assign(animName, key, layer) {
+        assignments[animName] = {key: key, layer: layer};
+        used[layer + ":" + key.code] = "'" + animName + "'";
+    }
+    function isFree(key, layer) {
+        return !used[layer + ":" + key.code];
+    }
+
+    // 1. Keys given in the conf.
+    animNames.forEach(function(animName) {
+        if (explicitKeys[animName] === undefined) {
+            return;
+        }
+        var path = (options.keyPaths && options.keyPaths[animName]) ||
+                   "animations[" + JSON.stringify(animName) + "].key";
+        var key = findKey(matrix, explicitKeys[animName]);
+        if (!key) {
+            problems.push({path: path, message: "there is no key '" + explicitKeys[animName] +
+                                                "' in the configurator json"});
+        } else if (!isFree(key, baseLayer)) {
+            problems.push({path: path, message: "key '" + explicitKeys[animName] + "' is " +
+                                                "already used for " +
+                                                used[baseLayer + ":" + key.code]});
+        } else {
+            assign(animName, key, baseLayer);
+        }
+    });
+    if (problems.length) {
+        throw triggerError(problems);
+    }
+
+    // 2. Keys that already trigger the animation in the json that was read in.
+    var layers = options.overflow === 'nextLayer' ? [baseLayer, baseLayer + 1] : [baseLayer];
+    matrix.forEach(function(key) {
+        for (var layer in key.triggers || {}) {
+            var animName = startedAnimation(key, layer);
+            var layerNum = parseInt(layer, 10);
+            if (animName && animNames.indexOf(animName) > -1 && !assignments[animName] &&
+                    layers.indexOf(layerNum) > -1 && isFree(key, layerNum)) {
+                assign(animName, key, layerNum);
+            }
+        }
+    });
+
+    // 3. Free keys from the profile, starting from the one the animation name hashes to, in the
+    // order of the animations.
+    var remaining = animNames.filter(function(animName) {
+        return !assignments[animName];
+    });
+    layers.forEach(function(layer) {
+        remaining = remaining.filter(function(animName) {
+            var start = hashString(animName) % profileKeys.length;
+            for (var k = 0; k < profileKeys.length; k++) {
+                var key = profileKeys[(start + k) % profileKeys.length];
+                if (isFree(key, layer)) {
+                    assign(animName, key, layer);
+                    return false;
+                }
+            }
+            return true;
+        });
+    });
+    if (remaining.length) {
+        throw triggerError([{
+            path: "activeAnimations",
+            message: animNames.length + " animations need trigger keys, but only " +
+                     profileKeys.length + " of the profile's trigger keys are in the " +
+                     "configurator json" + (layers.length > 1 ? ", on " + layers.length +
+                                            " layers" : "") +
+                     ", which leaves out " + remaining.join(", ") + ". Give the animations " +
+                     "keys of their own" + (layers.length > 1 ? "" : ", or set \"triggers\": " +
+                                            "{\"overflow\": \"nextLayer\"} to put the rest on " +
+                                            "the next layer")
+        }]);
+    }
+    return assignments;
+}
+
+/**
+ * Sets up the keys for triggering the animations, in the way the "mode" says (see the top of this
+ * file). Unless "suppress" is false, each key is also turned off for the layers it triggers on, so
+ * that triggering an animation won't send key strokes to the foreground application.
+ *
+ * @param  {Object} json
+ *         The configurator json, whose matrix gets the triggers.
+ * @param  {Object} profile
+ *         The keyboard profile, whose "triggerKeys" are the scan codes of the keys to use.
+ * @param  {Object} options
+ *         Optional. The "triggers" settings from kiianiconf.json: the "mode" ("exclusive", the
+ *         default, "toggle" or "cycle"), the "layer" (default 1), "suppress" (default true),
+ *         "overflow" ("error", the default, or "nextLayer"), "maxLayers" (default 8) and the
+ *         "overflowKey", "nextKey", "previousKey" and "offKey", plus "keys", a map of
+ *         configurator animation name to the key given for it, "keyPaths", a map of configurator
+ *         animation name to where its key was given, for error messages, and "reactive", a map of
+ *         the reactive animations to the configurator animations they were generated as (see
+ *         config.generateFromConf).
+ * @return {Array}
+ *         Lines of text describing which key triggers which animation.
+ */
+function mapTriggerKeys(json, profile, options) {
+    options = options || {};
+    var settings = {};
+    var name;
+    for (name in options) {
+        settings[name] = options[name];
+    }
+    for (name in DEFAULT_TRIGGERS) {
+        if (settings[name] === undefined) {
+            settings[name] = DEFAULT_TRIGGERS[name];
+        }
+    }
+    var mode = settings.mode;
+    var baseLayer = settings.layer;
+    var matrix = json.matrix || [];
+    var reactiveTriggers = settings.reactive || {};
+    var reactiveNames = [];
+    Object.keys(reactiveTriggers).forEach(function(reactiveName) {
+        reactiveTriggers[reactiveName].forEach(function(generated) {
+            reactiveNames.push(generated.name);
+        });
+    });
+    var animNames = Object.keys(json.animations).filter(function(animName) {
+        return reactiveNames.indexOf(animName) === -1;
+    });
+    var problems = [];
+    var used = {};
+
+    // The next, previous, off and overflow keys are kept out of the keys that are given to the
+    // animations.
+    var controlKeys = {};
+    ["nextKey", "previousKey", "offKey", "overflowKey"].forEach(function(control) {
+        if (settings[control] === undefined) {
+            return;
+        }
+        var key = findKey(matrix, settings[control]);
+        var usedFor = key && used[baseLayer + ":" + key.code];
+        if (!key) {
+            problems.push({path: "triggers." + control, message: "there is no key '" +
+                                                                 settings[control] + "' in the " +
+                                                                 "configurator json"});
+        } else if (usedFor) {
+            problems.push({path: "triggers." + control, message: "key '" + settings[control] +
+                                                                 "' is already used for " +
+                                                                 usedFor});
+        } else {
+            controlKeys[control] = key;
+            used[baseLayer + ":" + key.code] = "the " + control;
+        }
+    });
+    if (mode === 'cycle' && settings.nextKey === undefined) {
+        problems.push({path: "triggers.nextKey", message: "is needed for the 'cycle' mode"});
+    }
+    if (mode !== 'cycle' && settings.overflow === 'nextLayer' &&
+            settings.overflowKey === undefined) {
+        problems.push({path: "triggers.overflowKey", message: "is needed for the 'nextLayer' " +
+                                                              "overflow"});
+    }
+    if (problems.length) {
+        throw triggerError(problems);
+    }
+    if (controlKeys.overflowKey) {
+        // It is held down to reach the layer above, so it can't trigger anything there either.
+        used[(baseLayer + 1) + ":" + controlKeys.overflowKey.code] = "the overflowKey";
+    }
+
+    var assignments = {};
+    if (mode !== 'cycle') {
+        var profileKeys = [];
+        profile.triggerKeys.forEach(function(code) {
+            var key = findKey(matrix, code);
+            if (key && profileKeys.indexOf(key) === -1 && !used[baseLayer + ":" + key.code]) {
+                profileKeys.push(key);
+            }
+        });
+        assignments = assignKeys(matrix, animNames, profileKeys, settings, used);
+    }
+
+    // Toggle and cycle keep track of which animation is on by locking a state layer, above the
+    // layers the keys trigger on. A state layer only changes what the function key does: it goes
+    // to a layer with the keys for that state instead of the trigger layer. That way the keys
+    // don't trigger anything, or stop typing, without the function key.
+    var overflowing = animNames.some(function(animName) {
+        return assignments[animName] && assignments[animName].layer > baseLayer;
+    });
+    var topLayer = overflowing ? baseLayer + 1 : baseLayer;
+    var lastLayer = topLayer;
+    var fnKeys = [];
+    if (mode !== 'exclusive' && animNames.length) {
+        lastLayer = topLayer + (mode === 'toggle' ? 2 : animNames.length * 2);
+        fnKeys = layerShiftKeys(matrix, baseLayer);
+        if (!fnKeys.length) {
+            throw triggerError([{path: "triggers.mode", message: "the '" + mode + "' mode needs " +
+                                                                 "a key that goes to layer " +
+                                                                 baseLayer + " (FUN" +
+                                                                 baseLayer + ") on layer 0"}]);
+        }
+    }
+    if (lastLayer >= settings.maxLayers) {
+        throw triggerError([{
+            path: "activeAnimations",
+            message: "the triggers need layers up to " + lastLayer + ", but only " +
+                     settings.maxLayers + " can be used (see \"maxLayers\")" +
+                     (mode === 'cycle' ? ". The 'cycle' mode takes 2 layers for each animation, " +
+                                         "so it can go through at most " +
+                                         cycleLimit(baseLayer, settings.maxLayers) +
+                                         " animations" : "")
+        }]);
+    }
+
+    // Clear out triggers for these animations that were left on the keys by an earlier run, along
+    // with the layer locks that go with them in the toggle and cycle modes. Other triggers on the
+    // same key and layer are kept, and the layer is only dropped when nothing is left on it.
+    var ourNames = animNames.concat(reactiveNames);
+    matrix.forEach(function(key) {
+        for (var layer in key.triggers || {}) {
+            if (!mentionsAnimation(key.triggers[layer], ourNames)) {
+                continue;
+            }
+            key.triggers[layer] = key.triggers[layer].filter(function(trigger) {
+                return !mentionsAnimation([trigger], ourNames) &&
+                       !/^Layer_Lock\[\d+\]$/.test(trigger.action || "");
+            });
+            if (!key.triggers[layer].length) {
+                delete key.triggers[layer];
+            }
+        }
+    });
+
+    // Keys that switch layers are always turned off, as they can't do anything else at once.
+    function setTriggers(key, layer, actions, replace) {
+        layer = String(layer);
+        if (settings.suppress || replace) {
+            // Turn off the key for the layer
+            key.layers[layer] = {
+                "key": "#:None",
+                "label": "NONE"
+            };
+        }
+        key.triggers = key.triggers || {};
+        key.triggers[layer] = actions;
+    }
+    function stopAll() {
+        return animNames.map(function(animName) {
+            return animationAction(animName, "stop");
+        });
+    }
+    function keyText(key, layer) {
+        return key.layers["0"].key + (layer !== baseLayer ? " (layer " + layer + ")" : "");
+    }
+    // Makes the function key go to the layer with the keys for a state while its layer is locked.
+    function setStateLayer(stateLayer, keysLayer) {
+        fnKeys.forEach(function(key) {
+            setTriggers(key, stateLayer, [layerShiftAction(keysLayer)], true);
+        });
+    }
+
+    var aniMappingText = [];
+    if (mode === 'exclusive') {
+        aniMappingText.push('Animations are mapped to the following keys on layer ' + baseLayer +
+                            ':');
+        animNames.forEach(function(animName) {
+            var assignment = assignments[animName];
+            setTriggers(assignment.key, assignment.layer, animNames.map(function(other) {
+                return animationAction(other, other === animName ? "start" : "stop");
+            }));
+            aniMappingText.push(keyText(assignment.key, assignment.layer) + ": " + animName);
+        });
+        if (controlKeys.offKey) {
+            setTriggers(controlKeys.offKey, baseLayer, stopAll());
+        }
+    } else if (mode === 'toggle') {
+        // There is a single state layer, locked while an animation is on, so one animation is on
+        // at a time.
+        var stateLayer = topLayer + 1;
+        var onLayer = topLayer + 2;
+        aniMappingText.push('Animations are toggled on and off with the following keys on layer ' +
+                            baseLayer + ':');
+        var onKeys = [];
+        animNames.forEach(function(animName) {
+            var assignment = assignments[animName];
+            setTriggers(assignment.key, assignment.layer,
+                        [animationAction(animName, "start"), layerLockAction(stateLayer)]);
+            if (onKeys.indexOf(assignment.key) === -1) {
+                onKeys.push(assignment.key);
+            }
+            aniMappingText.push(keyText(assignment.key, assignment.layer) + ": " + animName);
+        });
+        onKeys.forEach(function(key) {
+            setTriggers(key, onLayer, stopAll().concat(layerLockAction(stateLayer)));
+        });
+        if (controlKeys.offKey) {
+            setTriggers(controlKeys.offKey, baseLayer, stopAll());
+            setTriggers(controlKeys.offKey, onLayer,
+                        stopAll().concat(layerLockAction(stateLayer)));
+        }
+        if (animNames.length) {
+            setStateLayer(stateLayer, onLayer);
+        }
+    } else {
+        // Each animation has a state layer, locked while it is on, and a layer above that with
+        // the keys that go on from it.
+        var stateLayers = {};
+        animNames.forEach(function(animName, idx) {
+            stateLayers[animName] = topLayer + 1 + idx * 2;
+            setStateLayer(stateLayers[animName], stateLayers[animName] + 1);
+        });
+        aniMappingText.push('Animations are cycled through with the following keys on layer ' +
+                            baseLayer + ':');
+        [["nextKey", 1, "next"], ["previousKey", -1, "previous"]].forEach(function(control) {
+            var key = controlKeys[control[0]];
+            if (!key || !animNames.length) {
+                return;
+            }
+            // With everything off, start at the first (or, going back, the last) animation.
+            var first = animNames[control[1] > 0 ? 0 : animNames.length - 1];
+            setTriggers(key, baseLayer,
+                        [animationAction(first, "start"), layerLockAction(stateLayers[first])]);
+            animNames.forEach(function(animName, idx) {
+                var to = animNames[(idx + control[1] + animNames.length) % animNames.length];
+                setTriggers(key, stateLayers[animName] + 1, [
+                    animationAction(animName, "stop"),
+                    layerLockAction(stateLayers[animName]),
+                    animationAction(to, "start"),
+                    layerLockAction(stateLayers[to])
+                ]);
+            });
+            aniMappingText.push(keyText(key, baseLayer) + ": " + control[2] + " animation");
+        });
+        if (controlKeys.offKey) {
+            setTriggers(controlKeys.offKey, baseLayer, stopAll());
+            animNames.forEach(function(animName) {
+                setTriggers(controlKeys.offKey, stateLayers[animName] + 1,
+                            [animationAction(animName, "stop"),
+                             layerLockAction(stateLayers[animName])]);
+            });
+        }
+        aniMappingText.push("In this order: " + animNames.join(", "));
+    }
+    if (controlKeys.offKey) {
+        aniMappingText.push(keyText(controlKeys.offKey, baseLayer) + ": all animations off");
+    }
+    if (overflowing) {
+        setTriggers(controlKeys.overflowKey, baseLayer, [layerShiftAction(baseLayer + 1)], true);
+        aniMappingText.push(keyText(controlKeys.overflowKey, baseLayer) + ": hold as well for " +
+                            "the keys on layer " + (baseLayer + 1));
+    }
+    if (lastLayer > topLayer) {
+        aniMappingText.push("Layers " + (topLayer + 1) + " to " + lastLayer + " keep track of " +
+                            "which animation is on");
+    }
+
+    if (reactiveNames.length) {
+        aniMappingText.push('Reactive animations are started by pressing the keys on layer 0:');
+    }
+    Object.keys(reactiveTriggers).forEach(function(reactiveName) {
+        var count = 0;
+        reactiveTriggers[reactiveName].forEach(function(generated) {
+            generated.scanCodes.forEach(function(code) {
+                var key = findKey(matrix, code);
+                if (key) {
+                    key.triggers = key.triggers || {};
+                    key.triggers["0"] = (key.triggers["0"] || []).concat(
+                        animationAction(generated.name, "start"));
+                    count++;
+                }
+            });
+        });
+        var generatedCount = reactiveTriggers[reactiveName].length;
+        aniMappingText.push(reactiveName + ": " + count + " keys" +
+                            (generatedCount > 1 ? ", with " + generatedCount + " animations" : ""));
+    });
+    return aniMappingText;
+}
+
+/**
+ * Checks the trigger key settings of the conf.
+ *
+ * @param  {Object} triggers
+ *         The "triggers" from the conf.
+ * @param  {Array} problems
+ *         The list that problems are added to, as {path, message} objects.
+ * @param  {Number} animCount
+ *         Optional. The number of active animations that need trigger keys, to check that the
+ *         cycle mode has the layers for them.
+ */
+function validateTriggers(triggers, problems, animCount) {
+    if (!triggers || typeof(triggers) !== 'object' || Array.isArray(triggers)) {
+        problems.push({path: "triggers", message: "must be an object with 'mode', 'layer', " +
+                                                  "'suppress', 'overflow', 'overflowKey', " +
+                                                  "'maxLayers', 'nextKey', 'previousKey' " +
+                                                  "and/or 'offKey'"});
+        return;
+    }
+    if (triggers.mode !== undefined && MODES.indexOf(triggers.mode) === -1) {
+        problems.push({path: "triggers.mode", message: "must be one of " + MODES.join(", ") +
+                                                       ", not " + JSON.stringify(triggers.mode)});
+    }
+    if (triggers.layer !== undefined) {
+        check.checkValue({name: "layer", type: "integer", min: 1}, triggers.layer,
+                         "triggers.layer", problems);
+    }
+    if (triggers.maxLayers !== undefined) {
+        check.checkValue({name: "maxLayers", type: "integer", min: 2}, triggers.maxLayers,
+                         "triggers.maxLayers", problems);
+    }
+    if (triggers.suppress !== undefined && typeof(triggers.suppress) !== 'boolean') {
+        problems.push({path: "triggers.suppress", message: "must be true or false, not " +
+                                                           check.describeType(triggers.suppress)});
+    }
+    if (triggers.overflow !== undefined && triggers.overflow !== 'error' &&
+        triggers.overflow !== 'nextLayer') {
+        problems.push({path: "triggers.overflow", message: "must be 'error' or 'nextLayer', not " +
+                                                           JSON.stringify(triggers.overflow)});
+    }
+    ["nextKey", "previousKey", "offKey", "overflowKey"].forEach(function(control) {
+        var key = triggers[control];
+        if (key === undefined) {
+            return;
+        }
+        if (typeof(key) !== 'string' || !key) {
+            problems.push({path: "triggers." + control,
+                           message: "must be a scan code or key name, not " +
+                                    check.describeType(key)});
+        } else if (control === 'overflowKey') {
+            if (triggers.overflow !== 'nextLayer') {
+                problems.push({path: "triggers.overflowKey", message: "is only used with the " +
+                                                                      "'nextLayer' overflow"});
+            }
+        } else if (control !== 'offKey' && triggers.mode !== 'cycle') {
+            problems.push({path: "triggers." + control, message: "is only used in the 'cycle' " +
+                                                                 "mode"});
+        }
+    });
+    if (triggers.mode === 'cycle' && triggers.nextKey === undefined) {
+        problems.push({path: "triggers.nextKey", message: "is needed for the 'cycle' mode"});
+    }
+    var layer = triggers.layer === undefined ? DEFAULT_TRIGGERS.layer : triggers.layer;
+    var maxLayers = triggers.maxLayers === undefined ? DEFAULT_TRIGGERS.maxLayers :
+                                                       triggers.maxLayers;
+    if (triggers.mode === 'cycle' && animCount !== undefined && typeof(layer) === 'number' &&
+            typeof(maxLayers) === 'number' && animCount > cycleLimit(layer, maxLayers)) {
+        problems.push({path: "triggers.mode", message: "the 'cycle' mode takes 2 layers for each " +
+                                                       "animation, so with layer " + layer +
+                                                       " and maxLayers " + maxLayers + " it can " +
+                                                       "go through at most " +
+                                                       cycleLimit(layer, maxLayers) +
+                                                       " animations, but " + animCount +
+                                                       " are active"});
+    }
+    if (triggers.mode !== 'cycle' && triggers.overflow === 'nextLayer' &&
+            triggers.overflowKey === undefined) {
+        problems.push({path: "triggers.overflowKey", message: "is needed for the 'nextLayer' " +
+                                                              "overflow"});
+    }
+}
+
+module.exports = {
+    DEFAULT_TRIGGERS: DEFAULT_TRIGGERS,
+    MODES: MODES,
+    cycleLimit: cycleLimit,
+    findKey: findKey,
+    mapTriggerKeys: mapTriggerKeys,
+    validateTriggers: validateTriggers
+};
@@ -0,0 +1,607 @@
+/**
+ * Validation for kiianiconf.json data. Every problem found is reported along with the json path
+ * of the offending value, so that all of them can be fixed in one go rather than one crash at a
+ * time.
+ *
+ * This goes through the conf and checks the generators and their params against the schemas (see
+ * schemas.js). The parts of the conf that belong to a feature of their own are checked by that
+ * feature's module, with the helpers in check.js.
+ */
+
+'use strict';
+
+/* globals require, module */
+var generators = require('./generators').generators;
+var schemas = require('./schemas');
+var validateTriggers = require('./triggers').validateTriggers;
+var colors = require('./colors');
+var validateEasing = require('./easing').validateEasing;
+var sprite = require('./sprite');
+var BLEND_MODES = require('./composite').BLEND_MODES;
+var validateSequence = require('./sequence').validateSequence;
+var timing = require('./timing');
+var settingsUtil = require('./settings');
+var validateBudget = require('./budget').validateBudget;
+var validateOptimize = require('./optimize').validateOptimize;
+var validateOutput = require('./output').validateOutput;
+var reactive = require('./reactive');
+var validateSeed = require('./random').validateSeed;
+var check = require('./check');
+
+var pathTo = check.pathTo;
+var hasOwn = check.hasOwn;
+var closestName = check.closestName;
+var describeType = check.describeType;
+
+/**
+ * Turns an animation name from kiianiconf.json into the name used in the configurator, which has to
+ * be a single word.
+ *
+ * @param  {String} name
+ *         The animation name.
+ * @return {String}
+ *         The animation name with whitespace replaced by underscores and other non word characters
+ *         removed.
+ */
+function animationId(name) {
+    return name.replace(/\s+/g, '_').replace(/\W+/g,'');
+}
+
+/**
+ * Checks the layers of the composite generator, including the params of each layer's generator.
+ *
+ * @param  {Object} param
+ *         The parameter schema.
+ * @param  {*} value
+ *         The value given in the conf.
+ * @param  {String} path
+ *         The json path of the value.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function checkLayers(param, value, path, problems) {
+    if (!Array.isArray(value) || !value.length) {
+        problems.push({path: path, message: "'" + param.name + "' must be a non-empty array of " +
+                                           "layers, not " + describeType(value)});
+        return;
+    }
+    function isKey(key) {
+        return (typeof(key) === 'number' && key % 1 === 0) || (typeof(key) === 'string' && key);
+    }
+    value.forEach(function(layer, idx) {
+        var layerPath = pathTo(path, idx);
+        if (!layer || typeof(layer) !== 'object' || Array.isArray(layer)) {
+            problems.push({path: layerPath, message: "each layer must be an object with a " +
+                                                     "'region' and a 'generator'"});
+            return;
+        }
+        var region = layer.region;
+        var regionOk = (typeof(region) === 'string' && region) ||
+            (Array.isArray(region) && region.length && region.every(function(key) {
+                return isKey(key) || (Array.isArray(key) && key.length === 2 &&
+                                      isKey(key[0]) && isKey(key[1]));
+            }));
+        if (!regionOk) {
+            problems.push({path: pathTo(layerPath, "region"),
+                           message: "must be a key group name, \"KEYS\", \"BASE\", \"ALL\" " +
+                                    "or a list of led ids, scan codes and [first, last] ranges, " +
+                                    "not " + JSON.stringify(region)});
+        }
+        if (layer.blend !== undefined && !BLEND_MODES.hasOwnProperty(layer.blend)) {
+            problems.push({path: pathTo(layerPath, "blend"),
+                           message: "must be one of " + Object.keys(BLEND_MODES).join(", ") +
+                                    ", not " + JSON.stringify(layer.blend)});
+        }
+        var genPath = pathTo(layerPath, "generator");
+        if (typeof(layer.generator) !== 'string') {
+            problems.push({path: genPath, message: "a generator name is required"});
+            return;
+        }
+        if (layer.generator === 'composite' || !hasOwn(generators, layer.generator)) {
+            var suggestion = closestName(layer.generator, Object.keys(generators));
+            problems.push({path: genPath,
+                           message: layer.generator === 'composite' ?
+                                    "composites can't be layered in composites" :
+                                    "unknown generator '" + layer.generator + "'" +
+                                    (suggestion ? ", did you mean '" + suggestion + "'?" : "")});
+            return;
+        }
+        var params = layer.params === undefined || layer.params === null ? [] : layer.params;
+        if (!Array.isArray(params)) {
+            problems.push({path: pathTo(layerPath, "params"),
+                           message: "must be an array, not " + describeType(params)});
+            return;
+        }
+        validateParams(layer.generator, params, pathTo(layerPath, "params"), problems);
+    });
+}
+
+/**
+ * Checks a single parameter value against its schema.
+ *
+ * @param  {Object} param
+ *         The parameter schema.
+ * @param  {*} value
+ *         The value given in the conf.
+ * @param  {String} path
+ *         The json path of the value.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ */
+function checkParam(param, value, path, problems) {
+    if (param.type === 'color') {
+        colors.checkColor(param, value, path, problems);
+        return;
+    }
+    if (param.type === 'sprite') {
+        sprite.checkSprite(param, value, path, problems);
+        return;
+    }
+    if (param.type === 'layers') {
+        checkLayers(param, value, path, problems);
+        return;
+    }
+    if (param.type === 'palette') {
+        sprite.checkPalette(param, value, path, problems);
+        return;
+    }
+    if (param.type === 'path') {
+        sprite.checkPath(param, value, path, problems);
+        return;
+    }
+    check.checkValue(param, value, path, problems);
+}
+
+/**
+ * Turns the colors given as strings in a checked parameter value into [r, g, b] arrays, and fills
+ * in the defaults of the params of composite layers.
+ *
+ * @param  {Object} param
+ *         The parameter schema.
+ * @param  {*} value
+ *         The value given in the conf.
+ * @return {*}
+ *         The value, with its colors as arrays.
+ */
+function normalizeParam(param, value) {
+    if (param.type === 'color' && typeof(value) === 'string') {
+        return colors.parseColor(value) || value;
+    }
+    if (param.type === 'palette' && value && typeof(value) === 'object') {
+        var palette = {};
+        Object.keys(value).forEach(function(ch) {
+            palette[ch] = normalizeParam({type: 'color'}, value[ch]);
+        });
+        return palette;
+    }
+    if (param.type === 'layers' && Array.isArray(value)) {
+        return value.map(function(layer) {
+            if (!layer || !hasOwn(generators, layer.generator) ||
+                    !Array.isArray(layer.params || [])) {
+                return layer;
+            }
+            return {
+                region: layer.region,
+                generator: layer.generator,
+                params: validateParams(layer.generator, layer.params || [], "", []),
+                blend: layer.blend || "replace"
+            };
+        });
+    }
+    return value;
+}
+
+/**
+ * Checks the params given for a generator against the generator's schema, and fills in the
+ * defaults for missing (or null) positional params.
+ *
+ * @param  {String} generatorName
+ *         The name of the generator.
+ * @param  {Array} params
+ *         The params given in the conf.
+ * @param  {String} path
+ *         The json path of the params.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ * @return {Array}
+ *         The params with defaults filled in.
+ */
+function validateParams(generatorName, params, path, problems) {
+    var schema = schemas[generatorName] || [];
+    var normalized = [];
+    var i;
+
+    var hasRest = schema.length > 0 && schema[schema.length - 1].rest;
+    if (!hasRest && params.length > schema.length) {
+        problems.push({path: path, message: "'" + generatorName + "' takes " +
+                                           (schema.length ? "at most " + schema.length : "no") +
+                                           (schema.length === 1 ? " param" : " params") +
+                                           ", but " + params.length + " were given"});
+    }
+
+    for (i = 0; i < schema.length; i++) {
+        var param = schema[i];
+        if (param.rest) {
+            for (var j = i; j < params.length; j++) {
+                checkParam(param, params[j], pathTo(path, j), problems);
+                normalized.push(normalizeParam(param, params[j]));
+            }
+            break;
+        }
+        if (params[i] === undefined || params[i] === null) {
+            if (param.required) {
+                problems.push({path: pathTo(path, i), message: "'" + param.name + "' must be " +
+                                                               "given"});
+            }
+            normalized.push(param.default);
+        } else {
+            checkParam(param, params[i], pathTo(path, i), problems);
+            normalized.push(normalizeParam(param, params[i]));
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Checks the "duration", "period" or "bpm" of an animation (see timing.js).
+ *
+ * @param  {String} name
+ *         The name of the animation.
+ * @param  {Object} anim
+ *         The animation from the conf.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ * @return {Object}
+ *         The timing, or undefined if the animation doesn't have one.
+ */
+function validateTiming(name, anim, problems) {
+    var animPath = pathTo("animations", name);
+    var keys = timing.TIMING_KEYS.filter(function(key) {
+        return anim[key] !== undefined;
+    });
+    if (!keys.length) {
+        return undefined;
+    }
+    if (keys.length > 1) {
+        problems.push({path: pathTo(animPath, keys[1]),
+                       message: "only one of " + timing.TIMING_KEYS.join(", ") + " can be " +
+                                "given, and this animation also has a " + keys[0]});
+    }
+    if (anim.sequence !== undefined || !timing.BEATS[anim.generator]) {
+        problems.push({path: pathTo(animPath, keys[0]),
+                       message: (anim.sequence !== undefined ? "a sequence" :
+                                 "the " + anim.generator + " generator") + " can't be timed; " +
+                                "the generators that can are " +
+                                Object.keys(timing.BEATS).join(", ")});
+        return undefined;
+    }
+    keys.forEach(function(key) {
+        checkParam({name: key, type: "number", min: 0.01, max: key === 'bpm' ? 6000 : undefined},
+                   anim[key], pathTo(animPath, key), problems);
+    });
+    var result = {};
+    result[keys[0]] = anim[keys[0]];
+    return result;
+}
+
+/**
+ * Checks the "settings" of an animation, which override the settings the generator (or sequence)
+ * writes out. They can be given as an object, such as {"loop": 3, "pfunc": false}, or as a
+ * settings string, such as "loop:3, replace:basic".
+ *
+ * @param  {String} name
+ *         The name of the animation.
+ * @param  {Object} anim
+ *         The animation from the conf.
+ * @param  {Array} problems
+ *         The list that problems are added to.
+ * @return {Object}
+ *         The settings to override, or undefined if there are none.
+ */
+function validateSettings(name, anim, problems) {
+    var animPath = pathTo("animations", name);
+    var path = pathTo(animPath, "settings");
+    var overrides = anim.settings;
+    if (overrides === undefined) {
+        return undefined;
+    }
+    if (typeof(overrides) === 'string') {
+        overrides = settingsUtil.parseSettings(overrides);
+    }
+    if (!overrides || typeof(overrides) !== 'object' || Array.isArray(overrides)) {
+        problems.push({path: path, message: "must be an object such as {\"loop\": 3} or a " +
+                                           "settings string such as \"loop:3\", not " +
+                                           describeType(overrides)});
+        return undefined;
+    }
+    var names = settingsUtil.SETTINGS.map(function(setting) {
+        return setting.name;
+    });
+    Object.keys(overrides).forEach(function(key) {
+        var value = overrides[key];
+        var setting = settingsUtil.SETTINGS[names.indexOf(key)];
+        var settingPath = pathTo(path, key);
+        if (!setting) {
+            var suggestion = closestName(key, names);
+            problems.push({path: settingPath,
+                           message: "unknown setting '" + key + "'" +
+                                    (suggestion ? ", did you mean '" + suggestion + "'?" :
+                                                  ", use one of " + names.join(", "))});
+        } else if (setting.type === 'loop') {
+            if (typeof(value) !== 'boolean') {
+                checkParam({name: key, type: "integer", min: 1}, value, settingPath, problems);
+            }
+        } else if (value !== false || key === 'framedelay') {
+            checkParam(setting, value, settingPath, problems);
+        }
+    });
+
+    // Settings that something else in the conf already decides.
+    timing.TIMING_KEYS.forEach(function(key) {
+        if (overrides.framedelay !== undefined && anim[key] !== undefined) {
+            problems.push({path: pathTo(path, "framedelay"),
+                           message: "can't be given along with a " + key + ", which picks the " +
+                                    "framedelay (see " + pathTo(animPath, key) + ")"});
+        }
+    });
+    if (overrides.loop !== undefined && anim.sequence !== undefined && anim.loop !== undefined) {
+        problems.push({path: pathTo(path, "loop"),
+                       message: "can't be given along with the loop of the sequence (see " +
+                                pathTo(animPath, "loop") + ")"});
+    }
+    return overrides;
+}
+
+/**
+ * Counts the active animations that get trigger keys, which are the ones that aren't reactive.
+ *
+ * @param  {Object} conf
+ *         The kiianiconf.json data.
+ * @param  {Object} confAnims
+ *         The animations of the conf.
+ * @return {Number}
+ *         The count, or undefined if activeAnimations isn't a list.
+ */
+function triggeredCount(conf, confAnims) {
+    if (!Array.isArray(conf.activeAnimations)) {
+        return;
+    }
+    return conf.activeAnimations.filter(function(activeName, idx) {
+        var anim = typeof(activeName) === 'string' && hasOwn(confAnims, activeName) &&
+                   confAnims[activeName];
+        return anim && conf.activeAnimations.indexOf(activeName) === idx &&
+               reactive.REACTIVE_GENERATORS.indexOf(anim.generator) === -1;
+    }).length;
+}
+
+/**
+ * Validates kiianiconf.json data, collecting every problem found rather than stopping at the
+ * first.
+ *
+ * @param  {Object} conf
+ *         The kiianiconf.json data.
+ * @return {Object}
+ *         An object with "problems", an array of {path, message} objects (empty if the conf is
+ *         valid), and "animations", a map of the names of the valid animations to their
+ *         generator, params (with defaults filled in and colors as [r, g, b] arrays),
+ *         colorSpace, easing, seed, timing and settings, or for sequences, their sequence of
+ *         steps, loop and settings.
+ */
+function validateConf(conf) {
+    var problems = [];
+    var animations = {};
+    var i;
+
+    if (!conf || typeof(conf) !== 'object' || Array.isArray(conf)) {
+        problems.push({path: "", message: "the conf must be an object, not " + describeType(conf)});
+        return {problems: problems, animations: animations};
+    }
+
+    var confAnims = conf.animations;
+    if (!confAnims || typeof(confAnims) !== 'object' || Array.isArray(confAnims)) {
+        problems.push({path: "animations", message: "must be an object mapping animation names " +
+                                                    "to their generator and params"});
+        confAnims = {};
+    }
+
+    var generatorNames = Object.keys(generators);
+    for (var name in confAnims) {
+        var anim = confAnims[name];
+        var animPath = pathTo("animations", name);
+        if (!anim || typeof(anim) !== 'object' || Array.isArray(anim)) {
+            problems.push({path: animPath, message: "must be an object with a 'generator' or a " +
+                                                    "'sequence'"});
+            continue;
+        }
+        if (anim.key !== undefined && (typeof(anim.key) !== 'string' || !anim.key)) {
+            problems.push({path: pathTo(animPath, "key"),
+                           message: "must be a scan code or key name, not " +
+                                    describeType(anim.key)});
+        }
+        if (anim.sequence !== undefined) {
+            validateTiming(name, anim, problems);
+            animations[name] = validateSequence(name, anim, confAnims, problems);
+            animations[name].settings = validateSettings(name, anim, problems);
+            continue;
+        }
+        var genPath = pathTo(animPath, "generator");
+        if (typeof(anim.generator) !== 'string') {
+            problems.push({path: genPath, message: "a generator name is required"});
+            continue;
+        }
+        if (!hasOwn(generators, anim.generator)) {
+            var suggestion = closestName(anim.generator, generatorNames);
+            problems.push({path: genPath,
+                           message: "unknown generator '" + anim.generator + "'" +
+                                    (suggestion ? ", did you mean '" + suggestion + "'?" : "")});
+            continue;
+        }
+        var params = anim.params;
+        if (params === undefined || params === null) {
+            params = [];
+        }
+        if (!Array.isArray(params)) {
+            problems.push({path: pathTo(animPath, "params"),
+                           message: "must be an array, not " + describeType(params)});
+            continue;
+        }
+        if (anim.colorSpace !== undefined) {
+            colors.validateColorSpace(anim.colorSpace, pathTo(animPath, "colorSpace"), problems);
+        }
+        if (anim.easing !== undefined) {
+            validateEasing(anim.easing, pathTo(animPath, "easing"), problems);
+        }
+        if (anim.seed !== undefined) {
+            validateSeed(anim.seed, pathTo(animPath, "seed"), problems);
+        }
+        animations[name] = {
+            generator: anim.generator,
+            params: validateParams(anim.generator, params, pathTo(animPath, "params"), problems),
+            colorSpace: anim.colorSpace,
+            easing: anim.easing,
+            seed: anim.seed,
+            timing: validateTiming(name, anim, problems),
+            settings: validateSettings(name, anim, problems)
+        };
+    }
+
+    if (conf.budget !== undefined) {
+        validateBudget(conf.budget, problems);
+    }
+    if (conf.triggers !== undefined) {
+        validateTriggers(conf.triggers, problems, triggeredCount(conf, confAnims));
+    }
+    if (conf.output !== undefined) {
+        validateOutput(conf.output, problems);
+    }
+    if (conf.optimize !== undefined) {
+        validateOptimize(conf.optimize, problems);
+    }
+    if (conf.relativePixels !== undefined) {
+        reactive.validateRelativePixels(conf.relativePixels, problems);
+    }
+    if (conf.kll !== undefined && typeof(conf.kll) !== 'boolean') {
+        problems.push({path: "kll", message: "must be true or false, not " +
+                                             describeType(conf.kll)});
+    }
+
+    if (!Array.isArray(conf.activeAnimations)) {
+        problems.push({path: "activeAnimations", message: "must be an array of animation names"});
+        return {problems: problems, animations: animations};
+    }
+
+    var idsSeen = {};
+    for (i = 0; i < conf.activeAnimations.length; i++) {
+        var activeName = conf.activeAnimations[i];
+        var activePath = pathTo("activeAnimations", i);
+        if (typeof(activeName) !== 'string') {
+            problems.push({path: activePath, message: "must be an animation name, not " +
+                                                      describeType(activeName)});
+            continue;
+        }
+        if (!hasOwn(confAnims, activeName)) {
+            var closest = closestName(activeName, Object.keys(confAnims));
+            problems.push({path: activePath,
+                           message: "'" + activeName + "' is not defined in animations" +
+                                    (closest ? ", did you mean '" + closest + "'?" : "")});
+        }
+        var id = animationId(activeName);
+        if (!id) {
+            problems.push({path: activePath,
+                           message: "'" + activeName + "' has no letters or digits to use as " +
+                                    "the configurator animation name"});
+        } else if (hasOwn(idsSeen, id)) {
+            var other = conf.activeAnimations[idsSeen[id]];
+            problems.push({path: activePath,
+                           message: (other === activeName ?
+                                     "'" + activeName + "' is listed more than once" :
+                                     "'" + activeName + "' and '" + other + "' (" +
+                                     pathTo("activeAnimations", idsSeen[id]) + ") would both be " +
+                                     "named '" + id + "' in the configurator")});
+        } else {
+            idsSeen[id] = i;
+        }
+    }
+
+    return {problems: problems, animations: animations};
+}
+
+/**
+ * Validates kiianiconf.json data, throwing an error that lists every problem found if it is not
+ * valid.
+ *
+ * @param  {Object} conf
+ *         The kiianiconf.json data.
+ * @return {Object}
+ *         The map of animation names to their generator and params, with defaults filled in.
+ */
+function assertValidConf(conf) {
+    var result = validateConf(conf);
+    if (result.problems.length) {
+        throw invalidConfError(result.problems);
+    }
+    return result.animations;
+}
+
+/**
+ * Creates the error thrown for an invalid conf.
+ *
+ * @param  {Array} problems
+ *         The problems, as returned by validateConf.
+ * @return {Error}
+ *         The error, with the "problems".
+ */
+function invalidConfError(problems) {
+    var err = new Error("Invalid conf:\n\t" + check.formatProblems(problems).join("\n\t"));
+    err.problems = problems;
+    return err;
+}
+
+/**
+ * Creates the error thrown when a generator could not use one of the params given for an
+ * animation, such as an image file that can't be read.
+ *
+ * @param  {String} animName
+ *         The name of the animation in the conf.
+ * @param  {String} generatorName
+ *         The name of the animation's generator.
+ * @param  {Error} err
+ *         The error thrown by the generator, with the name of the "param".
+ * @return {Error}
+ *         The error, with the "problems".
+ */
+function paramError(animName, generatorName, err) {
+    var schema = schemas[generatorName] || [];
+    var path = pathTo(pathTo("animations", animName), "params");
+    for (var i = 0; i < schema.length; i++) {
+        if (schema[i].name === err.param) {
+            path = pathTo(path, i);
+        }
+    }
+    return invalidConfError([{path: path, message: err.message}]);
+}
+
+/**
+ * Creates the error thrown when one of the steps of a sequence could not be played, such as a
+ * reactive animation.
+ *
+ * @param  {String} animName
+ *         The name of the sequence in the conf.
+ * @param  {Error} err
+ *         The error thrown by sequence.composeSequence, with the index of the "step".
+ * @return {Error}
+ *         The error, with the "problems".
+ */
+function stepError(animName, err) {
+    return invalidConfError([{path: pathTo(pathTo(pathTo("animations", animName), "sequence"),
+                                           err.step),
+                              message: err.message}]);
+}
+
+module.exports = {
+    animationId: animationId,
+    validateConf: validateConf,
+    assertValidConf: assertValidConf,
+    paramError: paramError,
+    stepError: stepError
+};
@@ -0,0 +1,131 @@
+/**
+ * The test keyboards, for the golden tests in run.js and the unit tests in unit/. There are 2:
+ *  - the small keyboard in fixtures/, "TestBoard", with 28 keys and a ring of 10 underglow leds,
+ *    which gets the generic profile,
+ *  - the K-Type sized keyboard in fixtures/ktype/, with the 87 keys and the ring of 32 underglow
+ *    leds of the K-Type, which gets the built in K-Type profile.
+ */
+
+'use strict';
+
+/* globals require, module, __dirname */
+var fs = require('fs');
+var path = require('path');
+var kiianigen = require('../kiianigen');
+
+var FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// The directory of each test keyboard, under fixtures/.
+var BOARDS = {
+    "small": "",
+    "ktype": "ktype"
+};
+
+// The seed and date used for every test, so that the output is the same from run to run.
+var SEED = 1;
+var DATE = new Date(2018, 0, 1);
+
+/**
+ * Reads a fixture file. It is read again each time, so that the tests can change what they get.
+ *
+ * @param  {String} fileName
+ *         The name of the file, relative to fixtures/.
+ * @return {Object}
+ *         The parsed json.
+ */
+function readFixture(fileName) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, fileName), 'utf8'));
+}
+
+/**
+ * Reads the configurator files of a test keyboard.
+ *
+ * @param  {String} board
+ *         The keyboard, "small" or "ktype" (see BOARDS).
+ * @return {Object}
+ *         The configurator "json", its "kll" and the "conf" that goes with them.
+ */
+function readBoard(board) {
+    var dir = BOARDS[board];
+    return {
+        json: readFixture(path.join(dir, 'KType-Standard.json')),
+        kll: readFixture(path.join(dir, 'kll.json')),
+        conf: readFixture(path.join(dir, 'kiianiconf.json'))
+    };
+}
+
+/**
+ * Creates the keyboard context of a test keyboard.
+ *
+ * @param  {String} board
+ *         The keyboard, "small" or "ktype" (see BOARDS).
+ * @return {Object}
+ *         The keyboard context.
+ */
+function createKeyboard(board) {
+    var files = readBoard(board);
+    return kiianigen.createKeyboard(files.json, files.kll);
+}
+
+/**
+ * Runs a conf on a test keyboard.
+ *
+ * @param  {String} board
+ *         The keyboard, "small" or "ktype" (see BOARDS).
+ * @param  {Object} conf
+ *         Optional. The conf, the keyboard's own kiianiconf.json if not given.
+ * @return {Object}
+ *         The configurator json with the animations added.
+ */
+function generate(board, conf) {
+    var files = readBoard(board);
+    return kiianigen.generateConfig(files.json, files.kll, conf || files.conf,
+                                    {date: DATE, seed: SEED});
+}
+
+/**
+ * Runs a single generator on the keyboard context of a test keyboard.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {String} generator
+ *         The generator name.
+ * @param  {Array} params
+ *         Optional. The params, the defaults if not given.
+ * @param  {Object} options
+ *         Optional. Other fields for the generator's entry in the conf, such as a "bpm", and
+ *         "optimize" to optimize the frames (they are left as the generator wrote them if not).
+ * @return {Object}
+ *         The animation object.
+ */
+function runGenerator(kb, generator, params, options) {
+    var conf = kiianigen.confForGenerators([generator]);
+    var entry = conf.animations[generator];
+    if (params) {
+        entry.params = params;
+    }
+    for (var key in options || {}) {
+        if (key === 'optimize') {
+            conf.optimize = options.optimize;
+        } else {
+            entry[key] = options[key];
+        }
+    }
+    if (conf.optimize === undefined) {
+        conf.optimize = false;
+    }
+    var animations = {};
+    kiianigen.generateFromConf(kb, animations, conf, undefined, SEED);
+    return animations[Object.keys(animations)[0]];
+}
+
+module.exports = {
+    FIXTURES_DIR: FIXTURES_DIR,
+    SEED: SEED,
+    DATE: DATE,
+    readFixture: readFixture,
+    readBoard: readBoard,
+    createKeyboard: createKeyboard,
+    generate: generate,
+    runGenerator: runGenerator
+};
@@ -0,0 +1,323 @@
+/**
+ * The tests: golden output tests, and the unit tests in unit/.
+ *
+ * For the golden tests, every generator is run with its default params, and the animations of
+ * fixtures/kiianiconf.json are run through generateConfig, on the small keyboard in fixtures/. The
+ * animations that come out of that are then parsed and written back out with reemitConfig, and
+ * written out as KLL with formatKll. The conf in fixtures/ktype/ is run on the K-Type sized
+ * keyboard there, which gets the built in K-Type profile. The results are compared with the files
+ * in golden/, and checked for being well formed: every frame parses, the led ids are in the json,
+ * the rows and columns are on the kll grid, the colors are whole numbers from 0 to 255 and the
+ * settings are ones the firmware knows.
+ *
+ * Each file in unit/ exports a map of test names to functions that throw (with assert) when they
+ * fail. Their tests are named after the file, e.g. "unit/library: requiring it doesn't
+ * print, write or exit".
+ *
+ * Run with "npm test". After a change that is meant to change the output, write out new golden
+ * files with "node test/run.js --update" and check the diff before committing them. A test can be
+ * picked by name, e.g. "node test/run.js kitt2000 conf", and the tests of a unit file by the
+ * file's name, e.g. "node test/run.js unit/library".
+ */
+
+'use strict';
+
+/* globals require, process, __dirname, console */
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var kiianigen = require('../kiianigen');
+var fixtures = require('./fixtures');
+
+var GOLDEN_DIR = path.join(__dirname, 'golden');
+var UNIT_DIR = path.join(__dirname, 'unit');
+
+// Params for the generators that have required params, or whose defaults would leave a lot
+// untested.
+var TEST_PARAMS = {
+    "image": [path.join(fixtures.FIXTURES_DIR, 'sheet.png'), 4],
+    "composite": [[{region: "ALL", generator: "topAndBottom"},
+                   {region: "BASE", generator: "topAndBottom2", blend: "add"},
+                   {region: ["0x01", [2, 4], 12], generator: "whiteNoise", blend: "multiply"}]]
+};
+
+var SETTING_RES = [
+    /^framedelay:\d+$/,
+    /^framestretch$/,
+    /^loop(:\d+)?$/,
+    /^replace:(none|basic|all|state|clear)$/,
+    /^pfunc:(off|interp|kllinterp)$/,
+    /^start$/
+];
+
+/**
+ * Checks that an animation is well formed.
+ *
+ * @param  {Object} kb
+ *         The keyboard context.
+ * @param  {Object} animation
+ *         The animation object.
+ * @return {Array}
+ *         The problems found, as strings.
+ */
+function checkAnimation(kb, animation) {
+    var problems = [];
+    var ledIds = {};
+    kb.leds.forEach(function(led) {
+        ledIds[led.id] = true;
+    });
+
+    if (animation.type !== 'animation') {
+        problems.push("type is " + JSON.stringify(animation.type) + ", not \"animation\"");
+    }
+    if (typeof(animation.settings) !== 'string') {
+        problems.push("settings is not a string");
+    } else {
+        animation.settings.split(",").forEach(function(setting) {
+            setting = setting.trim();
+            if (!SETTING_RES.some(function(re) {
+                return re.test(setting);
+            })) {
+                problems.push("unknown setting '" + setting + "' in '" + animation.settings + "'");
+            }
+        });
+    }
+    if (!Array.isArray(animation.frames) || !animation.frames.length) {
+        problems.push("there are no frames");
+        return problems;
+    }
+
+    function checkPosition(position, max, what, frameNum) {
+        if (position && !position.percent && !position.relative &&
+                (position.value < 0 || position.value > max || position.value % 1 !== 0)) {
+            problems.push("frame " + frameNum + ": " + what + " " + position.value +
+                          " is off the kll grid (0-" + max + ")");
+        }
+    }
+
+    animation.frames.forEach(function(frame, frameNum) {
+        var pixels;
+        try {
+            pixels = kiianigen.parseFrame(frame);
+        } catch (err) {
+            problems.push("frame " + frameNum + ": " + err.message);
+            return;
+        }
+        pixels.forEach(function(pixel) {
+            if (pixel.index !== undefined) {
+                var end = pixel.indexEnd !== undefined ? pixel.indexEnd : pixel.index;
+                for (var id = pixel.index; id <= end; id++) {
+                    if (!ledIds[id]) {
+                        problems.push("frame " + frameNum + ": there is no led " + id);
+                    }
+                }
+            }
+            checkPosition(pixel.row, kb.maxRow, "row", frameNum);
+            checkPosition(pixel.col, kb.maxCol, "column", frameNum);
+            if (pixel.color.some(function(channel) {
+                return channel < 0 || channel > 255 || channel % 1 !== 0;
+            })) {
+                problems.push("frame " + frameNum + ": color (" + pixel.color.join(",") +
+                              ") is not 3 whole numbers from 0 to 255");
+            }
+        });
+    });
+    return problems;
+}
+
+/**
+ * Compares a result with its golden file, or writes the golden file when updating.
+ *
+ * @param  {String} name
+ *         The name of the test, which is also the name of the golden file.
+ * @param  {Object} result
+ *         The result.
+ * @param  {Boolean} update
+ *         True to write the golden file rather than compare with it.
+ * @return {Array}
+ *         The problems found, as strings.
+ */
+function checkGolden(name, result, update) {
+    var goldenFile = path.join(GOLDEN_DIR, name + '.json');
+    var text = JSON.stringify(result, null, 4) + "\n";
+    if (update) {
+        fs.writeFileSync(goldenFile, text);
+        return [];
+    }
+    if (!fs.existsSync(goldenFile)) {
+        return ["there is no golden file, run \"node test/run.js --update " + name + "\""];
+    }
+    var golden = fs.readFileSync(goldenFile, 'utf8');
+    if (golden === text) {
+        return [];
+    }
+    var goldenLines = golden.split("\n"), lines = text.split("\n");
+    for (var i = 0; i < Math.max(goldenLines.length, lines.length); i++) {
+        if (goldenLines[i] !== lines[i]) {
+            return ["differs from " + path.relative(process.cwd(), goldenFile) + " at line " +
+                    (i + 1) + ":\n\t\texpected: " + String(goldenLines[i]).trim() +
+                    "\n\t\tactual:   " + String(lines[i]).trim()];
+        }
+    }
+    return [];
+}
+
+/** Checks every animation of a configurator json, see checkAnimation. */
+function checkAnimations(kb, json) {
+    var problems = [];
+    Object.keys(json.animations).forEach(function(animId) {
+        checkAnimation(kb, json.animations[animId]).forEach(function(problem) {
+            problems.push(animId + ": " + problem);
+        });
+    });
+    return problems;
+}
+
+/**
+ * Creates the golden tests: one per generator, ones for the conf, re-emitting it and its KLL, and
+ * one for the conf of the K-Type sized keyboard.
+ */
+function createTests() {
+    var tests = {};
+    var small = fixtures.readBoard('small');
+    Object.keys(kiianigen.generators).forEach(function(generator) {
+        tests[generator] = function() {
+            var kb = fixtures.createKeyboard('small');
+            var animation = fixtures.runGenerator(kb, generator, TEST_PARAMS[generator]);
+            return {result: animation, problems: checkAnimation(kb, animation)};
+        };
+    });
+    tests.conf = function() {
+        var result = fixtures.generate('small');
+        return {result: result,
+                problems: checkAnimations(kiianigen.createKeyboard(result, small.kll), result)};
+    };
+    tests.reemit = function() {
+        var generated = fixtures.generate('small');
+        var result = kiianigen.reemitConfig(generated, small.kll);
+        var kb = kiianigen.createKeyboard(result, small.kll);
+        var problems = checkAnimations(kb, result);
+        Object.keys(result.animations).forEach(function(animId) {
+            if (!kiianigen.sameAnimation(kb, generated.animations[animId],
+                                         result.animations[animId])) {
+                problems.push(animId + ": doesn't look the same as before it was re-emitted");
+            }
+        });
+        return {result: result.animations, problems: problems};
+    };
+    tests.kll = function() {
+        var generated = fixtures.generate('small');
+        var files = kiianigen.formatKll(generated);
+        var problems = [];
+        var definitions = {};
+        files[0].text.split("\n").forEach(function(line) {
+            var match = /^A\[(\w+)(?:, (\d+))?\] <= (.*);$/.exec(line);
+            if (match) {
+                definitions[match[1] + (match[2] ? ", " + match[2] : "")] = match[3];
+            }
+        });
+        // Each frame has to come out as the same pixels as in the json, and empty frames as a
+        // pixel that doesn't change anything on the first led.
+        var emptyFrame = "P[" + Math.min.apply(null, generated.leds.map(function(led) {
+            return led.id;
+        })) + "](+:0,+:0,+:0)";
+        Object.keys(generated.animations).forEach(function(animId) {
+            generated.animations[animId].frames.forEach(function(frame, idx) {
+                var defined = definitions[animId + ", " + (idx + 1)];
+                if (!frame.trim() ? defined !== emptyFrame :
+                    defined === undefined || JSON.stringify(kiianigen.parseFrame(defined)) !==
+                                             JSON.stringify(kiianigen.parseFrame(frame))) {
+                    problems.push(animId + ": frame " + idx + " doesn't match the json");
+                }
+            });
+        });
+        return {result: files, problems: problems};
+    };
+    tests.ktype = function() {
+        var ktype = fixtures.readBoard('ktype');
+        var result = fixtures.generate('ktype');
+        var kb = kiianigen.createKeyboard(result, ktype.kll);
+        var problems = checkAnimations(kb, result);
+        if (kb.profile.name !== 'ktype') {
+            problems.push("got the " + kb.profile.name + " profile rather than the K-Type one");
+        }
+        return {result: result, problems: problems};
+    };
+    return tests;
+}
+
+/**
+ * Creates the unit tests from the files in unit/. They have no golden files; a test passes if it
+ * doesn't throw.
+ */
+function createUnitTests() {
+    var tests = {};
+    fs.readdirSync(UNIT_DIR).filter(function(fileName) {
+        return /\.js$/.test(fileName);
+    }).sort().forEach(function(fileName) {
+        var unitTests = require(path.join(UNIT_DIR, fileName));
+        var prefix = "unit/" + fileName.replace(/\.js$/, "") + ": ";
+        Object.keys(unitTests).forEach(function(name) {
+            tests[prefix + name] = function() {
+                unitTests[name]();
+                return {problems: []};
+            };
+        });
+    });
+    return tests;
+}
+
+function main(args) {
+    var update = args.indexOf('--update') !== -1;
+    var names = args.filter(function(arg) {
+        return arg !== '--update';
+    });
+    var tests = createTests();
+    var unitTests = createUnitTests();
+    Object.keys(unitTests).forEach(function(name) {
+        tests[name] = unitTests[name];
+    });
+    if (!names.length) {
+        names = Object.keys(tests);
+    }
+    // A unit file's name picks all of its tests.
+    names = [].concat.apply([], names.map(function(name) {
+        var inFile = Object.keys(unitTests).filter(function(testName) {
+            return testName.indexOf(name + ": ") === 0;
+        });
+        return inFile.length ? inFile : [name];
+    }));
+
+    var failed = 0;
+    names.forEach(function(name) {
+        var problems;
+        if (!tests[name]) {
+            problems = ["there is no such test"];
+        } else {
+            try {
+                var run = tests[name]();
+                problems = run.problems;
+                if (run.result !== undefined) {
+                    problems = problems.concat(checkGolden(name, run.result, update));
+                }
+            } catch (err) {
+                problems = [err instanceof assert.AssertionError ? err.message :
+                                                                   err.stack || String(err)];
+            }
+        }
+        if (problems.length) {
+            failed++;
+            console.error("FAIL " + name + "\n\t" + problems.slice(0, 10).join("\n\t") +
+                          (problems.length > 10 ? "\n\t... and " + (problems.length - 10) +
+                                                  " more" : ""));
+        } else {
+            console.info((update && run.result !== undefined ? "updated " : "ok ") + name);
+        }
+    });
+    console.info("\n" + (names.length - failed) + " of " + names.length + " tests passed");
+    if (failed) {
+        process.exitCode = 1;
+    }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for estimating the flash that animations and their triggers take up, and checking it
+ * against the budget of the conf.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var budget = require('../../lib/budget');
+var validate = require('../../lib/validate');
+
+/** A configurator json with 3 pixels over 2 frames, and 3 trigger actions. */
+function smallJson() {
+    return {
+        matrix: [{triggers: {"0": [{}, {}]}}, {triggers: {"1": [{}]}}, {}],
+        animations: {A: {settings: "framedelay:1",
+                         frames: ["P[1](1,1,1),P[2-4](1,1,1)", "P[c:3](1,1,1)"]}}
+    };
+}
+
+/** Checks a budget and returns the problems found. */
+function budgetProblems(value) {
+    var problems = [];
+    budget.validateBudget(value, problems);
+    return problems;
+}
+
+module.exports = {
+    "each pixel, frame and animation adds to the estimate": function() {
+        assert.deepStrictEqual(budget.estimateAnimation({frames: []}),
+                               {frames: 0, pixels: 0, bytes: 16});
+        // A range or a column is still one pixel to the emitter.
+        assert.deepStrictEqual(budget.estimateAnimation(smallJson().animations.A),
+                               {frames: 2, pixels: 3, bytes: 16 + 2 * 5 + 3 * 11});
+    },
+
+    "the config estimate adds up the animations and the triggers": function() {
+        var estimate = budget.estimateConfig(smallJson());
+        assert.strictEqual(estimate.triggers, 3);
+        assert.strictEqual(estimate.triggerBytes, 24);
+        assert.deepStrictEqual(estimate.total, {frames: 2, pixels: 3, bytes: 59 + 24});
+        assert.deepStrictEqual(Object.keys(estimate.animations), ["A"]);
+    },
+
+    "the default budget is used for what the conf leaves out": function() {
+        var estimate = budget.estimateConfig(smallJson());
+        assert.deepStrictEqual(budget.checkBudget(estimate),
+                               {exceeded: false, fail: false,
+                                maxBytes: budget.DEFAULT_BUDGET.maxBytes});
+        assert.deepStrictEqual(budget.checkBudget(estimate, {maxBytes: 80}),
+                               {exceeded: true, fail: false, maxBytes: 80});
+        assert.deepStrictEqual(budget.checkBudget(estimate, {maxBytes: 80, onExceed: "fail"}),
+                               {exceeded: true, fail: true, maxBytes: 80});
+        assert.strictEqual(budget.checkBudget(estimate, {maxBytes: 83, onExceed: "fail"}).fail,
+                           false);
+    },
+
+    "the estimate is formatted as a table with the budget under it": function() {
+        var lines = budget.formatEstimate(budget.estimateConfig(smallJson()), {maxBytes: 1000});
+        assert.deepStrictEqual(lines, [
+            "Animation      Frames    Pixels    ~Bytes",
+            "A                   2         3        59",
+            "Triggers (3)                           24",
+            "Total               2         3        83",
+            "Budget: 83 of 1000 bytes (8%)"
+        ]);
+    },
+
+    "the budget in the conf is checked": function() {
+        assert.deepStrictEqual(budgetProblems({maxBytes: 1000, onExceed: "fail"}), []);
+        assert.deepStrictEqual(budgetProblems({}), []);
+        assert.deepStrictEqual(budgetProblems([]), [
+            {path: "budget", message: "must be an object with 'maxBytes' and/or 'onExceed'"}
+        ]);
+        assert.deepStrictEqual(budgetProblems({maxBytes: 0, onExceed: "stop"}), [
+            {path: "budget.maxBytes", message: "'maxBytes' must be at least 1, not 0"},
+            {path: "budget.onExceed", message: "must be 'warn' or 'fail', not \"stop\""}
+        ]);
+    },
+
+    "the budget is checked with the rest of the conf": function() {
+        var problems = validate.validateConf({animations: {}, activeAnimations: [],
+                                              budget: {maxBytes: 1.5}}).problems;
+        assert.deepStrictEqual(problems, [
+            {path: "budget.maxBytes", message: "'maxBytes' must be a whole number, not 1.5"}
+        ]);
+    }
+};
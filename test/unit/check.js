@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the helpers the conf checks share: json paths, name suggestions and plain values.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var check = require('../../lib/check');
+
+/** Checks a value and returns the messages of the problems found. */
+function messagesOf(param, value) {
+    var problems = [];
+    check.checkValue(param, value, "x", problems);
+    return problems.map(function(problem) {
+        return problem.message;
+    });
+}
+
+module.exports = {
+    "paths use dots for identifiers and brackets for everything else": function() {
+        assert.strictEqual(check.pathTo("", "animations"), "animations");
+        assert.strictEqual(check.pathTo("animations", "KARR"), "animations.KARR");
+        assert.strictEqual(check.pathTo("animations", "KARR 1.0"), "animations[\"KARR 1.0\"]");
+        assert.strictEqual(check.pathTo("params", 2), "params[2]");
+    },
+
+    "suggests names that are close, whatever their case": function() {
+        var names = ["kitt2000", "keySplash", "marquee"];
+        assert.strictEqual(check.closestName("kit2000", names), "kitt2000");
+        assert.strictEqual(check.closestName("KEYSPLASH", names), "keySplash");
+        assert.strictEqual(check.closestName("somethingElse", names), undefined);
+    },
+
+    "only finds names an object has of its own": function() {
+        assert.strictEqual(check.hasOwn({a: 1}, "a"), true);
+        assert.strictEqual(check.hasOwn({a: 1}, "constructor"), false);
+        assert.strictEqual(check.hasOwn({hasOwnProperty: 1}, "toString"), false);
+    },
+
+    "describes the type of json values": function() {
+        assert.strictEqual(check.describeType(null), "null");
+        assert.strictEqual(check.describeType([1]), "an array");
+        assert.strictEqual(check.describeType("red"), "a string");
+        assert.strictEqual(check.describeType({}), "a object");
+    },
+
+    "checks plain values against their schema": function() {
+        assert.deepStrictEqual(messagesOf({name: "n", type: "integer", min: 2, max: 5}, 6),
+                               ["'n' must be at most 5, not 6"]);
+        assert.deepStrictEqual(messagesOf({name: "n", type: "integer", min: 2}, 1.5),
+                               ["'n' must be a whole number, not 1.5",
+                                "'n' must be at least 2, not 1.5"]);
+        assert.deepStrictEqual(messagesOf({name: "n", type: "number"}, "3"),
+                               ["'n' must be a number, not a string"]);
+        assert.deepStrictEqual(messagesOf({name: "s", type: "string"}, ""),
+                               ["'s' must be a non-empty string, not a string"]);
+        assert.deepStrictEqual(messagesOf({name: "b", type: "boolean"}, "yes"),
+                               ["'b' must be true or false, not \"yes\""]);
+        assert.deepStrictEqual(messagesOf({name: "c", type: "choice", values: ["a", "b"]}, "d"),
+                               ["'c' must be one of a, b, not \"d\""]);
+        assert.deepStrictEqual(messagesOf({name: "n", type: "number", min: 0}, 0), []);
+    },
+
+    "formats problems one to a line": function() {
+        assert.deepStrictEqual(check.formatProblems([{path: "a.b", message: "is wrong"},
+                                                     {path: "", message: "is empty"}]),
+                               ["a.b: is wrong", "(conf): is empty"]);
+    }
+};
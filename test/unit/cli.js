@@ -0,0 +1,143 @@
+/**
+ * Unit tests for the command line: parsing the commands, arguments and flags, and the exit codes
+ * of running kiianigen.js.
+ */
+
+'use strict';
+
+/* globals require, module, process, __dirname */
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var cli = require('../../lib/cli');
+var fixtures = require('../fixtures');
+
+var KIIANIGEN_FILE = path.join(__dirname, '..', '..', 'kiianigen.js');
+
+/**
+ * Runs kiianigen.js in a new directory, which is removed afterwards along with anything written to
+ * it.
+ *
+ * @param  {Array} args
+ *         The command line arguments.
+ * @param  {Object} files
+ *         Optional. A map of file name to the text of files to put in the directory first.
+ * @return {Object}
+ *         The "status", "stdout" and "stderr" of the run.
+ */
+function run(args, files) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiianigen-'));
+    try {
+        Object.keys(files || {}).forEach(function(fileName) {
+            fs.writeFileSync(path.join(dir, fileName), files[fileName]);
+        });
+        return childProcess.spawnSync(process.execPath, [KIIANIGEN_FILE].concat(args),
+                                      {cwd: dir, encoding: 'utf8', timeout: 60000});
+    } finally {
+        fs.readdirSync(dir).forEach(function(fileName) {
+            fs.unlinkSync(path.join(dir, fileName));
+        });
+        fs.rmdirSync(dir);
+    }
+}
+
+module.exports = {
+    "the flags have defaults, and can be given with = or a space": function() {
+        var parsed = cli.parseArgs(["generate", "kitt2000"]);
+        assert.strictEqual(parsed.command, "generate");
+        assert.deepStrictEqual(parsed.args, ["kitt2000"]);
+        assert.strictEqual(parsed.options.source, "../KType-Standard");
+        assert.strictEqual(parsed.options.kll, false);
+
+        parsed = cli.parseArgs(["--out=o", "generate", "kitt2000", "--seed", "5", "--kll"]);
+        assert.deepStrictEqual(parsed.args, ["kitt2000"]);
+        assert.strictEqual(parsed.options.out, "o");
+        assert.strictEqual(parsed.options.seed, "5");
+        assert.strictEqual(parsed.options.kll, true);
+    },
+
+    "the generate command can be left out": function() {
+        assert.strictEqual(cli.parseArgs(["kitt2000"]).command, "generate");
+        assert.strictEqual(cli.parseArgs(["conf"]).command, "generate");
+        var parsed = cli.parseArgs([]);
+        assert.strictEqual(parsed.command, "help");
+        assert.ok(parsed.noCommand);
+    },
+
+    "command line mistakes are errors": function() {
+        assert.strictEqual(cli.parseArgs(["--sorce", "x"]).error,
+                           "Unknown flag: --sorce, did you mean --source?");
+        assert.strictEqual(cli.parseArgs(["generate", "--conf"]).error, "--conf needs a value");
+        assert.strictEqual(cli.parseArgs(["generate", "--conf", "--stdout"]).error,
+                           "--conf needs a value");
+        assert.strictEqual(cli.parseArgs(["generate", "--stdout", "--dry-run"]).error,
+                           "--stdout and --dry-run can't be used together");
+        assert.strictEqual(cli.parseArgs(["list", "--kll"]).error,
+                           "--kll only works with the generate and reemit commands");
+        assert.ok(/^Unknown command or generator: 'kit2000'/.test(
+            cli.parseArgs(["kit2000"]).error));
+        assert.ok(/^Unknown command or generator: 'constructor'/.test(
+            cli.parseArgs(["constructor"]).error));
+        assert.ok(/^Unknown keyboard profile: 'toString'/.test(
+            cli.parseArgs(["generate", "--profile", "toString"]).error));
+    },
+
+    "the KType-Standard directory can be given as an argument or a flag": function() {
+        var parsed = cli.parseArgs(["preview", "kitt2000", "dir"]);
+        assert.deepStrictEqual(parsed.args, ["kitt2000"]);
+        assert.strictEqual(parsed.options.source, "dir");
+        parsed = cli.parseArgs(["reemit", "--source=dir"]);
+        assert.deepStrictEqual(parsed.args, []);
+        assert.strictEqual(parsed.options.source, "dir");
+    },
+
+    "export-gif arguments are in the same place with or without --source": function() {
+        var withDir = cli.parseArgs(["export-gif", "kitt2000", "dir", "out.gif", "keys"]);
+        var withFlag = cli.parseArgs(["export-gif", "kitt2000", "out.gif", "keys",
+                                      "--source", "dir"]);
+        assert.deepStrictEqual(withDir, withFlag);
+        assert.deepStrictEqual(withFlag.args, ["kitt2000", "out.gif", "keys"]);
+        assert.strictEqual(withFlag.options.source, "dir");
+    },
+
+    "the exit code is 0 when it went well": function() {
+        var result = run(["list"]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(/kitt2000/.test(result.stdout));
+
+        result = run(["generate", "kitt2000", "--source", fixtures.FIXTURES_DIR, "--dry-run",
+                      "--seed", "1"]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(/Dry run, nothing was written/.test(result.stdout));
+    },
+
+    "the exit code is 1 when something failed": function() {
+        var result = run(["generate", "kitt2000", "--source", "missing"]);
+        assert.strictEqual(result.status, 1);
+        assert.ok(/KType-Standard.json not found at missing/.test(result.stderr), result.stderr);
+
+        result = run(["conf", "--source", fixtures.FIXTURES_DIR, "--conf", "conf.json"],
+                     {"conf.json": "{\"animations\": "});
+        assert.strictEqual(result.status, 1);
+        assert.ok(/^The conf at conf.json is not valid json: /.test(result.stderr), result.stderr);
+
+        result = run(["export-gif", "kitt2000", "missing/out.gif", "--source",
+                      fixtures.FIXTURES_DIR]);
+        assert.strictEqual(result.status, 1);
+        assert.ok(/^Could not write missing\/out.gif: /.test(result.stderr), result.stderr);
+    },
+
+    "the exit code is 2 when the command line is wrong": function() {
+        var result = run(["frobnicate"]);
+        assert.strictEqual(result.status, 2);
+        assert.ok(/Unknown command or generator: 'frobnicate'/.test(result.stderr));
+        assert.strictEqual(run(["generate", "--seed"]).status, 2);
+        assert.strictEqual(run([]).status, 2);
+        result = run(["export-gif", "kitt2000", "out.gif", "grid", "--source",
+                      fixtures.FIXTURES_DIR]);
+        assert.strictEqual(result.status, 2);
+        assert.ok(/Unknown export layout: 'grid'/.test(result.stderr), result.stderr);
+    }
+};
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for colors given as strings in the conf, and fading through the color spaces.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var colors = require('../../lib/colors');
+var pixels = require('../../lib/pixels');
+var validate = require('../../lib/validate');
+var fixtures = require('../fixtures');
+
+/** Checks a color and returns the problems found, as "path: message" strings. */
+function colorProblems(value) {
+    var problems = [];
+    colors.checkColor({name: "c"}, value, "x", problems);
+    return problems.map(function(problem) {
+        return problem.path + ": " + problem.message;
+    });
+}
+
+/** Rounds the channels of a converted color, without the -0 that rounding can give. */
+function roundColor(color) {
+    return color.map(function(channel) {
+        return Math.round(channel) || 0;
+    });
+}
+
+module.exports = {
+    "colors can be given as hex, names, rgb(), hsv() and hsl()": function() {
+        ["#ff6600", "#F60", "rgb(255, 102, 0)", "hsv(24, 100%, 100%)",
+         "hsl(24,100%,50%)"].forEach(function(text) {
+            assert.deepStrictEqual(colors.parseColor(text), [255, 102, 0], text);
+        });
+        assert.deepStrictEqual(colors.parseColor(" Orange "), [255, 165, 0]);
+        ["#ggg", "#ff66", "rgb(1, 2)", "hsv(0, 0, 0", "not a color"].forEach(function(text) {
+            assert.strictEqual(colors.parseColor(text), null, text);
+        });
+    },
+
+    "hsv and oklab convert back to the colors they came from": function() {
+        [[255, 102, 0], [12, 200, 99], [128, 128, 128]].forEach(function(rgb) {
+            var hsv = colors.rgbToHsv(rgb);
+            assert.deepStrictEqual(roundColor(colors.hsvToRgb(hsv[0], hsv[1], hsv[2])), rgb);
+            assert.deepStrictEqual(roundColor(colors.oklabToRgb(colors.rgbToOklab(rgb))), rgb);
+        });
+    },
+
+    "fades go through the color space given": function() {
+        var red = [255, 0, 0], blue = [0, 0, 255];
+        assert.deepStrictEqual(pixels.colorBleed(red, blue, 2, 1), [128, 0, 128]);
+        // The short way around the color wheel, at full brightness.
+        assert.deepStrictEqual(pixels.colorBleed(red, blue, 2, 1, null, "hsv"), [255, 0, 255]);
+        assert.deepStrictEqual(pixels.colorBleed(red, blue, 2, 1, null, "oklab"),
+                               [140, 83, 162]);
+        // Fading to black only gets darker.
+        assert.deepStrictEqual(pixels.colorBleed(red, [0, 0, 0], 2, 1, null, "hsv"), [128, 0, 0]);
+        assert.deepStrictEqual(pixels.multiColorBleed(2, pixels.linearInterpolate, red,
+                                                      [0, 255, 0], "hsv"),
+                               [[255, 0, 0], [255, 255, 0], [0, 255, 0], [255, 255, 0]]);
+    },
+
+    "the rainbow cycle goes all the way around the color wheel": function() {
+        var kb = fixtures.createKeyboard('small');
+        var animation = fixtures.runGenerator(kb, "rainbowCycle", [6, 0]);
+        assert.strictEqual(animation.settings, "framedelay:3, loop");
+        assert.deepStrictEqual(animation.frames.map(function(frame) {
+            return /\(([\d,]+)\)/.exec(frame)[1];
+        }), ["255,0,0", "255,255,0", "0,255,0", "0,255,255", "0,0,255", "255,0,255"]);
+    },
+
+    "colors given as strings get to the generators as arrays": function() {
+        var conf = {animations: {K: {generator: "kitt2000", params: ["orange", "#00f"]}},
+                    activeAnimations: ["K"]};
+        var result = validate.validateConf(conf);
+        assert.deepStrictEqual(result.problems, []);
+        assert.deepStrictEqual(result.animations.K.params, [[255, 165, 0], [0, 0, 255], 5]);
+    },
+
+    "the color space of an animation is used for its fades": function() {
+        function kittFrames(colorSpace) {
+            var conf = {animations: {K: {generator: "kitt2000", params: ["red", "blue"],
+                                         colorSpace: colorSpace}},
+                        activeAnimations: ["K"]};
+            return fixtures.generate('small', conf).animations.K.frames[0];
+        }
+        // The band fades from red to blue, through purple at full brightness in hsv.
+        assert.ok(/P\[c:0%\]\(204,0,51\)/.test(kittFrames("rgb")));
+        assert.ok(/P\[c:0%\]\(255,0,102\)/.test(kittFrames("hsv")));
+    },
+
+    "colors and color spaces are checked": function() {
+        assert.deepStrictEqual(colorProblems("#ggg"), [
+            "x: 'c' must be a color, but \"#ggg\" is not a hex color, color name, rgb(), hsv() " +
+            "or hsl()"
+        ]);
+        assert.deepStrictEqual(colorProblems([1, 2]), [
+            "x: 'c' must be a color, i.e. an array of 3 numbers [r, g, b] or a string such as " +
+            "\"#ff6600\", not [1,2]"
+        ]);
+        assert.deepStrictEqual(colorProblems([0, 300, "x"]), [
+            "x[1]: color channels must be numbers from 0 to 255, not 300",
+            "x[2]: color channels must be numbers from 0 to 255, not \"x\""
+        ]);
+        assert.deepStrictEqual(colorProblems("hsl(120, 50%, 50%)"), []);
+
+        var conf = {animations: {K: {generator: "kitt2000", colorSpace: "lab"}},
+                    activeAnimations: ["K"]};
+        assert.deepStrictEqual(validate.validateConf(conf).problems, [
+            {path: "animations.K.colorSpace",
+             message: "must be one of rgb, hsv, oklab, not \"lab\""}
+        ]);
+    }
+};
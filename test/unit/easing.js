@@ -0,0 +1,85 @@
+/**
+ * Unit tests for the named easings that fades can follow, and picking them in the conf.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var easing = require('../../lib/easing');
+var pixels = require('../../lib/pixels');
+var validate = require('../../lib/validate');
+var fixtures = require('../fixtures');
+
+/** Rounds a number to 3 decimal places. */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    "every easing starts at the first color and ends at the second": function() {
+        Object.keys(easing.EASINGS).forEach(function(name) {
+            assert.strictEqual(round(easing.EASINGS[name](0)), 0, name);
+            assert.strictEqual(round(easing.EASINGS[name](1)), 1, name);
+        });
+    },
+
+    "the easings have their own curves": function() {
+        var quarter = {};
+        Object.keys(easing.EASINGS).forEach(function(name) {
+            quarter[name] = round(easing.EASINGS[name](0.25));
+        });
+        assert.deepStrictEqual(quarter, {
+            "linear": 0.25, "sine": 0.146, "ease": 0.409, "ease-in": 0.093, "ease-out": 0.378,
+            "ease-in-out": 0.129, "cubic": 0.063, "exponential": 0.016, "bounce": 0.473,
+            "elastic": 0.912
+        });
+        // Elastic overshoots the second color.
+        assert.ok(easing.EASINGS.elastic(0.5) > 1);
+    },
+
+    "sine follows the curve the breathing generators have always used": function() {
+        var interpolate = easing.easingInterpolate(easing.EASINGS.sine);
+        [0, 3, 5, 9, 10].forEach(function(step) {
+            assert.strictEqual(round(interpolate(step, 10, 20, 220)),
+                               round(pixels.sineInterpolate(step, 10, 20, 220)), "step " + step);
+        });
+    },
+
+    "stepped and cubic-bezier easings are given as functions": function() {
+        var stepped = easing.getEasing(" Stepped(4) ");
+        assert.deepStrictEqual([0, 0.2, 0.25, 0.6, 0.99, 1].map(stepped),
+                               [0, 0, 0.25, 0.5, 0.75, 1]);
+        var bezier = easing.getEasing("cubic-bezier(0.42, 0, 0.58, 1)");
+        assert.strictEqual(round(bezier(0.3)), round(easing.EASINGS["ease-in-out"](0.3)));
+        // The y of the control points can go outside 0-1, but not the x.
+        assert.ok(easing.getEasing("cubic-bezier(0, 1.5, 1, -0.5)"));
+        assert.strictEqual(easing.getEasing("cubic-bezier(1.5, 0, 0, 1)"), null);
+        assert.strictEqual(easing.getEasing("stepped(0)"), null);
+        assert.strictEqual(easing.getEasing("wobble"), null);
+        assert.strictEqual(easing.getEasing(3), null);
+    },
+
+    "the easing of an animation is used for its fades": function() {
+        function firstFrame(animEasing) {
+            var conf = {animations: {K: {generator: "kitt2000", easing: animEasing}},
+                        activeAnimations: ["K"]};
+            return fixtures.generate('small', conf).animations.K.frames[0];
+        }
+        // The band fades out over 5 columns, and in 2 steps the first of them is still full.
+        assert.ok(/P\[c:0%\]\(204,0,0\)/.test(firstFrame(undefined)));
+        assert.strictEqual(firstFrame("linear"), firstFrame(undefined));
+        assert.ok(/P\[c:0%\]\(255,0,0\)/.test(firstFrame("stepped(2)")));
+    },
+
+    "easings are checked": function() {
+        var conf = {animations: {K: {generator: "kitt2000", easing: "wobble"}},
+                    activeAnimations: ["K"]};
+        assert.deepStrictEqual(validate.validateConf(conf).problems, [{
+            path: "animations.K.easing",
+            message: "must be one of linear, sine, ease, ease-in, ease-out, ease-in-out, cubic, " +
+                     "exponential, bounce, elastic, stepped(n) or cubic-bezier(x1, y1, x2, y2), " +
+                     "not \"wobble\""
+        }]);
+    }
+};
@@ -0,0 +1,272 @@
+/**
+ * Unit tests for exporting animations to GIF and APNG. The files are read back with the small
+ * decoders below, which check the structure of the file as they go.
+ */
+
+'use strict';
+
+/* globals require, module, Buffer */
+var assert = require('assert');
+var zlib = require('zlib');
+var kiianigen = require('../../kiianigen');
+var gif = require('../../lib/gif');
+var apng = require('../../lib/apng');
+var fixtures = require('../fixtures');
+
+/** Decodes GIF LZW data into color indexes. */
+function lzwDecode(data, minCodeSize, pixelCount) {
+    var clearCode = 1 << minCodeSize;
+    var eoiCode = clearCode + 1;
+    var codeSize, table, prev;
+    var out = [];
+    var bitPos = 0;
+
+    function reset() {
+        codeSize = minCodeSize + 1;
+        table = [];
+        for (var i = 0; i < clearCode; i++) {
+            table.push([i]);
+        }
+        table.push(null, null);
+        prev = null;
+    }
+    reset();
+    while (bitPos + codeSize <= data.length * 8) {
+        var code = 0;
+        for (var b = 0; b < codeSize; b++, bitPos++) {
+            code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << b;
+        }
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === eoiCode) {
+            break;
+        }
+        var entry = code < table.length ? table[code] : prev.concat(prev[0]);
+        assert.ok(entry, "bad LZW code " + code);
+        out.push.apply(out, entry);
+        if (prev) {
+            table.push(prev.concat(entry[0]));
+            if (table.length === (1 << codeSize) && codeSize < 12) {
+                codeSize++;
+            }
+        }
+        prev = entry;
+    }
+    assert.strictEqual(out.length, pixelCount, "the frame doesn't have a color for every pixel");
+    return out;
+}
+
+/**
+ * Reads a GIF file.
+ *
+ * @param  {Buffer} buf
+ *         The file.
+ * @return {Object}
+ *         The "width" and "height", the "repeats" of the Netscape looping extension (undefined
+ *         without one) and the "frames", each with its "delay" and "pixels" as [r, g, b] arrays.
+ */
+function readGif(buf) {
+    assert.strictEqual(buf.toString('ascii', 0, 6), "GIF89a");
+    var result = {width: buf.readUInt16LE(6), height: buf.readUInt16LE(8), frames: []};
+    assert.strictEqual(buf[10] & 0x80, 0, "there shouldn't be a global color table");
+    var pos = 13;
+    var delay = 0;
+
+    function subBlocks() {
+        var parts = [];
+        while (buf[pos]) {
+            parts.push(buf.slice(pos + 1, pos + 1 + buf[pos]));
+            pos += buf[pos] + 1;
+        }
+        pos++;
+        return Buffer.concat(parts);
+    }
+
+    for (;;) {
+        assert.ok(pos < buf.length, "the file ends without a trailer");
+        var introducer = buf[pos++];
+        if (introducer === 0x3b) {
+            assert.strictEqual(pos, buf.length, "there is data after the trailer");
+            return result;
+        }
+        if (introducer === 0x21) {
+            var label = buf[pos++];
+            var data = subBlocks();
+            if (label === 0xff && data.toString('ascii', 0, 11) === "NETSCAPE2.0") {
+                result.repeats = data.readUInt16LE(12);
+            } else if (label === 0xf9) {
+                delay = data.readUInt16LE(1);
+            }
+            continue;
+        }
+        assert.strictEqual(introducer, 0x2c, "unknown block " + introducer + " at " + (pos - 1));
+        var width = buf.readUInt16LE(pos + 4), height = buf.readUInt16LE(pos + 6);
+        var flags = buf[pos + 8];
+        pos += 9;
+        assert.ok(flags & 0x80, "a frame has no color table");
+        var tableSize = 2 << (flags & 7);
+        var palette = [];
+        for (var i = 0; i < tableSize; i++) {
+            palette.push([buf[pos + i * 3], buf[pos + i * 3 + 1], buf[pos + i * 3 + 2]]);
+        }
+        pos += tableSize * 3;
+        var minCodeSize = buf[pos++];
+        var indices = lzwDecode(subBlocks(), minCodeSize, width * height);
+        result.frames.push({delay: delay, pixels: indices.map(function(index) {
+            return palette[index];
+        })});
+    }
+}
+
+/**
+ * Reads an APNG file, checking the chunk CRCs and sequence numbers.
+ *
+ * @param  {Buffer} buf
+ *         The file.
+ * @return {Object}
+ *         The "width" and "height", "numFrames" and "numPlays" from the acTL chunk, and the
+ *         "frames", each with its "delay" in milliseconds and its raw "data".
+ */
+function readApng(buf) {
+    assert.deepStrictEqual(Array.prototype.slice.call(buf, 0, 8),
+                           [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    var pos = 8;
+    var chunks = [];
+    while (pos < buf.length) {
+        var length = buf.readUInt32BE(pos);
+        var type = buf.toString('ascii', pos + 4, pos + 8);
+        var crc = buf.readUInt32BE(pos + 8 + length);
+        assert.strictEqual(apng.crc32(buf.slice(pos + 4, pos + 8 + length)), crc,
+                           "bad CRC on the " + type + " chunk");
+        chunks.push({type: type, data: buf.slice(pos + 8, pos + 8 + length)});
+        pos += 12 + length;
+    }
+    assert.strictEqual(pos, buf.length);
+    assert.deepStrictEqual(chunks.map(function(chunk) {
+        return chunk.type;
+    }).filter(function(type, idx, types) {
+        return idx === 0 || idx === types.length - 1 || type === 'acTL';
+    }), ["IHDR", "acTL", "IEND"]);
+
+    var ihdr = chunks[0].data;
+    var actl = chunks[1].data;
+    var result = {width: ihdr.readUInt32BE(0), height: ihdr.readUInt32BE(4),
+                  numFrames: actl.readUInt32BE(0), numPlays: actl.readUInt32BE(4), frames: []};
+    assert.strictEqual(ihdr[8], 8);
+    assert.strictEqual(ihdr[9], 2);
+    var sequence = 0;
+    chunks.forEach(function(chunk) {
+        if (chunk.type === 'fcTL') {
+            assert.strictEqual(chunk.data.readUInt32BE(0), sequence++);
+            result.frames.push({delay: chunk.data.readUInt16BE(20) * 1000 /
+                                       chunk.data.readUInt16BE(22)});
+        } else if (chunk.type === 'IDAT' || chunk.type === 'fdAT') {
+            var data = chunk.data;
+            if (chunk.type === 'fdAT') {
+                assert.strictEqual(data.readUInt32BE(0), sequence++);
+                data = data.slice(4);
+            }
+            assert.strictEqual(chunk.type === 'IDAT', result.frames.length === 1);
+            result.frames[result.frames.length - 1].data = zlib.inflateSync(data);
+        }
+    });
+    result.frames.forEach(function(frame) {
+        assert.strictEqual(frame.data.length, (result.width * 3 + 1) * result.height);
+    });
+    assert.strictEqual(result.frames.length, result.numFrames);
+    return result;
+}
+
+/** Makes frames of a single color. */
+function solidFrames(width, height, colors, delay) {
+    return colors.map(function(color) {
+        var pixels = Buffer.alloc(width * height * 3);
+        for (var i = 0; i < width * height; i++) {
+            pixels[i * 3] = color[0];
+            pixels[i * 3 + 1] = color[1];
+            pixels[i * 3 + 2] = color[2];
+        }
+        return {pixels: pixels, delay: delay};
+    });
+}
+
+module.exports = {
+    "GIF frames decode to the colors they were given": function() {
+        var frames = solidFrames(3, 2, [[255, 0, 0], [0, 10, 20]], 5);
+        frames[1].pixels[0] = 7;
+        var read = readGif(gif.encodeGif(3, 2, frames));
+        assert.strictEqual(read.width, 3);
+        assert.strictEqual(read.height, 2);
+        assert.strictEqual(read.frames.length, 2);
+        assert.deepStrictEqual(read.frames[0].pixels[5], [255, 0, 0]);
+        assert.deepStrictEqual(read.frames[1].pixels[0], [7, 10, 20]);
+        assert.deepStrictEqual(read.frames[1].pixels[1], [0, 10, 20]);
+        assert.strictEqual(read.frames[1].delay, 5);
+    },
+
+    "GIFs repeat one time less than they play": function() {
+        var frames = solidFrames(1, 1, [[1, 2, 3]], 10);
+        assert.strictEqual(readGif(gif.encodeGif(1, 1, frames)).repeats, 0);
+        assert.strictEqual(readGif(gif.encodeGif(1, 1, frames, {loops: 0})).repeats, 0);
+        assert.strictEqual(readGif(gif.encodeGif(1, 1, frames, {loops: 3})).repeats, 2);
+        assert.strictEqual(readGif(gif.encodeGif(1, 1, frames, {loops: 2})).repeats, 1);
+        // A single play has no looping extension at all.
+        assert.strictEqual(readGif(gif.encodeGif(1, 1, frames, {loops: 1})).repeats, undefined);
+    },
+
+    "loop:1 and loop:2 export different GIFs": function() {
+        var kb = fixtures.createKeyboard('small');
+        var once = kiianigen.exportAnimation(kb, {settings: "framedelay:5, loop:1",
+                                                  frames: ["P[1](255,0,0)"]});
+        var twice = kiianigen.exportAnimation(kb, {settings: "framedelay:5, loop:2",
+                                                   frames: ["P[1](255,0,0)"]});
+        assert.notDeepStrictEqual(once, twice);
+        assert.strictEqual(readGif(once).repeats, undefined);
+        assert.strictEqual(readGif(twice).repeats, 1);
+    },
+
+    "APNG files are well formed and have the number of plays": function() {
+        var frames = solidFrames(2, 2, [[1, 2, 3], [4, 5, 6], [7, 8, 9]], 30);
+        var read = readApng(apng.encodeApng(2, 2, frames, {loops: 1}));
+        assert.strictEqual(read.numFrames, 3);
+        assert.strictEqual(read.numPlays, 1);
+        assert.strictEqual(read.frames[2].delay, 30);
+        // Each row starts with a filter byte of 0.
+        assert.deepStrictEqual(Array.prototype.slice.call(read.frames[2].data, 0, 7),
+                               [0, 7, 8, 9, 7, 8, 9]);
+        assert.strictEqual(readApng(apng.encodeApng(2, 2, frames)).numPlays, 0);
+    },
+
+    "exported animations play as many times as their loop setting says": function() {
+        var kb = fixtures.createKeyboard('small');
+        var animation = {settings: "framedelay:5, loop:3", frames: ["P[1](255,0,0)",
+                                                                   "P[1](0,255,0)"]};
+        var read = readGif(kiianigen.exportAnimation(kb, animation));
+        assert.strictEqual(read.repeats, 2);
+        assert.strictEqual(read.frames.length, 2);
+        assert.strictEqual(read.frames[0].delay, 5);
+
+        animation.settings = "framedelay:5";
+        read = readApng(kiianigen.exportAnimation(kb, animation, {format: "apng"}));
+        assert.strictEqual(read.numPlays, 1);
+        assert.strictEqual(read.frames[0].delay, 50);
+
+        animation.settings = "framedelay:5, loop";
+        assert.strictEqual(readGif(kiianigen.exportAnimation(kb, animation)).repeats, 0);
+        assert.strictEqual(readApng(kiianigen.exportAnimation(kb, animation,
+                                                              {format: "apng"})).numPlays, 0);
+    },
+
+    "a generated animation exports to both formats": function() {
+        var kb = fixtures.createKeyboard('small');
+        var animation = fixtures.runGenerator(kb, "kitt2000");
+        var matrix = fixtures.readBoard('small').json.matrix;
+        var read = readGif(kiianigen.exportAnimation(kb, animation, {layout: "keys",
+                                                                     matrix: matrix}));
+        assert.ok(read.frames.length > 1);
+        read = readApng(kiianigen.exportAnimation(kb, animation, {format: "apng"}));
+        assert.ok(read.frames.length > 1);
+    }
+};
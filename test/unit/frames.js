@@ -0,0 +1,52 @@
+/**
+ * Unit tests for parsing frames into pixels and formatting them back.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var frames = require('../../lib/frames');
+
+/** Returns the message of the error that parsing a frame throws. */
+function parseError(frame) {
+    try {
+        frames.parseFrame(frame);
+    } catch (e) {
+        return e.message;
+    }
+    assert.fail("'" + frame + "' should not parse");
+}
+
+module.exports = {
+    "pixels are addressed by id, range, row and column": function() {
+        assert.deepStrictEqual(frames.parseFrame("P[12](1,2,3), P[4-9](0,0,255)"), [
+            {index: 12, color: [1, 2, 3]},
+            {index: 4, indexEnd: 9, color: [0, 0, 255]}
+        ]);
+        assert.deepStrictEqual(frames.parsePixel("P[r:2,c:-2%](1,2,3)"), {
+            row: {value: 2, percent: false},
+            col: {value: -2, percent: true},
+            color: [1, 2, 3]
+        });
+        assert.deepStrictEqual(frames.parseFrame(""), []);
+    },
+
+    "bad frames are reported with the pixel at fault": function() {
+        assert.strictEqual(parseError("P[9-3](1,1,1)"), "Pixel range goes backwards: 'P[9-3]'");
+        assert.strictEqual(parseError("P[x](1,1,1)"), "Invalid pixel address: 'P[x]'");
+        assert.strictEqual(parseError("P[1](1,1)"),
+                           "Pixel color must have 3 channels: 'P[1](1,1)'");
+        assert.strictEqual(parseError("P[1](1,1,1) Q"), "Unexpected text in frame: ' Q'");
+    },
+
+    "formatted frames parse back to the same pixels": function() {
+        ["P[12](1,2,3)", "P[4-9](0,0,255),P[3](0,0,0)", "P[r:2,c:-2%](1,2,3)", "P[c:50%](7,7,7)"]
+            .forEach(function(frame) {
+                assert.strictEqual(frames.formatFrame(frames.parseFrame(frame)), frame);
+            });
+        // A range of one id is written as a plain id.
+        assert.strictEqual(frames.formatPixel({index: 5, indexEnd: 5, color: [1, 1, 1]}),
+                           "P[5](1,1,1)");
+    }
+};
@@ -0,0 +1,214 @@
+/**
+ * Unit tests for turning PNG images into animation frames: the PNG decoder, splitting sprite
+ * sheets, and sampling the images at the led positions in each of the ways to fit them.
+ */
+
+'use strict';
+
+/* globals require, module, Buffer */
+var assert = require('assert');
+var path = require('path');
+var zlib = require('zlib');
+var png = require('../../lib/png');
+var image = require('../../lib/image');
+var render = require('../../lib/render');
+var crc32 = require('../../lib/apng').crc32;
+var fixtures = require('../fixtures');
+
+var SHEET_FILE = path.join(fixtures.FIXTURES_DIR, 'sheet.png');
+
+/** Makes a PNG chunk. */
+function chunk(type, data) {
+    var typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), Buffer.from(data)]);
+    var length = Buffer.alloc(4), crc = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Makes a PNG file.
+ *
+ * @param  {Object} header
+ *         The "width", "height", "bitDepth", "colorType" and "interlace" of the image.
+ * @param  {Array} rows
+ *         The rows of image data, each starting with its filter type.
+ * @param  {Object} extra
+ *         Optional. The data of the "PLTE" and "tRNS" chunks.
+ * @return {Buffer}
+ *         The file.
+ */
+function makePng(header, rows, extra) {
+    var ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(header.width, 0);
+    ihdr.writeUInt32BE(header.height, 4);
+    ihdr[8] = header.bitDepth;
+    ihdr[9] = header.colorType;
+    ihdr[12] = header.interlace || 0;
+    var chunks = [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+                  chunk('IHDR', ihdr)];
+    ['PLTE', 'tRNS'].forEach(function(type) {
+        if (extra && extra[type]) {
+            chunks.push(chunk(type, extra[type]));
+        }
+    });
+    var data = [].concat.apply([], rows);
+    chunks.push(chunk('IDAT', zlib.deflateSync(Buffer.from(data))), chunk('IEND', []));
+    return Buffer.concat(chunks);
+}
+
+/** Returns the pixels of a decoded image as [r, g, b, a] arrays. */
+function rgbaPixels(decoded) {
+    var result = [];
+    for (var i = 0; i < decoded.pixels.length; i += 4) {
+        result.push(Array.prototype.slice.call(decoded.pixels, i, i + 4));
+    }
+    return result;
+}
+
+/** Makes a frame to sample, in the format of image.readSpriteSheet, from [r, g, b, a] rows. */
+function makeFrame(rows) {
+    var pixels = [].concat.apply([], [].concat.apply([], rows));
+    return {width: rows[0].length, height: rows.length, pixels: pixels, stride: rows[0].length,
+            left: 0};
+}
+
+/** Makes a row of the given width and color. */
+function fill(width, color) {
+    var row = [];
+    for (var i = 0; i < width; i++) {
+        row.push(color);
+    }
+    return row;
+}
+
+module.exports = {
+    "PNG rows are unfiltered with each of the filter types": function() {
+        // A grayscale image, 2 pixels wide, with a row for each filter type.
+        var decoded = png.decodePng(makePng({width: 2, height: 5, bitDepth: 8, colorType: 0}, [
+            [0, 10, 20], [1, 15, 15], [2, 5, 20], [3, 30, 15], [4, 5, 10]
+        ]));
+        assert.strictEqual(decoded.width, 2);
+        assert.strictEqual(decoded.height, 5);
+        assert.deepStrictEqual(rgbaPixels(decoded).map(function(pixel) {
+            return pixel[0];
+        }), [10, 20, 15, 30, 20, 50, 40, 60, 45, 70]);
+    },
+
+    "PNG palettes, small and large bit depths and transparency are read": function() {
+        var palette = png.decodePng(makePng({width: 3, height: 1, bitDepth: 2, colorType: 3},
+                                            [[0, 0x18]],
+                                            {PLTE: [255, 0, 0, 0, 255, 0, 0, 0, 255],
+                                             tRNS: [255, 0]}));
+        assert.deepStrictEqual(rgbaPixels(palette),
+                               [[255, 0, 0, 255], [0, 255, 0, 0], [0, 0, 255, 255]]);
+
+        var wide = png.decodePng(makePng({width: 1, height: 1, bitDepth: 16, colorType: 6},
+                                         [[0, 0xff, 0xff, 0x80, 0, 0, 0, 0xff, 0xff]]));
+        assert.deepStrictEqual(rgbaPixels(wide), [[255, 128, 0, 255]]);
+
+        var gray = png.decodePng(makePng({width: 2, height: 1, bitDepth: 1, colorType: 0},
+                                         [[0, 0x80]], {tRNS: [0, 1]}));
+        assert.deepStrictEqual(rgbaPixels(gray), [[255, 255, 255, 0], [0, 0, 0, 255]]);
+    },
+
+    "files that can't be decoded say why": function() {
+        assert.throws(function() {
+            png.decodePng(Buffer.from("GIF89a"));
+        }, /^Error: Not a PNG file$/);
+        assert.throws(function() {
+            png.decodePng(makePng({width: 1, height: 1, bitDepth: 8, colorType: 0, interlace: 1},
+                                  [[0, 0]]));
+        }, /Interlaced PNGs are not supported/);
+        assert.throws(function() {
+            png.decodePng(makePng({width: 1, height: 1, bitDepth: 8, colorType: 3}, [[0, 0]]));
+        }, /palette image without a palette/);
+    },
+
+    "sprite sheets are split into frames of the width given": function() {
+        var frames = image.readSpriteSheet(SHEET_FILE, 4);
+        assert.deepStrictEqual(frames.map(function(frame) {
+            return [frame.left, frame.width, frame.height];
+        }), [[0, 4, 2], [4, 4, 2]]);
+        assert.strictEqual(image.readSpriteSheet(SHEET_FILE).length, 1);
+        assert.throws(function() {
+            image.readSpriteSheet(SHEET_FILE, 3);
+        }, function(err) {
+            return err.param === "frameWidth" && /8 pixels wide/.test(err.message);
+        });
+        assert.throws(function() {
+            image.readSpriteSheet(path.join(fixtures.FIXTURES_DIR, 'missing.png'));
+        }, function(err) {
+            return err.param === "file" && /could not read/.test(err.message);
+        });
+    },
+
+    "stretched images cover the keyboard, leaving out the transparent parts": function() {
+        var kb = fixtures.createKeyboard('small');
+        var frame = makeFrame([[[255, 0, 0, 255], [0, 0, 0, 0]]]);
+        // The 23 columns of the small keyboard are split between the 2 image pixels.
+        var expected = render.ledPositions(kb).filter(function(led) {
+            return led.col < 11;
+        }).map(function(led) {
+            return "P[" + led.id + "](255,0,0)";
+        });
+        assert.strictEqual(image.sampleFrame(kb, frame, "stretch"), expected.join(","));
+    },
+
+    "cropped images keep their shape": function() {
+        var kb = fixtures.createKeyboard('small');
+        // A very wide image only shows its middle, here the red pixels.
+        var row = fill(23, [0, 0, 255, 255]);
+        row[10] = row[11] = row[12] = [255, 0, 0, 255];
+        var frame = makeFrame([row]);
+        assert.ok(!/\(0,0,255\)/.test(image.sampleFrame(kb, frame, "crop")));
+        assert.ok(/\(0,0,255\)/.test(image.sampleFrame(kb, frame, "stretch")));
+    },
+
+    "nearest takes the pixel at each led's column and row": function() {
+        var kb = fixtures.createKeyboard('small');
+        var transparent = [0, 0, 0, 0];
+        var frame = makeFrame([fill(3, transparent),
+                               [transparent, transparent, [0, 255, 0, 255]]]);
+        // Led 1 is on row 1, column 2.
+        assert.strictEqual(image.sampleFrame(kb, frame, "nearest"), "P[1](0,255,0)");
+    },
+
+    "partly transparent pixels are darkened": function() {
+        var kb = fixtures.createKeyboard('small');
+        var frame = image.sampleFrame(kb, makeFrame([[[200, 100, 0, 128]]]), "stretch");
+        assert.strictEqual(frame.split("P[").length - 1, 38);
+        assert.ok(/^P\[1\]\(100,50,0\),/.test(frame), frame);
+    },
+
+    "the image generator plays a sprite sheet from the conf": function() {
+        var conf = {animations: {Pic: {generator: "image", params: [SHEET_FILE, 4, "nearest"]}},
+                    activeAnimations: ["Pic"]};
+        var animation = fixtures.generate('small', conf).animations.Pic;
+        assert.strictEqual(animation.frames.length, 2);
+        assert.ok(/replace:all/.test(animation.settings));
+    },
+
+    "problems with the image are reported at its param": function() {
+        function problemsOf(params) {
+            var conf = {animations: {Pic: {generator: "image", params: params}},
+                        activeAnimations: ["Pic"]};
+            try {
+                fixtures.generate('small', conf);
+            } catch (err) {
+                return err.problems.map(function(problem) {
+                    return problem.path + ": " + problem.message.replace(/:.*/, "");
+                });
+            }
+        }
+        assert.deepStrictEqual(problemsOf([]), ["animations.Pic.params[0]: 'file' must be given"]);
+        assert.deepStrictEqual(problemsOf(["missing.png"]),
+                               ["animations.Pic.params[0]: could not read 'missing.png'"]);
+        assert.deepStrictEqual(problemsOf([SHEET_FILE, 3]),
+                               ["animations.Pic.params[1]: the image is 8 pixels wide, which " +
+                                "can't be split into frames 3 pixels wide"]);
+        assert.deepStrictEqual(problemsOf([SHEET_FILE, 4, "tile"]),
+                               ["animations.Pic.params[2]: 'fit' must be one of stretch, crop, " +
+                                "nearest, not \"tile\""]);
+    }
+};
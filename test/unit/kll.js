@@ -0,0 +1,84 @@
+/**
+ * Unit tests for writing a configurator json out as KLL files.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var kll = require('../../lib/kll');
+
+/** Makes a configurator json with the animations and matrix given. */
+function makeJson(animations, matrix) {
+    return {header: {Name: "TestBoard", Layout: "Standard + Kiianigen Conf", KLL: "0.5c"},
+            animations: animations, matrix: matrix || [], leds: [{id: 3}, {id: 2}, {id: 4}]};
+}
+
+/** Returns the lines of a KLL file that aren't comments or blank. */
+function statements(text) {
+    return text.split("\n").filter(function(line) {
+        return line && line[0] !== "#";
+    });
+}
+
+module.exports = {
+    "the header is quoted where it has to be": function() {
+        var files = kll.formatKll(makeJson({}));
+        assert.strictEqual(files.length, 1);
+        assert.deepStrictEqual(statements(files[0].text), [
+            "Name = TestBoard;",
+            "Layout = \"Standard + Kiianigen Conf\";",
+            "KLL = 0.5c;"
+        ]);
+    },
+
+    "animations have their settings and frames numbered from 1": function() {
+        var json = makeJson({Blink: {settings: "framedelay:2, framestretch, loop",
+                                     frames: ["P[1](255,0,0),P[2](0,0,0)", "P[c:50%](1,2,3)"]}});
+        assert.deepStrictEqual(statements(kll.formatKll(json)[0].text).slice(3), [
+            "A[Blink] <= framedelay:2, framestretch, loop;",
+            "A[Blink, 1] <= P[1](255,0,0), P[2](0,0,0);",
+            "A[Blink, 2] <= P[c:50%](1,2,3);"
+        ]);
+    },
+
+    "empty frames are written as a frame that changes nothing": function() {
+        var json = makeJson({Hold: {settings: "framestretch", frames: ["P[3](9,9,9)", "", " "]}});
+        assert.deepStrictEqual(statements(kll.formatKll(json)[0].text).slice(4), [
+            "A[Hold, 1] <= P[3](9,9,9);",
+            "A[Hold, 2] <= P[2](+:0,+:0,+:0);",
+            "A[Hold, 3] <= P[2](+:0,+:0,+:0);"
+        ]);
+    },
+
+    "empty frames need a led to be written with": function() {
+        var json = makeJson({Hold: {frames: ["P[3](9,9,9)", ""]}});
+        json.leds = [];
+        assert.throws(function() {
+            kll.formatKll(json);
+        }, /The json has no leds to write an empty frame with/);
+        // Without an empty frame the leds aren't needed.
+        json.animations.Hold.frames.pop();
+        assert.strictEqual(kll.formatKll(json).length, 1);
+    },
+
+    "triggers go in the file of their layer": function() {
+        var matrix = [
+            {code: "0x25", layers: {"0": {key: "A"}},
+             triggers: {"0": [{action: "A[Splash](start)"}, {action: ""}]}},
+            {code: "0x26", layers: {"0": {key: "B"}, "1": {key: "#:None"}},
+             triggers: {"1": [{action: "A[Blink](start)"}, {action: "A[Hold](stop)"}]}},
+            {code: "0x27", layers: {"2": {key: "C"}}, triggers: {"2": [{action: ""}]}}
+        ];
+        var files = kll.formatKll(makeJson({}, matrix));
+        assert.deepStrictEqual(files.map(function(file) {
+            return file.layer;
+        }), [0, 1]);
+        assert.deepStrictEqual(statements(files[0].text).slice(3),
+                               ["S0x25 :+ A[Splash](start);"]);
+        // Keys turned off on their layer only do what the triggers do.
+        assert.deepStrictEqual(statements(files[1].text).slice(3),
+                               ["S0x26 : A[Blink](start) + A[Hold](stop);"]);
+        assert.ok(/triggers on layer 1/.test(files[1].text));
+    }
+};
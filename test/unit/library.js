@@ -0,0 +1,67 @@
+/**
+ * Unit tests for using kiianigen as a library: requiring it doesn't run anything, and the
+ * generators work on any keyboard context rather than the K-Type's.
+ */
+
+'use strict';
+
+/* globals require, module, process, __dirname */
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var kiianigen = require('../../kiianigen');
+var fixtures = require('../fixtures');
+
+var KIIANIGEN_FILE = path.join(__dirname, '..', '..', 'kiianigen.js');
+
+module.exports = {
+    "requiring it doesn't print, write or exit": function() {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiianigen-'));
+        try {
+            var result = childProcess.spawnSync(process.execPath, [
+                '-e', "require(" + JSON.stringify(KIIANIGEN_FILE) + "); " +
+                      "process.stdout.write('done');"
+            ], {cwd: dir, encoding: 'utf8', timeout: 30000});
+            assert.strictEqual(result.status, 0, result.stderr);
+            assert.strictEqual(result.stdout, "done");
+            assert.strictEqual(result.stderr, "");
+            assert.deepStrictEqual(fs.readdirSync(dir), []);
+        } finally {
+            fs.rmdirSync(dir);
+        }
+    },
+
+    "the keyboard context comes from the configurator files": function() {
+        var kb = fixtures.createKeyboard('small');
+        assert.strictEqual(kb.leds.length, 38);
+        assert.strictEqual(kb.keyedLeds.length, 28);
+        assert.strictEqual(kb.blankLeds.length, 10);
+        assert.strictEqual(kb.ledIdByScanCode["0x0B"], 11);
+        assert.strictEqual(kb.maxRow, 4);
+        assert.strictEqual(kb.maxCol, 22);
+    },
+
+    "generators can be called directly with a keyboard context": function() {
+        var kb = fixtures.createKeyboard('small');
+        var animation = kiianigen.generators.kitt2000(kb, [255, 0, 0]);
+        assert.strictEqual(animation.type, "animation");
+        assert.ok(animation.frames.length > 0);
+        animation.frames.forEach(function(frame) {
+            kiianigen.parseFrame(frame).forEach(function(pixel) {
+                assert.ok(pixel.index === undefined || pixel.index <= 38, frame);
+            });
+        });
+    },
+
+    "generateConfig leaves the json it is given alone": function() {
+        var board = fixtures.readBoard('small');
+        var copy = JSON.parse(JSON.stringify(board.json));
+        var result = kiianigen.generateConfig(board.json, board.kll, board.conf,
+                                              {date: fixtures.DATE, seed: fixtures.SEED});
+        assert.deepStrictEqual(board.json, copy);
+        assert.notStrictEqual(result, board.json);
+        assert.ok(Object.keys(result.animations).length > 0);
+    }
+};
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for the marquee generator and the bitmap font it writes with.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var font = require('../../lib/font');
+var frames = require('../../lib/frames');
+var fixtures = require('../fixtures');
+
+/** Lists the ids of the leds of a frame that have the color given. */
+function litLeds(frame, color) {
+    return frames.parseFrame(frame).filter(function(pixel) {
+        return pixel.color.join(",") === color.join(",");
+    }).map(function(pixel) {
+        return pixel.index;
+    });
+}
+
+module.exports = {
+    "every glyph is as high as the font and the same width on each row": function() {
+        Object.keys(font.GLYPHS).forEach(function(ch) {
+            var glyph = font.GLYPHS[ch];
+            assert.strictEqual(glyph.length, font.FONT_HEIGHT, ch);
+            glyph.forEach(function(row) {
+                assert.strictEqual(row.length, glyph[0].length, ch);
+                assert.ok(/^[# ]+$/.test(row), ch);
+            });
+        });
+    },
+
+    "text is drawn with a blank column between the characters": function() {
+        assert.deepStrictEqual(font.renderText("hi"), [
+            "# # ###",
+            "# #  # ",
+            "###  # ",
+            "# #  # ",
+            "# # ###"
+        ]);
+        assert.deepStrictEqual(font.renderText("Hi"), font.renderText("HI"));
+        assert.throws(function() {
+            font.renderText("a~b");
+        }, /there is no '~' in the font, use one of: 0123456789ABC/);
+    },
+
+    "the text scrolls in from one side and out of the other": function() {
+        var kb = fixtures.createKeyboard('small');
+        var white = [255, 255, 255];
+        var animation = fixtures.runGenerator(kb, "marquee", ["I"]);
+        assert.strictEqual(animation.settings, "framedelay:13, loop");
+        // The small keyboard is 12 keys wide, and the I is 3 pixels wide.
+        assert.strictEqual(animation.frames.length, 12 + 3);
+        assert.deepStrictEqual(litLeds(animation.frames[0], white), []);
+        assert.deepStrictEqual(litLeds(animation.frames[14], white), []);
+        // The top of the I is on the first row of keys, and its stem on the second.
+        assert.deepStrictEqual(litLeds(animation.frames[3], white), [8, 9, 10, 19, 28]);
+
+        var right = fixtures.runGenerator(kb, "marquee", ["I", null, null, null, "right"]);
+        assert.deepStrictEqual(right.frames, animation.frames.slice().reverse());
+    },
+
+    "the colors and speed are used": function() {
+        var kb = fixtures.createKeyboard('small');
+        var animation = fixtures.runGenerator(kb, "marquee", ["I", [255, 0, 0], [0, 0, 40], 50]);
+        assert.strictEqual(animation.settings, "framedelay:2, loop");
+        assert.deepStrictEqual(litLeds(animation.frames[3], [255, 0, 0]), [8, 9, 10, 19, 28]);
+        assert.strictEqual(litLeds(animation.frames[3], [0, 0, 40]).length, 38 - 5);
+    },
+
+    "the base leds can show the top and bottom rows of the text": function() {
+        var kb = fixtures.createKeyboard('small');
+        function baseLit(mirrorBase) {
+            var animation = fixtures.runGenerator(kb, "marquee",
+                                                  ["I", null, null, null, null, mirrorBase]);
+            return animation.frames.some(function(frame) {
+                return litLeds(frame, [255, 255, 255]).some(function(id) {
+                    return id >= 29 && id <= 32;
+                });
+            });
+        }
+        assert.ok(baseLit(true));
+        assert.ok(!baseLit(false));
+    },
+
+    "text that isn't in the font is reported at its param": function() {
+        var conf = {animations: {News: {generator: "marquee", params: ["a~b"]}},
+                    activeAnimations: ["News"]};
+        assert.throws(function() {
+            fixtures.generate('small', conf);
+        }, function(err) {
+            return err.problems.length === 1 &&
+                   err.problems[0].path === "animations.News.params[0]" &&
+                   /^there is no '~' in the font/.test(err.problems[0].message);
+        });
+    }
+};
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the optimizer: small hand written animations for each thing it does, and the
+ * generators on the K-Type sized keyboard, where there are enough leds for the dropping and merging
+ * of pixels to matter.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var kiianigen = require('../../kiianigen');
+var optimize = require('../../lib/optimize');
+var validate = require('../../lib/validate');
+var fixtures = require('../fixtures');
+
+/** Optimizes an animation on the small keyboard. */
+function optimizeSmall(settings, animFrames) {
+    return kiianigen.optimizeAnimation(fixtures.createKeyboard('small'),
+                                       {settings: settings, frames: animFrames});
+}
+
+// Generators that between them have every kind of settings the optimizer handles differently:
+// framestretch with and without interp, plain frames, a random one, and ones that only set some
+// leds each frame.
+var GENERATORS = ["keyGroupCycler", "verticalPulseWithTracers", "baseTopBreath", "whiteNoise",
+                  "topAndBottom", "rainbowCycle", "marquee", "sprite", "ripple"];
+
+module.exports = {
+    "drops pixels that don't change anything and merges the rest": function() {
+        var optimized = optimizeSmall("framedelay:1", ["P[1](9,0,0),P[2](9,0,0),P[3](9,0,0)",
+                                                       "P[1](9,0,0),P[2](0,0,9)"]);
+        assert.deepStrictEqual(optimized.animation.frames, ["P[1-3](9,0,0)", "P[2](0,0,9)"]);
+        assert.strictEqual(optimized.report.pixelsDropped, 1);
+        assert.strictEqual(optimized.report.pixelsMerged, 2);
+        assert.deepStrictEqual(optimized.report.before, {frames: 2, pixels: 5, bytes: 81});
+        assert.deepStrictEqual(optimized.report.after, {frames: 2, pixels: 2, bytes: 48});
+    },
+
+    "keeps every pixel with replace:all": function() {
+        var optimized = optimizeSmall("framedelay:1, replace:all", ["P[1](9,0,0),P[2](9,0,0)",
+                                                                    "P[1](9,0,0)"]);
+        assert.deepStrictEqual(optimized.animation.frames, ["P[1-2](9,0,0)", "P[1](9,0,0)"]);
+        assert.strictEqual(optimized.report.pixelsDropped, 0);
+    },
+
+    "empties repeated frames with framestretch": function() {
+        var optimized = optimizeSmall("framestretch, loop", ["P[1](9,0,0)", "P[1](9,0,0)",
+                                                             "P[1](0,0,0)"]);
+        assert.deepStrictEqual(optimized.animation.frames, ["P[1](9,0,0)", "", "P[1](0,0,0)"]);
+        assert.strictEqual(optimized.report.framesEmptied, 1);
+    },
+
+    "tells animations that look different apart": function() {
+        var kb = fixtures.createKeyboard('small');
+        var animation = {settings: "framedelay:1", frames: ["P[1-2](9,0,0)"]};
+        assert.ok(kiianigen.sameAnimation(kb, animation, {settings: "framedelay:1",
+                                                          frames: ["P[1](9,0,0),P[2](9,0,0)"]}));
+        assert.ok(!kiianigen.sameAnimation(kb, animation, {settings: "framedelay:1",
+                                                           frames: ["P[1-3](9,0,0)"]}));
+        assert.ok(!kiianigen.sameAnimation(kb, animation, {settings: "framedelay:1",
+                                                           frames: ["P[1-2](9,0,0)", ""]}));
+    },
+
+    "reports what was saved": function() {
+        var report = optimizeSmall("framedelay:1", ["P[1](9,0,0),P[2](9,0,0)"]).report;
+        assert.deepStrictEqual(optimize.formatReports({A: report}), [
+            "A: 2 -> 1 pixels, saving ~11 bytes (0 pixels dropped, 1 merged)",
+            "Total: ~43 -> ~32 bytes"
+        ]);
+    },
+
+    "optimize in the conf must be true or false": function() {
+        var conf = {animations: {}, activeAnimations: [], optimize: "yes"};
+        assert.deepStrictEqual(validate.validateConf(conf).problems, [
+            {path: "optimize", message: "must be true or false, not a string"}
+        ]);
+    },
+
+    "is lossless on a full size keyboard": function() {
+        var kb = fixtures.createKeyboard('ktype');
+        GENERATORS.forEach(function(generator) {
+            var animation = fixtures.runGenerator(kb, generator);
+            var optimized = kiianigen.optimizeAnimation(kb, animation);
+            assert.ok(!optimized.report.reverted, generator + ": the optimizer had to revert");
+            assert.ok(kiianigen.sameAnimation(kb, animation, optimized.animation),
+                      generator + ": doesn't look the same after optimizing");
+            assert.ok(optimized.report.after.bytes <= optimized.report.before.bytes,
+                      generator + ": got bigger");
+        });
+    },
+
+    "merges runs of leds with the same color into ranges": function() {
+        var kb = fixtures.createKeyboard('ktype');
+        var animation = fixtures.runGenerator(kb, "keyGroupCycler");
+        var optimized = kiianigen.optimizeAnimation(kb, animation);
+        assert.ok(optimized.report.pixelsMerged > 0);
+        assert.ok(optimized.report.after.bytes < optimized.report.before.bytes / 2);
+    },
+
+    "leaves the animation it is given alone": function() {
+        var kb = fixtures.createKeyboard('ktype');
+        var animation = fixtures.runGenerator(kb, "topAndBottom");
+        var copy = JSON.parse(JSON.stringify(animation));
+        kiianigen.optimizeAnimation(kb, animation);
+        assert.deepStrictEqual(animation, copy);
+    }
+};
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the output color pipeline: gamma, brightness and limiting the current of each
+ * frame.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var output = require('../../lib/output');
+var validate = require('../../lib/validate');
+var fixtures = require('../fixtures');
+
+/** Runs an animation of the frames given through the output pipeline on the small keyboard. */
+function applySmall(frames, settings, outputConf) {
+    var animation = {settings: settings || "framedelay:1", frames: frames};
+    return output.applyOutput(fixtures.createKeyboard('small'), animation, outputConf);
+}
+
+module.exports = {
+    "the output settings have defaults": function() {
+        assert.deepStrictEqual(output.outputSettings(undefined), output.DEFAULT_OUTPUT);
+        assert.deepStrictEqual(output.outputSettings({gamma: 2.2, maxCurrent: null}),
+                               {gamma: 2.2, brightness: 1, maxCurrent: null, channelCurrent: 20});
+    },
+
+    "colors are corrected with the gamma and brightness": function() {
+        assert.deepStrictEqual(output.correctColor([128, 255, 0], {gamma: 2.2, brightness: 0.5}),
+                               [28, 128, 0]);
+        assert.deepStrictEqual(output.correctColor([300, -4, 10], output.outputSettings()),
+                               [255, 0, 10]);
+    },
+
+    "interpolated frames are corrected at their ends": function() {
+        var result = applySmall(["P[1](0,0,0),P[5](200,0,0)"], "framedelay:1, pfunc:interp",
+                                {gamma: 2});
+        assert.deepStrictEqual(result.animation.frames, ["P[1](0,0,0),P[5](157,0,0)"]);
+        assert.strictEqual(result.animation.settings, "framedelay:1, pfunc:interp");
+    },
+
+    "frames over the current limit are scaled down": function() {
+        var frames = ["P[1-10](255,255,255)", "P[1](255,0,0)"];
+        var result = applySmall(frames, null, {maxCurrent: 300});
+        // 10 white leds at 60mA each, and the second frame keeps 9 of them lit.
+        assert.deepStrictEqual(result.report, {peakCurrent: 600, framesLimited: 2, minScale: 0.5});
+        assert.strictEqual(result.animation.frames[0].split("),").length, 10);
+        assert.ok(/^P\[1\]\(127,127,127\),P\[2\]\(127,127,127\)/.test(result.animation.frames[0]));
+        assert.ok(/^P\[1\]\(136,0,0\),P\[2\]\(136,136,136\)/.test(result.animation.frames[1]));
+        // The animation passed in is left alone.
+        assert.deepStrictEqual(frames, ["P[1-10](255,255,255)", "P[1](255,0,0)"]);
+    },
+
+    "looping frames rewrite the leds lit at the end of the loop": function() {
+        var frames = ["P[1-10](255,255,255)", "P[1-10](0,0,0)", "P[11](255,255,255)"];
+        var result = applySmall(frames, "framedelay:1, loop", {maxCurrent: 300});
+        assert.deepStrictEqual(result.report, {peakCurrent: 660, framesLimited: 1,
+                                               minScale: 300 / 660});
+        // Led 11 is first lit in the last frame, and the loop goes round with it still lit.
+        assert.ok(/,P\[11\]\(115,115,115\)$/.test(result.animation.frames[0]));
+        assert.ok(/,P\[11\]\(255,255,255\)$/.test(result.animation.frames[1]));
+        assert.ok(/,P\[11\]\(255,255,255\)$/.test(result.animation.frames[2]));
+    },
+
+    "frames under the limit are left alone": function() {
+        var result = applySmall(["P[1](255,0,0)"], null, {maxCurrent: 300});
+        assert.deepStrictEqual(result.animation.frames, ["P[1](255,0,0)"]);
+        assert.deepStrictEqual(result.report, {peakCurrent: 20, framesLimited: 0, minScale: 1});
+    },
+
+    "reactive animations are not limited": function() {
+        var result = applySmall(["P[r:i,c:i](255,255,255)"], null, {maxCurrent: 1});
+        assert.deepStrictEqual(result.animation.frames, ["P[r:i,c:i](255,255,255)"]);
+        assert.strictEqual(result.report.peakCurrent, null);
+    },
+
+    "the reports have a line for each animation": function() {
+        assert.deepStrictEqual(output.formatReports({
+            A: {peakCurrent: 600, framesLimited: 2, minScale: 0.5},
+            B: {peakCurrent: 12, framesLimited: 0, minScale: 1},
+            R: {peakCurrent: null, framesLimited: 0, minScale: 1}
+        }, {maxCurrent: 300}), [
+            "A: peak ~600mA, limited to 300mA in 2 frames (down to 50%)",
+            "B: peak ~12mA",
+            "R: reactive, not limited"
+        ]);
+    },
+
+    "the output of the conf is applied to every animation": function() {
+        var conf = {animations: {K: {generator: "kitt2000"}}, activeAnimations: ["K"],
+                    output: {brightness: 0.5}};
+        var animation = fixtures.generate('small', conf).animations.K;
+        assert.ok(/P\[c:0%\]\(102,0,0\)/.test(animation.frames[0]));
+    },
+
+    "the output of the conf is checked": function() {
+        function problemsOf(outputConf) {
+            var conf = {animations: {}, activeAnimations: [], output: outputConf};
+            return validate.validateConf(conf).problems;
+        }
+        assert.deepStrictEqual(problemsOf([]), [{
+            path: "output",
+            message: "must be an object with 'gamma', 'brightness', 'maxCurrent' and/or " +
+                     "'channelCurrent'"
+        }]);
+        assert.deepStrictEqual(problemsOf({gamma: 6, brightness: "full", maxCurrent: null}), [
+            {path: "output.gamma", message: "'gamma' must be at most 5, not 6"},
+            {path: "output.brightness", message: "'brightness' must be a number, not a string"}
+        ]);
+        assert.deepStrictEqual(problemsOf({gamma: 2.2, maxCurrent: 500, channelCurrent: 15}), []);
+    }
+};
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for rendering frames to led colors with the kll.json geometry, and drawing them in the
+ * terminal.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var kiianigen = require('../../kiianigen');
+var render = require('../../lib/render');
+var preview = require('../../lib/preview');
+var fixtures = require('../fixtures');
+
+/** Renders the frames given on the small keyboard. */
+function renderFrames(frames, settings) {
+    return kiianigen.renderAnimation(fixtures.createKeyboard('small'),
+                                     {settings: settings || "framedelay:1", frames: frames}).frames;
+}
+
+/** Lists the ids of the leds that are on in a rendered frame. */
+function litLeds(state) {
+    return Object.keys(state).filter(function(id) {
+        return state[id].some(Boolean);
+    }).map(Number);
+}
+
+module.exports = {
+    "the leds are placed at their kll.json positions": function() {
+        var positions = render.ledPositions(fixtures.createKeyboard('small'));
+        assert.strictEqual(positions.length, 38);
+        assert.deepStrictEqual(positions[0], {id: 1, row: 1, col: 2});
+        assert.deepStrictEqual(positions[33], {id: 34, row: 0, col: 4});
+    },
+
+    "pixels set leds by id and by range of ids": function() {
+        var frames = renderFrames(["P[3](255,0,0)", "P[5-7](0,0,255)"]);
+        assert.deepStrictEqual(litLeds(frames[0]), [3]);
+        assert.deepStrictEqual(frames[0][3], [255, 0, 0]);
+        // Leds that a frame doesn't set keep their color.
+        assert.deepStrictEqual(litLeds(frames[1]), [3, 5, 6, 7]);
+        assert.deepStrictEqual(frames[1][6], [0, 0, 255]);
+    },
+
+    "pixels set whole rows and columns, and leds by position": function() {
+        var frames = renderFrames(["P[r:1](0,255,0)", "P[c:4](255,255,255)",
+                                   "P[r:2,c:0](1,2,3)"]);
+        assert.deepStrictEqual(litLeds(frames[0]), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        assert.deepStrictEqual(litLeds(frames[1]).filter(function(id) {
+            return id > 10;
+        }), [21, 32, 34]);
+        assert.deepStrictEqual(frames[2][33], [1, 2, 3]);
+    },
+
+    "interp fills in the leds between 2 pixels": function() {
+        var frames = renderFrames(["P[1](0,0,0),P[5](200,0,0)"], "framedelay:1, pfunc:interp");
+        assert.deepStrictEqual([1, 2, 3, 4, 5].map(function(id) {
+            return frames[0][id][0];
+        }), [0, 50, 100, 150, 200]);
+    },
+
+    "frames are drawn a line a row with the leds that are off dimmed": function() {
+        var kb = fixtures.createKeyboard('small');
+        var positions = render.ledPositions(kb);
+        var state = renderFrames(["P[34](255,0,0)"])[0];
+        var lines = preview.drawFrame(positions, state).split("\n");
+        assert.strictEqual(lines.length, kb.maxRow + 1);
+        // Led 34 is on row 0, column 4, and each column is 2 characters wide.
+        assert.strictEqual(lines[0].indexOf("\u001b[38;2;255;0;0m██"), 8);
+        assert.ok(lines[1].indexOf("··") > -1);
+    },
+
+    "the preview shows where it is, and can be stopped": function() {
+        var written = "";
+        var out = {write: function(text) {
+            written += text;
+        }};
+        var finished = false;
+        var animation = {settings: "framedelay:1, loop", frames: ["P[1](1,1,1)"]};
+        var stop = preview.previewAnimation(fixtures.createKeyboard('small'), animation,
+                                            {out: out, maxLoops: 1, title: "test"},
+                                            function() {
+                                                finished = true;
+                                            });
+        assert.ok(/test {2}frame 1\/1, loop 1\/1, 10ms/.test(written), written);
+        stop();
+        assert.ok(finished);
+    }
+};
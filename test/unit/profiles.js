@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the keyboard profiles: detecting the K-Type, the generic profile other keyboards
+ * get, and the generators following the profile rather than the K-Type's led ids.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var profiles = require('../../lib/profiles');
+var kiianigen = require('../../kiianigen');
+var fixtures = require('../fixtures');
+
+/** Returns the ids of the leds that an animation sets. */
+function ledsSet(animation) {
+    var ids = {};
+    animation.frames.forEach(function(frame) {
+        kiianigen.parseFrame(frame).forEach(function(pixel) {
+            var end = pixel.indexEnd !== undefined ? pixel.indexEnd : pixel.index;
+            for (var id = pixel.index; id <= end; id++) {
+                ids[id] = true;
+            }
+        });
+    });
+    return Object.keys(ids).map(Number);
+}
+
+module.exports = {
+    "the K-Type is detected by its name, or by its leds without one": function() {
+        var board = fixtures.readBoard('ktype');
+        assert.strictEqual(profiles.selectProfile(board.json, board.kll).name, "ktype");
+        delete board.json.header.Name;
+        assert.strictEqual(profiles.selectProfile(board.json, board.kll).name, "ktype");
+        board.json.leds.pop();
+        assert.strictEqual(profiles.selectProfile(board.json, board.kll).name, "generic");
+    },
+
+    "a profile can be chosen by name": function() {
+        var board = fixtures.readBoard('ktype');
+        assert.strictEqual(profiles.selectProfile(board.json, board.kll, "generic").name,
+                           "generic");
+        board = fixtures.readBoard('small');
+        assert.strictEqual(profiles.selectProfile(board.json, board.kll, "ktype"),
+                           profiles.PROFILES.ktype);
+        assert.throws(function() {
+            profiles.selectProfile(board.json, board.kll, "ergodox");
+        }, /^Error: Unknown keyboard profile: 'ergodox'. Available profiles: ktype, generic$/);
+    },
+
+    "other keyboards get a profile made from their leds": function() {
+        var board = fixtures.readBoard('small');
+        var profile = profiles.selectProfile(board.json, board.kll);
+        assert.strictEqual(profile.name, "generic");
+        assert.strictEqual(profile.description, "Generic profile made from TestBoard");
+        assert.deepStrictEqual(profile.topLeds, [1, 28]);
+        assert.deepStrictEqual(profile.underglow, [29, 30, 31, 32, 33, 34, 35, 36, 37, 38]);
+        assert.strictEqual(profile.underglowFront, 31);
+        assert.deepStrictEqual(Object.keys(profile.keyGroups),
+                               ["ROW_1_GROUP", "ROW_2_GROUP", "ROW_3_GROUP", "BASE_GROUP"]);
+        // Only the letter keys are used as triggers.
+        assert.strictEqual(profile.triggerKeys.length, 26);
+        assert.strictEqual(profile.triggerKeys.indexOf("0x14"), -1);
+    },
+
+    "the underglow ring is split into 2 sides from the front to the back": function() {
+        var sides = profiles.underglowSides(profiles.PROFILES.ktype);
+        assert.strictEqual(sides.left.length, 17);
+        assert.deepStrictEqual(sides.left.slice(0, 3), [94, 95, 96]);
+        assert.deepStrictEqual(sides.right.slice(0, 3), [94, 93, 92]);
+        assert.strictEqual(sides.left[16], 110);
+        assert.strictEqual(sides.right[16], 110);
+    },
+
+    "the profile leds are the keys and then the underglow": function() {
+        var leds = profiles.profileLeds(profiles.PROFILES.ktype);
+        assert.strictEqual(leds.length, 119);
+        assert.strictEqual(leds[86], 87);
+        assert.strictEqual(leds[87], 88);
+    },
+
+    "the generators only set the leds of the keyboard's profile": function() {
+        var kb = fixtures.createKeyboard('small');
+        ["baseTopBreath", "whiteNoise", "keyGroupCycler", "topAndBottom"].forEach(function(name) {
+            ledsSet(fixtures.runGenerator(kb, name)).forEach(function(id) {
+                assert.ok(id >= 1 && id <= 38, name + " set led " + id);
+            });
+        });
+    },
+
+    "escapeTest flashes the ends of the top row of keys": function() {
+        assert.deepStrictEqual(ledsSet(fixtures.runGenerator(fixtures.createKeyboard('small'),
+                                                             "escapeTest")), [1, 10]);
+        assert.deepStrictEqual(ledsSet(fixtures.runGenerator(fixtures.createKeyboard('ktype'),
+                                                             "escapeTest")), [1, 16]);
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for seeded random numbers, and generating the same animations from the same seed.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var kiianigen = require('../../kiianigen');
+var random = require('../../lib/random');
+var validate = require('../../lib/validate');
+var fixtures = require('../fixtures');
+
+var NOISE_CONF = {
+    animations: {Noise: {generator: "whiteNoise"}, Dodgy: {generator: "dodgyPixel"}},
+    activeAnimations: ["Noise", "Dodgy"]
+};
+
+/** Generates the small keyboard's json with the conf and global seed given. */
+function generateWithSeed(conf, seed) {
+    var board = fixtures.readBoard('small');
+    return kiianigen.generateConfig(board.json, board.kll, conf, {date: fixtures.DATE, seed: seed});
+}
+
+module.exports = {
+    "the same seed gives the same numbers": function() {
+        var first = random.createRandom(42), second = random.createRandom("42");
+        var numbers = [];
+        for (var i = 0; i < 100; i++) {
+            var number = first();
+            assert.strictEqual(second(), number);
+            assert.ok(number >= 0 && number < 1, number);
+            numbers.push(number);
+        }
+        assert.notStrictEqual(random.createRandom(43)(), numbers[0]);
+    },
+
+    "animations without a seed get one from the global seed and their name": function() {
+        assert.strictEqual(random.animationSeed(7, "Noise"), "7/Noise");
+        assert.strictEqual(random.animationSeed(7, "Noise", 3), 3);
+    },
+
+    "the same seed and conf generate the same json": function() {
+        var json = generateWithSeed(NOISE_CONF, 1);
+        assert.strictEqual(JSON.stringify(generateWithSeed(NOISE_CONF, 1)), JSON.stringify(json));
+        assert.strictEqual(json.header.KiianigenSeed, 1);
+        assert.notDeepStrictEqual(generateWithSeed(NOISE_CONF, 2).animations.Noise,
+                                  json.animations.Noise);
+    },
+
+    "the other animations of the conf don't change an animation": function() {
+        var alone = {animations: {Noise: NOISE_CONF.animations.Noise}, activeAnimations: ["Noise"]};
+        assert.deepStrictEqual(generateWithSeed(alone, 1).animations.Noise,
+                               generateWithSeed(NOISE_CONF, 1).animations.Noise);
+    },
+
+    "an animation's own seed is used whatever the global seed": function() {
+        var conf = {animations: {Noise: {generator: "whiteNoise", seed: "mine"}},
+                    activeAnimations: ["Noise"]};
+        assert.deepStrictEqual(generateWithSeed(conf, 1).animations.Noise,
+                               generateWithSeed(conf, 2).animations.Noise);
+    },
+
+    "seeds are checked": function() {
+        function problemsOf(seed) {
+            var conf = {animations: {Noise: {generator: "whiteNoise", seed: seed}},
+                        activeAnimations: ["Noise"]};
+            return validate.validateConf(conf).problems;
+        }
+        assert.deepStrictEqual(problemsOf(1.5), [{
+            path: "animations.Noise.seed",
+            message: "must be a whole number or a non-empty string, not 1.5"
+        }]);
+        assert.strictEqual(problemsOf("")[0].message,
+                           "must be a whole number or a non-empty string, not \"\"");
+        assert.deepStrictEqual(problemsOf(-3), []);
+        assert.deepStrictEqual(problemsOf("abc"), []);
+    }
+};
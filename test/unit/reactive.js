@@ -0,0 +1,112 @@
+/**
+ * Unit tests for reactive animations: pixels positioned relative to the pressed key, expanding
+ * them into an animation per key for firmware that can't, and starting them from every key.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var kiianigen = require('../../kiianigen');
+var frames = require('../../lib/frames');
+var reactive = require('../../lib/reactive');
+var render = require('../../lib/render');
+var triggers = require('../../lib/triggers');
+var validate = require('../../lib/validate');
+var fixtures = require('../fixtures');
+
+/** Returns the frames of each expanded animation, with the number of keys that start it. */
+function expandedFrames(animFrames) {
+    var kb = fixtures.createKeyboard('small');
+    return reactive.expandAnimation(kb, {settings: "framedelay:1", frames: animFrames}).map(
+        function(expanded) {
+            return expanded.animation.frames.join(" / ") + " x" + expanded.scanCodes.length;
+        });
+}
+
+module.exports = {
+    "pixels can be positioned relative to the pressed key": function() {
+        var pixels = frames.parseFrame("P[r:i+1,c:i-2](1,2,3),P[r:i](0,0,0)");
+        assert.deepStrictEqual(pixels[0].row, {value: 1, relative: true});
+        assert.deepStrictEqual(pixels[0].col, {value: -2, relative: true});
+        assert.deepStrictEqual(pixels[1].row, {value: 0, relative: true});
+        assert.strictEqual(frames.formatFrame(pixels), "P[r:i+1,c:i-2](1,2,3),P[r:i](0,0,0)");
+        assert.ok(frames.isRelativeFrame(pixels));
+        assert.ok(!frames.isRelativeFrame(frames.parseFrame("P[r:1,c:2](1,2,3)")));
+    },
+
+    "the reactive generators make reactive animations": function() {
+        var kb = fixtures.createKeyboard('small');
+        reactive.REACTIVE_GENERATORS.forEach(function(generator) {
+            var animation = fixtures.runGenerator(kb, generator);
+            assert.ok(reactive.isReactiveAnimation(animation), generator);
+            assert.ok(!/replace:all/.test(animation.settings), generator);
+        });
+        // The image generator needs a file to read.
+        Object.keys(kiianigen.generators).filter(function(generator) {
+            return generator !== "image" &&
+                   reactive.REACTIVE_GENERATORS.indexOf(generator) === -1;
+        }).forEach(function(generator) {
+            assert.ok(!reactive.isReactiveAnimation(fixtures.runGenerator(kb, generator)),
+                      generator);
+        });
+    },
+
+    "relative pixels are rendered from the key given": function() {
+        var kb = fixtures.createKeyboard('small');
+        assert.deepStrictEqual(render.defaultOrigin(kb), {row: 2, col: 11});
+        var renderer = render.createRenderer(kb, {row: 1, col: 2});
+        var state = renderer.blankState();
+        renderer.applyFrame(state, frames.parseFrame("P[r:i,c:i+2](9,9,9)"));
+        // The key at row 1, column 4 is led 2.
+        assert.deepStrictEqual(state[2], [9, 9, 9]);
+    },
+
+    "every key with a position can start a reactive animation": function() {
+        var keys = reactive.reactiveKeys(fixtures.createKeyboard('small'));
+        assert.strictEqual(keys.length, 28);
+        assert.deepStrictEqual(keys[0], {scanCode: "0x01", row: 1, col: 2});
+    },
+
+    "keys whose expanded animations are the same share one": function() {
+        assert.deepStrictEqual(expandedFrames(["P[r:i](1,1,1)"]),
+                               ["P[r:1](1,1,1) x10", "P[r:2](1,1,1) x10", "P[r:3](1,1,1) x8"]);
+        assert.strictEqual(expandedFrames(["P[r:i,c:i](1,1,1)"]).length, 28);
+    },
+
+    "expanded pixels that miss every led are left out": function() {
+        assert.strictEqual(expandedFrames(["P[r:i,c:i+40](1,1,1),P[r:i,c:i](2,2,2)"])[0],
+                           "P[r:1,c:2](2,2,2) x1");
+    },
+
+    "reactive animations are started from every key on layer 0": function() {
+        var conf = {animations: {Splash: {generator: "keySplash"}}, activeAnimations: ["Splash"]};
+        var json = fixtures.generate('small', conf);
+        assert.deepStrictEqual(Object.keys(json.animations), ["Splash"]);
+        assert.ok(json.header.KiianigenKeyMap.indexOf("Splash: 28 keys") > -1);
+        var key = triggers.findKey(json.matrix, "Q");
+        assert.deepStrictEqual(key.triggers["0"].map(function(trigger) {
+            return trigger.action;
+        }), ["A[Splash](start)"]);
+        // What the key types is left alone.
+        assert.deepStrictEqual(key.layers["0"], {key: "Q", label: "Q"});
+    },
+
+    "without relative pixels each key gets an animation of its own": function() {
+        var conf = {animations: {Splash: {generator: "keySplash"}}, activeAnimations: ["Splash"],
+                    relativePixels: false};
+        var json = fixtures.generate('small', conf);
+        assert.strictEqual(Object.keys(json.animations).length, 28);
+        assert.ok(json.header.KiianigenKeyMap.indexOf("Splash: 28 keys, with 28 animations") > -1);
+        json.animations.Splash_1.frames.forEach(function(frame) {
+            assert.ok(!frames.isRelativeFrame(frames.parseFrame(frame)), frame);
+        });
+    },
+
+    "relativePixels in the conf must be true or false": function() {
+        var conf = {animations: {}, activeAnimations: [], relativePixels: 0};
+        assert.deepStrictEqual(validate.validateConf(conf).problems, [
+            {path: "relativePixels", message: "must be true or false, not a number"}
+        ]);
+    }
+};
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for sequences, which play animations of the conf one after the other.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var sequence = require('../../lib/sequence');
+var validate = require('../../lib/validate');
+var fixtures = require('../fixtures');
+
+var RED = {settings: "framedelay:2", frames: ["P[1](200,0,0)", "P[2](200,0,0)"]};
+var BLUE = {settings: "framedelay:3", frames: ["P[1](0,0,100)"]};
+
+/** Validates a conf with the sequence given, as "path: message" strings. */
+function sequenceProblems(show) {
+    var conf = {animations: {Red: {generator: "kitt2000"}, Show: show},
+                activeAnimations: ["Show"]};
+    return validate.validateConf(conf).problems.map(function(problem) {
+        return problem.path + ": " + problem.message;
+    });
+}
+
+module.exports = {
+    "the steps are played at a common framedelay": function() {
+        var animation = sequence.composeSequence(fixtures.createKeyboard('small'), [
+            {animation: RED, repeat: 2},
+            {animation: BLUE}
+        ], false);
+        assert.strictEqual(animation.settings, "framedelay:1, framestretch");
+        // 2 plays of 2 frames shown for 2 ticks each, then a frame shown for 3.
+        assert.strictEqual(animation.frames.length, 2 * 2 * 2 + 3);
+    },
+
+    "only the leds that change are written after the first frame": function() {
+        var animation = sequence.composeSequence(fixtures.createKeyboard('small'), [
+            {animation: RED},
+            {animation: BLUE}
+        ], true);
+        assert.strictEqual(animation.settings, "framedelay:1, framestretch, loop");
+        // The first frame sets all 38 leds, as the sequence loops back into it.
+        assert.strictEqual(animation.frames[0].split("P[").length - 1, 38);
+        assert.ok(/^P\[1\]\(200,0,0\),P\[2\]\(0,0,0\),/.test(animation.frames[0]));
+        // Each step starts from a dark keyboard.
+        assert.deepStrictEqual(animation.frames.slice(1), [
+            "", "P[2](200,0,0)", "", "P[1](0,0,100),P[2](0,0,0)", "", ""
+        ]);
+    },
+
+    "crossfades mix from where the step before ended": function() {
+        var animation = sequence.composeSequence(fixtures.createKeyboard('small'), [
+            {animation: RED},
+            {animation: BLUE, transition: "crossfade", transitionTime: 2}
+        ], false);
+        assert.deepStrictEqual(animation.frames.slice(4), [
+            "P[1](133,0,33),P[2](133,0,0)",
+            "P[1](67,0,67),P[2](67,0,0)",
+            "P[1](0,0,100),P[2](0,0,0)"
+        ]);
+    },
+
+    "steps that can't be played say which step it is": function() {
+        var kb = fixtures.createKeyboard('small');
+        var reactive = {settings: "framedelay:1", frames: ["P[r:i](1,1,1)"]};
+        assert.throws(function() {
+            sequence.composeSequence(kb, [{animation: RED}, {animation: reactive}], false);
+        }, function(err) {
+            return err.step === 1 &&
+                   err.message === "reactive animations can't be played in a sequence";
+        });
+        assert.throws(function() {
+            sequence.composeSequence(kb, [{animation: {settings: "", frames: []}}], false);
+        }, function(err) {
+            return err.step === 0 && err.message === "the animation has no frames";
+        });
+    },
+
+    "sequences in the conf play the animations they name": function() {
+        var conf = {animations: {Red: {generator: "kitt2000"}, Blue: {generator: "bluewipe"},
+                                 Show: {sequence: ["Red", {animation: "Blue", repeat: 2}],
+                                        loop: false}},
+                    activeAnimations: ["Show"]};
+        var json = fixtures.generate('small', conf);
+        assert.deepStrictEqual(Object.keys(json.animations), ["Show"]);
+        assert.ok(!/loop/.test(json.animations.Show.settings));
+
+        conf.animations.Splash = {generator: "keySplash"};
+        conf.animations.Show.sequence.push("Splash");
+        assert.throws(function() {
+            fixtures.generate('small', conf);
+        }, /animations\.Show\.sequence\[2\]: reactive animations can't be played in a sequence/);
+    },
+
+    "sequences are checked": function() {
+        assert.deepStrictEqual(sequenceProblems({sequence: [], generator: "kitt2000",
+                                                 loop: "yes"}), [
+            "animations.Show.generator: a sequence plays other animations, it can't have a " +
+            "generator",
+            "animations.Show.loop: must be true or false, not a string",
+            "animations.Show.sequence: must be a non-empty array of steps, not an array"
+        ]);
+        assert.deepStrictEqual(sequenceProblems({sequence: [
+            "Rad", {animation: "Show"}, 3,
+            {animation: "Red", repeat: 0, transition: "wipe", transitionTime: 1.5}
+        ]}), [
+            "animations.Show.sequence[0]: \"Rad\" is not defined in animations, did you mean " +
+            "'Red'?",
+            "animations.Show.sequence[1].animation: 'Show' is a sequence, and sequences can't " +
+            "play other sequences",
+            "animations.Show.sequence[2]: each step must be an animation name or an object " +
+            "with an 'animation'",
+            "animations.Show.sequence[3].repeat: 'repeat' must be at least 1, not 0",
+            "animations.Show.sequence[3].transition: must be one of cut, crossfade, not \"wipe\"",
+            "animations.Show.sequence[3].transitionTime: 'transitionTime' must be a whole " +
+            "number, not 1.5"
+        ]);
+    }
+};
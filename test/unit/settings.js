@@ -0,0 +1,73 @@
+/**
+ * Unit tests for the animation settings string and for overriding it from kiianiconf.json.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var kiianigen = require('../../kiianigen');
+var settingsUtil = require('../../lib/settings');
+var fixtures = require('../fixtures');
+
+/** Validates a single animation and returns the paths and messages of its problems. */
+function problemsOf(anim) {
+    return kiianigen.validateConf({animations: {"A": anim}, activeAnimations: ["A"]}).problems;
+}
+
+module.exports = {
+    "settings strings are parsed and written back out in order": function() {
+        var settings = settingsUtil.parseSettings("loop:3, framedelay:2, replace:all, start");
+        assert.deepStrictEqual(settings, {loop: 3, framedelay: 2, replace: "all", start: true});
+        assert.strictEqual(settingsUtil.formatSettings(settings),
+                           "framedelay:2, loop:3, replace:all, start");
+    },
+
+    "overrides replace single settings and false leaves one out": function() {
+        assert.strictEqual(settingsUtil.applySettings("framedelay:3, framestretch, loop, " +
+                                                      "pfunc:interp",
+                                                      {loop: 2, pfunc: false}),
+                           "framedelay:3, framestretch, loop:2");
+    },
+
+    "overrides from the conf end up on the animation": function() {
+        var kb = fixtures.createKeyboard('small');
+        var animation = fixtures.runGenerator(kb, "redPulse", null,
+                                              {settings: {loop: 3, replace: "basic"}});
+        assert.strictEqual(animation.settings,
+                           "framedelay:3, framestretch, loop:3, replace:basic, pfunc:interp");
+        animation = fixtures.runGenerator(kb, "redPulse", null, {settings: "start"});
+        assert.ok(/, start$/.test(animation.settings), animation.settings);
+    },
+
+    "unknown settings get a suggestion": function() {
+        assert.deepStrictEqual(problemsOf({generator: "redPulse", settings: {lop: 3}}), [{
+            path: "animations.A.settings.lop",
+            message: "unknown setting 'lop', did you mean 'loop'?"
+        }]);
+    },
+
+    "setting values are checked": function() {
+        var problems = problemsOf({generator: "redPulse",
+                                   settings: {loop: 0, framedelay: 300, replace: "some"}});
+        assert.deepStrictEqual(problems.map(function(problem) {
+            return problem.path;
+        }), ["animations.A.settings.loop", "animations.A.settings.framedelay",
+             "animations.A.settings.replace"]);
+    },
+
+    "settings must be an object or a string": function() {
+        var problems = problemsOf({generator: "redPulse", settings: [1]});
+        assert.strictEqual(problems.length, 1);
+        assert.ok(/must be an object such as \{"loop": 3\}/.test(problems[0].message));
+    },
+
+    "the framedelay can't be given along with a timing": function() {
+        assert.deepStrictEqual(problemsOf({generator: "redPulse", bpm: 120,
+                                           settings: {framedelay: 2}}), [{
+            path: "animations.A.settings.framedelay",
+            message: "can't be given along with a bpm, which picks the framedelay (see " +
+                     "animations.A.bpm)"
+        }]);
+    }
+};
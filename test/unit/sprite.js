@@ -0,0 +1,96 @@
+/**
+ * Unit tests for sprites moved along a path: the path walking, the timeline of the walk cycle,
+ * the sprite generator and the checks of its params.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var sprite = require('../../lib/sprite');
+var validate = require('../../lib/validate');
+var fixtures = require('../fixtures');
+
+/** Validates a conf with a sprite animation with the params given. */
+function problemsOf(params) {
+    var conf = {animations: {S: {generator: "sprite", params: params}}, activeAnimations: ["S"]};
+    return validate.validateConf(conf).problems.map(function(problem) {
+        return problem.path + ": " + problem.message;
+    });
+}
+
+module.exports = {
+    "paths are walked a key at a time": function() {
+        assert.deepStrictEqual(sprite.pathPositions([[0, 0], [0, 3]], "wrap"),
+                               [[0, 0], [0, 1], [0, 2]]);
+        assert.deepStrictEqual(sprite.pathPositions([[0, 0], [2, 4]], "wrap"),
+                               [[0, 0], [1, 1], [1, 2], [2, 3]]);
+        assert.deepStrictEqual(sprite.pathPositions([[1, 2]], "wrap"), [[1, 2]]);
+    },
+
+    "bouncing paths go back without repeating their ends": function() {
+        assert.deepStrictEqual(sprite.pathPositions([[0, 0], [0, 3]], "bounce"),
+                               [[0, 0], [0, 1], [0, 2], [0, 3], [0, 2], [0, 1]]);
+    },
+
+    "the timeline lasts until the path and the walk cycle both start again": function() {
+        assert.deepStrictEqual(sprite.spriteFrames(["#"]), [["#"]]);
+        var timeline = sprite.spriteTimeline([["#"], ["o"]], [[0, 0], [0, 3]], "wrap", 2);
+        assert.deepStrictEqual(timeline.map(function(step) {
+            return step.drawing[0] + step.col;
+        }), ["#0", "#1", "o2", "o0", "#1", "#2", "o0", "o1", "#2", "#0", "o1", "o2"]);
+    },
+
+    "each frame turns off what the frame before it lit": function() {
+        var kb = fixtures.createKeyboard('small');
+        var animation = fixtures.runGenerator(kb, "sprite", [["#"], {"#": [255, 0, 0]},
+                                                             [[1, 0], [1, 2]], "bounce", 5]);
+        assert.strictEqual(animation.settings, "framedelay:5, loop");
+        // Column 0 of the first row of keys has no led.
+        assert.deepStrictEqual(animation.frames, [
+            "P[r:1,c:2](0,0,0)",
+            "P[r:1,c:2](255,0,0)",
+            "P[r:1,c:2](0,0,0),P[r:1,c:4](255,0,0)",
+            "P[r:1,c:4](0,0,0),P[r:1,c:2](255,0,0)"
+        ]);
+    },
+
+    "the invader walks across the keyboard by default": function() {
+        var kb = fixtures.createKeyboard('small');
+        var animation = fixtures.runGenerator(kb, "sprite");
+        assert.ok(animation.frames.length > 1);
+        assert.ok(/\(0,255,0\)/.test(animation.frames.join(",")));
+    },
+
+    "sprites, palettes and paths are checked": function() {
+        assert.deepStrictEqual(problemsOf(["#", [1], {}]), [
+            "animations.S.params[0]: 'sprite' must be an array of strings, or an array of " +
+            "arrays of strings, not a string",
+            "animations.S.params[1]: 'palette' must be an object of characters and their " +
+            "colors, not an array",
+            "animations.S.params[2]: 'path' must be a non-empty array of [row, column] " +
+            "keyframes, not a object"
+        ]);
+        assert.deepStrictEqual(problemsOf([["ab", 3], {"ab": [0, 0, 0], "#": "nope"},
+                                           [[0, 0], [1]]]), [
+            "animations.S.params[0][0]: each drawing must be a non-empty array of strings, " +
+            "not \"ab\"",
+            "animations.S.params[0][1]: each drawing must be a non-empty array of strings, not 3",
+            "animations.S.params[1].ab: palette entries must be single characters",
+            "animations.S.params[1][\"#\"]: '#' must be a color, but \"nope\" is not a hex " +
+            "color, color name, rgb(), hsv() or hsl()",
+            "animations.S.params[2][1]: keyframes must be [row, column] arrays of 2 numbers, " +
+            "not [1]"
+        ]);
+        assert.deepStrictEqual(problemsOf([[["#"], ["o"]], {"#": "red", "o": "blue"},
+                                           [[0, 0.5]]]), []);
+    },
+
+    "characters missing from the palette are reported at the palette": function() {
+        var conf = {animations: {S: {generator: "sprite", params: [["#o"]]}},
+                    activeAnimations: ["S"]};
+        assert.throws(function() {
+            fixtures.generate('small', conf);
+        }, /animations\.S\.params\[1\]: 'o' is in the sprite, but not in the palette/);
+    }
+};
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for timing animations in seconds and beats a minute rather than frames.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var kiianigen = require('../../kiianigen');
+var timing = require('../../lib/timing');
+var settingsUtil = require('../../lib/settings');
+var fixtures = require('../fixtures');
+
+/** Returns how long an animation takes to play through once, in seconds. */
+function durationOf(animation) {
+    var settings = settingsUtil.parseSettings(animation.settings);
+    return animation.frames.length * settingsUtil.frameDuration(settings) / 1000;
+}
+
+/** Runs a generator on the small keyboard with a timing. */
+function timed(generator, timingGiven) {
+    return fixtures.runGenerator(fixtures.createKeyboard('small'), generator, null, timingGiven);
+}
+
+/** Asserts that a number is within a fraction of what it should be. */
+function assertClose(actual, expected, tolerance, what) {
+    assert.ok(Math.abs(actual - expected) <= expected * tolerance,
+              what + ": expected about " + expected + ", got " + actual);
+}
+
+module.exports = {
+    "a step of framedelay 1 is 10ms": function() {
+        assert.strictEqual(timing.steps(1, 1), 100);
+        assert.strictEqual(timing.steps(0.5, 5), 10);
+    },
+
+    "without a timing the generator's own is kept": function() {
+        assert.deepStrictEqual(timing.fitTiming({}, {frameDelay: 3, stepsPerBeat: 40, beats: 2}),
+                               {frameDelay: 3, stepsPerBeat: 40});
+    },
+
+    "bpm is turned into a beat of 60 / bpm seconds": function() {
+        // 120 bpm is half a second a beat, which is 25 steps at a framedelay of 2.
+        assert.deepStrictEqual(timing.fitTiming({timing: {bpm: 120}},
+                                                {frameDelay: 3, stepsPerBeat: 40, beats: 2}),
+                               {frameDelay: 2, stepsPerBeat: 25});
+        // A breath between 2 colors is 2 beats.
+        assertClose(durationOf(timed("redPulse", {bpm: 120})), 1, 0.01, "redPulse at 120 bpm");
+        // A pulse through 3 colors is 3 beats.
+        assertClose(durationOf(timed("rgbPulse", {bpm: 60})), 3, 0.01, "rgbPulse at 60 bpm");
+    },
+
+    "a period is the length of each beat": function() {
+        assertClose(durationOf(timed("redPulse", {period: 2})), 4, 0.01, "redPulse 2s a beat");
+    },
+
+    "a duration is the length of the whole animation": function() {
+        assertClose(durationOf(timed("rgbPulse", {duration: 10})), 10, 0.01, "rgbPulse for 10s");
+        assertClose(durationOf(timed("rainbowCycle", {duration: 10})), 10, 0.01,
+                    "rainbowCycle for 10s");
+    },
+
+    "long timings are kept to the frame limit with a slower framedelay": function() {
+        var animation = timed("redPulse", {duration: 60});
+        assert.ok(animation.frames.length <= timing.MAX_FRAMES, animation.frames.length +
+                                                                 " frames");
+        assertClose(durationOf(animation), 60, 0.01, "redPulse for a minute");
+    },
+
+    "fast timings keep enough steps to fade": function() {
+        var animation = timed("redPulse", {bpm: 6000});
+        assert.ok(animation.frames.length >= 4, animation.frames.length + " frames");
+    },
+
+    "the timing achieved is reported": function() {
+        var report = timing.achievedTiming({settings: "framedelay:2", frames: new Array(50)},
+                                           {bpm: 120, beats: 2});
+        assert.deepStrictEqual(report, {requested: {bpm: 120}, duration: 1, period: 0.5,
+                                        bpm: 120});
+        assert.deepStrictEqual(timing.formatReports({"Club": report}),
+                               ["Club: asked for bpm 120, got 120 (1s to play through)"]);
+    },
+
+    "only one timing can be given, and only to generators that can be timed": function() {
+        var problems = kiianigen.validateConf({
+            animations: {"A": {generator: "redPulse", bpm: 120, duration: 2},
+                         "B": {generator: "kitt2000", bpm: 120},
+                         "C": {generator: "redPulse", bpm: 0}},
+            activeAnimations: ["A", "B", "C"]
+        }).problems;
+        assert.deepStrictEqual(problems.map(function(problem) {
+            return problem.path;
+        }), ["animations.A.bpm", "animations.B.bpm", "animations.C.bpm"]);
+        assert.ok(/the kitt2000 generator can't be timed/.test(problems[1].message));
+    }
+};
@@ -0,0 +1,305 @@
+/**
+ * Unit tests for mapping the animations to their trigger keys, in each mode and when there are
+ * more animations than trigger keys.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var kiianigen = require('../../kiianigen');
+var triggers = require('../../lib/triggers');
+var fixtures = require('../fixtures');
+
+/**
+ * Maps animations to keys on the small keyboard, which has 26 letter keys to use as trigger keys.
+ *
+ * @param  {Array} animNames
+ *         The configurator names of the animations.
+ * @param  {Object} options
+ *         Optional. The "triggers" settings.
+ * @param  {Object} json
+ *         Optional. The configurator json to map them in, a fresh one if not given. Its
+ *         animations are replaced.
+ * @return {Object}
+ *         The configurator "json" and the "text" describing the keys.
+ */
+function mapKeys(animNames, options, json) {
+    var board = fixtures.readBoard('small');
+    json = json || board.json;
+    json.animations = {};
+    animNames.forEach(function(animName) {
+        json.animations[animName] = {type: "animation", settings: "loop", frames: []};
+    });
+    var kb = kiianigen.createKeyboard(json, board.kll);
+    var text = triggers.mapTriggerKeys(json, kb.profile, options);
+    return {json: json, text: text};
+}
+
+/** Returns the configurator json of the small keyboard, with a function key for layer 1. */
+function fnJson() {
+    var json = fixtures.readBoard('small').json;
+    triggers.findKey(json.matrix, "0x14").layers["0"] = {key: "FUN1", label: "FUN1"};
+    return json;
+}
+
+/** Lists the actions a key has on a layer. */
+function actionsOf(json, keyName, layer) {
+    var key = triggers.findKey(json.matrix, keyName);
+    return ((key.triggers || {})[layer] || []).map(function(trigger) {
+        return trigger.action;
+    });
+}
+
+/** Returns the key that starts an animation, and the layer it does so on. */
+function keyOf(json, animName) {
+    var found = null;
+    json.matrix.forEach(function(key) {
+        for (var layer in key.triggers || {}) {
+            if (actionsOf(json, key.code, layer).indexOf("A[" + animName + "](start)") > -1 &&
+                    !found) {
+                found = {name: key.layers["0"].key, layer: Number(layer)};
+            }
+        }
+    });
+    return found;
+}
+
+/** Names a number of animations. */
+function names(count) {
+    var list = [];
+    for (var i = 0; i < count; i++) {
+        list.push("anim" + i);
+    }
+    return list;
+}
+
+module.exports = {
+    "exclusive keys start their animation and stop the others": function() {
+        var mapped = mapKeys(["Red", "Blue"], {keys: {"Red": "Q"}});
+        assert.deepStrictEqual(actionsOf(mapped.json, "Q", 1),
+                               ["A[Red](start)", "A[Blue](stop)"]);
+        assert.deepStrictEqual(triggers.findKey(mapped.json.matrix, "Q").layers["1"],
+                               {key: "#:None", label: "NONE"});
+        var blue = keyOf(mapped.json, "Blue");
+        assert.strictEqual(blue.layer, 1);
+        assert.deepStrictEqual(actionsOf(mapped.json, blue.name, 1),
+                               ["A[Red](stop)", "A[Blue](start)"]);
+    },
+
+    "keys aren't turned off without suppress": function() {
+        var mapped = mapKeys(["Red"], {keys: {"Red": "Q"}, suppress: false});
+        assert.strictEqual(triggers.findKey(mapped.json.matrix, "Q").layers["1"], undefined);
+    },
+
+    "keys that already trigger an animation are kept": function() {
+        var first = mapKeys(["b", "c"]);
+        var before = {b: keyOf(first.json, "b"), c: keyOf(first.json, "c")};
+        var second = mapKeys(["a", "b", "c", "d"], {}, first.json);
+        assert.deepStrictEqual(keyOf(second.json, "b"), before.b);
+        assert.deepStrictEqual(keyOf(second.json, "c"), before.c);
+    },
+
+    "other triggers on a key are kept when an earlier run's are cleared": function() {
+        var first = mapKeys(["b", "c"]);
+        var b = keyOf(first.json, "b"), c = keyOf(first.json, "c");
+        var bKey = triggers.findKey(first.json.matrix, b.name);
+        var cKey = triggers.findKey(first.json.matrix, c.name);
+        var mine = {type: "animation", label: "start 'Mine' animation", action: "A[Mine](start)"};
+        bKey.triggers[b.layer].push(mine);
+        var second = mapKeys(["b", "c"], {keys: {"b": "Z", "c": "X"}}, first.json);
+        assert.deepStrictEqual([keyOf(second.json, "b").name, keyOf(second.json, "c").name],
+                               ["Z", "X"]);
+        assert.deepStrictEqual(bKey.triggers[b.layer], [mine]);
+        // A layer with nothing else on it is dropped.
+        assert.strictEqual(cKey.triggers[c.layer], undefined);
+    },
+
+    "the off key stops every animation": function() {
+        var mapped = mapKeys(["Red", "Blue"], {offKey: "SPACE"});
+        assert.deepStrictEqual(actionsOf(mapped.json, "SPACE", 1),
+                               ["A[Red](stop)", "A[Blue](stop)"]);
+    },
+
+    "toggle keys start their animation and stop it when pressed again": function() {
+        var mapped = mapKeys(["Red", "Blue"], {mode: "toggle", keys: {"Red": "Q"}}, fnJson());
+        var blue = keyOf(mapped.json, "Blue");
+        assert.deepStrictEqual(actionsOf(mapped.json, "Q", 1),
+                               ["A[Red](start)", "Layer_Lock[2]"]);
+        // While an animation is on, layer 2 is locked and the function key goes to layer 3.
+        assert.deepStrictEqual(actionsOf(mapped.json, "0x14", 2), ["Layer_Shift[3]"]);
+        ["Q", blue.name].forEach(function(keyName) {
+            assert.deepStrictEqual(actionsOf(mapped.json, keyName, 3),
+                                   ["A[Red](stop)", "A[Blue](stop)", "Layer_Lock[2]"]);
+        });
+        assert.ok(/Layers 2 to 3 keep track of which animation is on/.test(mapped.text.join("\n")));
+    },
+
+    "the state layers don't change any key but the function key": function() {
+        var json = fnJson();
+        var layers = json.matrix.map(function(key) {
+            return JSON.stringify(key.layers["0"]);
+        });
+        [{mode: "toggle", offKey: "SPACE"}, {mode: "cycle", nextKey: "SPACE"}].forEach(
+            function(options) {
+                var mapped = mapKeys(["Red", "Green", "Blue"], options, JSON.parse(JSON.stringify(
+                    json)));
+                mapped.json.matrix.forEach(function(key, idx) {
+                    assert.strictEqual(JSON.stringify(key.layers["0"]), layers[idx]);
+                    assert.strictEqual((key.triggers || {})["0"], undefined);
+                    assert.strictEqual((key.triggers || {})["2"] !== undefined,
+                                       key.code === "0x14", options.mode + " " + key.code);
+                });
+            });
+    },
+
+    "the off key turns off toggled animations and unlocks the state layer": function() {
+        var mapped = mapKeys(["Red", "Blue"], {mode: "toggle", offKey: "SPACE"}, fnJson());
+        assert.deepStrictEqual(actionsOf(mapped.json, "SPACE", 1),
+                               ["A[Red](stop)", "A[Blue](stop)"]);
+        assert.deepStrictEqual(actionsOf(mapped.json, "SPACE", 3),
+                               ["A[Red](stop)", "A[Blue](stop)", "Layer_Lock[2]"]);
+    },
+
+    "cycle steps through the animations in order": function() {
+        var mapped = mapKeys(["Red", "Green", "Blue"], {mode: "cycle", nextKey: "SPACE",
+                                                        offKey: "M"}, fnJson());
+        assert.deepStrictEqual(actionsOf(mapped.json, "SPACE", 1),
+                               ["A[Red](start)", "Layer_Lock[2]"]);
+        // Each animation has a state layer, and a layer for the keys while it is on.
+        [[2, 3, "Red", 4, "Green"], [4, 5, "Green", 6, "Blue"], [6, 7, "Blue", 2, "Red"]].forEach(
+            function(state) {
+                assert.deepStrictEqual(actionsOf(mapped.json, "0x14", state[0]),
+                                       ["Layer_Shift[" + state[1] + "]"]);
+                assert.deepStrictEqual(actionsOf(mapped.json, "SPACE", state[1]), [
+                    "A[" + state[2] + "](stop)", "Layer_Lock[" + state[0] + "]",
+                    "A[" + state[4] + "](start)", "Layer_Lock[" + state[3] + "]"
+                ]);
+                assert.deepStrictEqual(actionsOf(mapped.json, "M", state[1]),
+                                       ["A[" + state[2] + "](stop)",
+                                        "Layer_Lock[" + state[0] + "]"]);
+            });
+        assert.ok(/In this order: Red, Green, Blue/.test(mapped.text.join("\n")));
+    },
+
+    "toggle and cycle need a function key": function() {
+        assert.throws(function() {
+            mapKeys(["Red"], {mode: "toggle"});
+        }, /triggers\.mode: the 'toggle' mode needs a key that goes to layer 1 \(FUN1\)/);
+    },
+
+    "the triggers can't use more layers than there are": function() {
+        assert.throws(function() {
+            mapKeys(names(4), {mode: "cycle", nextKey: "SPACE"}, fnJson());
+        }, new RegExp("the triggers need layers up to 9, but only 8 can be used .* 2 layers " +
+                      "for each animation, so it can go through at most 3 animations$"));
+        mapKeys(names(3), {mode: "cycle", nextKey: "SPACE"}, fnJson());
+        mapKeys(names(4), {mode: "cycle", nextKey: "SPACE", maxLayers: 10}, fnJson());
+    },
+
+    "cycle needs a next key": function() {
+        assert.throws(function() {
+            mapKeys(["Red"], {mode: "cycle"});
+        }, /triggers\.nextKey: is needed for the 'cycle' mode/);
+    },
+
+    "a key that isn't on the keyboard is an error": function() {
+        assert.throws(function() {
+            mapKeys(["Red"], {keys: {"Red": "F13"}});
+        }, /there is no key 'F13' in the configurator json/);
+    },
+
+    "more animations than trigger keys is an error by default": function() {
+        assert.throws(function() {
+            mapKeys(names(27));
+        }, function(err) {
+            return err.problems.length === 1 && err.problems[0].path === "activeAnimations" &&
+                   /27 animations need trigger keys, but only 26/.test(err.message);
+        });
+    },
+
+    "new animations don't take the keys of the ones before them": function() {
+        var before = mapKeys(names(20));
+        var after = mapKeys(names(21));
+        names(20).forEach(function(animName) {
+            assert.deepStrictEqual(keyOf(after.json, animName), keyOf(before.json, animName));
+        });
+    },
+
+    "the nextLayer overflow needs a key to reach the next layer": function() {
+        assert.throws(function() {
+            mapKeys(names(2), {overflow: "nextLayer"});
+        }, /triggers\.overflowKey: is needed for the 'nextLayer' overflow/);
+    },
+
+    "the nextLayer overflow puts the rest on the next layer": function() {
+        var mapped = mapKeys(names(27), {overflow: "nextLayer", overflowKey: "SPACE"});
+        var layers = names(27).map(function(animName) {
+            return keyOf(mapped.json, animName).layer;
+        });
+        assert.strictEqual(layers.filter(function(layer) {
+            return layer === 1;
+        }).length, 26);
+        assert.strictEqual(layers.filter(function(layer) {
+            return layer === 2;
+        }).length, 1);
+        // The overflow key shifts to layer 2 while it is held on the trigger layer.
+        assert.deepStrictEqual(actionsOf(mapped.json, "SPACE", 1), ["Layer_Shift[2]"]);
+        assert.deepStrictEqual(triggers.findKey(mapped.json.matrix, "SPACE").layers["1"],
+                               {key: "#:None", label: "NONE"});
+        assert.ok(/SPACE: hold as well for the keys on layer 2/.test(mapped.text.join("\n")));
+    },
+
+    "the overflow key isn't used without an overflow": function() {
+        var mapped = mapKeys(names(3), {overflow: "nextLayer", overflowKey: "SPACE"});
+        assert.deepStrictEqual(actionsOf(mapped.json, "SPACE", 1), []);
+    },
+
+    "there is only one layer to overflow to": function() {
+        assert.throws(function() {
+            mapKeys(names(53), {overflow: "nextLayer", overflowKey: "SPACE"});
+        }, /53 animations need .* only 26 .* on 2 layers, which leaves out anim52\. /);
+    },
+
+    "cycle goes through as many animations as fit under maxLayers": function() {
+        assert.strictEqual(triggers.cycleLimit(1, 8), 3);
+        assert.strictEqual(triggers.cycleLimit(1, 14), 6);
+        assert.strictEqual(triggers.cycleLimit(6, 8), 0);
+        var problems = [];
+        triggers.validateTriggers({mode: "cycle", nextKey: "SPACE"}, problems, 4);
+        assert.deepStrictEqual(problems, [
+            {path: "triggers.mode", message: "the 'cycle' mode takes 2 layers for each " +
+                                             "animation, so with layer 1 and maxLayers 8 it " +
+                                             "can go through at most 3 animations, but 4 are " +
+                                             "active"}
+        ]);
+        problems = [];
+        triggers.validateTriggers({mode: "cycle", nextKey: "SPACE", maxLayers: 10}, problems, 4);
+        assert.deepStrictEqual(problems, []);
+    },
+
+    "the trigger settings are checked": function() {
+        var problems = [];
+        triggers.validateTriggers({mode: "random", layer: 0, maxLayers: 1, overflow: "nextLayer",
+                                   overflowKey: 12, nextKey: "Right"}, problems);
+        assert.deepStrictEqual(problems, [
+            {path: "triggers.mode", message: "must be one of exclusive, toggle, cycle, not " +
+                                             "\"random\""},
+            {path: "triggers.layer", message: "'layer' must be at least 1, not 0"},
+            {path: "triggers.maxLayers", message: "'maxLayers' must be at least 2, not 1"},
+            {path: "triggers.nextKey", message: "is only used in the 'cycle' mode"},
+            {path: "triggers.overflowKey", message: "must be a scan code or key name, not a " +
+                                                    "number"}
+        ]);
+        problems = [];
+        triggers.validateTriggers({overflowKey: "SPACE"}, problems);
+        assert.deepStrictEqual(problems, [
+            {path: "triggers.overflowKey", message: "is only used with the 'nextLayer' overflow"}
+        ]);
+        problems = [];
+        triggers.validateTriggers({mode: "cycle"}, problems);
+        assert.deepStrictEqual(problems, [
+            {path: "triggers.nextKey", message: "is needed for the 'cycle' mode"}
+        ]);
+    }
+};
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the messages of the conf validation.
+ */
+
+'use strict';
+
+/* globals require, module */
+var assert = require('assert');
+var kiianigen = require('../../kiianigen');
+
+/** Validates a conf with the given animations, all of them active, and returns its problems. */
+function problemsOf(animations, extra) {
+    var conf = {animations: animations, activeAnimations: Object.keys(animations)};
+    for (var key in extra || {}) {
+        conf[key] = extra[key];
+    }
+    return kiianigen.validateConf(conf).problems;
+}
+
+/** Asserts that there is exactly one problem, at the path and with the message given. */
+function assertProblem(problems, path, message) {
+    assert.deepStrictEqual(problems, [{path: path, message: message}]);
+}
+
+module.exports = {
+    "a valid conf has no problems": function() {
+        assert.deepStrictEqual(problemsOf({"KARR": {generator: "kitt2000", params: ["red"]}}), []);
+    },
+
+    "suggests the closest generator name": function() {
+        assertProblem(problemsOf({"KARR": {generator: "kit2000"}}), "animations.KARR.generator",
+                      "unknown generator 'kit2000', did you mean 'kitt2000'?");
+    },
+
+    "paths quote names that aren't identifiers": function() {
+        var problems = problemsOf({"KARR 1.0": {generator: "kitt2000", params: "red"}});
+        assertProblem(problems, "animations[\"KARR 1.0\"].params",
+                      "must be an array, not a string");
+    },
+
+    "checks each param against the schema": function() {
+        var problems = problemsOf({"Cycler": {generator: "keyGroupCycler", params: [1]}});
+        assert.strictEqual(problems.length, 1);
+        assert.strictEqual(problems[0].path, "animations.Cycler.params[0]");
+        assert.ok(/at least 2/.test(problems[0].message), problems[0].message);
+    },
+
+    "explains colors that don't parse": function() {
+        var problems = problemsOf({"KARR": {generator: "kitt2000", params: ["redd"]}});
+        assert.strictEqual(problems.length, 1);
+        assert.strictEqual(problems[0].path, "animations.KARR.params[0]");
+        assert.ok(/redd/.test(problems[0].message), problems[0].message);
+    },
+
+    "reports too many params": function() {
+        assertProblem(problemsOf({"Breath": {generator: "blueGreenBreath", params: [1]}}),
+                      "animations.Breath.params", "'blueGreenBreath' takes no params, but 1 " +
+                                                  "were given");
+    },
+
+    "reports active animations that aren't defined": function() {
+        var conf = {animations: {"KARR": {generator: "kitt2000"}},
+                    activeAnimations: ["KARR", "KAR"]};
+        var problems = kiianigen.validateConf(conf).problems;
+        assert.strictEqual(problems.length, 1);
+        assert.strictEqual(problems[0].path, "activeAnimations[1]");
+        assert.ok(/'KARR'/.test(problems[0].message), problems[0].message);
+    },
+
+    "names from Object.prototype aren't taken for generators or animations": function() {
+        assertProblem(problemsOf({"Odd": {generator: "constructor"}}),
+                      "animations.Odd.generator", "unknown generator 'constructor'");
+        var conf = {animations: {"KARR": {generator: "kitt2000"}},
+                    activeAnimations: ["KARR", "toString"]};
+        assertProblem(kiianigen.validateConf(conf).problems, "activeAnimations[1]",
+                      "'toString' is not defined in animations");
+        assertProblem(problemsOf({"Seq": {sequence: ["hasOwnProperty"]}}),
+                      "animations.Seq.sequence[0]",
+                      "\"hasOwnProperty\" is not defined in animations");
+    },
+
+    "the cycle mode is checked against the active animations that need a key": function() {
+        var animations = {"A": {generator: "kitt2000"}, "B": {generator: "whiteNoise"},
+                          "C": {generator: "rainbowCycle"}, "Ripple": {generator: "ripple"}};
+        var triggers = {mode: "cycle", nextKey: "SPACE"};
+        assert.deepStrictEqual(problemsOf(animations, {triggers: triggers}), []);
+        animations.D = {generator: "kitt2000"};
+        var problems = problemsOf(animations, {triggers: triggers});
+        assert.strictEqual(problems.length, 1);
+        assert.strictEqual(problems[0].path, "triggers.mode");
+        assert.ok(/at most 3 animations, but 4 are active/.test(problems[0].message));
+    },
+
+    "collects every problem rather than stopping at the first": function() {
+        var problems = problemsOf({"A": {generator: "nope"}, "B": {generator: "kitt2000"}},
+                                  {optimize: "yes", triggers: {mode: "random"}});
+        assert.deepStrictEqual(problems.map(function(problem) {
+            return problem.path;
+        }).sort(), ["animations.A.generator", "optimize", "triggers.mode"]);
+    },
+
+    "the error thrown lists the problems": function() {
+        assert.throws(function() {
+            kiianigen.generateConfig({matrix: [], leds: []}, {PixelIds: {}},
+                                     {animations: {"A": {generator: "nope"}},
+                                      activeAnimations: ["A"]});
+        }, function(err) {
+            return /animations\.A\.generator: unknown generator 'nope'/.test(err.message) &&
+                   err.problems.length === 1;
+        });
+    }
+};